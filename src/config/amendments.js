@@ -0,0 +1,43 @@
+const amendmentStatuses = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+const amendmentDecisions = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+};
+
+/**
+ * Fields of a completed inspection an amendment may change, for the
+ * inspection itself and for each room, with the labels used in diffs
+ */
+const amendableFields = {
+  inspection: ['summary', 'aiSummary'],
+  room: ['name', 'conditionRating', 'notes', 'actions', 'aiSummary'],
+};
+
+const amendmentFieldLabels = {
+  summary: 'Summary',
+  aiSummary: 'AI summary',
+  name: 'Name',
+  conditionRating: 'Condition rating',
+  notes: 'Notes',
+  actions: 'Actions',
+};
+
+const amendmentLimits = {
+  reasonMaxLength: 2000,
+  reviewNoteMaxLength: 1000,
+  roomsPerAmendment: 50,
+  pendingPerInspection: 20,
+};
+
+module.exports = {
+  amendmentStatuses,
+  amendmentDecisions,
+  amendableFields,
+  amendmentFieldLabels,
+  amendmentLimits,
+};
@@ -0,0 +1,18 @@
+const calendarFeedScopes = {
+  INSPECTOR: 'inspector',
+  ORGANIZATION: 'organization',
+};
+
+/**
+ * Role right (see config/roles) needed to hold a feed of each scope.
+ * Inspector feeds only list inspections the holder is assigned to, so any user may have one.
+ */
+const calendarFeedRights = {
+  [calendarFeedScopes.INSPECTOR]: null,
+  [calendarFeedScopes.ORGANIZATION]: 'reviewInspections',
+};
+
+module.exports = {
+  calendarFeedScopes,
+  calendarFeedRights,
+};
@@ -0,0 +1,326 @@
+const complianceItemStatuses = {
+  PENDING: 'pending',
+  PASS: 'pass',
+  FAIL: 'fail',
+  NOT_APPLICABLE: 'not_applicable',
+};
+
+/**
+ * What completing an inspection does when mandatory items are unchecked:
+ * warn records the missing items in the status history, block refuses to complete
+ */
+const complianceEnforcement = {
+  WARN: 'warn',
+  BLOCK: 'block',
+};
+
+// How an inspection's pack was chosen: for the inspection, for its property, or from the property address
+const complianceSelections = {
+  INSPECTION: 'inspection',
+  PROPERTY: 'property',
+  ADDRESS: 'address',
+};
+
+// Outcome shown on the compliance certificate
+const complianceOutcomes = {
+  COMPLIANT: 'compliant',
+  NON_COMPLIANT: 'non_compliant',
+  INCOMPLETE: 'incomplete',
+};
+
+// Country and state spellings of property addresses, mapped to the codes packs are defined for
+const jurisdictionAliases = {
+  countries: { australia: 'AU', au: 'AU', aus: 'AU' },
+  states: {
+    'new south wales': 'NSW',
+    nsw: 'NSW',
+    victoria: 'VIC',
+    vic: 'VIC',
+    queensland: 'QLD',
+    qld: 'QLD',
+    'south australia': 'SA',
+    sa: 'SA',
+    'western australia': 'WA',
+    wa: 'WA',
+    tasmania: 'TAS',
+    tas: 'TAS',
+    'australian capital territory': 'ACT',
+    act: 'ACT',
+    'northern territory': 'NT',
+    nt: 'NT',
+  },
+};
+
+const complianceLimits = {
+  notesMaxLength: 1000,
+  photosPerItem: 10,
+};
+
+/*
+ * Shared checklist items. Each item has:
+ * - criteria: what the inspector checks for the item to pass
+ * - mandatory: completing the inspection needs the item checked
+ * - evidencePhotos: photos a pass needs attached
+ * - allowNotApplicable: the item may be marked not applicable (e.g. no pool)
+ */
+const smokeAlarms = {
+  key: 'smoke_alarms',
+  label: 'Smoke alarms',
+  criteria: 'A working smoke alarm on every storey, tested with the test button and within its expiry date.',
+  mandatory: true,
+  evidencePhotos: 1,
+  allowNotApplicable: false,
+};
+
+const poolBarrier = {
+  key: 'pool_barrier',
+  label: 'Pool or spa barrier',
+  criteria:
+    'Barrier fully encloses the pool or spa, gates are self-closing and self-latching, nothing climbable within the non-climbable zone and a current barrier certificate is held.',
+  mandatory: true,
+  evidencePhotos: 2,
+  allowNotApplicable: true,
+};
+
+const blindCords = {
+  key: 'blind_cords',
+  label: 'Blind and curtain cords',
+  criteria: 'Looped cords are secured with a tension device or cleat at least 1.6 m above the floor.',
+  mandatory: true,
+  evidencePhotos: 1,
+  allowNotApplicable: true,
+};
+
+const locks = {
+  key: 'locks',
+  label: 'Locks',
+  criteria: 'External doors lock with a key from the outside and external windows that open can be secured.',
+  mandatory: true,
+  evidencePhotos: 0,
+  allowNotApplicable: false,
+};
+
+const weatherproof = {
+  key: 'weatherproof',
+  label: 'Structurally sound and weatherproof',
+  criteria: 'No structural defects; the roof, walls, doors and windows keep out wind and water.',
+  mandatory: true,
+  evidencePhotos: 0,
+  allowNotApplicable: false,
+};
+
+const mouldDamp = {
+  key: 'mould_damp',
+  label: 'Mould and damp',
+  criteria: 'Free of mould and damp caused by the building structure.',
+  mandatory: true,
+  evidencePhotos: 0,
+  allowNotApplicable: false,
+};
+
+const ventilation = {
+  key: 'ventilation',
+  label: 'Ventilation',
+  criteria: 'Bathrooms, toilets and laundries are ventilated by an exhaust fan or an openable window.',
+  mandatory: true,
+  evidencePhotos: 0,
+  allowNotApplicable: false,
+};
+
+const plumbing = {
+  key: 'plumbing',
+  label: 'Plumbing and hot water',
+  criteria: 'Toilet, drainage and hot and cold water connections work; no leaks.',
+  mandatory: true,
+  evidencePhotos: 0,
+  allowNotApplicable: false,
+};
+
+const windowCoverings = {
+  key: 'window_coverings',
+  label: 'Window coverings',
+  criteria: 'Curtains or blinds in bedrooms and living areas provide privacy and block light.',
+  mandatory: true,
+  evidencePhotos: 0,
+  allowNotApplicable: false,
+};
+
+/**
+ * Compliance rule packs by jurisdiction. A pack is identified by id and
+ * version; a new version is added, never edited in place, so completed
+ * inspections keep the rules they were checked against. The latest version
+ * in effect is used for new inspections. A pack without a state applies to
+ * properties in states without a pack of their own.
+ */
+const compliancePacks = [
+  {
+    id: 'au-general',
+    version: 1,
+    name: 'Australia - general residential safety',
+    jurisdiction: { country: 'AU' },
+    effectiveFrom: '2024-01-01',
+    enforcement: complianceEnforcement.WARN,
+    items: [smokeAlarms, poolBarrier, blindCords, locks, weatherproof],
+  },
+  {
+    id: 'au-nsw-residential-tenancy',
+    version: 1,
+    name: 'NSW residential tenancy minimum standards',
+    jurisdiction: { country: 'AU', state: 'NSW' },
+    effectiveFrom: '2024-01-01',
+    enforcement: complianceEnforcement.BLOCK,
+    items: [
+      {
+        ...smokeAlarms,
+        criteria:
+          'A working smoke alarm on every level, tested and with batteries replaced within the last 12 months as required for the tenancy.',
+      },
+      {
+        key: 'window_safety_devices',
+        label: 'Window safety devices',
+        criteria:
+          'Windows more than 2 m above the ground outside cannot open more than 12.5 cm, with a lock or device that can be released.',
+        mandatory: true,
+        evidencePhotos: 1,
+        allowNotApplicable: true,
+      },
+      {
+        ...poolBarrier,
+        criteria: `${poolBarrier.criteria} The pool is registered on the NSW Swimming Pool Register.`,
+      },
+      weatherproof,
+      {
+        key: 'lighting',
+        label: 'Lighting',
+        criteria: 'Natural or artificial light in every room other than storage rooms and garages.',
+        mandatory: true,
+        evidencePhotos: 0,
+        allowNotApplicable: false,
+      },
+      ventilation,
+      plumbing,
+      {
+        key: 'electricity_gas',
+        label: 'Electricity or gas',
+        criteria: 'Outlets for lighting, heating and cooking are connected and working.',
+        mandatory: true,
+        evidencePhotos: 0,
+        allowNotApplicable: false,
+      },
+      locks,
+      blindCords,
+    ],
+  },
+  {
+    id: 'au-vic-rental-minimum-standards',
+    version: 1,
+    name: 'Victorian rental minimum standards',
+    jurisdiction: { country: 'AU', state: 'VIC' },
+    effectiveFrom: '2024-01-01',
+    enforcement: complianceEnforcement.BLOCK,
+    items: [
+      smokeAlarms,
+      {
+        key: 'electrical_safety_check',
+        label: 'Electrical safety check',
+        criteria: 'Safety check by a licensed electrician within the last 2 years; switchboard circuits are RCD protected.',
+        mandatory: true,
+        evidencePhotos: 1,
+        allowNotApplicable: false,
+      },
+      {
+        key: 'gas_safety_check',
+        label: 'Gas safety check',
+        criteria: 'Gas appliances, fittings and flues checked by a licensed gasfitter within the last 2 years.',
+        mandatory: true,
+        evidencePhotos: 1,
+        allowNotApplicable: true,
+      },
+      poolBarrier,
+      {
+        key: 'heating',
+        label: 'Fixed heating',
+        criteria: 'An energy-efficient fixed heater in good working order in the main living area.',
+        mandatory: true,
+        evidencePhotos: 1,
+        allowNotApplicable: false,
+      },
+      locks,
+      windowCoverings,
+      blindCords,
+      mouldDamp,
+      ventilation,
+      weatherproof,
+    ],
+  },
+  {
+    id: 'au-qld-minimum-housing-standards',
+    version: 1,
+    name: 'Queensland smoke alarm and pool safety',
+    jurisdiction: { country: 'AU', state: 'QLD' },
+    effectiveFrom: '2022-01-01',
+    enforcement: complianceEnforcement.BLOCK,
+    items: [
+      {
+        ...smokeAlarms,
+        criteria:
+          'Interconnected photoelectric smoke alarms complying with AS 3786-2014 in every bedroom, in hallways connecting bedrooms and on every storey.',
+      },
+      {
+        ...poolBarrier,
+        key: 'pool_safety_certificate',
+        label: 'Pool safety certificate',
+        criteria: `${poolBarrier.criteria} The pool safety certificate is current and the pool is on the state register.`,
+      },
+      blindCords,
+    ],
+  },
+  {
+    id: 'au-qld-minimum-housing-standards',
+    version: 2,
+    name: 'Queensland minimum housing standards',
+    jurisdiction: { country: 'AU', state: 'QLD' },
+    effectiveFrom: '2024-09-01',
+    enforcement: complianceEnforcement.BLOCK,
+    items: [
+      {
+        ...smokeAlarms,
+        criteria:
+          'Interconnected photoelectric smoke alarms complying with AS 3786-2014 in every bedroom, in hallways connecting bedrooms and on every storey.',
+      },
+      {
+        ...poolBarrier,
+        key: 'pool_safety_certificate',
+        label: 'Pool safety certificate',
+        criteria: `${poolBarrier.criteria} The pool safety certificate is current and the pool is on the state register.`,
+      },
+      blindCords,
+      weatherproof,
+      {
+        ...locks,
+        criteria: 'External doors and windows that can be reached from outside have functioning locks or latches.',
+      },
+      { ...mouldDamp, criteria: 'Free of vermin, damp and mould caused by the building structure.' },
+      windowCoverings,
+      plumbing,
+      {
+        key: 'kitchen',
+        label: 'Kitchen',
+        criteria: 'A functioning cooktop and a space for preparing food.',
+        mandatory: true,
+        evidencePhotos: 0,
+        allowNotApplicable: false,
+      },
+    ],
+  },
+];
+
+module.exports = {
+  complianceItemStatuses,
+  complianceEnforcement,
+  complianceSelections,
+  complianceOutcomes,
+  jurisdictionAliases,
+  complianceLimits,
+  compliancePacks,
+};
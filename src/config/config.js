@@ -92,7 +92,40 @@ const envVarsSchema = Joi.object()
       .min(1)
       .default(2)
       .description('Number of inspection worker instances'),
+    INSPECTION_SCHEDULE_LEAD_DAYS: Joi.number()
+      .integer()
+      .min(0)
+      .default(14)
+      .description('Days before the due date that recurring inspections are created'),
+    INSPECTION_REMINDER_DAYS: Joi.number()
+      .integer()
+      .min(0)
+      .default(2)
+      .description('Days before a scheduled inspection that the inspector is reminded'),
+    INSPECTION_SCHEDULER_INTERVAL_MINUTES: Joi.number()
+      .integer()
+      .min(1)
+      .default(60)
+      .description('How often the inspection scheduler runs'),
+    WEBHOOK_TIMEOUT_MS: Joi.number()
+      .integer()
+      .min(1000)
+      .default(10000)
+      .description('Timeout for outgoing webhook deliveries'),
+    WEBHOOK_MAX_FAILURES: Joi.number()
+      .integer()
+      .min(1)
+      .default(20)
+      .description('Consecutive failed deliveries after which a webhook is disabled'),
     PUPPETEER_EXECUTABLE_PATH: Joi.string().description('Puppeteer executable path (optional)'),
+    FFMPEG_PATH: Joi.string().default('ffmpeg').description('ffmpeg executable used to extract video keyframes'),
+    FFPROBE_PATH: Joi.string().default('ffprobe').description('ffprobe executable used to read video metadata'),
+    PHOTO_LOCATION_RADIUS_METERS: Joi.number()
+      .integer()
+      .min(10)
+      .default(200)
+      .description('Photos with a GPS position further than this from the property are flagged as taken off site'),
+    ADDRESS_GAZETTEER_PATH: Joi.string().description('CSV address gazetteer used to look up property coordinates offline'),
   })
   .unknown();
 
@@ -208,7 +241,24 @@ module.exports = {
       concurrency: envVars.INSPECTION_WORKER_CONCURRENCY,
     },
   },
+  schedules: {
+    leadDays: envVars.INSPECTION_SCHEDULE_LEAD_DAYS,
+    reminderDays: envVars.INSPECTION_REMINDER_DAYS,
+    runIntervalMinutes: envVars.INSPECTION_SCHEDULER_INTERVAL_MINUTES,
+  },
+  webhooks: {
+    timeoutMs: envVars.WEBHOOK_TIMEOUT_MS,
+    maxFailures: envVars.WEBHOOK_MAX_FAILURES,
+  },
   pdf: {
     puppeteerExecutablePath: envVars.PUPPETEER_EXECUTABLE_PATH,
   },
+  video: {
+    ffmpegPath: envVars.FFMPEG_PATH,
+    ffprobePath: envVars.FFPROBE_PATH,
+  },
+  location: {
+    photoRadiusMeters: envVars.PHOTO_LOCATION_RADIUS_METERS,
+    gazetteerPath: envVars.ADDRESS_GAZETTEER_PATH,
+  },
 };
@@ -0,0 +1,29 @@
+const defaultCurrency = 'AUD';
+
+/**
+ * Typical repair cost ranges (low, high) by issue category and severity,
+ * used until an organization configures its own catalogue
+ */
+const defaultCostRanges = {
+  structural: { low: [200, 800], medium: [800, 3000], high: [3000, 15000] },
+  electrical: { low: [100, 300], medium: [300, 1200], high: [1200, 5000] },
+  plumbing: { low: [120, 400], medium: [400, 1500], high: [1500, 6000] },
+  cosmetic: { low: [50, 250], medium: [250, 900], high: [900, 3000] },
+  safety: { low: [100, 400], medium: [400, 1500], high: [1500, 6000] },
+  appliance: { low: [80, 250], medium: [250, 900], high: [900, 2500] },
+  other: { low: [80, 300], medium: [300, 1000], high: [1000, 4000] },
+};
+
+/**
+ * Where an issue's cost estimate came from
+ */
+const costEstimateSources = {
+  CATALOGUE: 'catalogue',
+  MANUAL: 'manual',
+};
+
+module.exports = {
+  defaultCurrency,
+  defaultCostRanges,
+  costEstimateSources,
+};
@@ -0,0 +1,28 @@
+/**
+ * Floor plan files accepted on a property: images are used as the single plan
+ * page, PDFs are rendered to one image per page
+ */
+const floorPlanMimeTypes = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const floorPlanLimits = {
+  plansPerProperty: 20,
+  maxFileSize: 20 * 1024 * 1024,
+  // Pages of a PDF plan rendered; later pages are dropped
+  maxPages: 10,
+  // pdf-to-img render scale; 2 keeps small room labels legible
+  pdfRenderScale: 2,
+  pageMaxWidth: 2400,
+  nameMaxLength: 200,
+};
+
+// What a pin on a floor plan marks
+const floorPlanPinTargets = {
+  ROOM: 'room',
+  PHOTO: 'photo',
+};
+
+module.exports = {
+  floorPlanMimeTypes,
+  floorPlanLimits,
+  floorPlanPinTargets,
+};
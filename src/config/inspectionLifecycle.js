@@ -0,0 +1,64 @@
+const inspectionStatuses = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  IN_PROGRESS: 'in_progress',
+  IN_REVIEW: 'in_review',
+  COMPLETED: 'completed',
+  ARCHIVED: 'archived',
+};
+
+// Statuses in which the recorded evidence can no longer be edited; changes go through amendments
+const lockedInspectionStatuses = [inspectionStatuses.COMPLETED, inspectionStatuses.ARCHIVED];
+
+/**
+ * Allowed lifecycle transitions keyed by action.
+ * `right` is the role right (see config/roles) required to perform the action.
+ */
+const inspectionTransitions = {
+  schedule: {
+    from: [inspectionStatuses.DRAFT],
+    to: inspectionStatuses.SCHEDULED,
+    right: 'manageInspections',
+  },
+  unschedule: {
+    from: [inspectionStatuses.SCHEDULED],
+    to: inspectionStatuses.DRAFT,
+    right: 'manageInspections',
+  },
+  start: {
+    from: [inspectionStatuses.DRAFT, inspectionStatuses.SCHEDULED],
+    to: inspectionStatuses.IN_PROGRESS,
+    right: 'manageInspections',
+  },
+  submit_for_review: {
+    from: [inspectionStatuses.IN_PROGRESS],
+    to: inspectionStatuses.IN_REVIEW,
+    right: 'manageInspections',
+  },
+  request_changes: {
+    from: [inspectionStatuses.IN_REVIEW],
+    to: inspectionStatuses.IN_PROGRESS,
+    right: 'reviewInspections',
+  },
+  complete: {
+    from: [inspectionStatuses.IN_REVIEW],
+    to: inspectionStatuses.COMPLETED,
+    right: 'reviewInspections',
+  },
+  archive: {
+    from: [inspectionStatuses.COMPLETED],
+    to: inspectionStatuses.ARCHIVED,
+    right: 'reviewInspections',
+  },
+  restore: {
+    from: [inspectionStatuses.ARCHIVED],
+    to: inspectionStatuses.COMPLETED,
+    right: 'reviewInspections',
+  },
+};
+
+module.exports = {
+  inspectionStatuses,
+  lockedInspectionStatuses,
+  inspectionTransitions,
+};
@@ -0,0 +1,62 @@
+/**
+ * Condition of an inventory item, best first. Missing records an item that was
+ * on the inventory but could not be found.
+ */
+const inventoryConditions = {
+  NEW: 'new',
+  GOOD: 'good',
+  FAIR: 'fair',
+  WORN: 'worn',
+  DAMAGED: 'damaged',
+  MISSING: 'missing',
+};
+
+// Higher is better; used to tell when an item deteriorated between two inspections
+const inventoryConditionScores = {
+  new: 5,
+  good: 4,
+  fair: 3,
+  worn: 2,
+  damaged: 1,
+  missing: 0,
+};
+
+const inventoryItemSources = {
+  MANUAL: 'manual',
+  AI: 'ai',
+};
+
+const inventoryLimits = {
+  itemsPerRoom: 200,
+  nameMaxLength: 120,
+  notesMaxLength: 1000,
+  maxQuantity: 10000,
+  photosPerItem: 10,
+  // Room photos sent to the AI in one suggestion request
+  suggestionPhotos: 6,
+  // AI suggestions below this confidence are returned but not added
+  minSuggestionConfidence: 0.5,
+};
+
+/**
+ * Report preset section type filled with the inspection's inventory rather
+ * than by the AI, and the columns it gets when the preset does not list any
+ */
+const INVENTORY_SECTION_TYPE = 'inventory';
+
+const inventorySectionFields = [
+  { key: 'room', label: 'Room', type: 'text' },
+  { key: 'item', label: 'Item', type: 'text' },
+  { key: 'quantity', label: 'Qty', type: 'number' },
+  { key: 'condition', label: 'Condition', type: 'text' },
+  { key: 'notes', label: 'Notes', type: 'textarea' },
+];
+
+module.exports = {
+  inventoryConditions,
+  inventoryConditionScores,
+  inventoryItemSources,
+  inventoryLimits,
+  INVENTORY_SECTION_TYPE,
+  inventorySectionFields,
+};
@@ -0,0 +1,45 @@
+const issueStatuses = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  SCHEDULED: 'scheduled',
+  RESOLVED: 'resolved',
+  WONT_FIX: 'wont_fix',
+};
+
+/**
+ * Statuses in which an issue still needs attention
+ */
+const unresolvedIssueStatuses = [issueStatuses.OPEN, issueStatuses.ACKNOWLEDGED, issueStatuses.SCHEDULED];
+
+const issueSeverities = ['low', 'medium', 'high'];
+
+const issueCategories = ['structural', 'electrical', 'plumbing', 'cosmetic', 'safety', 'appliance', 'other'];
+
+const issueSources = {
+  AI: 'ai',
+  MANUAL: 'manual',
+};
+
+/**
+ * Outcome of re-checking an issue carried forward from an earlier inspection
+ */
+const recheckStatuses = {
+  PENDING: 'pending',
+  FIXED: 'fixed',
+  NOT_FIXED: 'not_fixed',
+};
+
+/**
+ * Unresolved issues of these severities are carried forward when cloning an inspection
+ */
+const recheckSeverities = ['high'];
+
+module.exports = {
+  issueStatuses,
+  unresolvedIssueStatuses,
+  issueSeverities,
+  issueCategories,
+  issueSources,
+  recheckStatuses,
+  recheckSeverities,
+};
@@ -0,0 +1,54 @@
+const meterTypes = {
+  ELECTRICITY: 'electricity',
+  GAS: 'gas',
+  WATER: 'water',
+};
+
+/**
+ * Units a reading may be recorded in, per meter type; the first is the default
+ */
+const meterUnits = {
+  [meterTypes.ELECTRICITY]: ['kWh'],
+  [meterTypes.GAS]: ['m3', 'MJ', 'ft3'],
+  [meterTypes.WATER]: ['kL', 'm3', 'L', 'gal'],
+};
+
+// Spellings of units seen on meter faces, mapped to the unit they are stored as
+const meterUnitAliases = {
+  kwh: 'kWh',
+  m3: 'm3',
+  'm³': 'm3',
+  mj: 'MJ',
+  ft3: 'ft3',
+  'ft³': 'ft3',
+  cf: 'ft3',
+  kl: 'kL',
+  l: 'L',
+  litres: 'L',
+  liters: 'L',
+  gal: 'gal',
+  gallons: 'gal',
+};
+
+const meterReadingSources = {
+  MANUAL: 'manual',
+  AI: 'ai',
+};
+
+const meterReadingLimits = {
+  readingsPerInspection: 20,
+  serialMaxLength: 50,
+  notesMaxLength: 500,
+  // AI readings below this confidence are returned for review but not recorded
+  minConfidence: 0.6,
+  // Larger originals are read from their medium derivative, to keep the request within Gemini's inline data limit
+  maxImageSize: 12 * 1024 * 1024,
+};
+
+module.exports = {
+  meterTypes,
+  meterUnits,
+  meterUnitAliases,
+  meterReadingSources,
+  meterReadingLimits,
+};
@@ -0,0 +1,19 @@
+// Where the coordinates of a property came from
+const propertyLocationSources = {
+  MANUAL: 'manual',
+  GAZETTEER: 'gazetteer',
+};
+
+const photoLocationLimits = {
+  minRadiusMeters: 10,
+  maxRadiusMeters: 10000,
+};
+
+// Start of the quality warning on photos taken outside the radius, so it can be replaced when the property moves
+const OFF_SITE_WARNING_PREFIX = 'Taken off site';
+
+module.exports = {
+  propertyLocationSources,
+  photoLocationLimits,
+  OFF_SITE_WARNING_PREFIX,
+};
@@ -0,0 +1,34 @@
+/**
+ * Place of a property in the portfolio. Units and common areas (lobbies,
+ * car parks, gardens) belong to a building; standalone properties and
+ * buildings do not belong to anything.
+ */
+const propertyKinds = {
+  STANDALONE: 'standalone',
+  BUILDING: 'building',
+  UNIT: 'unit',
+  COMMON_AREA: 'common_area',
+};
+
+// Kinds that need the building they belong to
+const buildingPartKinds = [propertyKinds.UNIT, propertyKinds.COMMON_AREA];
+
+const ownerTypes = {
+  INDIVIDUAL: 'individual',
+  COMPANY: 'company',
+  TRUST: 'trust',
+  STRATA: 'strata',
+};
+
+const portfolioLimits = {
+  ownerNameMaxLength: 200,
+  ownerNotesMaxLength: 2000,
+  unitNumberMaxLength: 20,
+};
+
+module.exports = {
+  propertyKinds,
+  buildingPartKinds,
+  ownerTypes,
+  portfolioLimits,
+};
@@ -1,9 +1,36 @@
 const allRoles = {
-  superadmin: ['getUsers', 'manageUsers', 'viewAdminDashboard', 'manageSettings', 'viewSettings'],
-  admin: ['getUsers', 'manageUsers', 'viewAdminDashboard'],
-  agent: [],
-  viewer: [],
-  user: [],
+  superadmin: [
+    'getUsers',
+    'manageUsers',
+    'viewAdminDashboard',
+    'manageSettings',
+    'viewSettings',
+    'viewAllInspections',
+    'manageInspections',
+    'assignInspections',
+    'reviewInspections',
+    'manageWebhooks',
+    'manageIssues',
+    'backfillIssues',
+    'manageCostCatalogue',
+  ],
+  admin: [
+    'getUsers',
+    'manageUsers',
+    'viewAdminDashboard',
+    'viewAllInspections',
+    'manageInspections',
+    'assignInspections',
+    'reviewInspections',
+    'manageWebhooks',
+    'manageIssues',
+    'backfillIssues',
+    'manageCostCatalogue',
+  ],
+  // Agents only see and work on inspections they are assigned to
+  agent: ['manageInspections', 'manageIssues'],
+  viewer: ['viewAllInspections'],
+  user: ['viewAllInspections', 'manageInspections', 'assignInspections', 'manageIssues'],
 };
 
 const roles = Object.keys(allRoles);
@@ -0,0 +1,29 @@
+const searchLimits = {
+  // Words of the query; each must match somewhere in an inspection
+  maxTerms: 8,
+  minTermLength: 2,
+  defaultPageSize: 20,
+  maxPageSize: 100,
+  // Characters of context either side of a highlighted match
+  snippetRadius: 60,
+  maxMatchesPerResult: 10,
+};
+
+/**
+ * Inspection fields searched, as reported on each match
+ */
+const searchFields = {
+  PROPERTY_NAME: 'property.name',
+  PROPERTY_ADDRESS: 'property.address',
+  INSPECTION_SUMMARY: 'inspection.summary',
+  INSPECTION_AI_SUMMARY: 'inspection.aiSummary',
+  ROOM_NOTES: 'room.notes',
+  ROOM_AI_SUMMARY: 'room.aiSummary',
+  ISSUE_LABEL: 'issue.label',
+  ISSUE_RECOMMENDATION: 'issue.recommendation',
+};
+
+module.exports = {
+  searchLimits,
+  searchFields,
+};
@@ -0,0 +1,33 @@
+const signingPartyRoles = ['tenant', 'landlord', 'agent', 'inspector', 'other'];
+
+const signingStatuses = {
+  // Waiting for parties to sign; also while the signed PDF is being rendered
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+const signingPartyStatuses = {
+  PENDING: 'pending',
+  SIGNED: 'signed',
+};
+
+const signatureMethods = {
+  DRAWN: 'drawn',
+  TYPED: 'typed',
+};
+
+const signingLimits = {
+  partiesPerRequest: 10,
+  linkExpiryDays: 14,
+  // Decoded size of a drawn signature PNG
+  maxSignatureImageBytes: 256 * 1024,
+};
+
+module.exports = {
+  signingPartyRoles,
+  signingStatuses,
+  signingPartyStatuses,
+  signatureMethods,
+  signingLimits,
+};
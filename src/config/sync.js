@@ -0,0 +1,33 @@
+/**
+ * Mutations the mobile app can queue offline and send to POST /v1/sync
+ */
+const syncMutationTypes = {
+  CREATE_ROOM: 'create_room',
+  UPDATE_ROOM: 'update_room',
+  REGISTER_PHOTOS: 'register_photos',
+  COMPLETE_INSPECTION: 'complete_inspection',
+};
+
+const syncResultStatuses = {
+  APPLIED: 'applied',
+  // Already applied by an earlier sync with the same client id
+  DUPLICATE: 'duplicate',
+  // The server copy changed since the client's base version; nothing was applied
+  CONFLICT: 'conflict',
+  REJECTED: 'rejected',
+};
+
+const syncLimits = {
+  mutationsPerBatch: 100,
+  inspectionsPerDelta: 50,
+  // Inspections changed this long before the cursor are sent again, so writes that were in flight are not missed
+  cursorOverlapMs: 5000,
+  // Applied mutations are remembered this long for idempotent replays
+  mutationRetentionDays: 30,
+};
+
+module.exports = {
+  syncMutationTypes,
+  syncResultStatuses,
+  syncLimits,
+};
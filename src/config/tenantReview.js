@@ -0,0 +1,36 @@
+const tenantReviewStatuses = {
+  OPEN: 'open',
+  // The response window ended; the agent has been (or is being) notified
+  CLOSED: 'closed',
+  REVOKED: 'revoked',
+};
+
+// What a tenant can respond to
+const tenantReviewItemTypes = {
+  ROOM: 'room',
+  PHOTO: 'photo',
+  ISSUE: 'issue',
+};
+
+const tenantReviewVerdicts = {
+  AGREE: 'agree',
+  DISPUTE: 'dispute',
+};
+
+const tenantReviewLimits = {
+  defaultResponseDays: 7,
+  minResponseDays: 1,
+  maxResponseDays: 30,
+  responsesPerRequest: 100,
+  counterPhotosPerResponse: 5,
+  uploadsPerRequest: 10,
+  maxCounterPhotoSize: 20 * 1024 * 1024,
+  commentMaxLength: 2000,
+};
+
+module.exports = {
+  tenantReviewStatuses,
+  tenantReviewItemTypes,
+  tenantReviewVerdicts,
+  tenantReviewLimits,
+};
@@ -0,0 +1,40 @@
+/**
+ * Walkthrough videos accepted on the presigned upload flow, canonical type -> accepted aliases
+ */
+const VIDEO_TYPE_ALIASES = {
+  'video/mp4': ['video/mp4', 'video/x-m4v'],
+  'video/quicktime': ['video/quicktime'],
+  'video/webm': ['video/webm'],
+};
+
+const videoStatuses = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+};
+
+const videoIngestLimits = {
+  videosPerRequest: 5,
+  maxFileSize: 500 * 1024 * 1024,
+  maxDurationSeconds: 15 * 60,
+  // Frames kept per video; must stay within the photo registration limit
+  maxFrames: 40,
+  // Candidate frames pulled from the video before near-duplicates are dropped
+  maxCandidateFrames: 150,
+  // A frame is taken at least this often, even when the scene barely changes
+  sampleIntervalSeconds: 3,
+  // ...and sooner when the picture changes by more than this (0-1)
+  sceneThreshold: 0.3,
+  minFrameGapSeconds: 0.5,
+  // Frames whose perceptual hashes differ in fewer bits than this are duplicates
+  duplicateHashDistance: 10,
+  frameMaxWidth: 1920,
+  ffmpegTimeoutMs: 10 * 60 * 1000,
+};
+
+module.exports = {
+  VIDEO_TYPE_ALIASES,
+  videoStatuses,
+  videoIngestLimits,
+};
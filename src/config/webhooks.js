@@ -0,0 +1,11 @@
+const webhookEvents = {
+  INSPECTION_STATUS_CHANGED: 'inspection.status_changed',
+  INSPECTION_ASSIGNED: 'inspection.assigned',
+  INSPECTION_AMENDED: 'inspection.amended',
+  REPORT_SIGNED: 'report.signed',
+  TENANT_REVIEW_CLOSED: 'tenant_review.closed',
+};
+
+module.exports = {
+  webhookEvents,
+};
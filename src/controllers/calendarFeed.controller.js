@@ -0,0 +1,46 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { calendarFeedService } = require('../services');
+
+const buildFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/v1/calendar/feeds/${token}.ics`;
+
+const listFeeds = catchAsync(async (req, res) => {
+  const feeds = await calendarFeedService.listFeeds({
+    organizationId: req.user.organizationId,
+    userId: req.user.id,
+  });
+  res.send({ data: feeds });
+});
+
+const createFeed = catchAsync(async (req, res) => {
+  const feed = await calendarFeedService.createFeed({
+    organizationId: req.user.organizationId,
+    user: req.user,
+    scope: req.body.scope,
+    name: req.body.name,
+  });
+  res.status(httpStatus.CREATED).send({ data: { ...feed, url: buildFeedUrl(req, feed.token) } });
+});
+
+const revokeFeed = catchAsync(async (req, res) => {
+  await calendarFeedService.revokeFeed({
+    organizationId: req.user.organizationId,
+    userId: req.user.id,
+    feedId: req.params.feedId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getFeedCalendar = catchAsync(async (req, res) => {
+  const calendar = await calendarFeedService.getFeedCalendar({ token: req.params.token });
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(calendar);
+});
+
+module.exports = {
+  listFeeds,
+  createFeed,
+  revokeFeed,
+  getFeedCalendar,
+};
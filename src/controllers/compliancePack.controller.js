@@ -0,0 +1,16 @@
+const catchAsync = require('../utils/catchAsync');
+const { complianceService } = require('../services');
+
+const listCompliancePacks = catchAsync(async (req, res) => {
+  res.send({ data: complianceService.listPacks(req.query) });
+});
+
+const getCompliancePack = catchAsync(async (req, res) => {
+  const pack = complianceService.getPack({ packId: req.params.packId, version: req.query.version });
+  res.send({ data: pack });
+});
+
+module.exports = {
+  listCompliancePacks,
+  getCompliancePack,
+};
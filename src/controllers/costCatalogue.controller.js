@@ -0,0 +1,28 @@
+const catchAsync = require('../utils/catchAsync');
+const { costEstimateService } = require('../services');
+
+const getCostCatalogue = catchAsync(async (req, res) => {
+  const catalogue = await costEstimateService.getCostCatalogue({ organizationId: req.user.organizationId });
+  res.send({ data: catalogue });
+});
+
+const updateCostCatalogue = catchAsync(async (req, res) => {
+  const catalogue = await costEstimateService.updateCostCatalogue({
+    organizationId: req.user.organizationId,
+    user: req.user,
+    currency: req.body.currency,
+    entries: req.body.entries,
+  });
+  res.send({ data: catalogue });
+});
+
+const resetCostCatalogue = catchAsync(async (req, res) => {
+  const catalogue = await costEstimateService.resetCostCatalogue({ organizationId: req.user.organizationId });
+  res.send({ data: catalogue });
+});
+
+module.exports = {
+  getCostCatalogue,
+  updateCostCatalogue,
+  resetCostCatalogue,
+};
@@ -6,3 +6,12 @@ module.exports.planController = require('./plan.controller');
 module.exports.billingController = require('./billing.controller');
 module.exports.jobController = require('./job.controller');
 module.exports.reportPresetController = require('./reportPreset.controller');
+module.exports.webhookController = require('./webhook.controller');
+module.exports.issueController = require('./issue.controller');
+module.exports.costCatalogueController = require('./costCatalogue.controller');
+module.exports.compliancePackController = require('./compliancePack.controller');
+module.exports.calendarFeedController = require('./calendarFeed.controller');
+module.exports.syncController = require('./sync.controller');
+module.exports.signatureController = require('./signature.controller');
+module.exports.tenantReviewController = require('./tenantReview.controller');
+module.exports.ownerController = require('./owner.controller');
@@ -2,41 +2,303 @@ const mongoose = require('mongoose');
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/ApiError');
+const pick = require('../utils/pick');
 const logger = require('../config/logger');
 const { Inspection } = require('../models/inspection.model');
 const { generateRoomAnalysis } = require('../services/aiAnalysis.service');
 const { createInspection, addRoomToInspection, updateRoomInInspection } = require('../services/inspection.service');
+const {
+  complianceService,
+  costEstimateService,
+  floorPlanService,
+  inspectionAccessService,
+  inspectionAmendmentService,
+  inspectionComparisonService,
+  inspectionLifecycleService,
+  inspectionRecheckService,
+  inspectionRoomService,
+  inspectionScheduleService,
+  inspectionSearchService,
+  inventoryService,
+  meterReadingService,
+  pdfExportService,
+  photoLocationService,
+  portfolioService,
+} = require('../services');
+const { shouldApplyWatermark } = require('../middlewares/subscriptionGate');
+const { floorPlanPinTargets } = require('../config/floorPlans');
 
 const listInspections = catchAsync(async (req, res) => {
-  const { status, propertyId } = req.query;
-  const query = {};
+  const { status, propertyId, assigneeId, ownerId, buildingId } = req.query;
+  const query = inspectionAccessService.buildInspectionAccessFilter(req.user);
 
-  if (req.user && req.user.organizationId) {
-    query.organizationId = req.user.organizationId;
-  }
   if (status) query.status = status;
   if (propertyId) query.propertyId = propertyId;
+  if (ownerId || buildingId) {
+    const propertyIds = await portfolioService.resolvePortfolioPropertyIds({
+      organizationId: req.user.organizationId,
+      ownerId,
+      buildingId,
+    });
+    query.propertyId = { $in: propertyId ? propertyIds.filter((id) => id.toString() === propertyId) : propertyIds };
+  }
+  if (assigneeId) query.$and = [inspectionAccessService.buildAssigneeFilter(assigneeId)];
 
   const inspections = await Inspection.find(query).sort({ updatedAt: -1 }).populate('propertyId').lean();
 
   res.send({ data: inspections });
 });
 
+const listOverdueInspections = catchAsync(async (req, res) => {
+  const inspections = await inspectionScheduleService.listOverdueInspections({
+    user: req.user,
+    query: pick(req.query, ['propertyId', 'inspectorId']),
+  });
+  res.send({ data: inspections });
+});
+
+const searchInspections = catchAsync(async (req, res) => {
+  const result = await inspectionSearchService.searchInspections({
+    user: req.user,
+    q: req.query.q,
+    facets: pick(req.query, ['severity', 'category', 'roomType', 'condition', 'inspectorId', 'from', 'to']),
+    options: pick(req.query, ['sortBy', 'limit', 'page']),
+  });
+  res.send({ data: result });
+});
+
 const createInspectionHandler = catchAsync(async (req, res) => {
   if (!req.user) {
     throw new ApiError(httpStatus.FORBIDDEN, 'Forbidden');
   }
 
+  const { users, ...assignment } = await inspectionAccessService.resolveNewAssignment({
+    user: req.user,
+    inspectorId: req.body.inspectorId,
+    assistantIds: req.body.assistantIds,
+  });
+
+  // Copy rooms and preset from the last completed inspection of the property; an explicit preset still wins
+  const cloned = req.body.cloneFromPrevious
+    ? await inspectionRecheckService.buildClonedInspectionFields({
+        propertyId: req.body.propertyId,
+        organizationId: req.user.organizationId,
+      })
+    : {};
+
   const inspection = await createInspection({
     ...req.body,
+    ...cloned,
+    reportPresetId: req.body.reportPresetId || cloned.reportPresetId,
+    ...assignment,
     organizationId: req.user.organizationId,
     createdBy: req.user.id,
   });
 
   logger.info(`Inspection created ${inspection.id}`);
+  await inspectionAccessService.notifyAssignees({
+    inspection,
+    assignees: inspectionAccessService.findNewAssignees({}, assignment),
+    users,
+    assignedBy: req.user,
+  });
   res.status(httpStatus.CREATED).send({ data: inspection });
 });
 
+const updateRecheckItem = catchAsync(async (req, res) => {
+  const item = await inspectionRecheckService.updateRecheckItem({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    recheckId: req.params.recheckId,
+    user: req.user,
+    status: req.body.status,
+    notes: req.body.notes,
+  });
+  res.send({ data: item });
+});
+
+// Pins are placed on rooms (/rooms/:roomId/pin) and photos (/photos/:photoId/pin)
+const getPinTarget = (params) =>
+  params.photoId
+    ? { target: floorPlanPinTargets.PHOTO, itemId: params.photoId }
+    : { target: floorPlanPinTargets.ROOM, itemId: params.roomId };
+
+const placePin = catchAsync(async (req, res) => {
+  const pin = await floorPlanService.placePin({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    ...getPinTarget(req.params),
+    ...req.body,
+  });
+  res.send({ data: pin });
+});
+
+const removePin = catchAsync(async (req, res) => {
+  await floorPlanService.removePin({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    ...getPinTarget(req.params),
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getMeterReadings = catchAsync(async (req, res) => {
+  const result = await meterReadingService.getMeterReadings({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+  });
+  res.send({ data: result });
+});
+
+const addMeterReading = catchAsync(async (req, res) => {
+  const reading = await meterReadingService.addMeterReading({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    ...req.body,
+  });
+  res.status(httpStatus.CREATED).send({ data: reading });
+});
+
+const updateMeterReading = catchAsync(async (req, res) => {
+  const reading = await meterReadingService.updateMeterReading({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    readingId: req.params.readingId,
+    updates: req.body,
+  });
+  res.send({ data: reading });
+});
+
+const deleteMeterReading = catchAsync(async (req, res) => {
+  await meterReadingService.deleteMeterReading({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    readingId: req.params.readingId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const extractMeterReading = catchAsync(async (req, res) => {
+  const result = await meterReadingService.extractMeterReading({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    ...req.body,
+  });
+  res.status(result.reading ? httpStatus.CREATED : httpStatus.OK).send({ data: result });
+});
+
+const getInventory = catchAsync(async (req, res) => {
+  const result = await inventoryService.getInventory({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+  });
+  res.send({ data: result });
+});
+
+const addInventoryItem = catchAsync(async (req, res) => {
+  const item = await inventoryService.addItem({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+    user: req.user,
+    ...req.body,
+  });
+  res.status(httpStatus.CREATED).send({ data: item });
+});
+
+const updateInventoryItem = catchAsync(async (req, res) => {
+  const item = await inventoryService.updateItem({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+    itemId: req.params.itemId,
+    updates: req.body,
+  });
+  res.send({ data: item });
+});
+
+const deleteInventoryItem = catchAsync(async (req, res) => {
+  await inventoryService.deleteItem({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+    itemId: req.params.itemId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const suggestInventory = catchAsync(async (req, res) => {
+  const result = await inventoryService.suggestInventory({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+    user: req.user,
+    ...req.body,
+  });
+  res.status(result.items.length ? httpStatus.CREATED : httpStatus.OK).send({ data: result });
+});
+
+const getCompliance = catchAsync(async (req, res) => {
+  const compliance = await complianceService.getInspectionCompliance({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+  });
+  res.send({ data: compliance });
+});
+
+const selectCompliancePack = catchAsync(async (req, res) => {
+  const compliance = await complianceService.selectInspectionPack({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    ...req.body,
+  });
+  res.send({ data: compliance });
+});
+
+const recordComplianceItem = catchAsync(async (req, res) => {
+  const item = await complianceService.recordComplianceItem({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    key: req.params.key,
+    ...req.body,
+  });
+  res.send({ data: item });
+});
+
+const listAmendments = catchAsync(async (req, res) => {
+  const amendments = await inspectionAmendmentService.listAmendments({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    status: req.query.status,
+  });
+  res.send({ data: amendments });
+});
+
+const requestAmendment = catchAsync(async (req, res) => {
+  const amendment = await inspectionAmendmentService.requestAmendment({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    ...req.body,
+  });
+  res.status(httpStatus.CREATED).send({ data: amendment });
+});
+
+const reviewAmendment = catchAsync(async (req, res) => {
+  const amendment = await inspectionAmendmentService.reviewAmendment({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    amendmentId: req.params.amendmentId,
+    ...req.body,
+  });
+  res.send({ data: amendment });
+});
+
 const getInspection = catchAsync(async (req, res) => {
   const { id } = req.params;
   const orgId = req.user ? req.user.organizationId : undefined;
@@ -46,7 +308,11 @@ const getInspection = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
   }
 
-  res.send({ data: inspection });
+  const locationVerification = photoLocationService.summarizeLocationVerification({
+    inspection,
+    location: inspection.propertyId ? inspection.propertyId.location : null,
+  });
+  res.send({ data: { ...inspection, locationVerification } });
 });
 
 const updateInspectionHandler = catchAsync(async (req, res) => {
@@ -56,6 +322,10 @@ const updateInspectionHandler = catchAsync(async (req, res) => {
   if (updatePayload.reportPresetId) {
     updatePayload.reportPresetId = new mongoose.Types.ObjectId(updatePayload.reportPresetId);
   }
+  if (updatePayload.scheduledFor) {
+    // Rescheduled inspections are reminded again for the new date
+    updatePayload.$unset = { reminderSentAt: 1 };
+  }
 
   const inspection = await Inspection.findOneAndUpdate({ _id: id, organizationId: orgId }, updatePayload, {
     new: true,
@@ -70,6 +340,18 @@ const updateInspectionHandler = catchAsync(async (req, res) => {
   res.send({ data: inspection });
 });
 
+const assignInspectors = catchAsync(async (req, res) => {
+  const inspection = await inspectionAccessService.assignInspectors({
+    inspectionId: req.params.id,
+    user: req.user,
+    inspectorId: req.body.inspectorId,
+    assistantIds: req.body.assistantIds,
+  });
+
+  logger.info(`Inspection inspectors assigned ${req.params.id}`);
+  res.send({ data: inspection });
+});
+
 const addRoom = catchAsync(async (req, res) => {
   const { id } = req.params;
   if (!req.user) {
@@ -100,6 +382,47 @@ const updateRoom = catchAsync(async (req, res) => {
   res.send({ data: inspection });
 });
 
+const deleteRoom = catchAsync(async (req, res) => {
+  const result = await inspectionRoomService.deleteRoom({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+  });
+  res.send({ data: result });
+});
+
+const mergeRooms = catchAsync(async (req, res) => {
+  const inspection = await inspectionRoomService.mergeRooms({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+    sourceRoomId: req.body.sourceRoomId,
+    user: req.user,
+  });
+  res.send({ data: inspection });
+});
+
+const splitRoom = catchAsync(async (req, res) => {
+  const inspection = await inspectionRoomService.splitRoom({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomId: req.params.roomId,
+    photoIds: req.body.photoIds,
+    name: req.body.name,
+    user: req.user,
+  });
+  res.status(httpStatus.CREATED).send({ data: inspection });
+});
+
+const reorderRooms = catchAsync(async (req, res) => {
+  const inspection = await inspectionRoomService.reorderRooms({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    roomIds: req.body.roomIds,
+  });
+  res.send({ data: inspection });
+});
+
 const analyseRoom = catchAsync(async (req, res) => {
   const { id, roomId } = req.params;
   const { observations = [] } = req.body;
@@ -115,9 +438,11 @@ const analyseRoom = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Room not found');
   }
 
+  const costCatalogue = await costEstimateService.getCostCatalogue({ organizationId: inspection.organizationId });
   const analysis = await generateRoomAnalysis({
     roomName: room.name,
     observations,
+    costCatalogue,
     existingIssues: room.photos.reduce((acc, photo) => {
       if (photo.issues && photo.issues.length) {
         acc.push(...photo.issues);
@@ -136,29 +461,134 @@ const analyseRoom = catchAsync(async (req, res) => {
 });
 
 const completeInspection = catchAsync(async (req, res) => {
-  const { id } = req.params;
+  const inspection = await inspectionLifecycleService.transitionInspection({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    action: 'complete',
+    reason: req.body.reason,
+  });
 
-  const orgId = req.user ? req.user.organizationId : undefined;
-  const inspection = await Inspection.findOneAndUpdate(
-    { _id: id, organizationId: orgId },
-    { status: 'completed', completedAt: new Date() },
-    { new: true }
-  ).lean();
+  res.send({ data: inspection });
+});
+
+const transitionInspection = catchAsync(async (req, res) => {
+  const { action, reason, scheduledFor } = req.body;
+
+  const inspection = await inspectionLifecycleService.transitionInspection({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    action,
+    reason,
+    scheduledFor,
+  });
+
+  res.send({ data: inspection });
+});
+
+const getInspectionLifecycle = catchAsync(async (req, res) => {
+  const lifecycle = await inspectionLifecycleService.getInspectionLifecycle({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+  });
 
+  res.send({ data: lifecycle });
+});
+
+const getInspectionCosts = catchAsync(async (req, res) => {
+  const inspection = await Inspection.findOne({ _id: req.params.id, organizationId: req.user.organizationId })
+    .select('organizationId rooms')
+    .lean();
   if (!inspection) {
     throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
   }
 
-  res.send({ data: inspection });
+  const costs = await costEstimateService.getInspectionCostSummary({ inspection });
+  res.send({ data: costs });
+});
+
+const compareInspections = catchAsync(async (req, res) => {
+  const { id, otherId } = req.params;
+
+  const comparison = await inspectionComparisonService.getInspectionComparison({
+    inspectionId: id,
+    otherInspectionId: otherId,
+    organizationId: req.user.organizationId,
+  });
+
+  res.send({ data: comparison });
+});
+
+const exportComparisonPdf = catchAsync(async (req, res) => {
+  const { id, otherId } = req.params;
+
+  const comparison = await inspectionComparisonService.getInspectionComparison({
+    inspectionId: id,
+    otherInspectionId: otherId,
+    organizationId: req.user.organizationId,
+  });
+  const photoBuffers = await inspectionComparisonService.loadComparisonPhotos(comparison);
+
+  const pdfBuffer = await pdfExportService.generateComparisonPDF({
+    comparison,
+    photoBuffers,
+    organization: {
+      _id: req.user.organizationId,
+      name: req.user.name ? `${req.user.name}'s Organization` : 'Sitewise',
+    },
+    isTrialUser: shouldApplyWatermark(req.subscription),
+  });
+
+  logger.info(`Comparison PDF generated for inspections ${comparison.entry.id} and ${comparison.exit.id}`);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="comparison-${comparison.entry.id}-${comparison.exit.id}.pdf"`,
+    'Content-Length': pdfBuffer.length,
+  });
+  res.send(pdfBuffer);
 });
 
 module.exports = {
   listInspections,
+  listOverdueInspections,
+  searchInspections,
   createInspection: createInspectionHandler,
+  updateRecheckItem,
+  placePin,
+  removePin,
+  getMeterReadings,
+  addMeterReading,
+  updateMeterReading,
+  deleteMeterReading,
+  extractMeterReading,
+  getInventory,
+  addInventoryItem,
+  updateInventoryItem,
+  deleteInventoryItem,
+  suggestInventory,
+  getCompliance,
+  selectCompliancePack,
+  recordComplianceItem,
+  listAmendments,
+  requestAmendment,
+  reviewAmendment,
   getInspection,
   updateInspection: updateInspectionHandler,
+  assignInspectors,
   addRoom,
   updateRoom,
+  deleteRoom,
+  mergeRooms,
+  splitRoom,
+  reorderRooms,
   analyseRoom,
   completeInspection,
+  transitionInspection,
+  getInspectionLifecycle,
+  getInspectionCosts,
+  compareInspections,
+  exportComparisonPdf,
 };
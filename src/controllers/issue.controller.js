@@ -0,0 +1,66 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const pick = require('../utils/pick');
+const { issueService, inspectionAccessService } = require('../services');
+
+const listIssues = catchAsync(async (req, res) => {
+  const query = pick(req.query, [
+    'propertyId',
+    'inspectionId',
+    'roomId',
+    'photoId',
+    'assignee',
+    'status',
+    'severity',
+    'category',
+    'source',
+    'dueBefore',
+    'dueAfter',
+  ]);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const inspectionIds = await inspectionAccessService.listAccessibleInspectionIds(req.user);
+  const result = await issueService.queryIssues({ organizationId: req.user.organizationId, query, options, inspectionIds });
+  res.send(result);
+});
+
+const createIssue = catchAsync(async (req, res) => {
+  const issue = await issueService.createIssue({
+    organizationId: req.user.organizationId,
+    user: req.user,
+    body: req.body,
+  });
+  res.status(httpStatus.CREATED).send({ data: issue });
+});
+
+const getIssue = catchAsync(async (req, res) => {
+  const issue = await issueService.getIssue({ organizationId: req.user.organizationId, issueId: req.params.issueId });
+  res.send({ data: issue });
+});
+
+const updateIssue = catchAsync(async (req, res) => {
+  const issue = await issueService.updateIssue({
+    organizationId: req.user.organizationId,
+    issueId: req.params.issueId,
+    updates: req.body,
+  });
+  res.send({ data: issue });
+});
+
+const deleteIssue = catchAsync(async (req, res) => {
+  await issueService.deleteIssue({ organizationId: req.user.organizationId, issueId: req.params.issueId });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const backfillIssues = catchAsync(async (req, res) => {
+  const result = await issueService.backfillIssues({ organizationId: req.user.organizationId });
+  res.send({ data: result });
+});
+
+module.exports = {
+  listIssues,
+  createIssue,
+  getIssue,
+  updateIssue,
+  deleteIssue,
+  backfillIssues,
+};
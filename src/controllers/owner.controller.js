@@ -0,0 +1,60 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { portfolioService } = require('../services');
+
+const listOwners = catchAsync(async (req, res) => {
+  const owners = await portfolioService.listOwners({ organizationId: req.user.organizationId, user: req.user });
+  res.send({ data: owners });
+});
+
+const createOwner = catchAsync(async (req, res) => {
+  const owner = await portfolioService.createOwner({
+    organizationId: req.user.organizationId,
+    user: req.user,
+    body: req.body,
+  });
+  res.status(httpStatus.CREATED).send({ data: owner });
+});
+
+const getOwner = catchAsync(async (req, res) => {
+  const owner = await portfolioService.getOwner({
+    organizationId: req.user.organizationId,
+    ownerId: req.params.ownerId,
+  });
+  res.send({ data: owner });
+});
+
+const updateOwner = catchAsync(async (req, res) => {
+  const owner = await portfolioService.updateOwner({
+    organizationId: req.user.organizationId,
+    ownerId: req.params.ownerId,
+    updates: req.body,
+  });
+  res.send({ data: owner });
+});
+
+const deleteOwner = catchAsync(async (req, res) => {
+  await portfolioService.deleteOwner({
+    organizationId: req.user.organizationId,
+    ownerId: req.params.ownerId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getOwnerPortfolio = catchAsync(async (req, res) => {
+  const portfolio = await portfolioService.getOwnerPortfolio({
+    organizationId: req.user.organizationId,
+    user: req.user,
+    ownerId: req.params.ownerId,
+  });
+  res.send({ data: portfolio });
+});
+
+module.exports = {
+  listOwners,
+  createOwner,
+  getOwner,
+  updateOwner,
+  deleteOwner,
+  getOwnerPortfolio,
+};
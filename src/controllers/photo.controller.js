@@ -4,16 +4,18 @@ const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/ApiError');
 const { Inspection } = require('../models/inspection.model');
 const logger = require('../config/logger');
-const { jobService, reportPresetService } = require('../services');
-const inspectionQueue = require('../queues/inspection.bullmq');
-const R2Storage = require('../lib/storage/r2.storage');
-
-// Initialize R2 storage
-const storage = new R2Storage();
+const {
+  photoDerivativeService,
+  photoMetadataService,
+  photoRegistrationService,
+  inspectionRoomService,
+  videoIngestService,
+} = require('../services');
+const { getStorage } = require('../lib/storage');
 
 /**
- * Get presigned URLs for uploading photos directly to R2
- * Client will upload directly to R2, then call registerPhotos to save references
+ * Get presigned URLs for uploading photos and walkthrough videos directly to R2
+ * Client will upload directly to R2, then call registerPhotos (or registerVideos) to save references
  */
 const getUploadUrls = catchAsync(async (req, res) => {
   const { id } = req.params;
@@ -41,13 +43,14 @@ const getUploadUrls = catchAsync(async (req, res) => {
     files.map(async (file) => {
       const timestamp = Date.now();
       const fileId = uuidv4();
-      const safeName = (file.filename || 'photo').replace(/[^a-zA-Z0-9.-]/g, '-');
-      const key = storage.buildKey(
+      const isVideo = videoIngestService.isVideoContentType(file.contentType);
+      const safeName = (file.filename || (isVideo ? 'video' : 'photo')).replace(/[^a-zA-Z0-9.-]/g, '-');
+      const key = getStorage().buildKey(
         req.user.organizationId,
-        `inspections/${inspection._id}/photos/${timestamp}-${fileId}-${safeName}`
+        `inspections/${inspection._id}/${isVideo ? 'videos' : 'photos'}/${timestamp}-${fileId}-${safeName}`
       );
 
-      const presignedUrl = await storage.getPresignedUploadUrl(key, {
+      const presignedUrl = await getStorage().getPresignedUploadUrl(key, {
         contentType: file.contentType || 'image/jpeg',
         expiresIn: 3600, // 1 hour
       });
@@ -55,6 +58,7 @@ const getUploadUrls = catchAsync(async (req, res) => {
       return {
         fileId,
         filename: file.filename,
+        kind: isVideo ? 'video' : 'photo',
         key,
         uploadUrl: presignedUrl,
         expiresIn: 3600,
@@ -77,16 +81,12 @@ const getUploadUrls = catchAsync(async (req, res) => {
 const registerPhotos = catchAsync(async (req, res) => {
   const { id } = req.params;
   const { photos, roomId } = req.body;
-  // photos: Array of { key, filename, fileSize, contentType }
+  // photos: Array of { key, filename, fileSize, contentType }, plus EXIF metadata when called from uploadPhotos
 
   if (!photos || !Array.isArray(photos) || photos.length === 0) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'photos array is required');
   }
 
-  if (photos.length > 50) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'Maximum 50 photos allowed per request');
-  }
-
   if (!req.user) {
     throw new ApiError(httpStatus.UNAUTHORIZED, 'Authentication required');
   }
@@ -96,117 +96,43 @@ const registerPhotos = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
   }
 
-  // Ensure report preset is set
-  let preset = await ensurePreset(inspection, req.user);
-
-  let newPhotos = [];
-  let targetRoomId = roomId;
-  let isAIClassificationMode = false;
-
-  if (roomId) {
-    // Legacy mode: attach to specific room
-    const room = inspection.rooms.id(roomId);
-    if (!room) {
-      throw new ApiError(httpStatus.NOT_FOUND, 'Room not found');
-    }
-
-    newPhotos = photos.map((p) => {
-      const photo = room.photos.create({
-        storagePath: p.key,
-        thumbnailUrl: storage.getPublicUrl ? storage.getPublicUrl(p.key) : null,
-        originalFilename: p.filename,
-        fileSize: p.fileSize || 0,
-        mimeType: p.contentType || 'image/jpeg',
-      });
-      room.photos.push(photo);
-      return { photo, roomId: room._id };
-    });
-  } else {
-    // AI Classification mode
-    isAIClassificationMode = true;
-
-    // Create or find the "Pending Classification" room
-    let pendingRoom = inspection.rooms.find((r) => r.name === '_pending_classification');
-    if (!pendingRoom) {
-      inspection.rooms.push({
-        name: '_pending_classification',
-        displayOrder: 999,
-        conditionRating: 'fair',
-        photos: [],
-      });
-      pendingRoom = inspection.rooms[inspection.rooms.length - 1];
-    }
+  const result = await photoRegistrationService.registerInspectionPhotos({
+    inspection,
+    user: req.user,
+    photos,
+    roomId,
+    storage: getStorage(),
+  });
 
-    newPhotos = photos.map((p) => {
-      const photo = pendingRoom.photos.create({
-        storagePath: p.key,
-        thumbnailUrl: storage.getPublicUrl ? storage.getPublicUrl(p.key) : null,
-        originalFilename: p.filename,
-        fileSize: p.fileSize || 0,
-        mimeType: p.contentType || 'image/jpeg',
-        pendingClassification: true,
-      });
-      pendingRoom.photos.push(photo);
-      return { photo, roomId: pendingRoom._id };
-    });
+  res.status(result.photos.length ? httpStatus.CREATED : httpStatus.UNPROCESSABLE_ENTITY).send({
+    data: result.photos,
+    job: result.job,
+    ...(result.photos.length ? { derivativesJob: result.derivativesJob } : {}),
+    errors: result.errors,
+  });
+});
 
-    targetRoomId = pendingRoom._id;
+/**
+ * Register walkthrough videos after client uploads directly to R2
+ * Each video gets an ingest job that extracts keyframes and registers them as photos
+ */
+const registerVideos = catchAsync(async (req, res) => {
+  const inspection = await Inspection.findOne({ _id: req.params.id, organizationId: req.user.organizationId });
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
   }
 
-  inspection.markModified('rooms');
-  await inspection.save();
-
-  logger.info(`Registered ${photos.length} photos for inspection ${id} (AI classification: ${isAIClassificationMode})`);
-
-  // Create and queue the analysis job
-  const job = await jobService.createJob({
-    inspectionId: inspection._id,
-    organizationId: req.user.organizationId,
-    type: isAIClassificationMode ? 'inspection.classify_and_analyze' : 'inspection.analysis',
-    roomId: targetRoomId,
-    payload: {
-      photoIds: newPhotos.map((p) => p.photo._id),
-      inspectionId: inspection._id,
-      roomId: targetRoomId,
-      aiClassificationMode: isAIClassificationMode,
-    },
-    totalUnits: photos.length,
-    createdBy: req.user.id,
+  const result = await videoIngestService.registerInspectionVideos({
+    inspection,
+    user: req.user,
+    videos: req.body.videos,
+    storage: getStorage(),
   });
 
-  let queueResult = { queueDepth: 0 };
-  let queuedJob = job;
-
-  try {
-    await jobService.markJobQueued({ jobId: job._id, queueDepth: 0 });
-
-    queueResult = await inspectionQueue.publishInspectionJob({
-      jobId: job._id.toString(),
-      inspectionId: inspection._id.toString(),
-      organizationId: req.user.organizationId.toString(),
-      payload: {
-        roomId: targetRoomId?.toString(),
-        photoIds: newPhotos.map((p) => p.photo._id.toString()),
-        reportPresetId: inspection.reportPresetId?.toString(),
-        aiClassificationMode: isAIClassificationMode,
-      },
-    });
-    queuedJob = await jobService.getJobById(job._id);
-  } catch (error) {
-    logger.error({ err: error }, 'Failed to queue inspection job');
-    await jobService.markJobFailed({ jobId: job._id, error });
-    // Don't throw - photos are saved, job just won't process automatically
-  }
-
-  res.status(httpStatus.CREATED).send({
-    data: newPhotos.map((p) => p.photo),
-    job: {
-      id: job._id,
-      status: queuedJob.status,
-      progress: queuedJob.progress,
-      queueDepth: queueResult?.queueDepth || 0,
-      aiClassificationMode: isAIClassificationMode,
-    },
+  res.status(result.videos.length ? httpStatus.CREATED : httpStatus.UNPROCESSABLE_ENTITY).send({
+    data: result.videos,
+    jobs: result.jobs,
+    errors: result.errors,
   });
 });
 
@@ -237,7 +163,7 @@ const uploadPhotos = catchAsync(async (req, res) => {
   }
 
   // Ensure report preset
-  await ensurePreset(inspection, req.user);
+  await photoRegistrationService.ensurePreset(inspection, req.user);
 
   // Upload files to R2
   const uploadedFiles = await Promise.all(
@@ -245,20 +171,24 @@ const uploadPhotos = catchAsync(async (req, res) => {
       const timestamp = Date.now();
       const fileId = uuidv4();
       const safeName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '-');
-      const key = storage.buildKey(
+      const key = getStorage().buildKey(
         req.user.organizationId,
         `inspections/${inspection._id}/photos/${timestamp}-${fileId}-${safeName}`
       );
 
-      const result = await storage.upload(key, file.buffer, {
-        contentType: file.mimetype,
-      });
+      const [result, metadata] = await Promise.all([
+        getStorage().upload(key, file.buffer, {
+          contentType: file.mimetype,
+        }),
+        photoMetadataService.extractPhotoMetadata(file.buffer),
+      ]);
 
       return {
         key: result.key,
         filename: file.originalname,
         fileSize: file.size,
         contentType: file.mimetype,
+        metadata,
       };
     })
   );
@@ -271,86 +201,12 @@ const uploadPhotos = catchAsync(async (req, res) => {
   return registerPhotos(req, res);
 });
 
-/**
- * Helper to ensure inspection has a report preset
- */
-async function ensurePreset(inspection, user) {
-  let preset = null;
-
-  if (inspection.reportPresetId) {
-    preset = await reportPresetService
-      .getPresetById({
-        presetId: inspection.reportPresetId,
-        organizationId: user.organizationId,
-      })
-      .catch(() => null);
-  }
-
-  if (!preset) {
-    preset = await reportPresetService.getDefaultPreset({ organizationId: user.organizationId });
-    if (preset && !inspection.reportPresetId) {
-      inspection.reportPresetId = preset._id;
-    }
-  }
-
-  if (!preset) {
-    logger.info({ organizationId: user.organizationId }, 'Creating default preset');
-    preset = await reportPresetService.createPreset({
-      organizationId: user.organizationId,
-      userId: user.id,
-      name: 'Default Inspection Report',
-      description: 'Auto-generated default preset',
-      schema: {
-        title: 'Property Inspection Report',
-        sections: [
-          {
-            id: 'property_overview',
-            name: 'Property Overview',
-            order: 1,
-            repeatable: false,
-            fields: [
-              { key: 'property_address', label: 'Property Address', type: 'text', required: true },
-              { key: 'inspection_date', label: 'Inspection Date', type: 'date', required: true },
-            ],
-          },
-          {
-            id: 'room_inspection',
-            name: 'Room Inspection',
-            order: 2,
-            repeatable: true,
-            fields: [
-              { key: 'room_name', label: 'Room Name', type: 'text', required: true },
-              { key: 'condition_rating', label: 'Condition', type: 'condition_rating' },
-              { key: 'photos', label: 'Photos', type: 'image_gallery' },
-              { key: 'issues', label: 'Issues', type: 'issue_list' },
-            ],
-          },
-          {
-            id: 'summary',
-            name: 'Summary',
-            order: 3,
-            repeatable: false,
-            fields: [
-              { key: 'overall_condition', label: 'Overall Condition', type: 'condition_rating' },
-              { key: 'recommendations', label: 'Recommendations', type: 'textarea' },
-            ],
-          },
-        ],
-        styling: { primaryColor: '#1a365d', fontFamily: 'Arial' },
-      },
-      isDefault: true,
-    });
-    inspection.reportPresetId = preset._id;
-  }
-
-  return preset;
-}
-
 /**
  * Get presigned download URL for a photo
  */
 const getPhotoUrl = catchAsync(async (req, res) => {
   const { id: inspectionId, photoId } = req.params;
+  const { size = 'original' } = req.query;
 
   const inspection = await Inspection.findOne({ _id: inspectionId, organizationId: req.user.organizationId });
   if (!inspection) {
@@ -368,8 +224,11 @@ const getPhotoUrl = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Photo not found');
   }
 
+  // Serve the requested derivative, or the original until it has been generated
+  const resolved = photoDerivativeService.resolvePhotoKey(photo, size);
+
   // Get presigned download URL
-  const downloadUrl = await storage.getPresignedDownloadUrl(photo.storagePath, {
+  const downloadUrl = await getStorage().getPresignedDownloadUrl(resolved.storagePath, {
     expiresIn: 3600, // 1 hour
   });
 
@@ -377,6 +236,7 @@ const getPhotoUrl = catchAsync(async (req, res) => {
     data: {
       photoId,
       url: downloadUrl,
+      size: resolved.size,
       expiresIn: 3600,
     },
   });
@@ -387,6 +247,7 @@ const getPhotoUrl = catchAsync(async (req, res) => {
  */
 const getAllPhotoUrls = catchAsync(async (req, res) => {
   const { id: inspectionId } = req.params;
+  const { size = 'original' } = req.query;
 
   const inspection = await Inspection.findOne({ _id: inspectionId, organizationId: req.user.organizationId });
   if (!inspection) {
@@ -398,13 +259,15 @@ const getAllPhotoUrls = catchAsync(async (req, res) => {
   for (const room of inspection.rooms) {
     for (const photo of room.photos) {
       try {
-        const url = await storage.getPresignedDownloadUrl(photo.storagePath, {
+        const resolved = photoDerivativeService.resolvePhotoKey(photo, size);
+        const url = await getStorage().getPresignedDownloadUrl(resolved.storagePath, {
           expiresIn: 3600,
         });
         photoUrls.push({
           photoId: photo._id.toString(),
           roomId: room._id.toString(),
           url,
+          size: resolved.size,
           filename: photo.originalFilename,
         });
       } catch (err) {
@@ -418,10 +281,39 @@ const getAllPhotoUrls = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Delete a photo, its original and derivative objects, and cancel queued work on it
+ */
+const deletePhoto = catchAsync(async (req, res) => {
+  const result = await inspectionRoomService.deletePhoto({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    photoId: req.params.photoId,
+  });
+  res.send({ data: result });
+});
+
+/**
+ * Move photos into another room; each move is recorded as a classification correction
+ */
+const movePhotos = catchAsync(async (req, res) => {
+  const inspection = await inspectionRoomService.movePhotos({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    photoIds: req.body.photoIds,
+    targetRoomId: req.body.targetRoomId,
+    user: req.user,
+  });
+  res.send({ data: inspection });
+});
+
 module.exports = {
   getUploadUrls,
   registerPhotos,
+  registerVideos,
   uploadPhotos,
   getPhotoUrl,
   getAllPhotoUrls,
+  deletePhoto,
+  movePhotos,
 };
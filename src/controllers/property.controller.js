@@ -4,17 +4,62 @@ const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/ApiError');
 const logger = require('../config/logger');
 const { Property } = require('../models');
+const {
+  floorPlanService,
+  gazetteerService,
+  inspectionScheduleService,
+  meterReadingService,
+  photoLocationService,
+  portfolioService,
+} = require('../services');
+const { propertyLocationSources } = require('../config/photoLocation');
+const { propertyKinds } = require('../config/portfolio');
 
 const listProperties = catchAsync(async (req, res) => {
   const organizationId = req.user ? req.user.organizationId : undefined;
+  const { kind, buildingId, ownerId } = req.query;
   const query = organizationId ? { organizationId } : {};
+  if (kind) {
+    // Properties stored before buildings and units existed have no kind
+    query.kind = kind === propertyKinds.STANDALONE ? { $in: [kind, null] } : kind;
+  }
+  if (buildingId) {
+    query.buildingId = buildingId;
+  }
+  if (ownerId) {
+    query._id = { $in: await portfolioService.resolvePortfolioPropertyIds({ organizationId, ownerId }) };
+  }
   const properties = await Property.find(query).sort({ updatedAt: -1 }).lean();
 
   res.send({ data: properties });
 });
 
+/**
+ * Coordinates for a new property: as entered, or looked up in the address gazetteer when one is configured
+ * @param {Object} params
+ * @param {Object} params.address
+ * @param {Object} [params.location] - Entered coordinates
+ * @param {string} params.userId
+ * @returns {Promise<Object|undefined>}
+ */
+const resolveNewPropertyLocation = async ({ address, location, userId }) => {
+  const stamp = { updatedBy: new mongoose.Types.ObjectId(userId), updatedAt: new Date() };
+  if (location) {
+    return { ...location, source: propertyLocationSources.MANUAL, ...stamp };
+  }
+  if (!gazetteerService.isGazetteerConfigured()) {
+    return undefined;
+  }
+
+  const match = await gazetteerService.lookupAddress(address).catch((error) => {
+    logger.warn({ err: error.message }, 'Address gazetteer lookup failed');
+    return null;
+  });
+  return match ? { ...match, source: propertyLocationSources.GAZETTEER, ...stamp } : undefined;
+};
+
 const createProperty = catchAsync(async (req, res) => {
-  const { name, referenceCode, address, metadata } = req.body;
+  const { name, referenceCode, location, metadata, kind, buildingId, unitNumber, ownerId } = req.body;
   const organizationId = req.user ? req.user.organizationId : undefined;
   const userId = req.user ? req.user.id : undefined;
 
@@ -22,11 +67,23 @@ const createProperty = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.FORBIDDEN, 'Forbidden');
   }
 
+  const building = await portfolioService.validatePlacement({
+    organizationId,
+    placement: { kind, buildingId, ownerId },
+  });
+  // Units and common areas entered without an address take the building's
+  const address = req.body.address || portfolioService.buildPartAddress(building, unitNumber);
+
   const property = await Property.create({
     name,
     organizationId,
     referenceCode,
     address,
+    kind,
+    buildingId,
+    unitNumber,
+    ownerId,
+    location: await resolveNewPropertyLocation({ address, location, userId }),
     metadata,
     createdBy: new mongoose.Types.ObjectId(userId),
   });
@@ -52,6 +109,13 @@ const getProperty = catchAsync(async (req, res) => {
 
 const updateProperty = catchAsync(async (req, res) => {
   const { id } = req.params;
+  if (['kind', 'buildingId', 'ownerId'].some((field) => field in req.body)) {
+    await portfolioService.validatePlacementUpdate({
+      organizationId: req.user.organizationId,
+      propertyId: id,
+      updates: req.body,
+    });
+  }
   const property = await Property.findByIdAndUpdate(id, req.body, {
     new: true,
     runValidators: true,
@@ -69,9 +133,155 @@ const updateProperty = catchAsync(async (req, res) => {
   res.send({ data: property });
 });
 
+const getHierarchy = catchAsync(async (req, res) => {
+  const hierarchy = await portfolioService.getPropertyHierarchy({
+    organizationId: req.user.organizationId,
+    user: req.user,
+    propertyId: req.params.id,
+  });
+  res.send({ data: hierarchy });
+});
+
+const listSchedules = catchAsync(async (req, res) => {
+  const schedules = await inspectionScheduleService.listSchedules({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+  });
+  res.send({ data: schedules });
+});
+
+const createSchedule = catchAsync(async (req, res) => {
+  const schedule = await inspectionScheduleService.createSchedule({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    user: req.user,
+    body: req.body,
+  });
+  res.status(httpStatus.CREATED).send({ data: schedule });
+});
+
+const updateSchedule = catchAsync(async (req, res) => {
+  const schedule = await inspectionScheduleService.updateSchedule({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    scheduleId: req.params.scheduleId,
+    updates: req.body,
+  });
+  res.send({ data: schedule });
+});
+
+const deleteSchedule = catchAsync(async (req, res) => {
+  await inspectionScheduleService.deleteSchedule({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    scheduleId: req.params.scheduleId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const setLocation = catchAsync(async (req, res) => {
+  const property = await photoLocationService.setPropertyLocation({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    user: req.user,
+    ...req.body,
+    source: propertyLocationSources.MANUAL,
+  });
+  res.send({ data: property });
+});
+
+const lookupLocation = catchAsync(async (req, res) => {
+  const property = await photoLocationService.locatePropertyFromGazetteer({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    user: req.user,
+    radiusMeters: req.body.radiusMeters,
+  });
+  res.send({ data: property });
+});
+
+const clearLocation = catchAsync(async (req, res) => {
+  const property = await photoLocationService.clearPropertyLocation({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+  });
+  res.send({ data: property });
+});
+
+const listFloorPlans = catchAsync(async (req, res) => {
+  const floorPlans = await floorPlanService.listFloorPlans({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+  });
+  res.send({ data: floorPlans });
+});
+
+const addFloorPlan = catchAsync(async (req, res) => {
+  const floorPlan = await floorPlanService.addFloorPlan({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    user: req.user,
+    file: req.file,
+    name: req.body.name,
+  });
+  res.status(httpStatus.CREATED).send({ data: floorPlan });
+});
+
+const getFloorPlan = catchAsync(async (req, res) => {
+  const floorPlan = await floorPlanService.getFloorPlan({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    floorPlanId: req.params.floorPlanId,
+  });
+  res.send({ data: floorPlan });
+});
+
+const updateFloorPlan = catchAsync(async (req, res) => {
+  const floorPlan = await floorPlanService.updateFloorPlan({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    floorPlanId: req.params.floorPlanId,
+    name: req.body.name,
+  });
+  res.send({ data: floorPlan });
+});
+
+const deleteFloorPlan = catchAsync(async (req, res) => {
+  await floorPlanService.deleteFloorPlan({
+    organizationId: req.user.organizationId,
+    propertyId: req.params.id,
+    floorPlanId: req.params.floorPlanId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getMeterHistory = catchAsync(async (req, res) => {
+  const meters = await meterReadingService.getPropertyMeterHistory({
+    propertyId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    type: req.query.type,
+  });
+  res.send({ data: meters });
+});
+
 module.exports = {
   listProperties,
   createProperty,
   getProperty,
   updateProperty,
+  getHierarchy,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  setLocation,
+  lookupLocation,
+  clearLocation,
+  listFloorPlans,
+  addFloorPlan,
+  getFloorPlan,
+  updateFloorPlan,
+  deleteFloorPlan,
+  getMeterHistory,
 };
@@ -1,12 +1,12 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/ApiError');
-const { pdfExportService, usageMeteringService, reportPresetService } = require('../services');
+const { usageMeteringService, reportPdfService, inspectionAccessService, portfolioService } = require('../services');
 const { Inspection, Subscription, Report, ReportPreset } = require('../models');
 const { getStorage, storagePaths } = require('../lib/storage');
+const { signingStatuses } = require('../config/signatures');
 const config = require('../config/config');
 const logger = require('../config/logger');
-const { reportGenerationService } = require('../services/ai');
 
 /**
  * List all reports for the organization
@@ -14,9 +14,31 @@ const { reportGenerationService } = require('../services/ai');
  */
 const listReports = catchAsync(async (req, res) => {
   const { user } = req;
-  const { page = 1, limit = 20, status } = req.query;
+  const { page = 1, limit = 20, status, ownerId, buildingId } = req.query;
 
   const query = { organizationId: user.organizationId };
+
+  // Users who only see assigned inspections only see their reports
+  let inspectionIds = await inspectionAccessService.listAccessibleInspectionIds(user);
+
+  // Reports on properties of an owner or in a building
+  if (ownerId || buildingId) {
+    const propertyIds = await portfolioService.resolvePortfolioPropertyIds({
+      organizationId: user.organizationId,
+      ownerId,
+      buildingId,
+    });
+    const inPortfolio = await Inspection.distinct('_id', {
+      organizationId: user.organizationId,
+      propertyId: { $in: propertyIds },
+    });
+    const accessible = inspectionIds && new Set(inspectionIds.map((id) => id.toString()));
+    inspectionIds = accessible ? inPortfolio.filter((id) => accessible.has(id.toString())) : inPortfolio;
+  }
+
+  if (inspectionIds) {
+    query.inspectionId = { $in: inspectionIds };
+  }
   
   // Optional status filter
   if (status) {
@@ -218,56 +240,6 @@ const calculateExpiry = (generatedAt) => {
   return { expired, expiresAt, daysRemaining, hoursRemaining };
 };
 
-const getPresetForInspection = async (inspection, organizationId) => {
-  if (!inspection) return null;
-
-  if (inspection.reportPresetId) {
-    const preset = await reportPresetService
-      .getPresetById({ presetId: inspection.reportPresetId, organizationId })
-      .catch(() => null);
-    if (preset) return preset;
-  }
-
-  return reportPresetService.getDefaultPreset({ organizationId }).catch(() => null);
-};
-
-const buildReportContent = async ({ preset, inspection, reportVersion, organization }) => {
-  if (!preset?.schema) return null;
-
-  const property = inspection.propertyId || {};
-  const propertyData = {
-    name: property.name,
-    address: property.address,
-    inspectionDate: inspection.createdAt,
-    inspectionStatus: inspection.status,
-  };
-
-  const rooms = (inspection.rooms || []).map((room) => {
-    const issues = (room.photos || []).flatMap((photo) => photo.issues || []);
-    return {
-      name: room.name,
-      conditionRating: room.conditionRating,
-      notes: room.notes,
-      aiSummary: room.aiSummary,
-      issues,
-      photoCount: room.photos?.length || 0,
-    };
-  });
-
-  try {
-    return await reportGenerationService.generateReport({
-      schema: preset.schema,
-      propertyData,
-      rooms,
-      agentNotes: reportVersion?.summary || reportVersion?.introduction || '',
-      organizationName: organization?.name || 'Sitewise',
-    });
-  } catch (error) {
-    logger.error({ err: error }, 'Failed to generate report content from schema');
-    return null;
-  }
-};
-
 /**
  * Generate and upload report PDF, then persist metadata on the report
  * @param {Object} options
@@ -281,51 +253,18 @@ const generateAndUploadReportPDF = async ({
   reportVersion,
   isTrialUser,
 }) => {
-  const organization = { 
-    _id: user.organizationId, 
-    name: user.name ? `${user.name}'s Organization` : 'Sitewise',
-  };
-
-  const preset = await getPresetForInspection(inspection, user.organizationId);
-  const reportContent = await buildReportContent({
-    preset,
-    inspection,
-    reportVersion,
-    organization,
-  });
-
   logger.info({ reportId: report._id, version: targetVersion, isTrialUser }, 'Generating PDF report');
 
   let pdfBuffer;
+  let reportContent;
   try {
-    const inspectionData = typeof inspection.toObject === 'function' 
-      ? inspection.toObject() 
-      : inspection;
-    
-    const createdAt = new Date();
-    pdfBuffer = await pdfExportService.generateInspectionReportPDF({
-      inspection: {
-        ...inspectionData,
-        property: inspection.propertyId,
-        inspector: user,
-      },
-      reportData: {
-        title: reportVersion.title,
-        summary: reportVersion.summary,
-        introduction: reportVersion.introduction,
-        conclusion: reportVersion.conclusion,
-      },
-      preset,
-      organization,
+    ({ buffer: pdfBuffer, reportContent } = await reportPdfService.renderReportVersionPdf({
+      inspection,
+      reportVersion,
+      version: targetVersion,
+      user,
       isTrialUser,
-      reportContent,
-      reportMeta: {
-        version: targetVersion,
-        createdAt: createdAt.toLocaleString(),
-        templateId: preset?._id?.toString() || '',
-        templateVersion: preset?.versions?.length || '',
-      },
-    });
+    }));
   } catch (pdfError) {
     logger.error({ err: pdfError, reportId: report._id }, 'PDF generation failed');
     throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `PDF generation failed: ${pdfError.message}`);
@@ -388,6 +327,8 @@ const generateAndUploadReportPDF = async ({
   report.versions[versionIndex].pdfUrl = downloadUrl;
   report.versions[versionIndex].watermark = isTrialUser;
   report.versions[versionIndex].generatedAt = generatedAt;
+  // Kept so a signed copy shows the same AI-written content the parties reviewed
+  report.versions[versionIndex].content = reportContent || undefined;
   await report.save();
 
   await usageMeteringService.recordReportGeneration(
@@ -572,6 +513,12 @@ const generateReportPDF = catchAsync(async (req, res) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Report version not found');
   }
 
+  // Parties sign the PDF they were sent; regenerating it would change what they signed
+  const signingStatus = reportVersion.signing && reportVersion.signing.status;
+  if (signingStatus === signingStatuses.PENDING || signingStatus === signingStatuses.COMPLETED) {
+    throw new ApiError(httpStatus.CONFLICT, 'This report version is being signed; create a new version to change it');
+  }
+
   const { downloadUrl, generatedAt, expiresAt } = await generateAndUploadReportPDF({
     report,
     inspection,
@@ -640,44 +587,13 @@ const previewReportPDF = catchAsync(async (req, res) => {
   });
   const isTrialUser = !subscription || subscription.status !== 'active';
 
-  // Get organization info for branding (simplified - no Organization model yet)
-  const organization = { 
-    _id: user.organizationId, 
-    name: user.name ? `${user.name}'s Organization` : 'Sitewise',
-  };
-
-  const preset = await getPresetForInspection(inspection, user.organizationId);
-  const reportContent = await buildReportContent({
-    preset,
+  // Generate PDF (not saved, just for preview)
+  const { buffer: pdfBuffer } = await reportPdfService.renderReportVersionPdf({
     inspection,
     reportVersion,
-    organization,
-  });
-
-  // Generate PDF (not saved, just for preview)
-  const createdAt = new Date();
-  const pdfBuffer = await pdfExportService.generateInspectionReportPDF({
-    inspection: {
-      ...inspection.toObject(),
-      property: inspection.propertyId,
-      inspector: user,
-    },
-    reportData: {
-      title: reportVersion.title,
-      summary: reportVersion.summary,
-      introduction: reportVersion.introduction,
-      conclusion: reportVersion.conclusion,
-    },
-    preset,
-    organization,
+    version: targetVersion,
+    user,
     isTrialUser,
-    reportContent,
-    reportMeta: {
-      version: targetVersion,
-      createdAt: createdAt.toLocaleString(),
-      templateId: preset?._id?.toString() || '',
-      templateVersion: preset?.versions?.length || '',
-    },
   });
 
   // Stream PDF
@@ -0,0 +1,86 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { reportSignatureService } = require('../services');
+
+const requestSignatures = catchAsync(async (req, res) => {
+  const signing = await reportSignatureService.requestSignatures({
+    reportId: req.params.reportId,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    version: req.body.version,
+    parties: req.body.parties,
+    message: req.body.message,
+  });
+  res.status(httpStatus.CREATED).send({ data: signing });
+});
+
+const getSigningStatus = catchAsync(async (req, res) => {
+  const signing = await reportSignatureService.getSigningStatus({
+    reportId: req.params.reportId,
+    organizationId: req.user.organizationId,
+    version: req.query.version,
+  });
+  res.send({ data: signing });
+});
+
+const cancelSigning = catchAsync(async (req, res) => {
+  await reportSignatureService.cancelSigning({
+    reportId: req.params.reportId,
+    organizationId: req.user.organizationId,
+    version: req.query.version,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const resendSigningLink = catchAsync(async (req, res) => {
+  const party = await reportSignatureService.resendSigningLink({
+    reportId: req.params.reportId,
+    organizationId: req.user.organizationId,
+    version: req.body.version,
+    partyId: req.params.partyId,
+  });
+  res.send({ data: party });
+});
+
+const sealSignedReport = catchAsync(async (req, res) => {
+  const signing = await reportSignatureService.retrySealSignedReport({
+    reportId: req.params.reportId,
+    organizationId: req.user.organizationId,
+    version: req.body.version,
+  });
+  res.send({ data: signing });
+});
+
+const getSigningSession = catchAsync(async (req, res) => {
+  const session = await reportSignatureService.getSigningSession({ token: req.params.token });
+  res.set('Cache-Control', 'no-store');
+  res.send({ data: session });
+});
+
+const signReport = catchAsync(async (req, res) => {
+  const session = await reportSignatureService.signReport({
+    token: req.params.token,
+    method: req.body.method,
+    typedName: req.body.typedName,
+    image: req.body.image,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+  res.send({ data: session });
+});
+
+const verifySignedReport = catchAsync(async (req, res) => {
+  const result = await reportSignatureService.verifySignedReport({ sha256: req.params.sha256 });
+  res.send({ data: result });
+});
+
+module.exports = {
+  requestSignatures,
+  getSigningStatus,
+  cancelSigning,
+  resendSigningLink,
+  sealSignedReport,
+  getSigningSession,
+  signReport,
+  verifySignedReport,
+};
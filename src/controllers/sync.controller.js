@@ -0,0 +1,18 @@
+const catchAsync = require('../utils/catchAsync');
+const { syncService } = require('../services');
+const { getStorage } = require('../lib/storage');
+
+const sync = catchAsync(async (req, res) => {
+  const result = await syncService.sync({
+    user: req.user,
+    mutations: req.body.mutations,
+    cursor: req.body.cursor,
+    // Photos are uploaded through the same presigned URLs as the photo endpoints
+    storage: getStorage(),
+  });
+  res.send({ data: result });
+});
+
+module.exports = {
+  sync,
+};
@@ -0,0 +1,57 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { tenantReviewService } = require('../services');
+
+const createTenantReview = catchAsync(async (req, res) => {
+  const review = await tenantReviewService.createTenantReview({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+    user: req.user,
+    tenantName: req.body.tenantName,
+    tenantEmail: req.body.tenantEmail,
+    responseDays: req.body.responseDays,
+    message: req.body.message,
+  });
+  res.status(httpStatus.CREATED).send({ data: review });
+});
+
+const listTenantReviews = catchAsync(async (req, res) => {
+  const reviews = await tenantReviewService.listTenantReviews({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+  });
+  res.send({ data: reviews });
+});
+
+const revokeTenantReview = catchAsync(async (req, res) => {
+  await tenantReviewService.revokeTenantReview({
+    inspectionId: req.params.id,
+    organizationId: req.user.organizationId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+const getReviewPortal = catchAsync(async (req, res) => {
+  const portal = await tenantReviewService.getReviewPortal({ token: req.params.token });
+  res.set('Cache-Control', 'no-store');
+  res.send({ data: portal });
+});
+
+const createCounterPhotoUploads = catchAsync(async (req, res) => {
+  const uploads = await tenantReviewService.createCounterPhotoUploads({ token: req.params.token, files: req.body.files });
+  res.send({ data: { uploads } });
+});
+
+const submitResponses = catchAsync(async (req, res) => {
+  const responses = await tenantReviewService.submitResponses({ token: req.params.token, responses: req.body.responses });
+  res.send({ data: responses });
+});
+
+module.exports = {
+  createTenantReview,
+  listTenantReviews,
+  revokeTenantReview,
+  getReviewPortal,
+  createCounterPhotoUploads,
+  submitResponses,
+};
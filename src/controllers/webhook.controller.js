@@ -0,0 +1,41 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { webhookService } = require('../services');
+
+const listWebhooks = catchAsync(async (req, res) => {
+  const webhooks = await webhookService.listWebhooks({ organizationId: req.user.organizationId });
+  res.send({ data: webhooks });
+});
+
+const createWebhook = catchAsync(async (req, res) => {
+  const webhook = await webhookService.createWebhook({
+    ...req.body,
+    organizationId: req.user.organizationId,
+    createdBy: req.user.id,
+  });
+  res.status(httpStatus.CREATED).send({ data: webhook });
+});
+
+const updateWebhook = catchAsync(async (req, res) => {
+  const webhook = await webhookService.updateWebhook({
+    organizationId: req.user.organizationId,
+    webhookId: req.params.webhookId,
+    updates: req.body,
+  });
+  res.send({ data: webhook });
+});
+
+const deleteWebhook = catchAsync(async (req, res) => {
+  await webhookService.deleteWebhook({
+    organizationId: req.user.organizationId,
+    webhookId: req.params.webhookId,
+  });
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+};
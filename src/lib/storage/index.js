@@ -1,9 +1,9 @@
 /**
  * Storage Factory
- * 
+ *
  * Returns the appropriate storage provider based on configuration.
  * Supports: local, r2 (Cloudflare), s3 (AWS)
- * 
+ *
  * @module lib/storage
  */
 
@@ -77,8 +77,7 @@ const storagePaths = {
    * @param {string} filename - Sample filename
    * @returns {string}
    */
-  presetSample: (orgId, presetId, filename) =>
-    `${orgId}/presets/${presetId}/${filename}`,
+  presetSample: (orgId, presetId, filename) => `${orgId}/presets/${presetId}/${filename}`,
 
   /**
    * Build generated report path
@@ -87,8 +86,40 @@ const storagePaths = {
    * @param {number} version - Report version
    * @returns {string}
    */
-  generatedReport: (orgId, reportId, version) =>
-    `${orgId}/reports/${reportId}/v${version}.pdf`,
+  generatedReport: (orgId, reportId, version) => `${orgId}/reports/${reportId}/v${version}.pdf`,
+
+  /**
+   * Build signed report path; the fingerprint keeps concurrent renders from overwriting each other
+   * @param {string} orgId - Organization ID
+   * @param {string} reportId - Report ID
+   * @param {number} version - Report version
+   * @param {string} fingerprint - Start of the PDF's SHA-256
+   * @returns {string}
+   */
+  signedReport: (orgId, reportId, version, fingerprint) =>
+    `${orgId}/reports/${reportId}/v${version}-signed-${fingerprint}.pdf`,
+
+  /**
+   * Build drawn signature image path
+   * @param {string} orgId - Organization ID
+   * @param {string} reportId - Report ID
+   * @param {number} version - Report version
+   * @param {string} partyId - Signing party ID
+   * @returns {string}
+   */
+  reportSignature: (orgId, reportId, version, partyId) =>
+    `${orgId}/reports/${reportId}/signatures/v${version}-${partyId}.png`,
+
+  /**
+   * Build property floor plan path; the original upload and its rendered pages share the folder
+   * @param {string} orgId - Organization ID
+   * @param {string} propertyId - Property ID
+   * @param {string} floorPlanId - Floor plan ID
+   * @param {string} filename - File name
+   * @returns {string}
+   */
+  floorPlan: (orgId, propertyId, floorPlanId, filename) =>
+    `${orgId}/properties/${propertyId}/floor-plans/${floorPlanId}/${filename}`,
 
   /**
    * Build organization logo path
@@ -96,8 +127,7 @@ const storagePaths = {
    * @param {string} filename - Logo filename
    * @returns {string}
    */
-  organizationLogo: (orgId, filename) =>
-    `${orgId}/branding/${filename}`,
+  organizationLogo: (orgId, filename) => `${orgId}/branding/${filename}`,
 };
 
 /**
@@ -188,4 +218,3 @@ module.exports = {
   LocalStorage,
   R2Storage,
 };
-
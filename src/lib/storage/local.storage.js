@@ -48,6 +48,16 @@ class LocalStorage extends StorageInterface {
     return path.join(this.basePath, key);
   }
 
+  /**
+   * Build storage key with organization prefix
+   * @param {string} orgId - Organization ID
+   * @param {string} keyPath - Path within organization
+   * @returns {string}
+   */
+  buildKey(orgId, keyPath) {
+    return `${orgId}/${keyPath}`.replace(/\/+/g, '/');
+  }
+
   /**
    * Calculate file hash
    * @param {Buffer} data
@@ -142,6 +152,34 @@ class LocalStorage extends StorageInterface {
     }
   }
 
+  /**
+   * Download a byte range of a file from local storage
+   * @param {string} key - Storage key/path
+   * @param {number} start - First byte offset
+   * @param {number} end - Last byte offset (inclusive)
+   * @returns {Promise<Buffer>}
+   */
+  async downloadRange(key, start, end) {
+    const filePath = this.getFilePath(key);
+    let handle;
+
+    try {
+      handle = await fs.open(filePath, 'r');
+      const buffer = Buffer.alloc(end - start + 1);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+      return buffer.subarray(0, bytesRead);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ApiError(httpStatus.NOT_FOUND, `File not found: ${key}`);
+      }
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Local storage download failed: ${error.message}`);
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+
   /**
    * Delete a file from local storage
    * @param {string} key - Storage key/path
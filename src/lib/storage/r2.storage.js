@@ -180,6 +180,34 @@ class R2Storage extends StorageInterface {
     }
   }
 
+  /**
+   * Download a byte range of a file from R2
+   * @param {string} key - Storage key/path
+   * @param {number} start - First byte offset
+   * @param {number} end - Last byte offset (inclusive)
+   * @returns {Promise<Buffer>}
+   */
+  async downloadRange(key, start, end) {
+    const client = this.getClient();
+
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: `bytes=${start}-${end}`,
+    });
+
+    try {
+      const response = await client.send(command);
+      return this.streamToBuffer(response.Body);
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        throw new ApiError(httpStatus.NOT_FOUND, `File not found: ${key}`);
+      }
+      logger.error({ error, key }, 'Failed to download range from R2');
+      throw new ApiError(httpStatus.BAD_GATEWAY, `R2 download failed: ${error.message}`);
+    }
+  }
+
   /**
    * Delete a file from R2
    * @param {string} key - Storage key/path
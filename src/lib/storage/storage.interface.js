@@ -1,9 +1,9 @@
 /**
  * Storage Interface
- * 
+ *
  * Abstract interface for storage providers.
  * Implementations: LocalStorage, R2Storage, S3Storage
- * 
+ *
  * @module lib/storage/interface
  */
 
@@ -79,6 +79,18 @@ class StorageInterface {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Download a byte range of a file (inclusive), e.g. to sniff its header
+   * @param {string} key - Storage key/path
+   * @param {number} start - First byte offset
+   * @param {number} end - Last byte offset (inclusive)
+   * @returns {Promise<Buffer>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async downloadRange(key, start, end) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Delete a file from storage
    * @param {string} key - Storage key/path
@@ -164,4 +176,3 @@ class StorageInterface {
 }
 
 module.exports = StorageInterface;
-
@@ -0,0 +1,66 @@
+/**
+ * Inspection Access Middleware
+ *
+ * Rejects requests for inspections the user is not allowed to see or change
+ * (see services/inspectionAccess). Must run after `auth()`.
+ *
+ * @module middlewares/inspectionAccess
+ */
+
+const httpStatus = require('http-status');
+const Report = require('../models/report.model');
+const Issue = require('../models/issue.model');
+const Job = require('../models/job.model');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/ApiError');
+const { assertInspectionAccess, inspectionAccessLevels } = require('../services/inspectionAccess.service');
+
+/**
+ * Resolver reading the inspection id from a route param
+ * @param {string} param
+ * @returns {function(Object): Promise<string>}
+ */
+const fromParam = (param) => async (req) => req.params[param];
+
+/**
+ * Resolver looking up the inspection of a document referenced by a route param
+ * @param {mongoose.Model} Model - Model with organizationId and inspectionId
+ * @param {string} param
+ * @param {string} label - Name used in the not found error
+ * @returns {function(Object): Promise<string>}
+ */
+const fromDocument = (Model, param, label) => async (req) => {
+  const doc = await Model.findOne({ _id: req.params[param], organizationId: req.user.organizationId })
+    .select('inspectionId')
+    .lean();
+  if (!doc) {
+    throw new ApiError(httpStatus.NOT_FOUND, `${label} not found`);
+  }
+  return doc.inspectionId.toString();
+};
+
+const resolvers = {
+  reportInspection: fromDocument(Report, 'reportId', 'Report'),
+  issueInspection: fromDocument(Issue, 'issueId', 'Issue'),
+  jobInspection: fromDocument(Job, 'jobId', 'Job'),
+};
+
+/**
+ * Require access to the inspection a request is about
+ * @param {string} [access] - read | write | edit
+ * @param {string|function(Object): Promise<string>} [inspection] - Route param holding the inspection id, or a resolver
+ * @returns {Function} Express middleware
+ */
+const requireInspectionAccess = (access = inspectionAccessLevels.READ, inspection = 'id') => {
+  const resolve = typeof inspection === 'function' ? inspection : fromParam(inspection);
+  return catchAsync(async (req, res, next) => {
+    const inspectionId = await resolve(req);
+    await assertInspectionAccess({ user: req.user, inspectionId, access });
+    next();
+  });
+};
+
+module.exports = {
+  requireInspectionAccess,
+  ...resolvers,
+};
@@ -1,4 +1,7 @@
+const httpStatus = require('http-status');
 const multer = require('multer');
+const ApiError = require('../utils/ApiError');
+const { floorPlanMimeTypes, floorPlanLimits } = require('../config/floorPlans');
 
 // Use memory storage for cloud deployment (Railway/Cloudflare)
 // Files will be uploaded to R2 from memory buffer
@@ -20,6 +23,23 @@ const upload = multer({
   },
 });
 
+// Floor plans: one image or PDF per request
+const floorPlanUpload = multer({
+  storage,
+  limits: {
+    fileSize: floorPlanLimits.maxFileSize,
+    files: 1,
+  },
+  fileFilter: (_req, file, cb) => {
+    if (floorPlanMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ApiError(httpStatus.BAD_REQUEST, 'Floor plans must be a JPEG, PNG or WebP image or a PDF'), false);
+    }
+  },
+});
+
 module.exports = {
   upload,
+  floorPlanUpload,
 };
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { calendarFeedScopes } = require('../config/calendarFeeds');
+
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    scope: { type: String, enum: Object.values(calendarFeedScopes), required: true },
+    name: { type: String, trim: true },
+    // SHA-256 of the feed token; the token itself is only returned when the feed is created
+    tokenHash: { type: String, required: true, unique: true, select: false },
+    lastAccessedAt: { type: Date },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
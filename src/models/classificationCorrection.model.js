@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+/**
+ * A photo an inspector moved out of the room it was classified into.
+ * Kept to evaluate room classification against human corrections.
+ */
+const classificationCorrectionSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true, index: true },
+    inspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection', required: true, index: true },
+    photoId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    storagePath: { type: String },
+    action: { type: String, enum: ['move', 'merge', 'split'], required: true },
+    fromRoomId: { type: mongoose.Schema.Types.ObjectId },
+    fromRoomName: { type: String },
+    toRoomId: { type: mongoose.Schema.Types.ObjectId },
+    toRoomName: { type: String, required: true },
+    predictedClassification: { type: String },
+    classificationConfidence: { type: Number, min: 0, max: 1 },
+    correctedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+const ClassificationCorrection = mongoose.model('ClassificationCorrection', classificationCorrectionSchema);
+
+module.exports = ClassificationCorrection;
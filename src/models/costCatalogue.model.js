@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { issueSeverities, issueCategories } = require('../config/issues');
+const { defaultCurrency } = require('../config/costCatalogue');
+
+const costRangeSchema = new mongoose.Schema(
+  {
+    category: { type: String, enum: issueCategories, required: true },
+    severity: { type: String, enum: issueSeverities, required: true },
+    low: { type: Number, min: 0, required: true },
+    high: { type: Number, min: 0, required: true },
+  },
+  { _id: false }
+);
+
+const costCatalogueSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true, unique: true },
+    currency: { type: String, uppercase: true, trim: true, default: defaultCurrency },
+    // Only ranges the organization has changed; the rest fall back to the defaults
+    entries: { type: [costRangeSchema], default: [] },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+const CostCatalogue = mongoose.model('CostCatalogue', costCatalogueSchema);
+
+module.exports = CostCatalogue;
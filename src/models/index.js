@@ -1,6 +1,7 @@
 module.exports.Token = require('./token.model');
 module.exports.User = require('./user.model');
 module.exports.Property = require('./property.model');
+module.exports.Owner = require('./owner.model');
 
 const inspectionExports = require('./inspection.model');
 
@@ -14,3 +15,9 @@ module.exports.NotificationPreference = require('./notificationPreference.model'
 module.exports.Plan = require('./plan.model');
 module.exports.Job = require('./job.model');
 module.exports.ReportPreset = require('./reportPreset.model');
+module.exports.Webhook = require('./webhook.model');
+module.exports.ClassificationCorrection = require('./classificationCorrection.model');
+module.exports.Issue = require('./issue.model');
+module.exports.CostCatalogue = require('./costCatalogue.model');
+module.exports.CalendarFeed = require('./calendarFeed.model');
+module.exports.SyncMutation = require('./syncMutation.model');
@@ -1,12 +1,79 @@
 const mongoose = require('mongoose');
+const { paginate } = require('./plugins');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const { issueSeverities, issueCategories, recheckStatuses } = require('../config/issues');
+const { costEstimateSources } = require('../config/costCatalogue');
+const { videoStatuses } = require('../config/videoIngest');
+const { tenantReviewStatuses, tenantReviewItemTypes, tenantReviewVerdicts } = require('../config/tenantReview');
+const { meterTypes, meterUnits, meterReadingSources } = require('../config/meterReadings');
+const { inventoryConditions, inventoryItemSources } = require('../config/inventory');
+const { complianceItemStatuses, complianceSelections } = require('../config/compliancePacks');
+const { amendmentStatuses } = require('../config/amendments');
+
+const costEstimateSchema = new mongoose.Schema(
+  {
+    low: { type: Number, min: 0, required: true },
+    high: { type: Number, min: 0, required: true },
+    currency: { type: String, required: true },
+    source: { type: String, enum: Object.values(costEstimateSources), default: costEstimateSources.CATALOGUE },
+  },
+  { _id: false }
+);
 
 const photoIssueSchema = new mongoose.Schema(
   {
     label: { type: String, required: true },
-    severity: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
-    category: { type: String, enum: ['structural', 'electrical', 'plumbing', 'cosmetic', 'safety', 'appliance', 'other'] },
+    severity: { type: String, enum: issueSeverities, default: 'medium' },
+    category: { type: String, enum: issueCategories },
     recommendation: { type: String },
     confidence: { type: Number, min: 0, max: 1 },
+    costEstimate: { type: costEstimateSchema },
+  },
+  { _id: false }
+);
+
+const photoDerivativeSchema = new mongoose.Schema(
+  {
+    storagePath: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    fileSize: { type: Number },
+    mimeType: { type: String },
+  },
+  { _id: false }
+);
+
+const photoExifSchema = new mongoose.Schema(
+  {
+    make: { type: String },
+    model: { type: String },
+    orientation: { type: Number, min: 1, max: 8 },
+    latitude: { type: Number, min: -90, max: 90 },
+    longitude: { type: Number, min: -180, max: 180 },
+    altitude: { type: Number },
+    extractedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// Video walkthrough a photo was extracted from, and where in it
+const photoSourceVideoSchema = new mongoose.Schema(
+  {
+    videoId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    timestampMs: { type: Number, min: 0, required: true },
+  },
+  { _id: false }
+);
+
+// Position on a page of one of the property's floor plans, as fractions of the page size from the top left
+const floorPlanPinSchema = new mongoose.Schema(
+  {
+    floorPlanId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    page: { type: Number, min: 1, default: 1 },
+    x: { type: Number, min: 0, max: 1, required: true },
+    y: { type: Number, min: 0, max: 1, required: true },
+    placedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    placedAt: { type: Date },
   },
   { _id: false }
 );
@@ -15,10 +82,18 @@ const photoSchema = new mongoose.Schema(
   {
     storagePath: { type: String, required: true },
     thumbnailUrl: { type: String },
+    derivatives: {
+      thumbnail: { type: photoDerivativeSchema },
+      medium: { type: photoDerivativeSchema },
+      pdf: { type: photoDerivativeSchema },
+    },
+    derivativesGeneratedAt: { type: Date },
     originalFilename: { type: String, required: true },
     fileSize: { type: Number, required: true },
     mimeType: { type: String, required: true },
     capturedAt: { type: Date },
+    exif: { type: photoExifSchema },
+    sourceVideo: { type: photoSourceVideoSchema },
     roomClassification: { type: String },
     classificationConfidence: { type: Number, min: 0, max: 1 },
     pendingClassification: { type: Boolean, default: false },
@@ -27,43 +102,251 @@ const photoSchema = new mongoose.Schema(
     qualityWarnings: { type: [String], default: [] },
     issues: { type: [photoIssueSchema], default: [] },
     aiSummary: { type: String },
+    pin: { type: floorPlanPinSchema },
   },
   { timestamps: true }
 );
 
+// Furnishing or equipment supplied with the property, listed per room
+const inventoryItemSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    quantity: { type: Number, min: 0, default: 1 },
+    condition: { type: String, enum: Object.values(inventoryConditions), default: inventoryConditions.GOOD },
+    // Photos of the inspection showing the item
+    photoIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    notes: { type: String },
+    source: { type: String, enum: Object.values(inventoryItemSources), default: inventoryItemSources.MANUAL },
+    // AI confidence for suggested items
+    confidence: { type: Number, min: 0, max: 1 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+/** Holding room for photos awaiting AI room classification */
+const PENDING_ROOM_NAME = '_pending_classification';
+
 const roomSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
+    // Id generated by the mobile app for rooms created offline
+    clientId: { type: String },
     displayOrder: { type: Number, default: 0 },
     conditionRating: { type: String, enum: ['excellent', 'good', 'fair', 'poor', 'critical', 'needs_maintenance', 'unrated'], default: 'unrated' },
     notes: { type: String },
     actions: { type: [String], default: [] },
     aiSummary: { type: String },
     photos: { type: [photoSchema], default: [] },
+    pin: { type: floorPlanPinSchema },
+    inventory: { type: [inventoryItemSchema], default: [] },
   },
   { timestamps: true }
 );
 
+const videoSchema = new mongoose.Schema(
+  {
+    storagePath: { type: String, required: true },
+    originalFilename: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    mimeType: { type: String, required: true },
+    durationMs: { type: Number, min: 0 },
+    status: { type: String, enum: Object.values(videoStatuses), default: videoStatuses.QUEUED },
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    frameCount: { type: Number, min: 0 },
+    error: { type: String },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    processedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+const counterPhotoSchema = new mongoose.Schema(
+  {
+    storagePath: { type: String, required: true },
+    originalFilename: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    mimeType: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+// A tenant's view on one room, photo or issue of the inspection
+const tenantReviewResponseSchema = new mongoose.Schema(
+  {
+    itemType: { type: String, enum: Object.values(tenantReviewItemTypes), required: true },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    verdict: { type: String, enum: Object.values(tenantReviewVerdicts), required: true },
+    comment: { type: String },
+    counterPhotos: { type: [counterPhotoSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+const tenantReviewSchema = new mongoose.Schema(
+  {
+    tenantName: { type: String, required: true },
+    tenantEmail: { type: String },
+    status: { type: String, enum: Object.values(tenantReviewStatuses), default: tenantReviewStatuses.OPEN },
+    closesAt: { type: Date, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    closedAt: { type: Date },
+    revokedAt: { type: Date },
+    agentNotifiedAt: { type: Date },
+    responses: { type: [tenantReviewResponseSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+// Unresolved issue of an earlier inspection to confirm fixed or not
+const recheckItemSchema = new mongoose.Schema(
+  {
+    issueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue', required: true },
+    sourceInspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection' },
+    roomId: { type: mongoose.Schema.Types.ObjectId },
+    roomName: { type: String },
+    label: { type: String, required: true },
+    severity: { type: String, enum: issueSeverities },
+    category: { type: String, enum: issueCategories },
+    recommendation: { type: String },
+    status: { type: String, enum: Object.values(recheckStatuses), default: recheckStatuses.PENDING },
+    notes: { type: String },
+    checkedAt: { type: Date },
+    checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+// Utility meter reading taken during the inspection, typed in or read from a photo of the meter
+const meterReadingSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: Object.values(meterTypes), required: true },
+    serial: { type: String, trim: true },
+    reading: { type: Number, min: 0, required: true },
+    unit: { type: String, enum: [...new Set(Object.values(meterUnits).flat())], required: true },
+    // Photo of the meter the reading was taken from
+    photoId: { type: mongoose.Schema.Types.ObjectId },
+    source: { type: String, enum: Object.values(meterReadingSources), default: meterReadingSources.MANUAL },
+    // AI confidence in the reading; cleared when the reading is corrected by hand
+    confidence: { type: Number, min: 0, max: 1 },
+    notes: { type: String },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+const statusTransitionSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: Object.values(inspectionStatuses) },
+    to: { type: String, enum: Object.values(inspectionStatuses), required: true },
+    action: { type: String, required: true },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String },
+    reason: { type: String },
+    // Unchecked mandatory compliance items the inspection was completed with
+    warnings: { type: [String], default: undefined },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Result of one checklist item of the inspection's compliance pack
+const complianceItemSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    status: { type: String, enum: Object.values(complianceItemStatuses), default: complianceItemStatuses.PENDING },
+    // Evidence photos of this inspection
+    photoIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    notes: { type: String },
+    checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    checkedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// Compliance pack the inspection is checked against, pinned when the first item is recorded
+const inspectionComplianceSchema = new mongoose.Schema(
+  {
+    packId: { type: String, required: true },
+    version: { type: Number, required: true },
+    selection: { type: String, enum: Object.values(complianceSelections), required: true },
+    items: { type: [complianceItemSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// One changed field of an amendment; roomId is set for room fields
+const amendmentChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    roomId: { type: mongoose.Schema.Types.ObjectId },
+    roomName: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// Requested change to a completed inspection, applied when a reviewer approves it
+const amendmentSchema = new mongoose.Schema({
+  status: { type: String, enum: Object.values(amendmentStatuses), default: amendmentStatuses.PENDING },
+  reason: { type: String, required: true },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestedAt: { type: Date, required: true },
+  changes: { type: [amendmentChangeSchema], default: [] },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String },
+  // Report version created when the amendment was approved
+  reportVersion: { type: Number },
+});
+
 const inspectionSchema = new mongoose.Schema(
   {
     propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
     organizationId: { type: String, required: true, index: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    status: { type: String, enum: ['draft', 'in_progress', 'completed'], default: 'draft' },
+    status: { type: String, enum: Object.values(inspectionStatuses), default: inspectionStatuses.DRAFT },
+    statusHistory: { type: [statusTransitionSchema], default: [] },
     scheduledFor: { type: Date },
+    // Lead inspector; assistants share access to the inspection
+    inspectorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    assistantIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], default: [] },
+    // Property schedule that generated this inspection, if any
+    scheduleId: { type: mongoose.Schema.Types.ObjectId },
+    reminderSentAt: { type: Date },
     startedAt: { type: Date },
+    submittedAt: { type: Date },
     completedAt: { type: Date },
+    archivedAt: { type: Date },
     rooms: { type: [roomSchema], default: [] },
+    // Walkthrough videos; their keyframes are registered as photos
+    videos: { type: [videoSchema], default: [] },
     summary: { type: String },
     aiSummary: { type: String },
+    // Token of the latest tenant review link, see tenantReviews; cleared when revoked
     shareLinkToken: { type: String, unique: true, sparse: true },
+    tenantReviews: { type: [tenantReviewSchema], default: [] },
     reportPresetId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReportPreset' },
+    // Completed inspection the rooms were copied from
+    clonedFromInspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection' },
+    recheckItems: { type: [recheckItemSchema], default: [] },
+    meterReadings: { type: [meterReadingSchema], default: [] },
+    compliance: { type: inspectionComplianceSchema },
+    amendments: { type: [amendmentSchema], default: [] },
   },
   { timestamps: true }
 );
 
 inspectionSchema.index({ propertyId: 1, status: 1 });
+inspectionSchema.index({ organizationId: 1, status: 1, scheduledFor: 1 });
+inspectionSchema.index({ organizationId: 1, inspectorId: 1 });
+inspectionSchema.index({ organizationId: 1, assistantIds: 1 });
+inspectionSchema.index({ 'tenantReviews.status': 1, 'tenantReviews.closesAt': 1 });
+inspectionSchema.index({ propertyId: 1, 'meterReadings.type': 1 });
+
+inspectionSchema.plugin(paginate);
 
 const Inspection = mongoose.model('Inspection', inspectionSchema);
 
-module.exports = { Inspection, roomSchema, photoSchema, photoIssueSchema };
+module.exports = { Inspection, roomSchema, photoSchema, photoIssueSchema, costEstimateSchema, PENDING_ROOM_NAME };
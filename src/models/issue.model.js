@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { paginate } = require('./plugins');
+const { issueStatuses, issueSeverities, issueCategories, issueSources } = require('../config/issues');
+const { costEstimateSchema } = require('./inspection.model');
+
+const issueSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true, index: true },
+    propertyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true, index: true },
+    inspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection', required: true, index: true },
+    roomId: { type: mongoose.Schema.Types.ObjectId },
+    roomName: { type: String },
+    photoId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    label: { type: String, required: true, trim: true },
+    severity: { type: String, enum: issueSeverities, default: 'medium' },
+    category: { type: String, enum: issueCategories },
+    recommendation: { type: String },
+    confidence: { type: Number, min: 0, max: 1 },
+    costEstimate: { type: costEstimateSchema },
+    source: { type: String, enum: Object.values(issueSources), default: issueSources.MANUAL },
+    // Identifies the embedded photo issue an AI issue was created from: `<photoId>:<category>:<label>`
+    sourceKey: { type: String, unique: true, sparse: true },
+    status: { type: String, enum: Object.values(issueStatuses), default: issueStatuses.OPEN, index: true },
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dueDate: { type: Date },
+    notes: { type: String },
+    resolvedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+issueSchema.index({ organizationId: 1, status: 1, severity: 1 });
+issueSchema.index({ organizationId: 1, assignee: 1, status: 1 });
+
+issueSchema.plugin(paginate);
+
+const Issue = mongoose.model('Issue', issueSchema);
+
+module.exports = Issue;
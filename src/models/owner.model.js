@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { ownerTypes } = require('../config/portfolio');
+
+// Owner or landlord of properties in the organization's portfolio
+const ownerSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: Object.values(ownerTypes), default: ownerTypes.INDIVIDUAL },
+    referenceCode: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    notes: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+const Owner = mongoose.model('Owner', ownerSchema);
+
+module.exports = Owner;
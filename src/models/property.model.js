@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { propertyLocationSources, photoLocationLimits } = require('../config/photoLocation');
+const { propertyKinds } = require('../config/portfolio');
 
 const addressSchema = new mongoose.Schema(
   {
@@ -12,18 +14,87 @@ const addressSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Coordinates photos are checked against
+const propertyLocationSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number, min: -90, max: 90, required: true },
+    longitude: { type: Number, min: -180, max: 180, required: true },
+    source: { type: String, enum: Object.values(propertyLocationSources), required: true },
+    // Overrides the default radius, e.g. for large rural blocks
+    radiusMeters: { type: Number, min: photoLocationLimits.minRadiusMeters, max: photoLocationLimits.maxRadiusMeters },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const inspectionScheduleSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, default: 'Routine inspection' },
+    intervalMonths: { type: Number, required: true, min: 1, max: 24 },
+    // Due date of the next inspection to generate; advanced by intervalMonths each time one is created
+    nextDueAt: { type: Date, required: true },
+    inspectorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reportPresetId: { type: mongoose.Schema.Types.ObjectId, ref: 'ReportPreset' },
+    active: { type: Boolean, default: true },
+    lastGeneratedAt: { type: Date },
+    lastInspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+// One rendered page of a floor plan; pins are placed on these images
+const floorPlanPageSchema = new mongoose.Schema(
+  {
+    page: { type: Number, required: true, min: 1 },
+    storagePath: { type: String, required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const floorPlanSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    storagePath: { type: String, required: true },
+    originalFilename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    fileSize: { type: Number, required: true },
+    pages: { type: [floorPlanPageSchema], default: [] },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
 const propertySchema = new mongoose.Schema(
   {
     organizationId: { type: String, required: true, index: true },
     name: { type: String, required: true, trim: true },
     referenceCode: { type: String, trim: true },
     address: { type: addressSchema, required: true },
+    kind: { type: String, enum: Object.values(propertyKinds), default: propertyKinds.STANDALONE },
+    // Building a unit or common area belongs to
+    buildingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+    unitNumber: { type: String, trim: true },
+    // Owner or landlord; units and common areas without one belong to the building's owner
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Owner' },
+    location: { type: propertyLocationSchema },
+    // Compliance pack for the property's inspections; defaults from the address state and country when unset
+    compliancePackId: { type: String },
     metadata: { type: mongoose.Schema.Types.Mixed },
+    schedules: { type: [inspectionScheduleSchema], default: [] },
+    floorPlans: { type: [floorPlanSchema], default: [] },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   },
   { timestamps: true }
 );
 
+propertySchema.index({ 'schedules.active': 1, 'schedules.nextDueAt': 1 });
+propertySchema.index({ organizationId: 1, buildingId: 1 });
+propertySchema.index({ organizationId: 1, ownerId: 1 });
+
 const Property = mongoose.model('Property', propertySchema);
 
 module.exports = Property;
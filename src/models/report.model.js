@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const { signingPartyRoles, signingStatuses, signingPartyStatuses, signatureMethods } = require('../config/signatures');
+
+const signatureSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: Object.values(signatureMethods), required: true },
+    typedName: { type: String },
+    // Drawn signature PNG in storage
+    imagePath: { type: String },
+    signedAt: { type: Date, required: true },
+    ipAddress: { type: String },
+    userAgent: { type: String },
+  },
+  { _id: false }
+);
+
+const signingPartySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: signingPartyRoles, required: true },
+  status: { type: String, enum: Object.values(signingPartyStatuses), default: signingPartyStatuses.PENDING },
+  // SHA-256 of the signing link token; the token itself is only emailed
+  tokenHash: { type: String, required: true },
+  tokenExpiresAt: { type: Date, required: true },
+  lastSentAt: { type: Date },
+  signature: { type: signatureSchema },
+});
+
+const signingSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: Object.values(signingStatuses), default: signingStatuses.PENDING },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedAt: { type: Date, required: true },
+    message: { type: String },
+    parties: { type: [signingPartySchema], default: [] },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    // The PDF with every signature embedded, and its SHA-256 so anyone can check a copy was not altered
+    signedPdfPath: { type: String },
+    signedPdfSha256: { type: String },
+  },
+  { _id: false }
+);
+
+// Approved inspection amendment a version was created for
+const reportAmendmentSchema = new mongoose.Schema(
+  {
+    amendmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    reason: { type: String, required: true },
+    // Field-level diff, as stored on the inspection's amendment
+    changes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+  },
+  { _id: false }
+);
 
 const reportVersionSchema = new mongoose.Schema(
   {
@@ -11,6 +66,10 @@ const reportVersionSchema = new mongoose.Schema(
     generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     pdfUrl: { type: String },
     watermark: { type: Boolean, default: true },
+    // AI-written content the PDF was rendered from, reused for the signed copy
+    content: { type: mongoose.Schema.Types.Mixed },
+    signing: { type: signingSchema },
+    amendment: { type: reportAmendmentSchema },
   },
   { _id: false }
 );
@@ -29,6 +88,9 @@ const reportSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+reportSchema.index({ 'versions.signing.parties.tokenHash': 1 }, { sparse: true });
+reportSchema.index({ 'versions.signing.signedPdfSha256': 1 }, { sparse: true });
+
 const Report = mongoose.model('Report', reportSchema);
 
 module.exports = Report;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { syncMutationTypes, syncLimits } = require('../config/sync');
+
+/**
+ * Offline mutations that were applied, keyed by the client-generated id, so
+ * that a batch resent after a dropped connection is not applied twice
+ */
+const syncMutationSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    clientId: { type: String, required: true },
+    type: { type: String, enum: Object.values(syncMutationTypes), required: true },
+    inspectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inspection', required: true },
+    result: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now, expires: syncLimits.mutationRetentionDays * 24 * 60 * 60 },
+  },
+  { versionKey: false }
+);
+
+syncMutationSchema.index({ userId: 1, clientId: 1 }, { unique: true });
+
+const SyncMutation = mongoose.model('SyncMutation', syncMutationSchema);
+
+module.exports = SyncMutation;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { webhookEvents } = require('../config/webhooks');
+
+const webhookSchema = new mongoose.Schema(
+  {
+    organizationId: { type: String, required: true, index: true },
+    url: { type: String, required: true, trim: true },
+    description: { type: String },
+    events: {
+      type: [{ type: String, enum: [...Object.values(webhookEvents), '*'] }],
+      default: ['*'],
+    },
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lastDeliveryAt: { type: Date },
+    lastResponseStatus: { type: Number },
+    lastError: { type: String },
+    failureCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ organizationId: 1, active: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
@@ -18,6 +18,8 @@ const JOB_TYPES = {
   ANALYZE_PHOTOS: 'analyze-photos',
   PROCESS_INSPECTION: 'process-inspection',
   GENERATE_ROOM_SUMMARY: 'generate-room-summary',
+  GENERATE_PHOTO_DERIVATIVES: 'generate-photo-derivatives',
+  INGEST_VIDEO: 'ingest-video',
 };
 
 /**
@@ -87,6 +89,132 @@ const publishInspectionJob = async ({ jobId, inspectionId, organizationId, paylo
   };
 };
 
+/**
+ * Add a photo derivative (thumbnail/web/PDF size) generation job.
+ * Skips the saturation check: derivative jobs are cheap and should not be
+ * dropped because AI analysis is backed up.
+ * @param {Object} params - Job parameters
+ * @param {string} params.jobId - Database job ID
+ * @param {string} params.inspectionId - Inspection ID
+ * @param {string} params.organizationId - Organization ID
+ * @param {Object} params.payload - Must include photoIds
+ * @returns {Promise<Object>}
+ */
+const publishPhotoDerivativesJob = async ({ jobId, inspectionId, organizationId, payload }) => {
+  const job = await addJob(
+    QUEUE_NAMES.INSPECTION_PROCESS,
+    JOB_TYPES.GENERATE_PHOTO_DERIVATIVES,
+    {
+      jobId,
+      inspectionId,
+      organizationId,
+      payload,
+      queuedAt: new Date().toISOString(),
+    },
+    {
+      jobId: `derivatives-${jobId}`,
+      priority: 1,
+    }
+  );
+
+  logger.info({ bullmqJobId: job.id, jobId, inspectionId }, 'Photo derivatives job published');
+
+  return {
+    bullmqJobId: job.id,
+    jobId,
+  };
+};
+
+/**
+ * Add a video walkthrough ingest job: extract keyframes and register them as photos.
+ * Like derivative jobs it skips the saturation check; the photo analysis job it
+ * creates when it finishes is subject to it.
+ * @param {Object} params - Job parameters
+ * @param {string} params.jobId - Database job ID
+ * @param {string} params.inspectionId - Inspection ID
+ * @param {string} params.organizationId - Organization ID
+ * @param {Object} params.payload - Must include videoId
+ * @returns {Promise<Object>}
+ */
+const publishVideoIngestJob = async ({ jobId, inspectionId, organizationId, payload }) => {
+  const job = await addJob(
+    QUEUE_NAMES.INSPECTION_PROCESS,
+    JOB_TYPES.INGEST_VIDEO,
+    {
+      jobId,
+      inspectionId,
+      organizationId,
+      payload,
+      queuedAt: new Date().toISOString(),
+    },
+    {
+      jobId: `video-${jobId}`,
+      priority: 2,
+    }
+  );
+
+  logger.info({ bullmqJobId: job.id, jobId, inspectionId }, 'Video ingest job published');
+
+  return {
+    bullmqJobId: job.id,
+    jobId,
+  };
+};
+
+/**
+ * BullMQ job ids used for a database job, one per job type that can carry it
+ * @param {string} jobId - Database job ID
+ * @returns {string[]}
+ */
+const getBullmqJobIds = (jobId) => [`inspection-${jobId}`, `derivatives-${jobId}`, `video-${jobId}`];
+
+/**
+ * Find the BullMQ job for a database job while it is still waiting to run
+ * @param {string} jobId - Database job ID
+ * @returns {Promise<import('bullmq').Job|null>} null when missing or already picked up by a worker
+ */
+const findWaitingJob = async (jobId) => {
+  const queue = initQueue();
+  const jobs = await Promise.all(getBullmqJobIds(jobId).map((id) => queue.getJob(id)));
+  const job = jobs.find(Boolean);
+  if (!job) {
+    return null;
+  }
+
+  const state = await job.getState();
+  return ['waiting', 'delayed', 'prioritized'].includes(state) ? job : null;
+};
+
+/**
+ * Remove a job from the queue before a worker picks it up
+ * @param {string} jobId - Database job ID
+ * @returns {Promise<boolean>} Whether the job was removed
+ */
+const removeWaitingJob = async (jobId) => {
+  const job = await findWaitingJob(jobId);
+  if (!job) {
+    return false;
+  }
+  await job.remove();
+  logger.info({ bullmqJobId: job.id, jobId }, 'Queued inspection job removed');
+  return true;
+};
+
+/**
+ * Replace the payload of a job that is still waiting to run
+ * @param {string} jobId - Database job ID
+ * @param {Object} payload - New payload
+ * @returns {Promise<boolean>} Whether the job was updated
+ */
+const updateWaitingJobPayload = async (jobId, payload) => {
+  const job = await findWaitingJob(jobId);
+  if (!job) {
+    return false;
+  }
+  await job.updateData({ ...job.data, payload });
+  return true;
+};
+
 /**
  * Start the inspection worker
  * @param {Function} handler - Job processor function
@@ -161,6 +289,10 @@ module.exports = {
   JOB_TYPES,
   initQueue,
   publishInspectionJob,
+  publishPhotoDerivativesJob,
+  publishVideoIngestJob,
+  removeWaitingJob,
+  updateWaitingJobPayload,
   startInspectionWorker,
   checkQueueDepth,
   drainQueue,
@@ -32,6 +32,7 @@ const QUEUE_NAMES = {
   INSPECTION_PROCESS: 'inspection-process',
   REPORT_GENERATION: 'report-generation',
   PDF_EXPORT: 'pdf-export',
+  INSPECTION_SCHEDULES: 'inspection-schedules',
 };
 
 /**
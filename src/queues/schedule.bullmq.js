@@ -0,0 +1,49 @@
+/**
+ * Inspection Schedule Queue (BullMQ)
+ *
+ * Repeating job that drives recurring inspections: creating upcoming
+ * inspections from property schedules and sending reminders. It also closes
+ * tenant reviews whose response window has ended.
+ *
+ * @module queues/schedule.bullmq
+ */
+
+const { QUEUE_NAMES, createQueue } = require('./queue.config');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
+const SCHEDULER_ID = 'inspection-schedules';
+
+const JOB_TYPES = {
+  RUN_SCHEDULES: 'run-inspection-schedules',
+};
+
+/**
+ * Initialize the schedule queue
+ * @returns {import('bullmq').Queue}
+ */
+const initScheduleQueue = () => {
+  return createQueue(QUEUE_NAMES.INSPECTION_SCHEDULES, {
+    defaultJobOptions: {
+      // The next run picks up anything a failed run missed
+      attempts: 1,
+    },
+  });
+};
+
+/**
+ * Register (or update) the repeating scheduler run. Safe to call from every worker on startup.
+ * @returns {Promise<void>}
+ */
+const registerScheduleRunner = async () => {
+  const queue = initScheduleQueue();
+  const every = config.schedules.runIntervalMinutes * 60 * 1000;
+  await queue.upsertJobScheduler(SCHEDULER_ID, { every }, { name: JOB_TYPES.RUN_SCHEDULES, data: {} });
+  logger.info({ everyMinutes: config.schedules.runIntervalMinutes }, 'Inspection scheduler registered');
+};
+
+module.exports = {
+  JOB_TYPES,
+  initScheduleQueue,
+  registerScheduleRunner,
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { calendarFeedController } = require('../../controllers');
+const { calendarFeedValidation } = require('../../validations');
+
+const router = express.Router();
+
+router
+  .route('/feeds')
+  .get(auth(), calendarFeedController.listFeeds)
+  .post(auth(), validate(calendarFeedValidation.createFeed), calendarFeedController.createFeed);
+
+router.delete('/feeds/:feedId', auth(), validate(calendarFeedValidation.revokeFeed), calendarFeedController.revokeFeed);
+
+// Public: calendar apps authenticate with the feed token in the URL
+router.get('/feeds/:token.ics', validate(calendarFeedValidation.getFeedCalendar), calendarFeedController.getFeedCalendar);
+
+module.exports = router;
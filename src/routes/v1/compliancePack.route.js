@@ -0,0 +1,24 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { compliancePackController } = require('../../controllers');
+const { compliancePackValidation } = require('../../validations');
+
+const router = express.Router();
+
+// Jurisdiction compliance checklists that properties and inspections can be checked against
+router.get(
+  '/',
+  auth(),
+  validate(compliancePackValidation.listCompliancePacks),
+  compliancePackController.listCompliancePacks
+);
+
+router.get(
+  '/:packId',
+  auth(),
+  validate(compliancePackValidation.getCompliancePack),
+  compliancePackController.getCompliancePack
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { costCatalogueController } = require('../../controllers');
+const { costCatalogueValidation } = require('../../validations');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(auth(), costCatalogueController.getCostCatalogue)
+  .patch(
+    auth('manageCostCatalogue'),
+    validate(costCatalogueValidation.updateCostCatalogue),
+    costCatalogueController.updateCostCatalogue
+  )
+  .delete(auth('manageCostCatalogue'), costCatalogueController.resetCostCatalogue);
+
+module.exports = router;
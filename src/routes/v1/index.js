@@ -2,6 +2,7 @@ const express = require('express');
 const authRoute = require('./auth.route');
 const userRoute = require('./user.route');
 const propertyRoute = require('./property.route');
+const ownerRoute = require('./owner.route');
 const inspectionRoute = require('./inspection.route');
 const reportRoute = require('./report.route');
 const subscriptionRoute = require('./subscription.route');
@@ -10,6 +11,14 @@ const accountRoute = require('./account.route');
 const planRoute = require('./plan.route');
 const reportPresetRoute = require('./reportPreset.route');
 const jobRoute = require('./job.route');
+const webhookRoute = require('./webhook.route');
+const issueRoute = require('./issue.route');
+const costCatalogueRoute = require('./costCatalogue.route');
+const compliancePackRoute = require('./compliancePack.route');
+const calendarFeedRoute = require('./calendarFeed.route');
+const syncRoute = require('./sync.route');
+const signatureRoute = require('./signature.route');
+const shareRoute = require('./share.route');
 const docsRoute = require('./docs.route');
 const config = require('../../config/config');
 
@@ -28,6 +37,10 @@ const defaultRoutes = [
     path: '/properties',
     route: propertyRoute,
   },
+  {
+    path: '/owners',
+    route: ownerRoute,
+  },
   {
     path: '/inspections',
     route: inspectionRoute,
@@ -60,6 +73,38 @@ const defaultRoutes = [
     path: '/jobs',
     route: jobRoute,
   },
+  {
+    path: '/webhooks',
+    route: webhookRoute,
+  },
+  {
+    path: '/issues',
+    route: issueRoute,
+  },
+  {
+    path: '/cost-catalogue',
+    route: costCatalogueRoute,
+  },
+  {
+    path: '/compliance-packs',
+    route: compliancePackRoute,
+  },
+  {
+    path: '/calendar',
+    route: calendarFeedRoute,
+  },
+  {
+    path: '/sync',
+    route: syncRoute,
+  },
+  {
+    path: '/signatures',
+    route: signatureRoute,
+  },
+  {
+    path: '/share',
+    route: shareRoute,
+  },
 ];
 
 const devRoutes = [
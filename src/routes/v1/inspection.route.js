@@ -3,33 +3,335 @@ const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const inspectionController = require('../../controllers/inspection.controller');
 const photoController = require('../../controllers/photo.controller');
+const tenantReviewController = require('../../controllers/tenantReview.controller');
 const inspectionValidation = require('../../validations/inspection.validation');
+const tenantReviewValidation = require('../../validations/tenantReview.validation');
 const { upload } = require('../../middlewares/upload');
 const { requireSubscriptionOrTrial } = require('../../middlewares/subscriptionGate');
+const { requireInspectionAccess } = require('../../middlewares/inspectionAccess');
 
 const router = express.Router();
 
 router
   .route('/')
   .get(auth(), validate(inspectionValidation.listInspections), inspectionController.listInspections)
-  .post(auth(), validate(inspectionValidation.createInspection), inspectionController.createInspection);
+  .post(auth('manageInspections'), validate(inspectionValidation.createInspection), inspectionController.createInspection);
+
+// Scheduled inspections whose date has passed without being started
+router.get(
+  '/overdue',
+  auth(),
+  validate(inspectionValidation.listOverdueInspections),
+  inspectionController.listOverdueInspections
+);
+
+// Text search over properties, rooms and issues, with facets and highlighted matches
+router.get('/search', auth(), validate(inspectionValidation.searchInspections), inspectionController.searchInspections);
 
 router
   .route('/:id')
-  .get(auth(), inspectionController.getInspection)
-  .patch(auth(), validate(inspectionValidation.updateInspection), inspectionController.updateInspection);
+  .get(auth(), requireInspectionAccess('read'), inspectionController.getInspection)
+  .patch(
+    auth(),
+    validate(inspectionValidation.updateInspection),
+    requireInspectionAccess('edit'),
+    inspectionController.updateInspection
+  );
+
+// Lead inspector and assistants
+router.put(
+  '/:id/assignees',
+  auth('assignInspections'),
+  validate(inspectionValidation.assignInspectors),
+  requireInspectionAccess('write'),
+  inspectionController.assignInspectors
+);
+
+// Confirm whether an issue carried forward from an earlier inspection was fixed
+router.patch(
+  '/:id/rechecks/:recheckId',
+  auth(),
+  validate(inspectionValidation.updateRecheckItem),
+  requireInspectionAccess('edit'),
+  inspectionController.updateRecheckItem
+);
+
+// Jurisdiction compliance checklist; mandatory items are checked when the inspection is completed
+router
+  .route('/:id/compliance')
+  .get(
+    auth(),
+    validate(inspectionValidation.getCompliance),
+    requireInspectionAccess('read'),
+    inspectionController.getCompliance
+  )
+  .put(
+    auth(),
+    validate(inspectionValidation.selectCompliancePack),
+    requireInspectionAccess('edit'),
+    inspectionController.selectCompliancePack
+  );
+
+router.put(
+  '/:id/compliance/items/:key',
+  auth(),
+  validate(inspectionValidation.recordComplianceItem),
+  requireInspectionAccess('edit'),
+  inspectionController.recordComplianceItem
+);
+
+// Completed inspections are locked; changes are requested as amendments and applied when a reviewer approves them
+router
+  .route('/:id/amendments')
+  .get(
+    auth(),
+    validate(inspectionValidation.listAmendments),
+    requireInspectionAccess('read'),
+    inspectionController.listAmendments
+  )
+  .post(
+    auth(),
+    validate(inspectionValidation.requestAmendment),
+    requireInspectionAccess('write'),
+    inspectionController.requestAmendment
+  );
+
+router.post(
+  '/:id/amendments/:amendmentId/review',
+  auth('reviewInspections'),
+  validate(inspectionValidation.reviewAmendment),
+  requireInspectionAccess('write'),
+  inspectionController.reviewAmendment
+);
+
+router.post(
+  '/:id/complete',
+  auth(),
+  validate(inspectionValidation.completeInspection),
+  requireInspectionAccess('write'),
+  inspectionController.completeInspection
+);
+
+// Lifecycle: current status, history and guarded transitions
+router
+  .route('/:id/transitions')
+  .get(
+    auth(),
+    validate(inspectionValidation.getInspectionLifecycle),
+    requireInspectionAccess('read'),
+    inspectionController.getInspectionLifecycle
+  )
+  .post(
+    auth(),
+    validate(inspectionValidation.transitionInspection),
+    requireInspectionAccess('write'),
+    inspectionController.transitionInspection
+  );
+
+// Tenant review: share link, responses and revoking the open review
+router
+  .route('/:id/tenant-review')
+  .get(
+    auth(),
+    validate(tenantReviewValidation.listTenantReviews),
+    requireInspectionAccess('read'),
+    tenantReviewController.listTenantReviews
+  )
+  .post(
+    auth(),
+    validate(tenantReviewValidation.createTenantReview),
+    requireInspectionAccess('write'),
+    tenantReviewController.createTenantReview
+  )
+  .delete(
+    auth(),
+    validate(tenantReviewValidation.revokeTenantReview),
+    requireInspectionAccess('write'),
+    tenantReviewController.revokeTenantReview
+  );
+
+// Estimated repair cost totals per room and for the inspection
+router.get(
+  '/:id/costs',
+  auth(),
+  validate(inspectionValidation.getInspectionCosts),
+  requireInspectionAccess('read'),
+  inspectionController.getInspectionCosts
+);
+
+// Entry vs exit comparison of two inspections of the same property
+router.get(
+  '/:id/compare/:otherId',
+  auth(),
+  validate(inspectionValidation.compareInspections),
+  requireInspectionAccess('read'),
+  requireInspectionAccess('read', 'otherId'),
+  inspectionController.compareInspections
+);
+
+router.get(
+  '/:id/compare/:otherId/pdf',
+  auth(),
+  requireSubscriptionOrTrial,
+  validate(inspectionValidation.compareInspections),
+  requireInspectionAccess('read'),
+  requireInspectionAccess('read', 'otherId'),
+  inspectionController.exportComparisonPdf
+);
+
+router.post(
+  '/:id/rooms',
+  auth(),
+  validate(inspectionValidation.addRoom),
+  requireInspectionAccess('edit'),
+  inspectionController.addRoom
+);
+
+router.post(
+  '/:id/rooms/reorder',
+  auth(),
+  validate(inspectionValidation.reorderRooms),
+  requireInspectionAccess('edit'),
+  inspectionController.reorderRooms
+);
+
+router
+  .route('/:id/rooms/:roomId')
+  .patch(auth(), validate(inspectionValidation.updateRoom), requireInspectionAccess('edit'), inspectionController.updateRoom)
+  .delete(
+    auth(),
+    validate(inspectionValidation.deleteRoom),
+    requireInspectionAccess('edit'),
+    inspectionController.deleteRoom
+  );
+
+// Floor plan pins: place or move with PUT, take off the plan with DELETE
+router
+  .route('/:id/rooms/:roomId/pin')
+  .put(auth(), validate(inspectionValidation.placeRoomPin), requireInspectionAccess('edit'), inspectionController.placePin)
+  .delete(
+    auth(),
+    validate(inspectionValidation.removeRoomPin),
+    requireInspectionAccess('edit'),
+    inspectionController.removePin
+  );
+
+router
+  .route('/:id/photos/:photoId/pin')
+  .put(auth(), validate(inspectionValidation.placePhotoPin), requireInspectionAccess('edit'), inspectionController.placePin)
+  .delete(
+    auth(),
+    validate(inspectionValidation.removePhotoPin),
+    requireInspectionAccess('edit'),
+    inspectionController.removePin
+  );
+
+// Utility meter readings with the usage since the previous inspection of the property
+router
+  .route('/:id/meter-readings')
+  .get(
+    auth(),
+    validate(inspectionValidation.getMeterReadings),
+    requireInspectionAccess('read'),
+    inspectionController.getMeterReadings
+  )
+  .post(
+    auth(),
+    validate(inspectionValidation.addMeterReading),
+    requireInspectionAccess('edit'),
+    inspectionController.addMeterReading
+  );
+
+// Read a meter from one of the inspection's photos with AI, optionally recording the reading
+router.post(
+  '/:id/meter-readings/extract',
+  auth(),
+  requireSubscriptionOrTrial,
+  validate(inspectionValidation.extractMeterReading),
+  requireInspectionAccess('edit'),
+  inspectionController.extractMeterReading
+);
+
+router
+  .route('/:id/meter-readings/:readingId')
+  .patch(
+    auth(),
+    validate(inspectionValidation.updateMeterReading),
+    requireInspectionAccess('edit'),
+    inspectionController.updateMeterReading
+  )
+  .delete(
+    auth(),
+    validate(inspectionValidation.deleteMeterReading),
+    requireInspectionAccess('edit'),
+    inspectionController.deleteMeterReading
+  );
+
+// Furnished inventory per room, reconciled with the previous inventory of the property
+router.get(
+  '/:id/inventory',
+  auth(),
+  validate(inspectionValidation.getInventory),
+  requireInspectionAccess('read'),
+  inspectionController.getInventory
+);
+
+router.post(
+  '/:id/rooms/:roomId/inventory',
+  auth(),
+  validate(inspectionValidation.addInventoryItem),
+  requireInspectionAccess('edit'),
+  inspectionController.addInventoryItem
+);
 
-router.post('/:id/complete', auth(), inspectionController.completeInspection);
+// Suggest inventory items from the room's photos with AI, optionally adding them
+router.post(
+  '/:id/rooms/:roomId/inventory/suggest',
+  auth(),
+  requireSubscriptionOrTrial,
+  validate(inspectionValidation.suggestInventory),
+  requireInspectionAccess('edit'),
+  inspectionController.suggestInventory
+);
+
+router
+  .route('/:id/rooms/:roomId/inventory/:itemId')
+  .patch(
+    auth(),
+    validate(inspectionValidation.updateInventoryItem),
+    requireInspectionAccess('edit'),
+    inspectionController.updateInventoryItem
+  )
+  .delete(
+    auth(),
+    validate(inspectionValidation.deleteInventoryItem),
+    requireInspectionAccess('edit'),
+    inspectionController.deleteInventoryItem
+  );
 
-router.post('/:id/rooms', auth(), validate(inspectionValidation.addRoom), inspectionController.addRoom);
+// Fix AI room classification: merge a room into this one, or split photos out into a new room
+router.post(
+  '/:id/rooms/:roomId/merge',
+  auth(),
+  validate(inspectionValidation.mergeRooms),
+  requireInspectionAccess('edit'),
+  inspectionController.mergeRooms
+);
 
-router.patch('/:id/rooms/:roomId', auth(), validate(inspectionValidation.updateRoom), inspectionController.updateRoom);
+router.post(
+  '/:id/rooms/:roomId/split',
+  auth(),
+  validate(inspectionValidation.splitRoom),
+  requireInspectionAccess('edit'),
+  inspectionController.splitRoom
+);
 
 router.post(
   '/:id/rooms/:roomId/analyse',
   auth(),
   requireSubscriptionOrTrial,
   validate(inspectionValidation.analyseRoom),
+  requireInspectionAccess('edit'),
   inspectionController.analyseRoom
 );
 
@@ -38,6 +340,7 @@ router.post(
   '/:id/photos',
   auth(),
   requireSubscriptionOrTrial,
+  requireInspectionAccess('edit'),
   upload.array('photos'),
   validate(inspectionValidation.uploadPhotos),
   photoController.uploadPhotos
@@ -49,6 +352,7 @@ router.post(
   auth(),
   requireSubscriptionOrTrial,
   validate(inspectionValidation.getUploadUrls),
+  requireInspectionAccess('edit'),
   photoController.getUploadUrls
 );
 
@@ -58,13 +362,26 @@ router.post(
   auth(),
   requireSubscriptionOrTrial,
   validate(inspectionValidation.registerPhotos),
+  requireInspectionAccess('edit'),
   photoController.registerPhotos
 );
 
-// Get all photo URLs for an inspection
+// Presigned URL flow - Step 2 for walkthrough videos: register and extract keyframes
+router.post(
+  '/:id/videos/register',
+  auth(),
+  requireSubscriptionOrTrial,
+  validate(inspectionValidation.registerVideos),
+  requireInspectionAccess('edit'),
+  photoController.registerVideos
+);
+
+// Get all photo URLs for an inspection (size: original | thumbnail | medium | pdf)
 router.get(
   '/:id/photos/urls',
   auth(),
+  validate(inspectionValidation.getAllPhotoUrls),
+  requireInspectionAccess('read'),
   photoController.getAllPhotoUrls
 );
 
@@ -72,7 +389,27 @@ router.get(
 router.get(
   '/:id/photos/:photoId/url',
   auth(),
+  validate(inspectionValidation.getPhotoUrl),
+  requireInspectionAccess('read'),
   photoController.getPhotoUrl
 );
 
+// Move photos into another room
+router.post(
+  '/:id/photos/move',
+  auth(),
+  validate(inspectionValidation.movePhotos),
+  requireInspectionAccess('edit'),
+  photoController.movePhotos
+);
+
+// Delete a photo with its stored original and derivatives
+router.delete(
+  '/:id/photos/:photoId',
+  auth(),
+  validate(inspectionValidation.deletePhoto),
+  requireInspectionAccess('edit'),
+  photoController.deletePhoto
+);
+
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { issueController } = require('../../controllers');
+const { issueValidation } = require('../../validations');
+const { requireInspectionAccess, issueInspection } = require('../../middlewares/inspectionAccess');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(auth(), validate(issueValidation.listIssues), issueController.listIssues)
+  .post(
+    auth('manageIssues'),
+    validate(issueValidation.createIssue),
+    requireInspectionAccess('read', (req) => req.body.inspectionId),
+    issueController.createIssue
+  );
+
+// Create issues for embedded photo issues recorded before the Issue collection existed.
+// It walks every inspection of the organization, so only admins may start it.
+router.post('/backfill', auth('backfillIssues'), issueController.backfillIssues);
+
+router
+  .route('/:issueId')
+  .get(
+    auth(),
+    validate(issueValidation.getIssue),
+    requireInspectionAccess('read', issueInspection),
+    issueController.getIssue
+  )
+  .patch(
+    auth('manageIssues'),
+    validate(issueValidation.updateIssue),
+    requireInspectionAccess('read', issueInspection),
+    issueController.updateIssue
+  )
+  .delete(
+    auth('manageIssues'),
+    validate(issueValidation.deleteIssue),
+    requireInspectionAccess('read', issueInspection),
+    issueController.deleteIssue
+  );
+
+module.exports = router;
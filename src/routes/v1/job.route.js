@@ -3,6 +3,7 @@ const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const { jobController } = require('../../controllers');
 const { jobValidation } = require('../../validations');
+const { requireInspectionAccess, jobInspection } = require('../../middlewares/inspectionAccess');
 
 const router = express.Router({ mergeParams: true });
 
@@ -11,12 +12,22 @@ router.get('/queue-status', auth('manageUsers'), jobController.getQueueStatus);
 
 router
   .route('/inspection/:inspectionId')
-  .get(auth(), validate(jobValidation.listInspectionJobs), jobController.listInspectionJobs)
-  .post(auth(), validate(jobValidation.createJob), jobController.createJob);
+  .get(
+    auth(),
+    validate(jobValidation.listInspectionJobs),
+    requireInspectionAccess('read', 'inspectionId'),
+    jobController.listInspectionJobs
+  )
+  .post(auth(), validate(jobValidation.createJob), requireInspectionAccess('edit', 'inspectionId'), jobController.createJob);
 
 router
   .route('/:jobId')
-  .get(auth(), validate(jobValidation.getJob), jobController.getJob)
-  .patch(auth(), validate(jobValidation.updateJob), jobController.updateJob);
+  .get(auth(), validate(jobValidation.getJob), requireInspectionAccess('read', jobInspection), jobController.getJob)
+  .patch(
+    auth(),
+    validate(jobValidation.updateJob),
+    requireInspectionAccess('write', jobInspection),
+    jobController.updateJob
+  );
 
 module.exports = router;
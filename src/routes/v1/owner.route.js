@@ -0,0 +1,24 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { ownerController } = require('../../controllers');
+const { ownerValidation } = require('../../validations');
+
+const router = express.Router();
+
+// Owners and landlords, with the issue counts and last inspection of what they own
+router
+  .route('/')
+  .get(auth(), ownerController.listOwners)
+  .post(auth('manageInspections'), validate(ownerValidation.createOwner), ownerController.createOwner);
+
+router
+  .route('/:ownerId')
+  .get(auth(), validate(ownerValidation.getOwner), ownerController.getOwner)
+  .patch(auth('manageInspections'), validate(ownerValidation.updateOwner), ownerController.updateOwner)
+  .delete(auth('manageInspections'), validate(ownerValidation.deleteOwner), ownerController.deleteOwner);
+
+// Buildings with their units and common areas, and standalone properties, each with its rollup
+router.get('/:ownerId/portfolio', auth(), validate(ownerValidation.getOwnerPortfolio), ownerController.getOwnerPortfolio);
+
+module.exports = router;
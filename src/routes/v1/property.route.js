@@ -3,12 +3,13 @@ const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const propertyController = require('../../controllers/property.controller');
 const propertyValidation = require('../../validations/property.validation');
+const { floorPlanUpload } = require('../../middlewares/upload');
 
 const router = express.Router();
 
 router
   .route('/')
-  .get(auth(), propertyController.listProperties)
+  .get(auth(), validate(propertyValidation.listProperties), propertyController.listProperties)
   .post(auth(), validate(propertyValidation.createProperty), propertyController.createProperty);
 
 router
@@ -16,4 +17,51 @@ router
   .get(auth(), propertyController.getProperty)
   .patch(auth(), validate(propertyValidation.updateProperty), propertyController.updateProperty);
 
+// The owner and building of the property, with the building's units and common areas and their rollups
+router.get('/:id/hierarchy', auth(), validate(propertyValidation.getHierarchy), propertyController.getHierarchy);
+
+// Recurring inspection schedules
+router
+  .route('/:id/schedules')
+  .get(auth(), validate(propertyValidation.listSchedules), propertyController.listSchedules)
+  .post(auth('manageInspections'), validate(propertyValidation.createSchedule), propertyController.createSchedule);
+
+router
+  .route('/:id/schedules/:scheduleId')
+  .patch(auth('manageInspections'), validate(propertyValidation.updateSchedule), propertyController.updateSchedule)
+  .delete(auth('manageInspections'), validate(propertyValidation.deleteSchedule), propertyController.deleteSchedule);
+
+// Coordinates photos are verified against: entered, or looked up in the address gazetteer
+router
+  .route('/:id/location')
+  .put(auth('manageInspections'), validate(propertyValidation.setLocation), propertyController.setLocation)
+  .delete(auth('manageInspections'), validate(propertyValidation.clearLocation), propertyController.clearLocation);
+
+router.post(
+  '/:id/location/lookup',
+  auth('manageInspections'),
+  validate(propertyValidation.lookupLocation),
+  propertyController.lookupLocation
+);
+
+// Floor plans (an image or PDF, multipart field "file"); rooms and photos are pinned to them on the inspection routes
+router
+  .route('/:id/floor-plans')
+  .get(auth(), validate(propertyValidation.listFloorPlans), propertyController.listFloorPlans)
+  .post(
+    auth('manageInspections'),
+    floorPlanUpload.single('file'),
+    validate(propertyValidation.addFloorPlan),
+    propertyController.addFloorPlan
+  );
+
+router
+  .route('/:id/floor-plans/:floorPlanId')
+  .get(auth(), validate(propertyValidation.getFloorPlan), propertyController.getFloorPlan)
+  .patch(auth('manageInspections'), validate(propertyValidation.updateFloorPlan), propertyController.updateFloorPlan)
+  .delete(auth('manageInspections'), validate(propertyValidation.deleteFloorPlan), propertyController.deleteFloorPlan);
+
+// Reading history of the property's utility meters, with the usage between inspections
+router.get('/:id/meter-readings', auth(), validate(propertyValidation.getMeterHistory), propertyController.getMeterHistory);
+
 module.exports = router;
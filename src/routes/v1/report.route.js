@@ -2,8 +2,10 @@ const express = require('express');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const reportController = require('../../controllers/report.controller');
+const signatureController = require('../../controllers/signature.controller');
 const reportValidation = require('../../validations/report.validation');
 const { requireSubscriptionOrTrial } = require('../../middlewares/subscriptionGate');
+const { requireInspectionAccess, reportInspection } = require('../../middlewares/inspectionAccess');
 
 const router = express.Router();
 
@@ -26,8 +28,18 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *         description: Items per page
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ *         description: Only reports on properties of this owner
+ *       - in: query
+ *         name: buildingId
+ *         schema:
+ *           type: string
+ *         description: Only reports on this building and its units and common areas
  */
-router.get('/', auth(), reportController.listReports);
+router.get('/', auth(), validate(reportValidation.listReports), reportController.listReports);
 
 /**
  * @swagger
@@ -38,7 +50,12 @@ router.get('/', auth(), reportController.listReports);
  *     security:
  *       - bearerAuth: []
  */
-router.get('/inspection/:inspectionId', auth(), reportController.getReportByInspection);
+router.get(
+  '/inspection/:inspectionId',
+  auth(),
+  requireInspectionAccess('read', 'inspectionId'),
+  reportController.getReportByInspection
+);
 
 /**
  * @swagger
@@ -52,6 +69,7 @@ router.get('/inspection/:inspectionId', auth(), reportController.getReportByInsp
 router.post(
   '/inspection/:inspectionId',
   auth(),
+  requireInspectionAccess('write', 'inspectionId'),
   requireSubscriptionOrTrial,
   validate(reportValidation.generateReport),
   reportController.createReport
@@ -66,7 +84,12 @@ router.post(
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:reportId/download', auth(), reportController.downloadReportPDF);
+router.get(
+  '/:reportId/download',
+  auth(),
+  requireInspectionAccess('read', reportInspection),
+  reportController.downloadReportPDF
+);
 
 /**
  * @swagger
@@ -81,6 +104,7 @@ router.get('/:reportId/download', auth(), reportController.downloadReportPDF);
 router.post(
   '/:reportId/generate-pdf',
   auth(),
+  requireInspectionAccess('write', reportInspection),
   requireSubscriptionOrTrial,
   reportController.generateReportPDF
 );
@@ -94,6 +118,85 @@ router.post(
  *     security:
  *       - bearerAuth: []
  */
-router.get('/:reportId/preview', auth(), reportController.previewReportPDF);
+router.get(
+  '/:reportId/preview',
+  auth(),
+  requireInspectionAccess('read', reportInspection),
+  reportController.previewReportPDF
+);
+
+/**
+ * @swagger
+ * /reports/{reportId}/signatures:
+ *   post:
+ *     summary: Send signing links for a report version to the named parties
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *   get:
+ *     summary: Get signing status, with the signed PDF once every party has signed
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Cancel a signing in progress
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router
+  .route('/:reportId/signatures')
+  .post(
+    auth(),
+    requireInspectionAccess('write', reportInspection),
+    validate(reportValidation.requestSignatures),
+    signatureController.requestSignatures
+  )
+  .get(
+    auth(),
+    requireInspectionAccess('read', reportInspection),
+    validate(reportValidation.signingVersion),
+    signatureController.getSigningStatus
+  )
+  .delete(
+    auth(),
+    requireInspectionAccess('write', reportInspection),
+    validate(reportValidation.signingVersion),
+    signatureController.cancelSigning
+  );
+
+/**
+ * @swagger
+ * /reports/{reportId}/signatures/parties/{partyId}/resend:
+ *   post:
+ *     summary: Send a party a new signing link
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  '/:reportId/signatures/parties/:partyId/resend',
+  auth(),
+  requireInspectionAccess('write', reportInspection),
+  validate(reportValidation.resendSigningLink),
+  signatureController.resendSigningLink
+);
+
+/**
+ * @swagger
+ * /reports/{reportId}/signatures/seal:
+ *   post:
+ *     summary: Retry rendering the signed PDF once every party has signed
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post(
+  '/:reportId/signatures/seal',
+  auth(),
+  requireInspectionAccess('write', reportInspection),
+  validate(reportValidation.sealSignedReport),
+  signatureController.sealSignedReport
+);
 
 module.exports = router;
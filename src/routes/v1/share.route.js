@@ -0,0 +1,20 @@
+const express = require('express');
+const validate = require('../../middlewares/validate');
+const { tenantReviewController } = require('../../controllers');
+const { tenantReviewValidation } = require('../../validations');
+
+const router = express.Router();
+
+// Public: tenants authenticate with the inspection share link token
+
+router.get('/:token', validate(tenantReviewValidation.getReviewPortal), tenantReviewController.getReviewPortal);
+
+router.post(
+  '/:token/counter-photos/upload-urls',
+  validate(tenantReviewValidation.createCounterPhotoUploads),
+  tenantReviewController.createCounterPhotoUploads
+);
+
+router.put('/:token/responses', validate(tenantReviewValidation.submitResponses), tenantReviewController.submitResponses);
+
+module.exports = router;
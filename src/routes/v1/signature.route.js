@@ -0,0 +1,17 @@
+const express = require('express');
+const validate = require('../../middlewares/validate');
+const { signatureController } = require('../../controllers');
+const { reportValidation } = require('../../validations');
+
+const router = express.Router();
+
+// Public: signers authenticate with the link token, anyone can verify a signed copy
+
+router.get('/verify/:sha256', validate(reportValidation.verifySignedReport), signatureController.verifySignedReport);
+
+router
+  .route('/:token')
+  .get(validate(reportValidation.signingToken), signatureController.getSigningSession)
+  .post(validate(reportValidation.signReport), signatureController.signReport);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { syncController } = require('../../controllers');
+const { syncValidation } = require('../../validations');
+
+const router = express.Router();
+
+// Apply a batch of offline mutations and pull the inspections changed since the last sync
+router.post('/', auth(), validate(syncValidation.sync), syncController.sync);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { webhookController } = require('../../controllers');
+const { webhookValidation } = require('../../validations');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(auth('manageWebhooks'), webhookController.listWebhooks)
+  .post(auth('manageWebhooks'), validate(webhookValidation.createWebhook), webhookController.createWebhook);
+
+router
+  .route('/:webhookId')
+  .patch(auth('manageWebhooks'), validate(webhookValidation.updateWebhook), webhookController.updateWebhook)
+  .delete(auth('manageWebhooks'), validate(webhookValidation.deleteWebhook), webhookController.deleteWebhook);
+
+module.exports = router;
@@ -56,6 +56,7 @@
  * @property {string} [description] - Section description
  * @property {number} order - Display order
  * @property {boolean} [repeatable] - Whether section can repeat
+ * @property {'inventory'} [type] - Filled from inspection data rather than by the AI; inventory lists every room's furnished inventory
  * @property {SchemaField[]} fields - Section fields
  */
 
@@ -10,6 +10,7 @@
 const httpStatus = require('http-status');
 const geminiService = require('./gemini.service');
 const logger = require('../../config/logger');
+const { INVENTORY_SECTION_TYPE } = require('../../config/inventory');
 const ApiError = require('../../utils/ApiError');
 
 /**
@@ -39,6 +40,7 @@ Generate a complete report with:
 For each schema section:
 - If the section is repeatable or layout.type is "table", return a "rows" array of objects keyed by the schema field keys.
 - Otherwise return a "data" object keyed by the schema field keys.
+- Sections with "type": "inventory" are filled from the rooms' inventory data; return them with an empty "rows" array.
 
 Return ONLY valid JSON matching the schema structure with all sections filled in.`;
 
@@ -97,9 +99,10 @@ Write a professional 2-3 paragraph executive summary that:
  * @param {Array} params.rooms - Room data with photos and issues
  * @param {string} [params.agentNotes] - Additional inspector notes
  * @param {string} [params.organizationName] - Organization name for branding
+ * @param {Object} [params.costSummary] - Estimated repair cost totals (costEstimate.getInspectionCostSummary)
  * @returns {Promise<Object>}
  */
-const generateReport = async ({ schema, propertyData, rooms, agentNotes, organizationName }) => {
+const generateReport = async ({ schema, propertyData, rooms, agentNotes, organizationName, costSummary }) => {
   if (!schema || !propertyData || !rooms) {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Schema, propertyData, and rooms are required');
   }
@@ -120,28 +123,67 @@ const generateReport = async ({ schema, propertyData, rooms, agentNotes, organiz
   const result = await geminiService.generateJSON({ prompt });
 
   // Post-process and validate
-  const processedReport = await postProcessReport(result, schema, rooms, organizationName);
+  const processedReport = await postProcessReport(result, schema, rooms, organizationName, costSummary);
 
   logger.info({ sectionCount: processedReport.sections?.length }, 'Report generated successfully');
 
   return processedReport;
 };
 
+/**
+ * Field keys of inventory sections, matched to the inventory value they show
+ */
+const INVENTORY_FIELD_KEYS = {
+  room: ['room', 'room_name', 'location', 'area'],
+  item: ['item', 'item_name', 'name', 'description', 'item_description'],
+  quantity: ['quantity', 'qty', 'count'],
+  condition: ['condition', 'condition_rating', 'state'],
+  notes: ['notes', 'comments', 'remarks'],
+};
+
+/**
+ * Table rows of an inventory section, one per item of every room
+ * @param {Object} schemaSection - Section with type inventory
+ * @param {Array} rooms - Room data with inventory
+ * @returns {Object[]} Rows keyed by the section's field keys
+ */
+const buildInventoryRows = (schemaSection, rooms) => {
+  const fields = schemaSection.fields || [];
+  return rooms.flatMap((room) =>
+    (room.inventory || []).map((item) => {
+      const values = {
+        room: room.name,
+        item: item.name,
+        quantity: item.quantity,
+        condition: item.condition,
+        notes: item.notes || '',
+      };
+      return fields.reduce((row, field) => {
+        const source = Object.keys(INVENTORY_FIELD_KEYS).find((key) => INVENTORY_FIELD_KEYS[key].includes(field.key));
+        return source ? { ...row, [field.key]: values[source] } : row;
+      }, {});
+    })
+  );
+};
+
 /**
  * Post-process a generated report
  * @param {Object} rawReport - Raw generated report
  * @param {Object} schema - Original schema
  * @param {Array} rooms - Room data
  * @param {string} [organizationName] - Organization name
+ * @param {Object} [costSummary] - Estimated repair cost totals
  * @returns {Promise<Object>}
  */
-const postProcessReport = async (rawReport, schema, rooms, organizationName) => {
+const postProcessReport = async (rawReport, schema, rooms, organizationName, costSummary) => {
   // Ensure all schema sections are present
   const processedSections = schema.sections.map((schemaSection) => {
     const generatedSection = rawReport.sections?.find(
       (s) => s.id === schemaSection.id || s.name === schemaSection.name
     );
-    const isTable = Boolean(schemaSection.repeatable) || schemaSection.layout?.type === 'table';
+    const isInventory = schemaSection.type === INVENTORY_SECTION_TYPE;
+    const isTable = Boolean(schemaSection.repeatable) || schemaSection.layout?.type === 'table' || isInventory;
+    const generatedRows = isTable && Array.isArray(generatedSection?.rows) ? generatedSection.rows : [];
 
     return {
       sectionId: schemaSection.id,
@@ -150,8 +192,9 @@ const postProcessReport = async (rawReport, schema, rooms, organizationName) =>
       order: schemaSection.order,
       repeatable: Boolean(schemaSection.repeatable),
       fields: schemaSection.fields || [],
-      layout: schemaSection.layout,
-      rows: isTable && Array.isArray(generatedSection?.rows) ? generatedSection.rows : [],
+      type: schemaSection.type,
+      layout: isInventory ? { ...schemaSection.layout, type: 'table' } : schemaSection.layout,
+      rows: isInventory ? buildInventoryRows(schemaSection, rooms) : generatedRows,
       data: isTable ? {} : generatedSection?.data || {},
       aiNarrative: generatedSection?.aiNarrative || generatedSection?.narrative || '',
     };
@@ -200,6 +243,7 @@ const postProcessReport = async (rawReport, schema, rooms, organizationName) =>
       mediumPriorityIssues: mediumPriorityIssues.length,
       lowPriorityIssues: allIssues.filter((i) => i.severity === 'low').length,
     },
+    costSummary: costSummary || null,
     priorityIssues: highPriorityIssues.slice(0, 5).map((issue) => ({
       label: issue.label,
       description: issue.description,
@@ -357,6 +401,7 @@ const generateDefaultSummary = (overallCondition, totalIssues) =>
 
 module.exports = {
   generateReport,
+  buildInventoryRows,
   generateExecutiveSummary,
   generateSectionNarrative,
   generateRoomReport,
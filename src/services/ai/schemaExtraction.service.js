@@ -15,6 +15,7 @@ const httpStatus = require('http-status');
 const { pdf } = require('pdf-to-img');
 const geminiService = require('./gemini.service');
 const logger = require('../../config/logger');
+const { INVENTORY_SECTION_TYPE, inventorySectionFields } = require('../../config/inventory');
 const ApiError = require('../../utils/ApiError');
 
 /**
@@ -34,6 +35,7 @@ Return ONLY valid JSON with the following structure:
       "description": "What this section contains",
       "order": 1,
       "repeatable": false,
+      "type": "inventory (only for furnished inventory lists, otherwise omit)",
       "layout": {
         "type": "table|list",
         "columns": [
@@ -80,6 +82,7 @@ Guidelines:
   - "condition_rating" for condition assessments
   - "signature" for signature fields
 - If a section is displayed as a table, include layout.type = "table" and define columns in the exact order shown in the document.
+- Set "type": "inventory" on a section listing the furnished inventory (items with quantity and condition), with field keys "room", "item", "quantity", "condition" and "notes" where the document has them.
 - Provide column widths as decimals that sum to 1.0 (e.g., 0.25, 0.25, 0.3, 0.2).
 - Extract any visible styling (colors, fonts) from the document
 - Set confidence based on how clear the structure is
@@ -207,6 +210,15 @@ const validateAndNormalizeSchema = (rawSchema) => {
       section.repeatable = false;
     }
 
+    // Inventory sections are filled from the inspection's inventory and get its columns when none are given
+    if (section.type !== undefined && section.type !== INVENTORY_SECTION_TYPE) {
+      warnings.push(`Unknown type "${section.type}" for section "${section.name}", ignoring it`);
+      delete section.type;
+    }
+    if (section.type === INVENTORY_SECTION_TYPE && (!Array.isArray(section.fields) || section.fields.length === 0)) {
+      section.fields = inventorySectionFields.map((field) => ({ ...field }));
+    }
+
     // Normalize fields
     if (!section.fields || !Array.isArray(section.fields)) {
       section.fields = [];
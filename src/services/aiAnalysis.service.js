@@ -1,11 +1,13 @@
+const { applyCostEstimates, totalIssueCosts } = require('./costEstimate.service');
+
 const defaultIssueCatalogue = {
-  scuff: { label: 'Scuff mark', severity: 'low', confidence: 0.85 },
-  crack: { label: 'Crack detected', severity: 'high', confidence: 0.92 },
-  mould: { label: 'Possible mould', severity: 'medium', confidence: 0.88 },
+  scuff: { label: 'Scuff mark', severity: 'low', category: 'cosmetic', confidence: 0.85 },
+  crack: { label: 'Crack detected', severity: 'high', category: 'structural', confidence: 0.92 },
+  mould: { label: 'Possible mould', severity: 'medium', category: 'safety', confidence: 0.88 },
 };
 
-const generateRoomAnalysis = async ({ roomName, observations = [], existingIssues = [] }) => {
-  const issues = [...existingIssues];
+const generateRoomAnalysis = async ({ roomName, observations = [], existingIssues = [], costCatalogue }) => {
+  let issues = [...existingIssues];
 
   observations.forEach((obs) => {
     const key = obs.toLowerCase();
@@ -25,6 +27,10 @@ const generateRoomAnalysis = async ({ roomName, observations = [], existingIssue
   else if (severityScore > 3) condition = 'fair';
   else if (severityScore > 1) condition = 'good';
 
+  if (costCatalogue) {
+    issues = applyCostEstimates({ catalogue: costCatalogue, issues });
+  }
+
   const actions = issues.map((issue) => `Investigate ${issue.label.toLowerCase()}`);
 
   const summary =
@@ -37,6 +43,7 @@ const generateRoomAnalysis = async ({ roomName, observations = [], existingIssue
     actions,
     conditionRating: condition,
     issues,
+    estimatedCost: costCatalogue ? totalIssueCosts(costCatalogue, issues) : undefined,
   };
 };
 
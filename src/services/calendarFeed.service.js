@@ -0,0 +1,278 @@
+/**
+ * Calendar Feed Service
+ *
+ * Read-only iCalendar (.ics) subscriptions of upcoming inspections. Each feed
+ * belongs to a user and is addressed by a secret token, so calendar apps can
+ * poll it without signing in. Feeds are rendered from the live inspection
+ * data on every request: rescheduled inspections move, and inspections that
+ * are unscheduled or archived drop out of the feed on the next refresh.
+ *
+ * @module services/calendarFeed
+ */
+
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const CalendarFeed = require('../models/calendarFeed.model');
+const { Inspection } = require('../models/inspection.model');
+const User = require('../models/user.model');
+const { roleRights } = require('../config/roles');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const { calendarFeedScopes, calendarFeedRights } = require('../config/calendarFeeds');
+const emailService = require('./email.service');
+const { buildAssigneeFilter } = require('./inspectionAccess.service');
+const ApiError = require('../utils/ApiError');
+const formatAddress = require('../utils/formatAddress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Statuses of inspections shown in feeds */
+const FEED_STATUSES = [inspectionStatuses.SCHEDULED, inspectionStatuses.IN_PROGRESS];
+
+/** Inspections that started up to this many days ago stay in the feed */
+const PAST_DAYS = 7;
+
+const EVENT_DURATION_MINUTES = 60;
+const MAX_EVENTS = 500;
+
+/** Longest content line allowed by RFC 5545, in octets, excluding the CRLF */
+const MAX_LINE_OCTETS = 75;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const canHoldScope = (role, scope) => {
+  const right = calendarFeedRights[scope];
+  return !right || (roleRights.get(role) || []).includes(right);
+};
+
+const toFeedResponse = (feed) => {
+  const { tokenHash, ...rest } = feed;
+  return rest;
+};
+
+/**
+ * Create a feed for the acting user. The token is only returned here.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.scope - inspector | organization
+ * @param {string} [params.name]
+ * @returns {Promise<Object>} Feed with its `token`
+ */
+const createFeed = async ({ organizationId, user, scope, name }) => {
+  if (!canHoldScope(user.role, scope)) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not allowed to subscribe to the organization calendar');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const feed = await CalendarFeed.create({
+    organizationId,
+    userId: user.id || user._id,
+    scope,
+    name,
+    tokenHash: hashToken(token),
+  });
+
+  return { ...toFeedResponse(feed.toObject()), token };
+};
+
+/**
+ * Active feeds of a user
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.userId
+ * @returns {Promise<Object[]>}
+ */
+const listFeeds = async ({ organizationId, userId }) =>
+  CalendarFeed.find({ organizationId, userId, revokedAt: null }).sort({ createdAt: -1 }).lean();
+
+/**
+ * Revoke one of the user's feeds; its URL stops working immediately
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.userId
+ * @param {string} params.feedId
+ * @returns {Promise<void>}
+ */
+const revokeFeed = async ({ organizationId, userId, feedId }) => {
+  const result = await CalendarFeed.updateOne(
+    { _id: feedId, organizationId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!result.n) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Calendar feed not found');
+  }
+};
+
+/**
+ * Find the active feed of a token. Feeds of users who left the organization
+ * or lost the right the scope needs are treated as revoked.
+ * @param {string} token
+ * @returns {Promise<Object>}
+ */
+const resolveFeed = async (token) => {
+  const feed = await CalendarFeed.findOne({ tokenHash: hashToken(token), revokedAt: null }).lean();
+  const user = feed && (await User.findOne({ _id: feed.userId, organizationId: feed.organizationId }).select('role').lean());
+
+  if (!feed || !user || !canHoldScope(user.role, feed.scope)) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Calendar feed not found');
+  }
+
+  return feed;
+};
+
+/**
+ * Inspections listed in a feed
+ * @param {Object} feed
+ * @param {Date} now
+ * @returns {Promise<Object[]>}
+ */
+const listFeedInspections = async (feed, now) => {
+  const filter = {
+    organizationId: feed.organizationId,
+    status: { $in: FEED_STATUSES },
+    scheduledFor: { $gte: new Date(now.getTime() - PAST_DAYS * DAY_MS) },
+  };
+  if (feed.scope === calendarFeedScopes.INSPECTOR) {
+    Object.assign(filter, buildAssigneeFilter(feed.userId));
+  }
+
+  return Inspection.find(filter)
+    .select('propertyId inspectorId status scheduledFor updatedAt')
+    .populate('propertyId', 'name address')
+    .populate('inspectorId', 'name')
+    .sort({ scheduledFor: 1 })
+    .limit(MAX_EVENTS)
+    .lean();
+};
+
+/**
+ * UTC date-time in iCalendar form, e.g. 20260301T093000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatICalDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) =>
+  String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line longer than 75 octets onto continuation lines, without
+ * splitting multi-byte characters
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const chunks = [''];
+  Array.from(line).forEach((char) => {
+    const current = chunks[chunks.length - 1];
+    // Continuation lines start with a space, which counts towards their length
+    const limit = chunks.length === 1 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(char);
+    } else {
+      chunks[chunks.length - 1] = current + char;
+    }
+  });
+  return chunks.join('\r\n ');
+};
+
+/**
+ * VEVENT lines of an inspection
+ * @param {Object} inspection - Inspection with populated propertyId and inspectorId
+ * @param {Date} now
+ * @returns {string[]}
+ */
+const buildInspectionEvent = (inspection, now) => {
+  const property = inspection.propertyId || {};
+  const start = new Date(inspection.scheduledFor);
+  const end = new Date(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+  const url = emailService.buildFrontendUrl(`/inspections/${inspection._id}`);
+  const description = [
+    inspection.inspectorId && inspection.inspectorId.name ? `Inspector: ${inspection.inspectorId.name}` : null,
+    `Open in Sitewise: ${url}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:inspection-${inspection._id}@sitewise`,
+    `DTSTAMP:${formatICalDate(now)}`,
+    `LAST-MODIFIED:${formatICalDate(inspection.updatedAt || now)}`,
+    `DTSTART:${formatICalDate(start)}`,
+    `DTEND:${formatICalDate(end)}`,
+    `SUMMARY:${escapeText(`Inspection: ${property.name || 'Property'}`)}`,
+    `LOCATION:${escapeText(formatAddress(property.address))}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${url}`,
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+  ];
+};
+
+/**
+ * Render inspections as an iCalendar document
+ * @param {Object} params
+ * @param {string} params.name - Calendar name shown by calendar apps
+ * @param {Object[]} params.inspections
+ * @param {Date} [params.now]
+ * @returns {string}
+ */
+const buildCalendar = ({ name, inspections, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Sitewise//Inspections//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...inspections.flatMap((inspection) => buildInspectionEvent(inspection, now)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Render the calendar of a feed token and record the access
+ * @param {Object} params
+ * @param {string} params.token
+ * @returns {Promise<string>}
+ */
+const getFeedCalendar = async ({ token }) => {
+  const feed = await resolveFeed(token);
+  const now = new Date();
+
+  const [inspections] = await Promise.all([
+    listFeedInspections(feed, now),
+    CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: now } }),
+  ]);
+
+  const defaultName = feed.scope === calendarFeedScopes.ORGANIZATION ? 'Sitewise inspections' : 'My Sitewise inspections';
+  return buildCalendar({ name: feed.name || defaultName, inspections, now });
+};
+
+module.exports = {
+  hashToken,
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  getFeedCalendar,
+  escapeText,
+  foldLine,
+  buildCalendar,
+};
@@ -0,0 +1,472 @@
+/**
+ * Compliance Service
+ *
+ * Jurisdiction-specific compliance checklists (smoke alarms, pool barriers,
+ * window safety devices, minimum rental standards) defined as versioned rule
+ * packs in config/compliancePacks. An inspection is checked against the pack
+ * chosen for it, the pack chosen for its property, or the pack for the
+ * property address state and country. The pack and version are pinned on the
+ * inspection when the first item is recorded, so later pack versions do not
+ * change what an inspection was checked against.
+ *
+ * @module services/compliance
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const { lockedInspectionStatuses } = require('../config/inspectionLifecycle');
+const {
+  complianceItemStatuses,
+  complianceEnforcement,
+  complianceSelections,
+  complianceOutcomes,
+  jurisdictionAliases,
+  compliancePacks,
+} = require('../config/compliancePacks');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const STATUS_LABELS = {
+  [complianceItemStatuses.PENDING]: 'Not checked',
+  [complianceItemStatuses.PASS]: 'Pass',
+  [complianceItemStatuses.FAIL]: 'Fail',
+  [complianceItemStatuses.NOT_APPLICABLE]: 'N/A',
+};
+
+const OUTCOME_LABELS = {
+  [complianceOutcomes.COMPLIANT]: 'Compliant',
+  [complianceOutcomes.NON_COMPLIANT]: 'Non-compliant',
+  [complianceOutcomes.INCOMPLETE]: 'Incomplete',
+};
+
+/**
+ * Country and state codes of an address, as packs are defined
+ * @param {Object} [address] - Property address
+ * @returns {{country: string|null, state: string|null}}
+ */
+const normalizeJurisdiction = (address) => {
+  const key = (value) =>
+    String(value || '')
+      .trim()
+      .toLowerCase();
+  return {
+    country: (address && jurisdictionAliases.countries[key(address.country)]) || null,
+    state: (address && jurisdictionAliases.states[key(address.state)]) || null,
+  };
+};
+
+/**
+ * Versions of a pack in effect at a date, latest first
+ * @param {string} packId
+ * @param {Date} [at]
+ * @returns {Object[]}
+ */
+const getEffectiveVersions = (packId, at = new Date()) =>
+  compliancePacks
+    .filter((pack) => pack.id === packId && new Date(pack.effectiveFrom) <= at)
+    .sort((a, b) => b.version - a.version);
+
+/**
+ * A pack by id, at the given version or the latest version in effect
+ * @param {string} packId
+ * @param {number} [version]
+ * @returns {Object|null}
+ */
+const findPack = (packId, version) => {
+  if (version) {
+    return compliancePacks.find((pack) => pack.id === packId && pack.version === Number(version)) || null;
+  }
+  return getEffectiveVersions(packId)[0] || null;
+};
+
+const appliesTo = (pack, { country, state }) =>
+  pack.jurisdiction.country === country && (!pack.jurisdiction.state || pack.jurisdiction.state === state);
+
+/**
+ * Pack for a property address: the state pack, or the country-wide pack
+ * @param {Object} [address]
+ * @returns {Object|null}
+ */
+const getDefaultPack = (address) => {
+  const jurisdiction = normalizeJurisdiction(address);
+  if (!jurisdiction.country) return null;
+  const packIds = [...new Set(compliancePacks.map((pack) => pack.id))];
+  const candidates = packIds.map((packId) => findPack(packId)).filter((pack) => pack && appliesTo(pack, jurisdiction));
+  return candidates.find((pack) => pack.jurisdiction.state) || candidates[0] || null;
+};
+
+/**
+ * @param {Object} pack
+ * @returns {Object} Pack definition with the other versions available
+ */
+const summarizePack = (pack) => ({
+  id: pack.id,
+  version: pack.version,
+  name: pack.name,
+  jurisdiction: pack.jurisdiction,
+  effectiveFrom: pack.effectiveFrom,
+  enforcement: pack.enforcement,
+  versions: compliancePacks
+    .filter((candidate) => candidate.id === pack.id)
+    .map((candidate) => candidate.version)
+    .sort((a, b) => a - b),
+  items: pack.items,
+});
+
+/**
+ * Latest version in effect of every pack, optionally only those for a jurisdiction
+ * @param {Object} [filter]
+ * @param {string} [filter.country] - Country name or code
+ * @param {string} [filter.state] - State name or code
+ * @returns {Object[]}
+ */
+const listPacks = ({ country, state } = {}) => {
+  const jurisdiction = normalizeJurisdiction({ country, state });
+  return [...new Set(compliancePacks.map((pack) => pack.id))]
+    .map((packId) => findPack(packId))
+    .filter((pack) => pack && (!country || appliesTo(pack, jurisdiction)))
+    .map(summarizePack);
+};
+
+/**
+ * A pack with the versions available
+ * @param {Object} params
+ * @param {string} params.packId
+ * @param {number} [params.version] - Defaults to the latest version in effect
+ * @returns {Object}
+ */
+const getPack = ({ packId, version }) => {
+  const pack = findPack(packId, version);
+  if (!pack) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Compliance pack not found');
+  }
+  return summarizePack(pack);
+};
+
+/**
+ * Pack an inspection is checked against
+ * @param {Object} params
+ * @param {Object} [params.compliance] - Compliance pinned on the inspection
+ * @param {Object} [params.property] - Property with address and compliancePackId
+ * @returns {{pack: Object|null, selection: string|null}}
+ */
+const resolvePack = ({ compliance, property }) => {
+  if (compliance && compliance.packId) {
+    return { pack: findPack(compliance.packId, compliance.version), selection: compliance.selection };
+  }
+  const selectedPack = property && property.compliancePackId ? findPack(property.compliancePackId) : null;
+  if (selectedPack) {
+    return { pack: selectedPack, selection: complianceSelections.PROPERTY };
+  }
+  const defaultPack = getDefaultPack(property && property.address);
+  return { pack: defaultPack, selection: defaultPack ? complianceSelections.ADDRESS : null };
+};
+
+/**
+ * Check recorded items against a pack
+ * @param {Object} pack
+ * @param {Object[]} [records] - Recorded items of the inspection
+ * @returns {{outcome: string, items: Object[], missing: Object[], failed: Object[]}}
+ */
+const evaluateCompliance = (pack, records = []) => {
+  const items = pack.items.map((definition) => {
+    const record = records.find((candidate) => candidate.key === definition.key) || {};
+    return {
+      ...definition,
+      status: record.status || complianceItemStatuses.PENDING,
+      photoIds: record.photoIds || [],
+      notes: record.notes,
+      checkedBy: record.checkedBy,
+      checkedAt: record.checkedAt,
+    };
+  });
+
+  const missing = items
+    .filter((item) => item.mandatory)
+    .map((item) => {
+      if (item.status === complianceItemStatuses.PENDING) return { key: item.key, label: item.label, reason: 'not_checked' };
+      if (item.status === complianceItemStatuses.PASS && item.photoIds.length < item.evidencePhotos) {
+        return { key: item.key, label: item.label, reason: 'evidence_missing', evidencePhotos: item.evidencePhotos };
+      }
+      return null;
+    })
+    .filter(Boolean);
+  const failed = items
+    .filter((item) => item.status === complianceItemStatuses.FAIL)
+    .map((item) => ({ key: item.key, label: item.label, mandatory: item.mandatory }));
+
+  let outcome = complianceOutcomes.COMPLIANT;
+  if (failed.some((item) => item.mandatory)) outcome = complianceOutcomes.NON_COMPLIANT;
+  else if (missing.length) outcome = complianceOutcomes.INCOMPLETE;
+
+  return { outcome, items, missing, failed };
+};
+
+/**
+ * Describe a missing item for warnings and errors
+ * @param {Object} item - Entry of evaluateCompliance missing
+ * @returns {string}
+ */
+const describeMissing = (item) =>
+  item.reason === 'evidence_missing'
+    ? `${item.label}: needs ${item.evidencePhotos} evidence photo${item.evidencePhotos === 1 ? '' : 's'}`
+    : `${item.label}: not checked`;
+
+/**
+ * Load an inspection with its property, failing with 404 when it is not in the organization
+ * @param {string} inspectionId
+ * @param {string} organizationId
+ * @returns {Promise<Object>}
+ */
+const loadInspection = async (inspectionId, organizationId) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId })
+    .select('status compliance propertyId rooms.photos._id')
+    .populate('propertyId', 'address compliancePackId')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  return inspection;
+};
+
+const buildComplianceResult = (pack, selection, compliance) => ({
+  pack: pack ? summarizePack(pack) : null,
+  selection,
+  pinned: Boolean(compliance && compliance.packId),
+  ...(pack ? evaluateCompliance(pack, (compliance && compliance.items) || []) : {}),
+});
+
+/**
+ * Pin the pack on an inspection that has none pinned yet
+ * @param {string} inspectionId
+ * @param {Object} pack
+ * @param {string} selection
+ * @returns {Promise<void>}
+ */
+const pinPack = async (inspectionId, pack, selection) => {
+  await Inspection.updateOne(
+    { _id: inspectionId, compliance: { $exists: false } },
+    { $set: { compliance: { packId: pack.id, version: pack.version, selection, items: [] } } }
+  );
+};
+
+/**
+ * Compliance checklist of an inspection with the result of each item
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<Object>} pack, selection, pinned, outcome, items, missing and failed
+ */
+const getInspectionCompliance = async ({ inspectionId, organizationId }) => {
+  const inspection = await loadInspection(inspectionId, organizationId);
+  const { pack, selection } = resolvePack({ compliance: inspection.compliance, property: inspection.propertyId });
+  return buildComplianceResult(pack, selection, inspection.compliance);
+};
+
+/**
+ * Choose the pack an inspection is checked against. Items of the previous
+ * pack that the new pack also has are kept.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.packId
+ * @param {number} [params.version] - Defaults to the latest version in effect
+ * @returns {Promise<Object>} See getInspectionCompliance
+ */
+const selectInspectionPack = async ({ inspectionId, organizationId, packId, version }) => {
+  const inspection = await loadInspection(inspectionId, organizationId);
+  if (lockedInspectionStatuses.includes(inspection.status)) {
+    throw new ApiError(httpStatus.CONFLICT, 'The compliance pack of a completed inspection cannot be changed');
+  }
+  const pack = findPack(packId, version);
+  if (!pack) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Unknown compliance pack or version');
+  }
+
+  const keys = pack.items.map((item) => item.key);
+  const compliance = {
+    packId: pack.id,
+    version: pack.version,
+    selection: complianceSelections.INSPECTION,
+    items: ((inspection.compliance && inspection.compliance.items) || []).filter((item) => keys.includes(item.key)),
+  };
+  await Inspection.updateOne({ _id: inspectionId, organizationId }, { $set: { compliance } }, { runValidators: true });
+
+  return buildComplianceResult(pack, compliance.selection, compliance);
+};
+
+/**
+ * Record the result of a checklist item
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.key - Item key of the pack
+ * @param {string} params.status - pending | pass | fail | not_applicable
+ * @param {string[]} [params.photoIds] - Evidence photos; kept when omitted
+ * @param {string} [params.notes] - Kept when omitted; '' clears them
+ * @returns {Promise<Object>} Item with its definition and result
+ */
+const recordComplianceItem = async ({ inspectionId, organizationId, user, key, status, photoIds, notes }) => {
+  const inspection = await loadInspection(inspectionId, organizationId);
+  if (lockedInspectionStatuses.includes(inspection.status)) {
+    throw new ApiError(httpStatus.CONFLICT, 'Compliance items of a completed inspection cannot be changed');
+  }
+  const { pack, selection } = resolvePack({ compliance: inspection.compliance, property: inspection.propertyId });
+  if (!pack) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'No compliance pack applies to this inspection; select one first');
+  }
+  const definition = pack.items.find((item) => item.key === key);
+  if (!definition) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `"${key}" is not an item of the ${pack.name} pack`);
+  }
+  if (status === complianceItemStatuses.NOT_APPLICABLE && !definition.allowNotApplicable) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `${definition.label} cannot be marked not applicable`);
+  }
+  if (photoIds) {
+    const known = new Set(
+      (inspection.rooms || []).flatMap((room) => (room.photos || []).map((photo) => photo._id.toString()))
+    );
+    if (photoIds.some((photoId) => !known.has(photoId.toString()))) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Evidence photos must be part of this inspection');
+    }
+  }
+
+  const current = ((inspection.compliance && inspection.compliance.items) || []).find((item) => item.key === key) || {};
+  const record = {
+    key,
+    status,
+    photoIds: photoIds
+      ? [...new Set(photoIds.map(String))].map((photoId) => mongoose.Types.ObjectId(photoId))
+      : current.photoIds || [],
+    notes: notes === undefined ? current.notes : notes || undefined,
+    checkedBy: user.id || user._id,
+    checkedAt: new Date(),
+  };
+
+  if (!inspection.compliance) {
+    await pinPack(inspectionId, pack, selection);
+  }
+  const replaced = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, 'compliance.items.key': key },
+    { $set: { 'compliance.items.$': record } },
+    { runValidators: true }
+  );
+  if (!replaced.n) {
+    await Inspection.updateOne(
+      { _id: inspectionId, organizationId, 'compliance.items.key': { $ne: key } },
+      { $push: { 'compliance.items': record } },
+      { runValidators: true }
+    );
+  }
+
+  return { ...definition, ...record };
+};
+
+/**
+ * Remove deleted photos from the evidence of compliance items
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string[]} params.photoIds
+ * @returns {Promise<void>}
+ */
+const detachPhotos = async ({ inspectionId, photoIds }) => {
+  const ids = photoIds.map((photoId) => mongoose.Types.ObjectId(photoId.toString()));
+  await Inspection.updateOne(
+    { _id: inspectionId, 'compliance.items.photoIds': { $in: ids } },
+    { $pull: { 'compliance.items.$[].photoIds': { $in: ids } } }
+  );
+};
+
+/**
+ * Check the compliance checklist before an inspection is completed and pin
+ * its pack. Unchecked mandatory items block completion under packs that
+ * enforce it and are returned as warnings otherwise.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<{warnings: string[]}>}
+ */
+const checkCompletion = async ({ inspectionId, organizationId }) => {
+  const inspection = await loadInspection(inspectionId, organizationId);
+  const { pack, selection } = resolvePack({ compliance: inspection.compliance, property: inspection.propertyId });
+  if (!pack) return { warnings: [] };
+
+  const { missing } = evaluateCompliance(pack, (inspection.compliance && inspection.compliance.items) || []);
+  const warnings = missing.map(describeMissing);
+  if (warnings.length && pack.enforcement === complianceEnforcement.BLOCK) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `Complete the mandatory ${pack.name} items before completing the inspection: ${warnings.join('; ')}`
+    );
+  }
+
+  if (!inspection.compliance) {
+    await pinPack(inspectionId, pack, selection);
+  }
+  if (warnings.length) {
+    logger.warn(
+      { inspectionId: inspectionId.toString(), packId: pack.id, warnings },
+      'Inspection completed with missing compliance items'
+    );
+  }
+  return { warnings };
+};
+
+/**
+ * Compliance certificate of an inspection for its report
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with compliance
+ * @param {Object} [params.property] - Property with address and compliancePackId
+ * @returns {Object|null} null when no pack applies
+ */
+const buildComplianceCertificate = ({ inspection, property }) => {
+  const { pack } = resolvePack({ compliance: inspection.compliance, property });
+  if (!pack) return null;
+
+  const evaluation = evaluateCompliance(pack, (inspection.compliance && inspection.compliance.items) || []);
+  return {
+    packId: pack.id,
+    version: pack.version,
+    name: pack.name,
+    jurisdiction: [pack.jurisdiction.state, pack.jurisdiction.country].filter(Boolean).join(', '),
+    outcome: evaluation.outcome,
+    outcomeLabel: OUTCOME_LABELS[evaluation.outcome],
+    issuedAt: inspection.completedAt || null,
+    items: evaluation.items,
+    missing: evaluation.missing,
+    failed: evaluation.failed,
+  };
+};
+
+/**
+ * Table rows of a compliance certificate
+ * @param {Object} certificate - Result of buildComplianceCertificate
+ * @returns {Array<{item: string, status: string, evidence: string, notes: string}>}
+ */
+const buildCertificateRows = (certificate) =>
+  certificate.items.map((item) => ({
+    item: item.mandatory ? item.label : `${item.label} (optional)`,
+    status: STATUS_LABELS[item.status],
+    evidence: item.photoIds.length ? `${item.photoIds.length} photo${item.photoIds.length === 1 ? '' : 's'}` : '-',
+    notes: item.notes || '',
+  }));
+
+module.exports = {
+  normalizeJurisdiction,
+  findPack,
+  getDefaultPack,
+  listPacks,
+  getPack,
+  resolvePack,
+  evaluateCompliance,
+  describeMissing,
+  getInspectionCompliance,
+  selectInspectionPack,
+  recordComplianceItem,
+  detachPhotos,
+  checkCompletion,
+  buildComplianceCertificate,
+  buildCertificateRows,
+};
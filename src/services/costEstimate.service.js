@@ -0,0 +1,315 @@
+/**
+ * Cost Estimate Service
+ *
+ * Indicative repair cost ranges for inspection issues, looked up from an
+ * organization's cost catalogue (issue category x severity, falling back to
+ * the defaults in config/costCatalogue), and the room and inspection totals
+ * shown in reports.
+ *
+ * @module services/costEstimate
+ */
+
+const httpStatus = require('http-status');
+const CostCatalogue = require('../models/costCatalogue.model');
+const Issue = require('../models/issue.model');
+const { issueStatuses } = require('../config/issues');
+const { defaultCurrency, defaultCostRanges, costEstimateSources } = require('../config/costCatalogue');
+const ApiError = require('../utils/ApiError');
+
+/** Category used for issues the AI did not categorise */
+const FALLBACK_CATEGORY = 'other';
+const FALLBACK_SEVERITY = 'medium';
+const GENERAL_ROOM_KEY = 'general';
+
+/**
+ * @typedef {Object} CostRange
+ * @property {string} category
+ * @property {string} severity
+ * @property {number} low
+ * @property {number} high
+ */
+
+/**
+ * @typedef {Object} ResolvedCostCatalogue
+ * @property {string} currency
+ * @property {CostRange[]} entries - Every category x severity combination
+ * @property {boolean} customized - Whether the organization has changed any range or the currency
+ */
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {number} low
+ * @property {number} high
+ * @property {string} currency
+ * @property {string} source - catalogue | manual
+ */
+
+const rangeKey = (category, severity) => `${category}:${severity}`;
+
+/**
+ * Merge an organization's stored catalogue over the defaults
+ * @param {Object|null} stored - CostCatalogue document
+ * @returns {ResolvedCostCatalogue}
+ */
+const resolveCatalogue = (stored) => {
+  const overrides = new Map(
+    ((stored && stored.entries) || []).map((entry) => [rangeKey(entry.category, entry.severity), entry])
+  );
+
+  const entries = Object.entries(defaultCostRanges).flatMap(([category, severities]) =>
+    Object.entries(severities).map(([severity, [low, high]]) => {
+      const override = overrides.get(rangeKey(category, severity));
+      return override ? { category, severity, low: override.low, high: override.high } : { category, severity, low, high };
+    })
+  );
+
+  return {
+    currency: (stored && stored.currency) || defaultCurrency,
+    entries,
+    customized: Boolean(stored && (overrides.size || stored.currency !== defaultCurrency)),
+  };
+};
+
+/**
+ * Effective cost catalogue of an organization
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @returns {Promise<ResolvedCostCatalogue>}
+ */
+const getCostCatalogue = async ({ organizationId }) => {
+  const stored = await CostCatalogue.findOne({ organizationId }).lean();
+  return resolveCatalogue(stored);
+};
+
+/**
+ * Change the currency and/or individual ranges of an organization's catalogue.
+ * Ranges not listed keep their current value.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} [params.currency] - ISO 4217 code
+ * @param {CostRange[]} [params.entries]
+ * @returns {Promise<ResolvedCostCatalogue>}
+ */
+const updateCostCatalogue = async ({ organizationId, user, currency, entries = [] }) => {
+  const invalid = entries.find((entry) => entry.high < entry.low);
+  if (invalid) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `High estimate is below low estimate for ${invalid.category} issues of ${invalid.severity} severity`
+    );
+  }
+
+  const stored = await CostCatalogue.findOne({ organizationId }).lean();
+  const merged = new Map(
+    ((stored && stored.entries) || []).map((entry) => [rangeKey(entry.category, entry.severity), entry])
+  );
+  entries.forEach((entry) => merged.set(rangeKey(entry.category, entry.severity), entry));
+
+  const set = { entries: [...merged.values()], updatedBy: user.id || user._id };
+  if (currency) {
+    set.currency = currency;
+  }
+
+  const updated = await CostCatalogue.findOneAndUpdate(
+    { organizationId },
+    { $set: set },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return resolveCatalogue(updated);
+};
+
+/**
+ * Drop an organization's changes so the default catalogue applies again
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @returns {Promise<ResolvedCostCatalogue>}
+ */
+const resetCostCatalogue = async ({ organizationId }) => {
+  await CostCatalogue.deleteOne({ organizationId });
+  return resolveCatalogue(null);
+};
+
+/**
+ * Catalogue estimate for an issue
+ * @param {ResolvedCostCatalogue} catalogue
+ * @param {{category?: string, severity?: string}} issue
+ * @returns {CostEstimate}
+ */
+const estimateIssueCost = (catalogue, issue) => {
+  const severity = issue.severity || FALLBACK_SEVERITY;
+  const find = (category) => catalogue.entries.find((entry) => entry.category === category && entry.severity === severity);
+  const entry = find(issue.category) || find(FALLBACK_CATEGORY);
+
+  return {
+    low: entry ? entry.low : 0,
+    high: entry ? entry.high : 0,
+    currency: catalogue.currency,
+    source: costEstimateSources.CATALOGUE,
+  };
+};
+
+/**
+ * Attach catalogue estimates to issues, keeping estimates an inspector entered by hand
+ * @param {Object} params
+ * @param {ResolvedCostCatalogue} params.catalogue
+ * @param {Object[]} params.issues
+ * @returns {Object[]}
+ */
+const applyCostEstimates = ({ catalogue, issues }) =>
+  issues.map((issue) => {
+    const plain = typeof issue.toObject === 'function' ? issue.toObject() : issue;
+    if (plain.costEstimate && plain.costEstimate.source === costEstimateSources.MANUAL) {
+      return plain;
+    }
+    return { ...plain, costEstimate: estimateIssueCost(catalogue, plain) };
+  });
+
+/**
+ * Sum of issue estimates, in the catalogue currency. Estimates recorded in a
+ * different currency (before the catalogue currency changed) are re-priced
+ * from the catalogue since amounts cannot be converted.
+ * @param {ResolvedCostCatalogue} catalogue
+ * @param {Object[]} issues
+ * @returns {{low: number, high: number, currency: string}}
+ */
+const totalIssueCosts = (catalogue, issues) =>
+  issues.reduce(
+    (total, issue) => {
+      const estimate =
+        issue.costEstimate && issue.costEstimate.currency === catalogue.currency
+          ? issue.costEstimate
+          : estimateIssueCost(catalogue, issue);
+      return { ...total, low: total.low + estimate.low, high: total.high + estimate.high };
+    },
+    { low: 0, high: 0, currency: catalogue.currency }
+  );
+
+/**
+ * @typedef {Object} InspectionCostSummary
+ * @property {string} currency
+ * @property {number} low
+ * @property {number} high
+ * @property {number} issueCount
+ * @property {Array<{roomId: string|null, name: string, issueCount: number, low: number, high: number}>} rooms
+ */
+
+/**
+ * Room and inspection cost totals. Tracked issues (the Issue collection) are
+ * authoritative, except those marked won't fix; photos without any tracked
+ * issue fall back to their embedded AI issues so inspections analysed before
+ * issues were tracked still get totals.
+ * @param {Object} params
+ * @param {ResolvedCostCatalogue} params.catalogue
+ * @param {Object[]} params.rooms - Inspection rooms with photos
+ * @param {Object[]} params.trackedIssues - Issue documents of the inspection
+ * @returns {InspectionCostSummary}
+ */
+const summarizeCosts = ({ catalogue, rooms, trackedIssues }) => {
+  const orderedRooms = [...rooms].sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+  const issuesByRoom = new Map(orderedRooms.map((room) => [room._id.toString(), []]));
+  const roomNames = new Map(orderedRooms.map((room) => [room._id.toString(), room.name]));
+
+  const addIssue = (roomId, roomName, issue) => {
+    const key = roomId && issuesByRoom.has(roomId.toString()) ? roomId.toString() : GENERAL_ROOM_KEY;
+    if (!issuesByRoom.has(key)) {
+      issuesByRoom.set(key, []);
+      roomNames.set(key, roomName || 'General');
+    }
+    issuesByRoom.get(key).push(issue);
+  };
+
+  const trackedPhotoIds = new Set();
+  trackedIssues.forEach((issue) => {
+    if (issue.photoId) {
+      trackedPhotoIds.add(issue.photoId.toString());
+    }
+    if (issue.status !== issueStatuses.WONT_FIX) {
+      addIssue(issue.roomId, issue.roomName, issue);
+    }
+  });
+
+  orderedRooms.forEach((room) =>
+    (room.photos || [])
+      .filter((photo) => !trackedPhotoIds.has(photo._id.toString()))
+      .forEach((photo) => (photo.issues || []).forEach((issue) => addIssue(room._id, room.name, issue)))
+  );
+
+  const roomTotals = [...issuesByRoom.entries()]
+    .filter(([, issues]) => issues.length)
+    .map(([key, issues]) => {
+      const { low, high } = totalIssueCosts(catalogue, issues);
+      return {
+        roomId: key === GENERAL_ROOM_KEY ? null : key,
+        name: roomNames.get(key),
+        issueCount: issues.length,
+        low,
+        high,
+      };
+    });
+
+  return {
+    currency: catalogue.currency,
+    low: roomTotals.reduce((sum, room) => sum + room.low, 0),
+    high: roomTotals.reduce((sum, room) => sum + room.high, 0),
+    issueCount: roomTotals.reduce((sum, room) => sum + room.issueCount, 0),
+    rooms: roomTotals,
+  };
+};
+
+/**
+ * Estimated repair cost totals of an inspection
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with organizationId and rooms
+ * @param {ResolvedCostCatalogue} [params.catalogue] - Loaded when omitted
+ * @returns {Promise<InspectionCostSummary>}
+ */
+const getInspectionCostSummary = async ({ inspection, catalogue }) => {
+  const [resolved, trackedIssues] = await Promise.all([
+    catalogue || getCostCatalogue({ organizationId: inspection.organizationId }),
+    Issue.find({ inspectionId: inspection._id })
+      .select('roomId roomName photoId severity category costEstimate status')
+      .lean(),
+  ]);
+
+  return summarizeCosts({ catalogue: resolved, rooms: inspection.rooms || [], trackedIssues });
+};
+
+/**
+ * Human readable cost range, e.g. "AUD 800 - 3,000"
+ * @param {{low: number, high: number, currency: string}} range
+ * @returns {string}
+ */
+const formatCostRange = ({ low, high, currency }) => {
+  const format = (value) => Math.round(value).toLocaleString('en-US');
+  return low === high ? `${currency} ${format(low)}` : `${currency} ${format(low)} - ${format(high)}`;
+};
+
+/**
+ * Rows of the estimated cost table in reports, one per room plus a total
+ * @param {InspectionCostSummary} summary
+ * @returns {Array<{room: string, issues: number, estimate: string}>}
+ */
+const buildCostSummaryRows = (summary) => [
+  ...summary.rooms.map((room) => ({
+    room: room.name,
+    issues: room.issueCount,
+    estimate: formatCostRange({ ...room, currency: summary.currency }),
+  })),
+  { room: 'Total', issues: summary.issueCount, estimate: formatCostRange(summary) },
+];
+
+module.exports = {
+  resolveCatalogue,
+  getCostCatalogue,
+  updateCostCatalogue,
+  resetCostCatalogue,
+  estimateIssueCost,
+  applyCostEstimates,
+  totalIssueCosts,
+  summarizeCosts,
+  getInspectionCostSummary,
+  formatCostRange,
+  buildCostSummaryRows,
+};
@@ -83,6 +83,16 @@ const sendEmail = async (to, subject, text, html) => {
   await transport.sendMail(msg);
 };
 
+/**
+ * Absolute link into the web app
+ * @param {string} pathname - App path starting with a slash, including any query string
+ * @returns {string}
+ */
+const buildFrontendUrl = (pathname) => {
+  const frontendBase = config.frontendUrl && config.frontendUrl !== '*' ? config.frontendUrl : 'http://localhost:5173';
+  return `${frontendBase.replace(/\/$/, '')}${pathname}`;
+};
+
 /**
  * Send reset password email
  * @param {string} to
@@ -91,8 +101,7 @@ const sendEmail = async (to, subject, text, html) => {
  */
 const sendResetPasswordEmail = async (to, token) => {
   const subject = 'Reset password';
-  const frontendBase = config.frontendUrl && config.frontendUrl !== '*' ? config.frontendUrl : 'http://localhost:5173';
-  const resetPasswordUrl = `${frontendBase.replace(/\/$/, '')}/reset-password?token=${token}`;
+  const resetPasswordUrl = buildFrontendUrl(`/reset-password?token=${token}`);
   const text = `Dear user,
 To reset your password, click on this link: ${resetPasswordUrl}
 If you did not request any password resets, then ignore this email.`;
@@ -107,17 +116,159 @@ If you did not request any password resets, then ignore this email.`;
  */
 const sendVerificationEmail = async (to, token) => {
   const subject = 'Email Verification';
-  const frontendBase = config.frontendUrl && config.frontendUrl !== '*' ? config.frontendUrl : 'http://localhost:5173';
-  const verificationEmailUrl = `${frontendBase.replace(/\/$/, '')}/verify-email?token=${token}`;
+  const verificationEmailUrl = buildFrontendUrl(`/verify-email?token=${token}`);
   const text = `Dear user,
 To verify your email, click on this link: ${verificationEmailUrl}
 If you did not create an account, then ignore this email.`;
   await sendEmail(to, subject, text);
 };
 
+/**
+ * Remind an inspector of an upcoming inspection
+ * @param {string} to
+ * @param {Object} inspection
+ * @param {string} inspection.inspectionId
+ * @param {string} inspection.propertyName
+ * @param {string} [inspection.address] - Single line address
+ * @param {Date} inspection.scheduledFor
+ * @returns {Promise}
+ */
+const sendInspectionReminderEmail = async (to, { inspectionId, propertyName, address, scheduledFor }) => {
+  const subject = `Upcoming inspection: ${propertyName}`;
+  const inspectionUrl = buildFrontendUrl(`/inspections/${inspectionId}`);
+  const text = `Dear inspector,
+You have an inspection of ${propertyName}${address ? ` (${address})` : ''} scheduled for ${new Date(scheduledFor).toDateString()}.
+Open the inspection: ${inspectionUrl}
+You can turn off reminder emails in your notification preferences.`;
+  await sendEmail(to, subject, text);
+};
+
+/**
+ * Tell an inspector they were assigned to an inspection
+ * @param {string} to
+ * @param {Object} inspection
+ * @param {string} inspection.inspectionId
+ * @param {string} inspection.propertyName
+ * @param {string} [inspection.address] - Single line address
+ * @param {Date} [inspection.scheduledFor]
+ * @param {string} inspection.role - lead | assistant
+ * @returns {Promise}
+ */
+const sendInspectionAssignmentEmail = async (to, { inspectionId, propertyName, address, scheduledFor, role }) => {
+  const subject = `Inspection assigned: ${propertyName}`;
+  const inspectionUrl = buildFrontendUrl(`/inspections/${inspectionId}`);
+  const roleName = role === 'lead' ? 'lead inspector' : 'assistant inspector';
+  const location = address ? ` (${address})` : '';
+  const when = scheduledFor ? ` scheduled for ${new Date(scheduledFor).toDateString()}` : '';
+  const text = `Dear inspector,
+You have been assigned as ${roleName} on the inspection of ${propertyName}${location}${when}.
+Open the inspection: ${inspectionUrl}`;
+  await sendEmail(to, subject, text);
+};
+
+/**
+ * Ask a party to sign a report
+ * @param {string} to
+ * @param {Object} request
+ * @param {string} request.partyName
+ * @param {string} request.propertyName
+ * @param {string} request.reportTitle
+ * @param {string} request.token - Signing link token
+ * @param {Date} request.expiresAt
+ * @param {string} [request.message] - Note from the person requesting signatures
+ * @returns {Promise}
+ */
+const sendSignatureRequestEmail = async (to, { partyName, propertyName, reportTitle, token, expiresAt, message }) => {
+  const subject = `Please sign: ${reportTitle}`;
+  const signUrl = buildFrontendUrl(`/sign/${token}`);
+  const note = message ? `\n${message}\n` : '';
+  const text = `Dear ${partyName},
+You have been asked to review and sign the inspection report "${reportTitle}" for ${propertyName}.
+${note}
+Review and sign: ${signUrl}
+This link is personal to you and expires on ${new Date(expiresAt).toDateString()}.`;
+  await sendEmail(to, subject, text);
+};
+
+/**
+ * Tell a party every signature on a report has been collected
+ * @param {string} to
+ * @param {Object} report
+ * @param {string} report.partyName
+ * @param {string} report.reportTitle
+ * @param {string} report.sha256 - Fingerprint of the signed PDF
+ * @returns {Promise}
+ */
+const sendReportSignedEmail = async (to, { partyName, reportTitle, sha256 }) => {
+  const subject = `Signed: ${reportTitle}`;
+  const verifyUrl = buildFrontendUrl(`/verify/${sha256}`);
+  const text = `Dear ${partyName},
+All parties have signed the inspection report "${reportTitle}".
+The signed PDF has the SHA-256 fingerprint ${sha256}. A copy with a different fingerprint has been altered.
+Check a copy at any time: ${verifyUrl}`;
+  await sendEmail(to, subject, text);
+};
+
+/**
+ * Invite a tenant to review an inspection and respond within the window
+ * @param {string} to
+ * @param {Object} review
+ * @param {string} review.tenantName
+ * @param {string} review.propertyName
+ * @param {string} [review.address] - Single line address
+ * @param {string} review.token - Share link token
+ * @param {Date} review.closesAt
+ * @param {string} [review.message] - Note from the agent
+ * @returns {Promise}
+ */
+const sendTenantReviewInviteEmail = async (to, { tenantName, propertyName, address, token, closesAt, message }) => {
+  const subject = `Please review the inspection of ${propertyName}`;
+  const reviewUrl = buildFrontendUrl(`/review/${token}`);
+  const location = address ? ` (${address})` : '';
+  const note = message ? `\n${message}\n` : '';
+  const text = `Dear ${tenantName},
+The inspection of ${propertyName}${location} is ready for your review.
+${note}
+You can agree with or dispute each room, photo and issue, and add your own photos: ${reviewUrl}
+Please respond by ${new Date(closesAt).toDateString()}.`;
+  await sendEmail(to, subject, text);
+};
+
+/**
+ * Tell the agent a tenant's response window has closed
+ * @param {string} to
+ * @param {Object} review
+ * @param {string} review.inspectionId
+ * @param {string} review.propertyName
+ * @param {string} review.tenantName
+ * @param {number} review.agreed - Items the tenant agreed with
+ * @param {number} review.disputed - Items the tenant disputed
+ * @returns {Promise}
+ */
+const sendTenantReviewClosedEmail = async (to, { inspectionId, propertyName, tenantName, agreed, disputed }) => {
+  const subject = `Tenant review closed: ${propertyName}`;
+  const inspectionUrl = buildFrontendUrl(`/inspections/${inspectionId}`);
+  const outcome =
+    agreed + disputed === 0
+      ? `${tenantName} did not respond.`
+      : `${tenantName} agreed with ${agreed} and disputed ${disputed} item${disputed === 1 ? '' : 's'}.`;
+  const text = `Dear agent,
+The tenant review window for the inspection of ${propertyName} has closed.
+${outcome}
+See the responses: ${inspectionUrl}`;
+  await sendEmail(to, subject, text);
+};
+
 module.exports = {
   transport,
   sendEmail,
+  buildFrontendUrl,
   sendResetPasswordEmail,
   sendVerificationEmail,
+  sendInspectionReminderEmail,
+  sendInspectionAssignmentEmail,
+  sendSignatureRequestEmail,
+  sendReportSignedEmail,
+  sendTenantReviewInviteEmail,
+  sendTenantReviewClosedEmail,
 };
@@ -0,0 +1,520 @@
+/**
+ * Floor Plan Service
+ *
+ * Floor plans are attached to a property as an image or a PDF. Every plan is
+ * rendered to one JPEG per page, and rooms and photos of the property's
+ * inspections are pinned to a page with coordinates normalised to the page
+ * size (0-1 from the top left), so pins stay put whatever size the page is
+ * shown at. Reports draw the pinned pages with numbered markers that are
+ * cross-referenced from the room and photo captions.
+ *
+ * @module services/floorPlan
+ */
+
+const path = require('path');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+// pdf-to-img only declares package exports, which the import resolver does not follow
+// eslint-disable-next-line import/no-unresolved
+const { pdf } = require('pdf-to-img');
+const Property = require('../models/property.model');
+const { Inspection } = require('../models/inspection.model');
+const { getStorage, storagePaths } = require('../lib/storage');
+const { detectImageType } = require('./photoVerification.service');
+const { floorPlanMimeTypes, floorPlanLimits, floorPlanPinTargets } = require('../config/floorPlans');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const URL_EXPIRY_SECONDS = 3600;
+
+/** Extension of the stored original, by detected type */
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+};
+
+/**
+ * Type of an uploaded floor plan from its content
+ * @param {Buffer} buffer
+ * @returns {string|null} One of floorPlanMimeTypes, or null when not supported
+ */
+const detectFloorPlanType = (buffer) => {
+  if (buffer && buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') {
+    return 'application/pdf';
+  }
+  const imageType = detectImageType(buffer);
+  return floorPlanMimeTypes.includes(imageType) ? imageType : null;
+};
+
+/**
+ * Normalise a page to a JPEG no wider than the page limit
+ * @param {Buffer} buffer - Image of the page
+ * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+ */
+const toPageImage = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: floorPlanLimits.pageMaxWidth, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+/**
+ * Render a floor plan to page images; a PDF gives one image per page up to the page limit
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} mimeType - Detected type
+ * @returns {Promise<Array<{page: number, buffer: Buffer, width: number, height: number}>>}
+ */
+const renderFloorPlanPages = async (buffer, mimeType) => {
+  if (mimeType !== 'application/pdf') {
+    return [{ page: 1, ...(await toPageImage(buffer)) }];
+  }
+
+  let document;
+  try {
+    document = await pdf(buffer, { scale: floorPlanLimits.pdfRenderScale });
+  } catch (error) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Failed to read the floor plan PDF: ${error.message}`);
+  }
+
+  const pageCount = Math.min(document.length, floorPlanLimits.maxPages);
+  if (!pageCount) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The floor plan PDF has no pages');
+  }
+
+  // One page at a time keeps a single rendered page in memory
+  return Array.from({ length: pageCount }, (_, index) => index + 1).reduce(async (previous, page) => {
+    const pages = await previous;
+    const image = await toPageImage(await document.getPage(page));
+    return [...pages, { page, ...image }];
+  }, Promise.resolve([]));
+};
+
+/**
+ * Floor plan with short-lived URLs for the original file and each page
+ * @param {Object} floorPlan
+ * @param {Object} [storage]
+ * @returns {Promise<Object>}
+ */
+const withFloorPlanUrls = async (floorPlan, storage = getStorage()) => {
+  const plan = typeof floorPlan.toObject === 'function' ? floorPlan.toObject() : floorPlan;
+  const [fileUrl, pages] = await Promise.all([
+    storage.getPresignedDownloadUrl(plan.storagePath, { expiresIn: URL_EXPIRY_SECONDS }),
+    Promise.all(
+      plan.pages.map(async (page) => ({
+        ...page,
+        url: await storage.getPresignedDownloadUrl(page.storagePath, { expiresIn: URL_EXPIRY_SECONDS }),
+      }))
+    ),
+  ]);
+  return { ...plan, fileUrl, pages, expiresIn: URL_EXPIRY_SECONDS };
+};
+
+/**
+ * Property of the organization, with its floor plans
+ * @param {string} propertyId
+ * @param {string} organizationId
+ * @returns {Promise<Object>}
+ */
+const getPropertyFloorPlans = async (propertyId, organizationId) => {
+  const property = await Property.findOne({ _id: propertyId, organizationId }).select('floorPlans').lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+  return property.floorPlans || [];
+};
+
+/**
+ * Floor plans of a property, with page URLs
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @returns {Promise<Object[]>}
+ */
+const listFloorPlans = async ({ propertyId, organizationId }) => {
+  const floorPlans = await getPropertyFloorPlans(propertyId, organizationId);
+  const storage = getStorage();
+  return Promise.all(floorPlans.map((floorPlan) => withFloorPlanUrls(floorPlan, storage)));
+};
+
+/**
+ * One floor plan of a property, with page URLs
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {string} params.floorPlanId
+ * @returns {Promise<Object>}
+ */
+const getFloorPlan = async ({ propertyId, organizationId, floorPlanId }) => {
+  const floorPlans = await getPropertyFloorPlans(propertyId, organizationId);
+  const floorPlan = floorPlans.find((plan) => plan._id.toString() === floorPlanId.toString());
+  if (!floorPlan) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Floor plan not found');
+  }
+  return withFloorPlanUrls(floorPlan);
+};
+
+/**
+ * Attach an uploaded floor plan to a property
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {{buffer: Buffer, originalname: string, mimetype: string}} params.file - Multer upload
+ * @param {string} [params.name] - Display name; defaults to the file name
+ * @returns {Promise<Object>} The new floor plan, with page URLs
+ */
+const addFloorPlan = async ({ propertyId, organizationId, user, file, name }) => {
+  if (!file) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'A floor plan file is required');
+  }
+
+  const floorPlans = await getPropertyFloorPlans(propertyId, organizationId);
+  if (floorPlans.length >= floorPlanLimits.plansPerProperty) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `A property can have at most ${floorPlanLimits.plansPerProperty} floor plans`
+    );
+  }
+
+  const mimeType = detectFloorPlanType(file.buffer);
+  if (!mimeType) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Floor plans must be a JPEG, PNG or WebP image or a PDF');
+  }
+  if (mimeType !== file.mimetype) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `File content is ${mimeType} but was declared as ${file.mimetype}`);
+  }
+
+  const pages = await renderFloorPlanPages(file.buffer, mimeType);
+
+  const storage = getStorage();
+  const floorPlanId = mongoose.Types.ObjectId();
+  const extension = FILE_EXTENSIONS[mimeType];
+  const originalKey = storagePaths.floorPlan(organizationId, propertyId, floorPlanId, `original${extension}`);
+  const pageKeys = pages.map((page) =>
+    storagePaths.floorPlan(organizationId, propertyId, floorPlanId, `page-${page.page}.jpg`)
+  );
+
+  await Promise.all([
+    storage.upload(originalKey, file.buffer, { contentType: mimeType }),
+    ...pages.map((page, index) => storage.upload(pageKeys[index], page.buffer, { contentType: 'image/jpeg' })),
+  ]);
+
+  const floorPlan = {
+    _id: floorPlanId,
+    name: name || path.parse(file.originalname || 'Floor plan').name,
+    storagePath: originalKey,
+    originalFilename: file.originalname || `floor-plan${extension}`,
+    mimeType,
+    fileSize: file.buffer.length,
+    pages: pages.map((page, index) => ({
+      page: page.page,
+      storagePath: pageKeys[index],
+      width: page.width,
+      height: page.height,
+    })),
+    uploadedBy: user.id || user._id,
+  };
+
+  // The limit is checked again here so concurrent uploads cannot go over it
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, organizationId, [`floorPlans.${floorPlanLimits.plansPerProperty - 1}`]: { $exists: false } },
+    { $push: { floorPlans: floorPlan } },
+    { new: true, runValidators: true }
+  )
+    .select('floorPlans')
+    .lean();
+  if (!property) {
+    await storage.deleteMany([originalKey, ...pageKeys]).catch((error) => {
+      logger.warn({ err: error.message, floorPlanId: floorPlanId.toString() }, 'Failed to clean up floor plan files');
+    });
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `A property can have at most ${floorPlanLimits.plansPerProperty} floor plans`
+    );
+  }
+
+  logger.info(
+    { propertyId: propertyId.toString(), floorPlanId: floorPlanId.toString(), pages: pages.length },
+    'Floor plan added'
+  );
+  const saved = property.floorPlans.find((plan) => plan._id.toString() === floorPlanId.toString());
+  return withFloorPlanUrls(saved, storage);
+};
+
+/**
+ * Rename a floor plan
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {string} params.floorPlanId
+ * @param {string} params.name
+ * @returns {Promise<Object>}
+ */
+const updateFloorPlan = async ({ propertyId, organizationId, floorPlanId, name }) => {
+  const result = await Property.updateOne(
+    { _id: propertyId, organizationId, 'floorPlans._id': floorPlanId },
+    { $set: { 'floorPlans.$.name': name } },
+    { runValidators: true }
+  );
+  if (!result.n) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Floor plan not found');
+  }
+  return getFloorPlan({ propertyId, organizationId, floorPlanId });
+};
+
+/**
+ * Remove a floor plan, its files and every pin placed on it
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {string} params.floorPlanId
+ * @returns {Promise<void>}
+ */
+const deleteFloorPlan = async ({ propertyId, organizationId, floorPlanId }) => {
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, organizationId, 'floorPlans._id': floorPlanId },
+    { $pull: { floorPlans: { _id: floorPlanId } } }
+  )
+    .select('floorPlans')
+    .lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Floor plan not found');
+  }
+
+  const planObjectId = mongoose.Types.ObjectId(floorPlanId.toString());
+  await Promise.all([
+    Inspection.updateMany(
+      { propertyId, organizationId, 'rooms.pin.floorPlanId': planObjectId },
+      { $unset: { 'rooms.$[room].pin': 1 } },
+      { arrayFilters: [{ 'room.pin.floorPlanId': planObjectId }] }
+    ),
+    Inspection.updateMany(
+      { propertyId, organizationId, 'rooms.photos.pin.floorPlanId': planObjectId },
+      { $unset: { 'rooms.$[].photos.$[photo].pin': 1 } },
+      { arrayFilters: [{ 'photo.pin.floorPlanId': planObjectId }] }
+    ),
+  ]);
+
+  const floorPlan = property.floorPlans.find((plan) => plan._id.toString() === floorPlanId.toString());
+  const keys = [floorPlan.storagePath, ...floorPlan.pages.map((page) => page.storagePath)];
+  await getStorage()
+    .deleteMany(keys)
+    .catch((error) => {
+      logger.warn({ err: error.message, floorPlanId: floorPlanId.toString() }, 'Failed to delete floor plan files');
+    });
+  logger.info({ propertyId: propertyId.toString(), floorPlanId: floorPlanId.toString() }, 'Floor plan deleted');
+};
+
+/**
+ * Check a pin against the floor plans of the inspection's property
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.floorPlanId
+ * @param {number} params.page
+ * @returns {Promise<void>}
+ */
+const assertPinnablePage = async ({ inspectionId, organizationId, floorPlanId, page }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select('propertyId').lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  if (!inspection.propertyId) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The inspection is not linked to a property with floor plans');
+  }
+
+  const floorPlans = await getPropertyFloorPlans(inspection.propertyId, organizationId);
+  const floorPlan = floorPlans.find((plan) => plan._id.toString() === floorPlanId.toString());
+  if (!floorPlan) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Floor plan not found on the inspection's property");
+  }
+  if (!floorPlan.pages.some((candidate) => candidate.page === page)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Floor plan ${floorPlan.name} has no page ${page}`);
+  }
+};
+
+/**
+ * Where the pin of a room or photo is stored on the inspection
+ * @param {string} target - room | photo
+ * @param {string} itemId - Room or photo ID
+ * @returns {{filter: Object, path: string, options: Object}}
+ */
+const locatePin = (target, itemId) => {
+  if (target === floorPlanPinTargets.ROOM) {
+    return { filter: { 'rooms._id': itemId }, path: 'rooms.$.pin', options: {} };
+  }
+  return {
+    filter: { 'rooms.photos._id': itemId },
+    path: 'rooms.$[].photos.$[photo].pin',
+    options: { arrayFilters: [{ 'photo._id': mongoose.Types.ObjectId(itemId.toString()) }] },
+  };
+};
+
+/**
+ * Place or move the pin of a room or photo
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.target - room | photo
+ * @param {string} params.itemId - Room or photo ID
+ * @param {Object} params.user - Acting user
+ * @param {string} params.floorPlanId
+ * @param {number} [params.page] - Defaults to the first page
+ * @param {number} params.x - 0 (left) to 1 (right)
+ * @param {number} params.y - 0 (top) to 1 (bottom)
+ * @returns {Promise<Object>} The pin
+ */
+const placePin = async ({ inspectionId, organizationId, target, itemId, user, floorPlanId, page = 1, x, y }) => {
+  await assertPinnablePage({ inspectionId, organizationId, floorPlanId, page });
+
+  const pin = {
+    floorPlanId: mongoose.Types.ObjectId(floorPlanId.toString()),
+    page,
+    x,
+    y,
+    placedBy: user.id || user._id,
+    placedAt: new Date(),
+  };
+  const { filter, path: pinPath, options } = locatePin(target, itemId);
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, ...filter },
+    { $set: { [pinPath]: pin } },
+    {
+      ...options,
+      runValidators: true,
+    }
+  );
+  if (!result.n) {
+    throw new ApiError(httpStatus.NOT_FOUND, target === floorPlanPinTargets.ROOM ? 'Room not found' : 'Photo not found');
+  }
+  return pin;
+};
+
+/**
+ * Take a room or photo off the floor plan
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.target - room | photo
+ * @param {string} params.itemId - Room or photo ID
+ * @returns {Promise<void>}
+ */
+const removePin = async ({ inspectionId, organizationId, target, itemId }) => {
+  const { filter, path: pinPath, options } = locatePin(target, itemId);
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, ...filter },
+    { $unset: { [pinPath]: 1 } },
+    options
+  );
+  if (!result.n) {
+    throw new ApiError(httpStatus.NOT_FOUND, target === floorPlanPinTargets.ROOM ? 'Room not found' : 'Photo not found');
+  }
+};
+
+/**
+ * Caption of a photo in reports
+ * @param {Object} room
+ * @param {Object} photo
+ * @returns {string}
+ */
+const buildPhotoCaption = (room, photo) => `${room.name}: ${photo.aiSummary || photo.originalFilename || 'Photo'}`;
+
+/**
+ * Pinned pages of the inspection's floor plans with numbered markers. Markers
+ * are numbered through the rooms in display order, each room before its photos.
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with rooms
+ * @param {Object[]} params.floorPlans - Floor plans of its property
+ * @returns {Array<{floorPlanId: string, name: string, label: string, page: number, storagePath: string,
+ *   width: number, height: number, markers: Object[]}>} Pages with at least one marker, in plan and page order
+ */
+const buildFloorPlanMarkers = ({ inspection, floorPlans }) => {
+  const pages = new Map();
+  (floorPlans || []).forEach((plan) => {
+    plan.pages.forEach((page) => {
+      pages.set(`${plan._id}:${page.page}`, {
+        floorPlanId: plan._id.toString(),
+        name: plan.name,
+        label: plan.pages.length > 1 ? `${plan.name} (page ${page.page})` : plan.name,
+        ...page,
+        markers: [],
+      });
+    });
+  });
+
+  let number = 0;
+  const addMarker = (pin, marker) => {
+    const page = pin && pages.get(`${pin.floorPlanId}:${pin.page || 1}`);
+    if (!page) return;
+    number += 1;
+    page.markers.push({ number, x: pin.x, y: pin.y, ...marker });
+  };
+
+  [...(inspection.rooms || [])]
+    .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0))
+    .forEach((room) => {
+      const roomId = room._id.toString();
+      addMarker(room.pin, { target: floorPlanPinTargets.ROOM, roomId, caption: room.name });
+      (room.photos || []).forEach((photo) => {
+        addMarker(photo.pin, {
+          target: floorPlanPinTargets.PHOTO,
+          roomId,
+          photoId: photo._id.toString(),
+          caption: buildPhotoCaption(room, photo),
+        });
+      });
+    });
+
+  return [...pages.values()].filter((page) => page.markers.length);
+};
+
+/**
+ * Floor plan pages to draw in an inspection report, with their images. A
+ * page that cannot be loaded is left out rather than failing the report.
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with the property populated in propertyId
+ * @returns {Promise<Object[]>} See buildFloorPlanMarkers, plus imageBuffer
+ */
+const loadReportFloorPlans = async ({ inspection }) => {
+  const property = inspection.propertyId;
+  const pages = buildFloorPlanMarkers({ inspection, floorPlans: (property && property.floorPlans) || [] });
+  if (!pages.length) return [];
+
+  const storage = getStorage();
+  const loaded = await Promise.all(
+    pages.map(async (page) => {
+      try {
+        const { data } = await storage.download(page.storagePath);
+        return { ...page, imageBuffer: data };
+      } catch (error) {
+        logger.warn(
+          { err: error.message, floorPlanId: page.floorPlanId, page: page.page },
+          'Failed to load floor plan page'
+        );
+        return null;
+      }
+    })
+  );
+  return loaded.filter(Boolean);
+};
+
+module.exports = {
+  detectFloorPlanType,
+  renderFloorPlanPages,
+  listFloorPlans,
+  getFloorPlan,
+  addFloorPlan,
+  updateFloorPlan,
+  deleteFloorPlan,
+  placePin,
+  removePin,
+  buildPhotoCaption,
+  buildFloorPlanMarkers,
+  loadReportFloorPlans,
+};
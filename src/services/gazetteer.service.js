@@ -0,0 +1,170 @@
+/**
+ * Gazetteer Service
+ *
+ * Looks up the coordinates of an address in an offline gazetteer: a CSV file
+ * (ADDRESS_GAZETTEER_PATH) with a header row naming the line1, city, state,
+ * postcode, latitude and longitude columns, such as an export of a national
+ * address file. Addresses match on the street address and postcode after
+ * normalising case, punctuation and common street type abbreviations. The
+ * file is streamed on every lookup rather than loaded, as national files run
+ * to millions of rows and lookups only happen when a property is saved.
+ *
+ * @module services/gazetteer
+ */
+
+/* eslint-disable security/detect-non-literal-fs-filename */
+const fs = require('fs');
+const readline = require('readline');
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const REQUIRED_COLUMNS = ['line1', 'postcode', 'latitude', 'longitude'];
+
+const STREET_TYPES = {
+  street: 'st',
+  road: 'rd',
+  avenue: 'ave',
+  drive: 'dr',
+  court: 'ct',
+  place: 'pl',
+  crescent: 'cres',
+  parade: 'pde',
+  highway: 'hwy',
+  terrace: 'tce',
+  lane: 'ln',
+  boulevard: 'blvd',
+  close: 'cl',
+  circuit: 'cct',
+};
+
+/**
+ * Normalise an address part for matching
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeAddressPart = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => STREET_TYPES[word] || word)
+    .join(' ');
+
+/**
+ * Key an address is matched on
+ * @param {{line1: string, postcode: string}} address
+ * @returns {string}
+ */
+const buildAddressKey = (address) => `${normalizeAddressPart(address.line1)}|${normalizeAddressPart(address.postcode)}`;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line
+ * @returns {string[]}
+ */
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+/**
+ * Whether a gazetteer file is configured
+ * @returns {boolean}
+ */
+const isGazetteerConfigured = () => Boolean(config.location.gazetteerPath);
+
+/**
+ * Coordinates of an address in the gazetteer
+ * @param {Object} address - Property address (line1, postcode, ...)
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to ADDRESS_GAZETTEER_PATH
+ * @returns {Promise<{latitude: number, longitude: number}|null>} null when the address is not listed
+ */
+const lookupAddress = (address, { filePath = config.location.gazetteerPath } = {}) => {
+  if (!filePath) {
+    return Promise.reject(new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'No address gazetteer is configured'));
+  }
+
+  const key = buildAddressKey(address);
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(filePath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let columns = null;
+    let match = null;
+    let done = false;
+
+    const finish = () => {
+      done = true;
+      lines.close();
+      input.destroy();
+    };
+
+    lines.on('line', (line) => {
+      if (done || !line.trim()) return;
+      const fields = parseCsvLine(line);
+      if (!columns) {
+        columns = fields.reduce((acc, name, index) => ({ ...acc, [name.toLowerCase()]: index }), {});
+        const missing = REQUIRED_COLUMNS.filter((name) => columns[name] === undefined);
+        if (missing.length) {
+          finish();
+          reject(
+            new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Address gazetteer is missing columns: ${missing.join(', ')}`)
+          );
+        }
+        return;
+      }
+
+      const row = { line1: fields[columns.line1], postcode: fields[columns.postcode] };
+      if (buildAddressKey(row) !== key) return;
+      const latitude = parseFloat(fields[columns.latitude]);
+      const longitude = parseFloat(fields[columns.longitude]);
+      if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+        match = { latitude, longitude };
+        finish();
+      }
+    });
+    const fail = (error) => {
+      logger.error({ err: error.message, filePath }, 'Failed to read address gazetteer');
+      reject(new ApiError(httpStatus.SERVICE_UNAVAILABLE, 'The address gazetteer could not be read'));
+    };
+
+    lines.on('close', () => resolve(match));
+    // readline re-emits read errors of its input on newer Node versions
+    lines.on('error', fail);
+    input.on('error', fail);
+  });
+};
+
+module.exports = {
+  normalizeAddressPart,
+  buildAddressKey,
+  parseCsvLine,
+  isGazetteerConfigured,
+  lookupAddress,
+};
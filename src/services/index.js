@@ -8,6 +8,34 @@ module.exports.notificationService = require('./notification.service');
 module.exports.planService = require('./plan.service');
 module.exports.jobService = require('./job.service');
 module.exports.reportPresetService = require('./reportPreset.service');
+module.exports.inspectionComparisonService = require('./inspectionComparison.service');
+module.exports.inspectionLifecycleService = require('./inspectionLifecycle.service');
+module.exports.inspectionRecheckService = require('./inspectionRecheck.service');
+module.exports.inspectionRoomService = require('./inspectionRoom.service');
+module.exports.inspectionScheduleService = require('./inspectionSchedule.service');
+module.exports.inspectionSearchService = require('./inspectionSearch.service');
+module.exports.inspectionAccessService = require('./inspectionAccess.service');
+module.exports.issueService = require('./issue.service');
+module.exports.costEstimateService = require('./costEstimate.service');
+module.exports.floorPlanService = require('./floorPlan.service');
+module.exports.gazetteerService = require('./gazetteer.service');
+module.exports.meterReadingService = require('./meterReading.service');
+module.exports.inventoryService = require('./inventory.service');
+module.exports.complianceService = require('./compliance.service');
+module.exports.portfolioService = require('./portfolio.service');
+module.exports.inspectionAmendmentService = require('./inspectionAmendment.service');
+module.exports.reportPdfService = require('./reportPdf.service');
+module.exports.reportSignatureService = require('./reportSignature.service');
+module.exports.tenantReviewService = require('./tenantReview.service');
+module.exports.calendarFeedService = require('./calendarFeed.service');
+module.exports.syncService = require('./sync.service');
+module.exports.photoDerivativeService = require('./photoDerivative.service');
+module.exports.photoMetadataService = require('./photoMetadata.service');
+module.exports.photoLocationService = require('./photoLocation.service');
+module.exports.photoRegistrationService = require('./photoRegistration.service');
+module.exports.photoVerificationService = require('./photoVerification.service');
+module.exports.videoIngestService = require('./videoIngest.service');
+module.exports.webhookService = require('./webhook.service');
 module.exports.inspectionQueue = require('../queues/inspection.queue');
 module.exports.inspectionQueueBullMQ = require('../queues/inspection.bullmq');
 
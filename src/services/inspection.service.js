@@ -1,18 +1,43 @@
 const mongoose = require('mongoose');
 const { Inspection } = require('../models/inspection.model');
 const Report = require('../models/report.model');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+
+const createInspection = async ({
+  propertyId,
+  organizationId,
+  createdBy,
+  scheduledFor,
+  rooms,
+  reportPresetId,
+  inspectorId,
+  assistantIds = [],
+  scheduleId,
+  clonedFromInspectionId,
+  recheckItems = [],
+}) => {
+  // Inspections created with a date start out scheduled rather than draft
+  const status = scheduledFor ? inspectionStatuses.SCHEDULED : inspectionStatuses.DRAFT;
 
-const createInspection = async ({ propertyId, organizationId, createdBy, scheduledFor, rooms, reportPresetId }) => {
   const inspection = await Inspection.create({
     propertyId: new mongoose.Types.ObjectId(propertyId),
     organizationId,
     createdBy: new mongoose.Types.ObjectId(createdBy),
+    status,
+    statusHistory: [{ to: status, action: 'create', performedBy: new mongoose.Types.ObjectId(createdBy) }],
     scheduledFor: scheduledFor ? new Date(scheduledFor) : undefined,
     reportPresetId: reportPresetId ? new mongoose.Types.ObjectId(reportPresetId) : undefined,
+    inspectorId: inspectorId ? new mongoose.Types.ObjectId(inspectorId) : undefined,
+    assistantIds: assistantIds.map((id) => new mongoose.Types.ObjectId(id)),
+    scheduleId,
+    clonedFromInspectionId,
+    recheckItems,
     rooms: Array.isArray(rooms)
       ? rooms.map((room, index) => ({
+          ...(room._id && { _id: room._id }),
           name: room.name,
           displayOrder: typeof room.displayOrder === 'number' ? room.displayOrder : index,
+          notes: room.notes,
         }))
       : [],
   });
@@ -0,0 +1,328 @@
+/**
+ * Inspection Access Service
+ *
+ * Who may see and change which inspections. Roles with the
+ * `viewAllInspections` right see every inspection of their organization;
+ * other roles (agents) only see inspections they are assigned to, as lead
+ * inspector or assistant. Changing an inspection additionally needs the
+ * `manageInspections` right, so viewers are read-only. Editing the recorded
+ * evidence (rooms, photos, readings) is refused once the inspection is
+ * completed; completed inspections change through amendments instead.
+ *
+ * Also assigns inspectors and notifies newly assigned users.
+ *
+ * @module services/inspectionAccess
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const Property = require('../models/property.model');
+const User = require('../models/user.model');
+const { roleRights } = require('../config/roles');
+const { lockedInspectionStatuses } = require('../config/inspectionLifecycle');
+const { webhookEvents } = require('../config/webhooks');
+const { emitInspectionEvent } = require('../lib/socket');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const emailService = require('./email.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const formatAddress = require('../utils/formatAddress');
+
+const inspectionAccessLevels = {
+  READ: 'read',
+  WRITE: 'write',
+  // Change the recorded evidence, which completed inspections lock
+  EDIT: 'edit',
+};
+
+const assignmentRoles = {
+  LEAD: 'lead',
+  ASSISTANT: 'assistant',
+};
+
+const hasRight = (user, right) => (roleRights.get(user.role) || []).includes(right);
+
+const getUserId = (user) => (user.id || user._id).toString();
+
+/**
+ * Whether the user sees every inspection of the organization
+ * @param {Object} user
+ * @returns {boolean}
+ */
+const canViewAllInspections = (user) => hasRight(user, 'viewAllInspections');
+
+/**
+ * Mongo filter matching inspections assigned to a user, as lead or assistant
+ * @param {string} userId
+ * @returns {Object}
+ */
+const buildAssigneeFilter = (userId) => {
+  const id = mongoose.Types.ObjectId(userId.toString());
+  return { $or: [{ inspectorId: id }, { assistantIds: id }] };
+};
+
+/**
+ * Mongo filter matching the inspections a user may see
+ * @param {Object} user - Acting user (organizationId and role)
+ * @returns {Object}
+ */
+const buildInspectionAccessFilter = (user) => {
+  if (canViewAllInspections(user)) {
+    return { organizationId: user.organizationId };
+  }
+  return { organizationId: user.organizationId, ...buildAssigneeFilter(getUserId(user)) };
+};
+
+/**
+ * Ids of the inspections a user may see, or null when the user sees all of them
+ * @param {Object} user
+ * @returns {Promise<mongoose.Types.ObjectId[]|null>}
+ */
+const listAccessibleInspectionIds = async (user) => {
+  if (canViewAllInspections(user)) {
+    return null;
+  }
+  return Inspection.distinct('_id', buildInspectionAccessFilter(user));
+};
+
+/**
+ * Ensure the user may read or change an inspection. Inspections the user
+ * cannot see are reported as not found.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {string} params.inspectionId
+ * @param {string} [params.access] - read | write | edit
+ * @returns {Promise<void>}
+ */
+const assertInspectionAccess = async ({ user, inspectionId, access = inspectionAccessLevels.READ }) => {
+  if (access !== inspectionAccessLevels.READ && !hasRight(user, 'manageInspections')) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You have read-only access to inspections');
+  }
+
+  const inspection =
+    inspectionId && mongoose.Types.ObjectId.isValid(inspectionId)
+      ? await Inspection.findOne({ _id: inspectionId, ...buildInspectionAccessFilter(user) })
+          .select('status')
+          .lean()
+      : null;
+
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  if (access === inspectionAccessLevels.EDIT && lockedInspectionStatuses.includes(inspection.status)) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `This inspection is ${inspection.status} and locked; request an amendment to change it`
+    );
+  }
+};
+
+/**
+ * Ensure all assignees are users of the organization who can work on inspections
+ * @param {string} organizationId
+ * @param {string[]} userIds
+ * @returns {Promise<Object[]>} The users, with email and name
+ */
+const validateAssignees = async (organizationId, userIds) => {
+  if (!userIds.length) {
+    return [];
+  }
+
+  const users = await User.find({ _id: { $in: userIds }, organizationId })
+    .select('name email role')
+    .lean();
+  const missing = userIds.filter((id) => !users.some((user) => user._id.toString() === id));
+  if (missing.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Users not found in this organization: ${missing.join(', ')}`);
+  }
+
+  const readOnly = users.filter((user) => !hasRight(user, 'manageInspections'));
+  if (readOnly.length) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Users with read-only access cannot be assigned: ${readOnly.map((user) => user.name || user.email).join(', ')}`
+    );
+  }
+
+  return users;
+};
+
+/**
+ * Lead and assistant ids of an assignment, without duplicates or the lead among the assistants
+ * @param {Object} params
+ * @param {string|null} [params.inspectorId]
+ * @param {string[]} [params.assistantIds]
+ * @returns {{inspectorId: string|null, assistantIds: string[]}}
+ */
+const normalizeAssignment = ({ inspectorId, assistantIds = [] }) => {
+  const lead = inspectorId ? inspectorId.toString() : null;
+  return {
+    inspectorId: lead,
+    assistantIds: [...new Set(assistantIds.map((id) => id.toString()))].filter((id) => id !== lead),
+  };
+};
+
+/**
+ * Assignment of an inspection being created. Users without the
+ * `assignInspections` right may only make themselves the lead; users who only
+ * see assigned inspections become the lead when none is given, so they keep
+ * access to what they create.
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {string} [params.inspectorId]
+ * @param {string[]} [params.assistantIds]
+ * @returns {Promise<{inspectorId: string|null, assistantIds: string[], users: Object[]}>}
+ */
+const resolveNewAssignment = async ({ user, inspectorId, assistantIds = [] }) => {
+  const userId = getUserId(user);
+  const assignsOthers = (inspectorId && inspectorId.toString() !== userId) || assistantIds.length > 0;
+  if (assignsOthers && !hasRight(user, 'assignInspections')) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not allowed to assign inspectors');
+  }
+
+  const assignment = normalizeAssignment({
+    inspectorId: inspectorId || (canViewAllInspections(user) ? null : userId),
+    assistantIds,
+  });
+  const users = await validateAssignees(
+    user.organizationId,
+    [assignment.inspectorId, ...assignment.assistantIds].filter(Boolean)
+  );
+
+  return { ...assignment, users };
+};
+
+/**
+ * Users gaining a role on an inspection: a new lead, or an assistant who was not assigned before
+ * @param {Object} previous - {inspectorId, assistantIds} before the change
+ * @param {Object} next - {inspectorId, assistantIds} after the change
+ * @returns {Array<{userId: string, role: string}>}
+ */
+const findNewAssignees = (previous, next) => {
+  const previousLead = previous.inspectorId ? previous.inspectorId.toString() : null;
+  const previouslyAssigned = new Set(
+    [previousLead, ...(previous.assistantIds || []).map((id) => id.toString())].filter(Boolean)
+  );
+
+  const added = [];
+  if (next.inspectorId && next.inspectorId !== previousLead) {
+    added.push({ userId: next.inspectorId, role: assignmentRoles.LEAD });
+  }
+  next.assistantIds
+    .filter((id) => !previouslyAssigned.has(id))
+    .forEach((id) => added.push({ userId: id, role: assignmentRoles.ASSISTANT }));
+  return added;
+};
+
+/**
+ * Email newly assigned users and broadcast the assignment. Failures are
+ * logged; the assignment itself has already been saved.
+ * @param {Object} params
+ * @param {Object} params.inspection
+ * @param {Array<{userId: string, role: string}>} params.assignees
+ * @param {Object[]} params.users - Assigned users with email
+ * @param {Object} params.assignedBy - Acting user; not notified of their own assignment
+ * @returns {Promise<void>}
+ */
+const notifyAssignees = async ({ inspection, assignees, users, assignedBy }) => {
+  if (!assignees.length) {
+    return;
+  }
+
+  const inspectionId = inspection._id.toString();
+  const event = {
+    inspectionId,
+    inspectorId: inspection.inspectorId ? inspection.inspectorId.toString() : null,
+    assistantIds: (inspection.assistantIds || []).map((id) => id.toString()),
+    assigned: assignees,
+    assignedBy: getUserId(assignedBy),
+  };
+
+  emitInspectionEvent(inspectionId, webhookEvents.INSPECTION_ASSIGNED, event);
+  dispatchWebhookEvent({ organizationId: inspection.organizationId, event: webhookEvents.INSPECTION_ASSIGNED, data: event });
+
+  const property = (await Property.findById(inspection.propertyId).select('name address').lean()) || {};
+  await Promise.all(
+    assignees
+      .filter(({ userId }) => userId !== event.assignedBy)
+      .map(async ({ userId, role }) => {
+        const user = users.find((candidate) => candidate._id.toString() === userId);
+        if (!user || !user.email) {
+          return;
+        }
+        try {
+          await emailService.sendInspectionAssignmentEmail(user.email, {
+            inspectionId,
+            propertyName: property.name || 'Property',
+            address: formatAddress(property.address),
+            scheduledFor: inspection.scheduledFor,
+            role,
+          });
+        } catch (err) {
+          logger.error({ err: err.message, inspectionId, userId }, 'Failed to send inspection assignment email');
+        }
+      })
+  );
+};
+
+/**
+ * Assign the lead inspector and/or assistants of an inspection and notify
+ * users who were not assigned before. Fields left out keep their value;
+ * a null lead removes the lead inspector.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {Object} params.user - Acting user
+ * @param {string|null} [params.inspectorId]
+ * @param {string[]} [params.assistantIds]
+ * @returns {Promise<Object>} Updated inspection
+ */
+const assignInspectors = async ({ inspectionId, user, inspectorId, assistantIds }) => {
+  const current = await Inspection.findOne({ _id: inspectionId, ...buildInspectionAccessFilter(user) })
+    .select('inspectorId assistantIds')
+    .lean();
+  if (!current) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  const next = normalizeAssignment({
+    inspectorId: inspectorId !== undefined ? inspectorId : current.inspectorId,
+    assistantIds: assistantIds !== undefined ? assistantIds : current.assistantIds,
+  });
+  const users = await validateAssignees(user.organizationId, [next.inspectorId, ...next.assistantIds].filter(Boolean));
+
+  const update = { $set: { assistantIds: next.assistantIds.map((id) => mongoose.Types.ObjectId(id)) } };
+  if (next.inspectorId) {
+    update.$set.inspectorId = mongoose.Types.ObjectId(next.inspectorId);
+  } else {
+    update.$unset = { inspectorId: 1 };
+  }
+  if (next.inspectorId !== (current.inspectorId ? current.inspectorId.toString() : null)) {
+    // The new lead gets their own reminder
+    update.$unset = { ...update.$unset, reminderSentAt: 1 };
+  }
+
+  const inspection = await Inspection.findOneAndUpdate({ _id: inspectionId, organizationId: user.organizationId }, update, {
+    new: true,
+  }).lean();
+
+  await notifyAssignees({ inspection, assignees: findNewAssignees(current, next), users, assignedBy: user });
+
+  return inspection;
+};
+
+module.exports = {
+  inspectionAccessLevels,
+  assignmentRoles,
+  canViewAllInspections,
+  buildAssigneeFilter,
+  buildInspectionAccessFilter,
+  listAccessibleInspectionIds,
+  assertInspectionAccess,
+  validateAssignees,
+  normalizeAssignment,
+  resolveNewAssignment,
+  findNewAssignees,
+  notifyAssignees,
+  assignInspectors,
+};
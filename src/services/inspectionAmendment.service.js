@@ -0,0 +1,382 @@
+/**
+ * Inspection Amendment Service
+ *
+ * Completed inspections are locked (see services/inspectionAccess); their
+ * summary and room findings only change through amendments. An amendment
+ * records who asked for it, why, and the before and after value of every
+ * field it changes. A reviewer approves or rejects it; approving applies the
+ * changes, provided the fields still hold the values the amendment was
+ * requested against, and adds a new Report version noting what changed.
+ *
+ * @module services/inspectionAmendment
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const Report = require('../models/report.model');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const {
+  amendmentStatuses,
+  amendmentDecisions,
+  amendableFields,
+  amendmentFieldLabels,
+  amendmentLimits,
+} = require('../config/amendments');
+const { webhookEvents } = require('../config/webhooks');
+const { emitInspectionEvent } = require('../lib/socket');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+// Amendable fields of the inspection and its rooms, with what diffs and reviews need
+const AMENDMENT_SELECT = [
+  'status amendments rooms._id',
+  ...amendableFields.inspection,
+  ...amendableFields.room.map((field) => `rooms.${field}`),
+].join(' ');
+
+// Report versions are numbered from the current one; retried when a version is added concurrently
+const REPORT_VERSION_ATTEMPTS = 3;
+
+/**
+ * Stored form of a field value; empty values are null so a cleared field compares equal to a missing one
+ * @param {*} value
+ * @returns {*}
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.map(String);
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * Field-level diff of the requested changes against the inspection. Fields
+ * set to their current value are left out.
+ * @param {Object} inspection - Inspection with its amendable fields and rooms
+ * @param {Object} changes - Inspection fields and `rooms: [{roomId, ...fields}]`
+ * @returns {Object[]} Changes with field, roomId, roomName, before and after
+ */
+const diffChanges = (inspection, { rooms = [], ...fields }) => {
+  const inspectionChanges = amendableFields.inspection
+    .filter((field) => field in fields && !isSameValue(inspection[field], fields[field]))
+    .map((field) => ({ field, before: normalizeValue(inspection[field]), after: normalizeValue(fields[field]) }));
+
+  const seen = new Set();
+  const roomChanges = rooms.flatMap(({ roomId, ...roomFields }) => {
+    if (seen.has(roomId)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Room ${roomId} is listed more than once`);
+    }
+    seen.add(roomId);
+    const room = (inspection.rooms || []).find((candidate) => candidate._id.toString() === roomId);
+    if (!room) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Room ${roomId} is not part of this inspection`);
+    }
+    return amendableFields.room
+      .filter((field) => field in roomFields && !isSameValue(room[field], roomFields[field]))
+      .map((field) => ({
+        field,
+        roomId: room._id,
+        roomName: room.name,
+        before: normalizeValue(room[field]),
+        after: normalizeValue(roomFields[field]),
+      }));
+  });
+
+  return [...inspectionChanges, ...roomChanges];
+};
+
+/**
+ * Describe a change for report versions and PDFs, e.g. "Kitchen: Condition rating"
+ * @param {Object} change
+ * @returns {string}
+ */
+const describeChange = (change) => {
+  const label = amendmentFieldLabels[change.field] || change.field;
+  return change.roomId ? `${change.roomName}: ${label}` : label;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '-';
+  if (Array.isArray(value)) return value.length ? value.join('; ') : '-';
+  return String(value);
+};
+
+/**
+ * Table rows of an amendment's changes
+ * @param {Object} amendment - Amendment, or the amendment noted on a report version
+ * @returns {Array<{change: string, before: string, after: string}>}
+ */
+const buildAmendmentRows = (amendment) =>
+  (amendment.changes || []).map((change) => ({
+    change: describeChange(change),
+    before: formatValue(change.before),
+    after: formatValue(change.after),
+  }));
+
+const loadInspection = async (inspectionId, organizationId) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select(AMENDMENT_SELECT).lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  return inspection;
+};
+
+/**
+ * Amendments of an inspection, latest first
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} [params.status] - pending | approved | rejected
+ * @returns {Promise<Object[]>}
+ */
+const listAmendments = async ({ inspectionId, organizationId, status }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select('amendments').lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  return (inspection.amendments || [])
+    .filter((amendment) => !status || amendment.status === status)
+    .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+};
+
+/**
+ * Request a change to a completed inspection
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.reason - Why the recorded inspection is wrong
+ * @param {Object} params.changes - New inspection field values and `rooms: [{roomId, ...fields}]`
+ * @returns {Promise<Object>} The pending amendment
+ */
+const requestAmendment = async ({ inspectionId, organizationId, user, reason, changes }) => {
+  const inspection = await loadInspection(inspectionId, organizationId);
+  if (inspection.status !== inspectionStatuses.COMPLETED) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      inspection.status === inspectionStatuses.ARCHIVED
+        ? 'Restore the inspection before amending it'
+        : 'Only completed inspections are amended; edit the inspection directly'
+    );
+  }
+
+  const pending = (inspection.amendments || []).filter((item) => item.status === amendmentStatuses.PENDING);
+  if (pending.length >= amendmentLimits.pendingPerInspection) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `An inspection can have at most ${amendmentLimits.pendingPerInspection} pending amendments`
+    );
+  }
+  const diff = diffChanges(inspection, changes);
+  if (!diff.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The amendment does not change anything');
+  }
+
+  const amendment = {
+    _id: mongoose.Types.ObjectId(),
+    status: amendmentStatuses.PENDING,
+    reason,
+    requestedBy: user.id || user._id,
+    requestedAt: new Date(),
+    changes: diff,
+  };
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, status: inspectionStatuses.COMPLETED },
+    { $push: { amendments: amendment } },
+    { runValidators: true }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'Inspection status changed while processing, please retry');
+  }
+
+  logger.info(
+    { inspectionId: inspectionId.toString(), amendmentId: amendment._id.toString(), changes: diff.length },
+    'Inspection amendment requested'
+  );
+  return amendment;
+};
+
+/**
+ * Add a report version for an approved amendment, copied from the current
+ * version. Its PDF is rendered on the next generate, from the amended inspection.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.amendment - Approved amendment
+ * @param {number} [attempt]
+ * @returns {Promise<number|null>} New version, or null when the inspection has no report
+ */
+const addReportVersion = async ({ inspectionId, organizationId, amendment }, attempt = 1) => {
+  const report = await Report.findOne({ inspectionId, organizationId }).select('currentVersion versions').lean();
+  if (!report) return null;
+
+  const current = report.versions.find((version) => version.version === report.currentVersion) || {};
+  const nextVersion = report.currentVersion + 1;
+  const changed = amendment.changes.map(describeChange).join(', ');
+  const updated = await Report.findOneAndUpdate(
+    { _id: report._id, currentVersion: report.currentVersion },
+    {
+      $set: { currentVersion: nextVersion },
+      $push: {
+        versions: {
+          version: nextVersion,
+          title: current.title || `Inspection Report v${nextVersion}`,
+          summary: `Amended: ${changed}. Reason: ${amendment.reason}`,
+          introduction: current.introduction,
+          conclusion: current.conclusion,
+          generatedBy: amendment.reviewedBy,
+          watermark: current.watermark,
+          amendment: {
+            amendmentId: amendment._id,
+            reason: amendment.reason,
+            changes: amendment.changes,
+            approvedBy: amendment.reviewedBy,
+            approvedAt: amendment.reviewedAt,
+          },
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (updated) return nextVersion;
+  if (attempt >= REPORT_VERSION_ATTEMPTS) {
+    throw new ApiError(httpStatus.CONFLICT, 'The report changed while processing, please retry');
+  }
+  return addReportVersion({ inspectionId, organizationId, amendment }, attempt + 1);
+};
+
+/**
+ * Mongo update applying an amendment's changes, with the array filters it needs
+ * @param {Object[]} changes
+ * @returns {{set: Object, arrayFilters: Object[]}}
+ */
+const buildChangeUpdate = (changes) => {
+  const roomIds = [...new Set(changes.filter((change) => change.roomId).map((change) => change.roomId.toString()))];
+  const set = {};
+  changes.forEach((change) => {
+    const path = change.roomId ? `rooms.$[room${roomIds.indexOf(change.roomId.toString())}].${change.field}` : change.field;
+    set[path] = change.after === null && change.field === 'actions' ? [] : change.after;
+  });
+  return {
+    set,
+    arrayFilters: roomIds.map((roomId, index) => ({ [`room${index}._id`]: mongoose.Types.ObjectId(roomId) })),
+  };
+};
+
+/**
+ * Approve or reject a pending amendment. Approving applies its changes and
+ * bumps the report version; it is refused when one of the fields changed
+ * since the amendment was requested.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Reviewing user
+ * @param {string} params.amendmentId
+ * @param {string} params.decision - approve | reject
+ * @param {string} [params.note] - Stored with the decision
+ * @returns {Promise<Object>} The reviewed amendment
+ */
+const reviewAmendment = async ({ inspectionId, organizationId, user, amendmentId, decision, note }) => {
+  const inspection = await loadInspection(inspectionId, organizationId);
+  const amendment = (inspection.amendments || []).find((item) => item._id.toString() === amendmentId);
+  if (!amendment) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Amendment not found');
+  }
+  if (amendment.status !== amendmentStatuses.PENDING) {
+    throw new ApiError(httpStatus.CONFLICT, `The amendment was already ${amendment.status}`);
+  }
+
+  const approve = decision === amendmentDecisions.APPROVE;
+  const reviewed = {
+    ...amendment,
+    status: approve ? amendmentStatuses.APPROVED : amendmentStatuses.REJECTED,
+    reviewedBy: user.id || user._id,
+    reviewedAt: new Date(),
+    reviewNote: note || undefined,
+  };
+
+  let set = {};
+  let arrayFilters = [];
+  if (approve) {
+    if (inspection.status !== inspectionStatuses.COMPLETED) {
+      throw new ApiError(httpStatus.CONFLICT, 'Restore the inspection before approving amendments');
+    }
+    const stale = amendment.changes.filter((change) => {
+      const source = change.roomId
+        ? (inspection.rooms || []).find((room) => room._id.toString() === change.roomId.toString())
+        : inspection;
+      return !source || !isSameValue(source[change.field], change.before);
+    });
+    if (stale.length) {
+      throw new ApiError(
+        httpStatus.CONFLICT,
+        `Changed since the amendment was requested: ${stale.map(describeChange).join(', ')}`
+      );
+    }
+    ({ set, arrayFilters } = buildChangeUpdate(amendment.changes));
+  }
+
+  const updated = await Inspection.findOneAndUpdate(
+    {
+      _id: inspectionId,
+      organizationId,
+      amendments: { $elemMatch: { _id: amendment._id, status: amendmentStatuses.PENDING } },
+      ...(approve ? { status: inspectionStatuses.COMPLETED } : {}),
+    },
+    {
+      $set: {
+        ...set,
+        'amendments.$[amendment].status': reviewed.status,
+        'amendments.$[amendment].reviewedBy': reviewed.reviewedBy,
+        'amendments.$[amendment].reviewedAt': reviewed.reviewedAt,
+        'amendments.$[amendment].reviewNote': reviewed.reviewNote,
+      },
+    },
+    { arrayFilters: [{ 'amendment._id': amendment._id }, ...arrayFilters], runValidators: true }
+  )
+    .select('_id')
+    .lean();
+  if (!updated) {
+    throw new ApiError(httpStatus.CONFLICT, 'The amendment changed while processing, please retry');
+  }
+
+  if (!approve) return reviewed;
+
+  reviewed.reportVersion = await addReportVersion({ inspectionId, organizationId, amendment: reviewed });
+  if (reviewed.reportVersion) {
+    await Inspection.updateOne(
+      { _id: inspectionId, organizationId },
+      { $set: { 'amendments.$[amendment].reportVersion': reviewed.reportVersion } },
+      { arrayFilters: [{ 'amendment._id': amendment._id }] }
+    );
+  }
+
+  const event = {
+    inspectionId: inspectionId.toString(),
+    amendmentId: amendment._id.toString(),
+    reason: reviewed.reason,
+    changes: reviewed.changes,
+    reportVersion: reviewed.reportVersion,
+    approvedBy: reviewed.reviewedBy.toString(),
+  };
+  logger.info(
+    { inspectionId: event.inspectionId, amendmentId: event.amendmentId, reportVersion: event.reportVersion },
+    'Inspection amendment approved'
+  );
+  emitInspectionEvent(event.inspectionId, webhookEvents.INSPECTION_AMENDED, event);
+  dispatchWebhookEvent({ organizationId, event: webhookEvents.INSPECTION_AMENDED, data: event });
+
+  return reviewed;
+};
+
+module.exports = {
+  diffChanges,
+  describeChange,
+  buildAmendmentRows,
+  listAmendments,
+  requestAmendment,
+  reviewAmendment,
+};
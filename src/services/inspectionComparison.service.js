@@ -0,0 +1,452 @@
+/**
+ * Inspection Comparison Service
+ *
+ * Compares two inspections of the same property (typically the ingoing and
+ * outgoing condition inspections of a tenancy) room by room.
+ *
+ * @module services/inspectionComparison
+ */
+
+const httpStatus = require('http-status');
+const { Inspection, PENDING_ROOM_NAME } = require('../models/inspection.model');
+const Property = require('../models/property.model');
+const { getStorage } = require('../lib/storage');
+const { resolvePhotoKey } = require('./photoDerivative.service');
+const { inventoryConditions, inventoryConditionScores } = require('../config/inventory');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Numeric score per condition rating, higher is better.
+ * Ratings without a score (e.g. unrated) cannot be compared.
+ */
+const CONDITION_SCORES = {
+  excellent: 5,
+  good: 4,
+  fair: 3,
+  needs_maintenance: 2,
+  poor: 2,
+  critical: 1,
+};
+
+const SEVERITY_SCORES = { low: 1, medium: 2, high: 3 };
+
+/**
+ * @typedef {Object} ComparisonPhotoRef
+ * @property {string} photoId
+ * @property {string} storagePath
+ * @property {string} pdfStoragePath - PDF-size derivative, or the original until generated
+ * @property {string} [thumbnailUrl]
+ * @property {string} originalFilename
+ * @property {Date} [capturedAt]
+ */
+
+/**
+ * @typedef {Object} ComparisonRoom
+ * @property {string} name - Room name (from the exit room when both exist)
+ * @property {'matched'|'entry_only'|'exit_only'} status
+ * @property {string|null} entryRoomId
+ * @property {string|null} exitRoomId
+ * @property {Object} conditionRating - { entry, exit, change, delta }
+ * @property {Object} issues - { new, persisting, resolved }
+ * @property {InventoryReconciliation} inventory
+ * @property {Array<{entry: ComparisonPhotoRef|null, exit: ComparisonPhotoRef|null}>} photoPairs
+ */
+
+/**
+ * @typedef {Object} InventoryReconciliation
+ * Items are { name, entry, exit } where entry and exit hold { quantity, condition, itemIds } or are null
+ * @property {Object[]} missing - Not found at exit, or fewer found (see shortfall)
+ * @property {Object[]} damaged - Damaged at exit but not at entry
+ * @property {Object[]} deteriorated - In a worse condition, short of damaged
+ * @property {Object[]} added - Only on the exit inventory
+ */
+
+const normalizeKey = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+const toId = (value) => (value ? value.toString() : null);
+
+/**
+ * Date used to order two inspections chronologically
+ * @param {Object} inspection
+ * @returns {Date}
+ */
+const getInspectionDate = (inspection) =>
+  new Date(inspection.completedAt || inspection.startedAt || inspection.scheduledFor || inspection.createdAt);
+
+/**
+ * Compare two condition ratings
+ * @param {string} [entryRating]
+ * @param {string} [exitRating]
+ * @returns {{entry: string, exit: string, change: string, delta: number|null}}
+ */
+const compareConditionRatings = (entryRating, exitRating) => {
+  const entry = entryRating || 'unrated';
+  const exit = exitRating || 'unrated';
+  const entryScore = CONDITION_SCORES[entry];
+  const exitScore = CONDITION_SCORES[exit];
+
+  if (!entryScore || !exitScore) {
+    return { entry, exit, change: 'unknown', delta: null };
+  }
+
+  const delta = exitScore - entryScore;
+  let change = 'unchanged';
+  if (delta > 0) change = 'improved';
+  else if (delta < 0) change = 'deteriorated';
+
+  return { entry, exit, change, delta };
+};
+
+const issueKey = (issue) => `${normalizeKey(issue.category || 'other')}:${normalizeKey(issue.label)}`;
+
+/**
+ * Flatten photo issues of a room, keeping a reference to the source photo
+ * @param {Object} [room]
+ * @returns {Object[]}
+ */
+const collectRoomIssues = (room) => {
+  if (!room) return [];
+  return (room.photos || []).reduce((acc, photo) => {
+    (photo.issues || []).forEach((issue) => {
+      acc.push({
+        label: issue.label,
+        severity: issue.severity,
+        category: issue.category,
+        recommendation: issue.recommendation,
+        photoId: toId(photo._id),
+      });
+    });
+    return acc;
+  }, []);
+};
+
+const indexIssues = (issues) =>
+  issues.reduce((acc, issue) => {
+    const key = issueKey(issue);
+    if (!acc.has(key)) acc.set(key, issue);
+    return acc;
+  }, new Map());
+
+/**
+ * Split issues into new (exit only), persisting (both) and resolved (entry only)
+ * @param {Object} [entryRoom]
+ * @param {Object} [exitRoom]
+ * @returns {{new: Object[], persisting: Object[], resolved: Object[]}}
+ */
+const diffRoomIssues = (entryRoom, exitRoom) => {
+  const entryIssues = indexIssues(collectRoomIssues(entryRoom));
+  const exitIssues = indexIssues(collectRoomIssues(exitRoom));
+
+  const result = { new: [], persisting: [], resolved: [] };
+
+  exitIssues.forEach((exitIssue, key) => {
+    const entryIssue = entryIssues.get(key);
+    if (!entryIssue) {
+      result.new.push(exitIssue);
+      return;
+    }
+    const severityDelta = (SEVERITY_SCORES[exitIssue.severity] || 0) - (SEVERITY_SCORES[entryIssue.severity] || 0);
+    let severityChange = 'unchanged';
+    if (severityDelta > 0) severityChange = 'worse';
+    else if (severityDelta < 0) severityChange = 'better';
+
+    result.persisting.push({
+      label: exitIssue.label,
+      category: exitIssue.category,
+      recommendation: exitIssue.recommendation || entryIssue.recommendation,
+      entrySeverity: entryIssue.severity,
+      exitSeverity: exitIssue.severity,
+      severityChange,
+      entryPhotoId: entryIssue.photoId,
+      exitPhotoId: exitIssue.photoId,
+    });
+  });
+
+  entryIssues.forEach((entryIssue, key) => {
+    if (!exitIssues.has(key)) {
+      result.resolved.push(entryIssue);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Inventory of a room grouped by item name. Several lines of the same item
+ * add up; the group takes the worst condition among them.
+ * @param {Object} [room]
+ * @returns {Map<string, {name: string, quantity: number, condition: string, itemIds: string[]}>}
+ */
+const indexInventory = (room) =>
+  ((room && room.inventory) || []).reduce((map, item) => {
+    const key = normalizeKey(item.name);
+    // Items recorded as missing were not found, whatever quantity they carry
+    const quantity = item.condition === inventoryConditions.MISSING ? 0 : item.quantity;
+    const existing = map.get(key);
+    if (!existing) {
+      map.set(key, { name: item.name, quantity, condition: item.condition, itemIds: [toId(item._id)] });
+      return map;
+    }
+    existing.quantity += quantity;
+    existing.itemIds.push(toId(item._id));
+    if (inventoryConditionScores[item.condition] < inventoryConditionScores[existing.condition]) {
+      existing.condition = item.condition;
+    }
+    return map;
+  }, new Map());
+
+/**
+ * Reconcile the inventory of a room between two inspections, matching items by name
+ * @param {Object|null} entryRoom
+ * @param {Object|null} exitRoom
+ * @returns {InventoryReconciliation}
+ */
+const reconcileInventory = (entryRoom, exitRoom) => {
+  const entryItems = indexInventory(entryRoom);
+  const exitItems = indexInventory(exitRoom);
+  const pick = ({ quantity, condition, itemIds }) => ({ quantity, condition, itemIds });
+
+  const result = { missing: [], damaged: [], deteriorated: [], added: [] };
+  // Without an exit room there is nothing to reconcile against
+  if (!exitRoom) return result;
+
+  entryItems.forEach((entryItem, key) => {
+    const exitItem = exitItems.get(key);
+    const item = { name: (exitItem || entryItem).name, entry: pick(entryItem), exit: exitItem ? pick(exitItem) : null };
+
+    const shortfall = entryItem.quantity - (exitItem ? exitItem.quantity : 0);
+    if (shortfall > 0) {
+      result.missing.push({ ...item, shortfall });
+    }
+    if (!exitItem || !exitItem.quantity) return;
+
+    const entryScore = inventoryConditionScores[entryItem.condition];
+    const exitScore = inventoryConditionScores[exitItem.condition];
+    if (exitItem.condition === inventoryConditions.DAMAGED && entryItem.condition !== inventoryConditions.DAMAGED) {
+      result.damaged.push(item);
+    } else if (exitScore < entryScore) {
+      result.deteriorated.push(item);
+    }
+  });
+
+  exitItems.forEach((exitItem, key) => {
+    if (!entryItems.has(key) && exitItem.quantity) {
+      result.added.push({ name: exitItem.name, entry: null, exit: pick(exitItem) });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * @param {Object} photo
+ * @returns {ComparisonPhotoRef}
+ */
+const toPhotoRef = (photo) => ({
+  photoId: toId(photo._id),
+  storagePath: photo.storagePath,
+  pdfStoragePath: resolvePhotoKey(photo, 'pdf').storagePath,
+  thumbnailUrl: photo.thumbnailUrl,
+  originalFilename: photo.originalFilename,
+  capturedAt: photo.capturedAt,
+});
+
+const sortPhotos = (photos = []) =>
+  photos.slice().sort((a, b) => new Date(a.capturedAt || a.createdAt || 0) - new Date(b.capturedAt || b.createdAt || 0));
+
+/**
+ * Pair photos of the two rooms in capture order for side-by-side display
+ * @param {Object} [entryRoom]
+ * @param {Object} [exitRoom]
+ * @returns {Array<{entry: ComparisonPhotoRef|null, exit: ComparisonPhotoRef|null}>}
+ */
+const pairRoomPhotos = (entryRoom, exitRoom) => {
+  const entryPhotos = sortPhotos(entryRoom ? entryRoom.photos : []);
+  const exitPhotos = sortPhotos(exitRoom ? exitRoom.photos : []);
+  const length = Math.max(entryPhotos.length, exitPhotos.length);
+
+  return Array.from({ length }, (value, index) => ({
+    entry: entryPhotos[index] ? toPhotoRef(entryPhotos[index]) : null,
+    exit: exitPhotos[index] ? toPhotoRef(exitPhotos[index]) : null,
+  }));
+};
+
+const sortRooms = (rooms = []) =>
+  rooms.filter((room) => room.name !== PENDING_ROOM_NAME).sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0));
+
+/**
+ * Match rooms of two inspections by normalized name. Rooms sharing a name
+ * (e.g. two "Bedroom" rooms) are paired in display order.
+ * @param {Object[]} entryRooms
+ * @param {Object[]} exitRooms
+ * @returns {Array<{entryRoom: Object|null, exitRoom: Object|null}>}
+ */
+const matchRooms = (entryRooms, exitRooms) => {
+  const remainingEntry = sortRooms(entryRooms);
+  const pairs = sortRooms(exitRooms).map((exitRoom) => {
+    const index = remainingEntry.findIndex((room) => normalizeKey(room.name) === normalizeKey(exitRoom.name));
+    const entryRoom = index === -1 ? null : remainingEntry.splice(index, 1)[0];
+    return { entryRoom, exitRoom };
+  });
+
+  remainingEntry.forEach((entryRoom) => pairs.push({ entryRoom, exitRoom: null }));
+
+  return pairs;
+};
+
+/**
+ * Build a room by room comparison of two inspections
+ * @param {Object} entry - Earlier inspection
+ * @param {Object} exit - Later inspection
+ * @returns {{rooms: ComparisonRoom[], totals: Object}}
+ */
+const buildComparison = (entry, exit) => {
+  const rooms = matchRooms(entry.rooms, exit.rooms).map(({ entryRoom, exitRoom }) => {
+    let status = 'matched';
+    if (!entryRoom) status = 'exit_only';
+    else if (!exitRoom) status = 'entry_only';
+
+    return {
+      name: (exitRoom || entryRoom).name,
+      status,
+      entryRoomId: entryRoom ? toId(entryRoom._id) : null,
+      exitRoomId: exitRoom ? toId(exitRoom._id) : null,
+      conditionRating: compareConditionRatings(
+        entryRoom ? entryRoom.conditionRating : undefined,
+        exitRoom ? exitRoom.conditionRating : undefined
+      ),
+      notes: {
+        entry: entryRoom ? entryRoom.notes : undefined,
+        exit: exitRoom ? exitRoom.notes : undefined,
+      },
+      issues: diffRoomIssues(entryRoom, exitRoom),
+      inventory: reconcileInventory(entryRoom, exitRoom),
+      photoPairs: pairRoomPhotos(entryRoom, exitRoom),
+    };
+  });
+
+  const totals = rooms.reduce(
+    (acc, room) => {
+      acc.rooms += 1;
+      if (room.conditionRating.change === 'deteriorated') acc.deteriorated += 1;
+      if (room.conditionRating.change === 'improved') acc.improved += 1;
+      acc.newIssues += room.issues.new.length;
+      acc.persistingIssues += room.issues.persisting.length;
+      acc.resolvedIssues += room.issues.resolved.length;
+      acc.missingItems += room.inventory.missing.length;
+      acc.damagedItems += room.inventory.damaged.length;
+      return acc;
+    },
+    {
+      rooms: 0,
+      deteriorated: 0,
+      improved: 0,
+      newIssues: 0,
+      persistingIssues: 0,
+      resolvedIssues: 0,
+      missingItems: 0,
+      damagedItems: 0,
+    }
+  );
+
+  return { rooms, totals };
+};
+
+const summarizeInspection = (inspection) => ({
+  id: toId(inspection._id),
+  status: inspection.status,
+  date: getInspectionDate(inspection),
+  completedAt: inspection.completedAt,
+  roomCount: sortRooms(inspection.rooms).length,
+});
+
+/**
+ * Load two inspections of the same property and compare them.
+ * The earlier inspection is treated as the entry inspection regardless of argument order.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.otherInspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<Object>}
+ */
+const getInspectionComparison = async ({ inspectionId, otherInspectionId, organizationId }) => {
+  if (String(inspectionId) === String(otherInspectionId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot compare an inspection with itself');
+  }
+
+  const inspections = await Inspection.find({
+    _id: { $in: [inspectionId, otherInspectionId] },
+    organizationId,
+  }).lean();
+
+  if (inspections.length !== 2) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  const [first, second] = inspections;
+  if (toId(first.propertyId) !== toId(second.propertyId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Inspections must belong to the same property');
+  }
+
+  const property = await Property.findOne({ _id: first.propertyId, organizationId }).lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  const [entry, exit] = getInspectionDate(first) <= getInspectionDate(second) ? [first, second] : [second, first];
+  const { rooms, totals } = buildComparison(entry, exit);
+
+  return {
+    property,
+    entry: summarizeInspection(entry),
+    exit: summarizeInspection(exit),
+    rooms,
+    totals,
+  };
+};
+
+/**
+ * Download the photos referenced by a comparison for PDF rendering.
+ * Missing photos are skipped so one bad object does not break the export.
+ * @param {Object} comparison - Result of getInspectionComparison
+ * @param {Object} [options]
+ * @param {number} [options.maxPairsPerRoom] - Limit photo pairs rendered per room
+ * @returns {Promise<Map<string, Buffer>>} photoId -> image buffer
+ */
+const loadComparisonPhotos = async (comparison, { maxPairsPerRoom = 4 } = {}) => {
+  const refs = comparison.rooms
+    .flatMap((room) => room.photoPairs.slice(0, maxPairsPerRoom))
+    .flatMap((pair) => [pair.entry, pair.exit])
+    .filter(Boolean);
+
+  const buffers = new Map();
+  await Promise.all(
+    refs.map(async (ref) => {
+      try {
+        const result = await getStorage().download(ref.pdfStoragePath);
+        buffers.set(ref.photoId, result.data);
+      } catch (error) {
+        logger.warn({ photoId: ref.photoId, err: error.message }, 'Failed to load photo for comparison');
+      }
+    })
+  );
+
+  return buffers;
+};
+
+module.exports = {
+  CONDITION_SCORES,
+  getInspectionDate,
+  compareConditionRatings,
+  diffRoomIssues,
+  reconcileInventory,
+  matchRooms,
+  buildComparison,
+  getInspectionComparison,
+  loadComparisonPhotos,
+};
@@ -0,0 +1,213 @@
+/**
+ * Inspection Lifecycle Service
+ *
+ * Guards inspection status changes with the state machine defined in
+ * config/inspectionLifecycle, records each change in the inspection's
+ * statusHistory and broadcasts it over sockets and webhooks. Completing an
+ * inspection checks its compliance checklist first.
+ *
+ * @module services/inspectionLifecycle
+ */
+
+const httpStatus = require('http-status');
+const { Inspection } = require('../models/inspection.model');
+const { inspectionStatuses, inspectionTransitions } = require('../config/inspectionLifecycle');
+const { webhookEvents } = require('../config/webhooks');
+const { roleRights } = require('../config/roles');
+const { emitInspectionEvent } = require('../lib/socket');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const complianceService = require('./compliance.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const hasRight = (role, right) => (roleRights.get(role) || []).includes(right);
+
+/**
+ * Check whether a role may perform an action from the given status
+ * @param {string} status - Current inspection status
+ * @param {string} action - Transition action name
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+const canTransition = (status, action, role) => {
+  const transition = inspectionTransitions[action];
+  return Boolean(transition && transition.from.includes(status) && hasRight(role, transition.right));
+};
+
+/**
+ * List the actions a role may perform from the given status
+ * @param {string} status
+ * @param {string} role
+ * @returns {string[]}
+ */
+const getAvailableActions = (status, role) =>
+  Object.keys(inspectionTransitions).filter((action) => canTransition(status, action, role));
+
+/**
+ * Resolve a transition or throw the appropriate API error
+ * @param {Object} params
+ * @param {string} params.status - Current inspection status
+ * @param {string} params.action - Transition action name
+ * @param {string} params.role - User role
+ * @returns {{from: string[], to: string, right: string}}
+ */
+const assertTransition = ({ status, action, role }) => {
+  const transition = inspectionTransitions[action];
+  if (!transition) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown inspection transition "${action}"`);
+  }
+  if (!hasRight(role, transition.right)) {
+    throw new ApiError(httpStatus.FORBIDDEN, `Your role is not allowed to ${action.replace(/_/g, ' ')} inspections`);
+  }
+  if (!transition.from.includes(status)) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      `Cannot ${action.replace(/_/g, ' ')} an inspection that is ${status.replace(/_/g, ' ')}`
+    );
+  }
+  return transition;
+};
+
+/**
+ * Lifecycle timestamps set alongside the status for each target status
+ */
+const buildStatusFields = ({ inspection, transition, scheduledFor, now }) => {
+  const set = {};
+  const unset = {};
+
+  switch (transition.to) {
+    case inspectionStatuses.SCHEDULED: {
+      const date = scheduledFor || inspection.scheduledFor;
+      if (!date) {
+        throw new ApiError(httpStatus.BAD_REQUEST, 'scheduledFor is required to schedule an inspection');
+      }
+      set.scheduledFor = new Date(date);
+      // A new date gets a new reminder
+      unset.reminderSentAt = 1;
+      break;
+    }
+    case inspectionStatuses.IN_PROGRESS:
+      if (!inspection.startedAt) {
+        set.startedAt = now;
+      }
+      break;
+    case inspectionStatuses.IN_REVIEW:
+      set.submittedAt = now;
+      break;
+    case inspectionStatuses.COMPLETED:
+      if (inspection.status === inspectionStatuses.ARCHIVED) {
+        unset.archivedAt = 1;
+      } else {
+        set.completedAt = now;
+      }
+      break;
+    case inspectionStatuses.ARCHIVED:
+      set.archivedAt = now;
+      break;
+    default:
+      break;
+  }
+
+  return { set, unset };
+};
+
+/**
+ * Move an inspection through its lifecycle
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user (id and role)
+ * @param {string} params.action - Transition action name
+ * @param {string} [params.reason] - Optional note stored in the history
+ * @param {Date|string} [params.scheduledFor] - Required to schedule when not already set
+ * @returns {Promise<Object>} Updated inspection
+ */
+const transitionInspection = async ({ inspectionId, organizationId, user, action, reason, scheduledFor }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId })
+    .select('status scheduledFor startedAt organizationId')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  const transition = assertTransition({ status: inspection.status, action, role: user.role });
+  // Restoring an archived inspection does not complete it again
+  const { warnings } =
+    transition.to === inspectionStatuses.COMPLETED && inspection.status !== inspectionStatuses.ARCHIVED
+      ? await complianceService.checkCompletion({ inspectionId, organizationId })
+      : { warnings: [] };
+  const now = new Date();
+  const { set, unset } = buildStatusFields({ inspection, transition, scheduledFor, now });
+
+  const historyEntry = {
+    from: inspection.status,
+    to: transition.to,
+    action,
+    performedBy: user.id || user._id,
+    role: user.role,
+    reason,
+    warnings: warnings.length ? warnings : undefined,
+    createdAt: now,
+  };
+
+  const update = {
+    $set: { ...set, status: transition.to },
+    $push: { statusHistory: historyEntry },
+  };
+  if (Object.keys(unset).length) {
+    update.$unset = unset;
+  }
+
+  // Conditional on the status we validated against so concurrent transitions cannot both apply
+  const updated = await Inspection.findOneAndUpdate(
+    { _id: inspectionId, organizationId, status: inspection.status },
+    update,
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!updated) {
+    throw new ApiError(httpStatus.CONFLICT, 'Inspection status changed while processing, please retry');
+  }
+
+  const event = {
+    inspectionId: updated._id.toString(),
+    status: updated.status,
+    ...historyEntry,
+    performedBy: historyEntry.performedBy ? historyEntry.performedBy.toString() : undefined,
+  };
+
+  logger.info({ inspectionId: event.inspectionId, from: event.from, to: event.to, action }, 'Inspection status changed');
+  emitInspectionEvent(event.inspectionId, webhookEvents.INSPECTION_STATUS_CHANGED, event);
+  dispatchWebhookEvent({ organizationId, event: webhookEvents.INSPECTION_STATUS_CHANGED, data: event });
+
+  return updated;
+};
+
+/**
+ * Current status, history and the actions available to the user
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user
+ * @returns {Promise<{status: string, history: Object[], availableActions: string[]}>}
+ */
+const getInspectionLifecycle = async ({ inspectionId, organizationId, user }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select('status statusHistory').lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  return {
+    status: inspection.status,
+    history: inspection.statusHistory || [],
+    availableActions: getAvailableActions(inspection.status, user.role),
+  };
+};
+
+module.exports = {
+  canTransition,
+  getAvailableActions,
+  assertTransition,
+  transitionInspection,
+  getInspectionLifecycle,
+};
@@ -0,0 +1,162 @@
+/**
+ * Inspection Recheck Service
+ *
+ * Starts an inspection from the last completed inspection of the same
+ * property: the room layout, notes, inventory and report preset are copied, and
+ * unresolved high-severity issues of the property are carried forward as
+ * items for the inspector to re-check. Confirming an item fixed resolves its
+ * issue.
+ *
+ * @module services/inspectionRecheck
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const Issue = require('../models/issue.model');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const { inventoryItemSources } = require('../config/inventory');
+const { issueStatuses, unresolvedIssueStatuses, recheckStatuses, recheckSeverities } = require('../config/issues');
+const ApiError = require('../utils/ApiError');
+
+/**
+ * Last completed inspection of a property
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @returns {Promise<Object|null>}
+ */
+const findPreviousInspection = ({ propertyId, organizationId }) =>
+  Inspection.findOne({ propertyId, organizationId, status: inspectionStatuses.COMPLETED })
+    .sort({ completedAt: -1, createdAt: -1 })
+    .select('rooms._id rooms.name rooms.displayOrder rooms.notes rooms.inventory reportPresetId completedAt')
+    .lean();
+
+/**
+ * Re-check items for unresolved issues, placed in the copied room of the same
+ * name. Issues of rooms that were not copied keep their room name only.
+ * @param {Object[]} issues
+ * @param {Object[]} rooms - Rooms of the new inspection, with _id
+ * @returns {Object[]}
+ */
+const buildRecheckItems = (issues, rooms) => {
+  const roomsByName = new Map(rooms.map((room) => [room.name.trim().toLowerCase(), room]));
+  return issues.map((issue) => {
+    const room = issue.roomName ? roomsByName.get(issue.roomName.trim().toLowerCase()) : null;
+    return {
+      issueId: issue._id,
+      sourceInspectionId: issue.inspectionId,
+      roomId: room ? room._id : undefined,
+      roomName: issue.roomName,
+      label: issue.label,
+      severity: issue.severity,
+      category: issue.category,
+      recommendation: issue.recommendation,
+      status: recheckStatuses.PENDING,
+    };
+  });
+};
+
+/**
+ * Fields of a new inspection copied from the property's last completed inspection
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @returns {Promise<{rooms: Object[], reportPresetId: string, clonedFromInspectionId: string, recheckItems: Object[]}>}
+ */
+const buildClonedInspectionFields = async ({ propertyId, organizationId }) => {
+  const previous = await findPreviousInspection({ propertyId, organizationId });
+  if (!previous) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'This property has no completed inspection to start from');
+  }
+
+  const rooms = [...previous.rooms]
+    .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0))
+    .map((room, index) => ({
+      _id: mongoose.Types.ObjectId(),
+      name: room.name,
+      displayOrder: typeof room.displayOrder === 'number' ? room.displayOrder : index,
+      notes: room.notes,
+      // Listed for the inspector to check off; photos stay with the previous inspection
+      inventory: (room.inventory || []).map((item) => ({
+        _id: mongoose.Types.ObjectId(),
+        name: item.name,
+        quantity: item.quantity,
+        condition: item.condition,
+        notes: item.notes,
+        source: inventoryItemSources.MANUAL,
+        createdBy: item.createdBy,
+      })),
+    }));
+
+  const issues = await Issue.find({
+    organizationId,
+    propertyId,
+    severity: { $in: recheckSeverities },
+    status: { $in: unresolvedIssueStatuses },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return {
+    rooms,
+    reportPresetId: previous.reportPresetId,
+    clonedFromInspectionId: previous._id,
+    recheckItems: buildRecheckItems(issues, rooms),
+  };
+};
+
+/**
+ * Record whether a carried-forward issue was fixed. Fixed resolves the
+ * issue; not fixed (or back to pending) reopens it if it was resolved.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.recheckId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.status - fixed | not_fixed | pending
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} Updated re-check item
+ */
+const updateRecheckItem = async ({ inspectionId, organizationId, recheckId, user, status, notes }) => {
+  const checked = status !== recheckStatuses.PENDING;
+  const fields = { 'recheckItems.$.status': status };
+  if (notes !== undefined) fields['recheckItems.$.notes'] = notes;
+  if (checked) {
+    fields['recheckItems.$.checkedAt'] = new Date();
+    fields['recheckItems.$.checkedBy'] = user.id || user._id;
+  }
+
+  const inspection = await Inspection.findOneAndUpdate(
+    { _id: inspectionId, organizationId, 'recheckItems._id': recheckId },
+    checked ? { $set: fields } : { $set: fields, $unset: { 'recheckItems.$.checkedAt': 1, 'recheckItems.$.checkedBy': 1 } },
+    { new: true, runValidators: true }
+  )
+    .select('recheckItems')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Re-check item not found');
+  }
+
+  const item = inspection.recheckItems.find((candidate) => candidate._id.toString() === recheckId.toString());
+  if (status === recheckStatuses.FIXED) {
+    await Issue.updateOne(
+      { _id: item.issueId, organizationId, status: { $in: unresolvedIssueStatuses } },
+      { $set: { status: issueStatuses.RESOLVED, resolvedAt: new Date() } }
+    );
+  } else {
+    await Issue.updateOne(
+      { _id: item.issueId, organizationId, status: issueStatuses.RESOLVED },
+      { $set: { status: issueStatuses.OPEN }, $unset: { resolvedAt: 1 } }
+    );
+  }
+
+  return item;
+};
+
+module.exports = {
+  findPreviousInspection,
+  buildRecheckItems,
+  buildClonedInspectionFields,
+  updateRecheckItem,
+};
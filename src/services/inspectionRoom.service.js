@@ -0,0 +1,551 @@
+/**
+ * Inspection Room Service
+ *
+ * Manual room management after AI classification: moving photos between
+ * rooms, merging, splitting and reordering rooms, and removing rooms and
+ * photos together with everything that hangs off them (the original and
+ * derivative objects in storage, their issues, and any queued jobs that
+ * would still process the removed photos). Meter readings, inventory items
+ * and compliance items showing removed photos are kept without those photos.
+ *
+ * @module services/inspectionRoom
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection, PENDING_ROOM_NAME } = require('../models/inspection.model');
+const ClassificationCorrection = require('../models/classificationCorrection.model');
+const { getStorage } = require('../lib/storage');
+const { emitInspectionEvent } = require('../lib/socket');
+const inspectionQueue = require('../queues/inspection.bullmq');
+const jobService = require('./job.service');
+const issueService = require('./issue.service');
+const meterReadingService = require('./meterReading.service');
+const inventoryService = require('./inventory.service');
+const complianceService = require('./compliance.service');
+const { inventoryLimits } = require('../config/inventory');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const CONDITION_SCORES = { excellent: 5, good: 4, fair: 3, poor: 2, critical: 1, unrated: 0 };
+const CONDITION_NAMES = ['unrated', 'critical', 'poor', 'fair', 'good', 'excellent'];
+
+/**
+ * Room condition, summary and actions derived from its photos' analysis.
+ * conditionRating is omitted when no photo in the room has been analysed.
+ * @param {Object} room
+ * @returns {{conditionRating?: string, aiSummary: string, actions: string[]}}
+ */
+const summarizeRoom = (room) => {
+  const photos = room.photos || [];
+  const conditions = photos.map((photo) => photo.condition).filter(Boolean);
+  const issues = photos.flatMap((photo) => photo.issues || []);
+
+  const summary = {
+    aiSummary: `${room.name} inspection: ${photos.length} photo(s) analyzed. ${issues.length} issue(s) found.`,
+    actions: issues
+      .filter((issue) => issue.severity === 'high')
+      .map((issue) => issue.recommendation)
+      .filter(Boolean),
+  };
+  if (conditions.length) {
+    const avgScore = conditions.reduce((sum, condition) => sum + (CONDITION_SCORES[condition] || 0), 0) / conditions.length;
+    summary.conditionRating = CONDITION_NAMES[Math.round(avgScore)] || 'unrated';
+  }
+  return summary;
+};
+
+/**
+ * Every storage key belonging to a photo: the original and its derivatives
+ * @param {Object} photo
+ * @returns {string[]}
+ */
+const getPhotoStorageKeys = (photo) => {
+  const derivatives = photo.derivatives ? Object.values(photo.derivatives) : [];
+  return [photo.storagePath, ...derivatives.map((derivative) => derivative && derivative.storagePath)].filter(Boolean);
+};
+
+/**
+ * Cancel or trim queued jobs that reference removed photos.
+ * Jobs left with no photos are cancelled; others keep running on the photos that remain.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string[]} params.photoIds - Removed photo ids
+ * @returns {Promise<{cancelled: string[], updated: string[]}>} Affected job ids
+ */
+const cancelJobsForPhotos = async ({ inspectionId, photoIds }) => {
+  const removed = new Set(photoIds.map((id) => id.toString()));
+  const jobs = await jobService.listPendingJobsForPhotos({ inspectionId, photoIds });
+  const cancelled = [];
+  const updated = [];
+
+  await Promise.all(
+    jobs.map(async (job) => {
+      const jobId = job._id.toString();
+      const remaining = job.payload.photoIds.map((id) => id.toString()).filter((id) => !removed.has(id));
+
+      try {
+        if (!remaining.length) {
+          await inspectionQueue.removeWaitingJob(jobId);
+          const result = await jobService.cancelJob({ jobId, message: 'Cancelled: its photos were deleted' });
+          if (result) {
+            cancelled.push(jobId);
+          }
+          return;
+        }
+
+        await inspectionQueue.updateWaitingJobPayload(jobId, { photoIds: remaining });
+        await jobService.setJobPhotoIds({ jobId, photoIds: remaining });
+        updated.push(jobId);
+      } catch (error) {
+        // The worker skips photos that no longer exist, so a job we could not touch is harmless
+        logger.warn({ err: error.message, jobId, inspectionId }, 'Failed to cancel job for deleted photos');
+      }
+    })
+  );
+
+  return { cancelled, updated };
+};
+
+/**
+ * Delete storage objects, logging rather than failing so the database change stands
+ * @param {string[]} keys
+ * @param {Object} context - Logged with any failure so objects can be cleaned up later
+ * @returns {Promise<number>} Number of objects deleted
+ */
+const deleteStorageObjects = async (keys, context) => {
+  if (!keys.length) {
+    return 0;
+  }
+  try {
+    await getStorage().deleteMany(keys);
+    return keys.length;
+  } catch (error) {
+    logger.error({ err: error.message, keys, ...context }, 'Failed to delete photo objects from storage');
+    return 0;
+  }
+};
+
+/**
+ * Recompute the summary of the room a photo was deleted from, so it no longer
+ * describes the deleted photo. A rating that came from the photo's analysis is
+ * reset when no analysed photo is left to rate the room.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.room - The room after the delete
+ * @param {Object} params.photo - The deleted photo
+ * @returns {Promise<void>}
+ */
+const refreshRoomSummaryAfterDelete = async ({ inspectionId, organizationId, room, photo }) => {
+  if (room.name === PENDING_ROOM_NAME) {
+    return;
+  }
+  const summary = summarizeRoom(room);
+  if (!summary.conditionRating && photo.condition) {
+    summary.conditionRating = 'unrated';
+  }
+  await Inspection.updateOne(
+    { _id: inspectionId, organizationId, 'rooms._id': room._id },
+    { $set: Object.keys(summary).reduce((set, field) => ({ ...set, [`rooms.$.${field}`]: summary[field] }), {}) }
+  );
+};
+
+/**
+ * Delete a photo, its stored objects and any queued work on it
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.photoId
+ * @returns {Promise<{photoId: string, roomId: string, deletedObjects: number, jobs: Object}>}
+ */
+const deletePhoto = async ({ inspectionId, organizationId, photoId }) => {
+  const _id = mongoose.Types.ObjectId(photoId);
+  const inspection = await Inspection.findOneAndUpdate(
+    { _id: inspectionId, organizationId, 'rooms.photos._id': _id },
+    { $pull: { 'rooms.$[].photos': { _id } } }
+  )
+    .select('rooms')
+    .lean();
+  if (!inspection) {
+    const exists = await Inspection.countDocuments({ _id: inspectionId, organizationId });
+    throw new ApiError(httpStatus.NOT_FOUND, exists ? 'Photo not found' : 'Inspection not found');
+  }
+
+  // findOneAndUpdate returns the document as it was before the pull, so this is the room the photo was taken from
+  const room = inspection.rooms.find((candidate) => (candidate.photos || []).some((p) => p._id.equals(_id)));
+  const photo = room.photos.find((p) => p._id.equals(_id));
+  await refreshRoomSummaryAfterDelete({
+    inspectionId,
+    organizationId,
+    room: { ...room, photos: room.photos.filter((p) => p !== photo) },
+    photo,
+  });
+
+  const jobs = await cancelJobsForPhotos({ inspectionId, photoIds: [photoId] });
+  await issueService.removeLinkedIssues({ inspectionId, photoIds: [photoId] });
+  await meterReadingService.detachPhotos({ inspectionId, photoIds: [photoId] });
+  await inventoryService.detachPhotos({ inspectionId, photoIds: [photoId] });
+  await complianceService.detachPhotos({ inspectionId, photoIds: [photoId] });
+  const deletedObjects = await deleteStorageObjects(getPhotoStorageKeys(photo), { inspectionId, photoId });
+
+  logger.info({ inspectionId, photoId, deletedObjects, jobs }, 'Photo deleted');
+  emitInspectionEvent(inspectionId, 'photo.deleted', { photoId, roomId: room._id.toString() });
+
+  return { photoId, roomId: room._id.toString(), deletedObjects, jobs };
+};
+
+/**
+ * Delete a room with all of its photos, their stored objects and any queued work on them
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId
+ * @returns {Promise<{roomId: string, deletedPhotos: number, deletedObjects: number, jobs: Object}>}
+ */
+const deleteRoom = async ({ inspectionId, organizationId, roomId }) => {
+  const inspection = await Inspection.findOneAndUpdate(
+    { _id: inspectionId, organizationId, 'rooms._id': roomId },
+    { $pull: { rooms: { _id: mongoose.Types.ObjectId(roomId) } } }
+  )
+    .select('rooms')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Room not found');
+  }
+
+  // findOneAndUpdate returns the document as it was before the pull
+  const room = inspection.rooms.find((candidate) => candidate._id.toString() === roomId);
+  const photos = room.photos || [];
+  const photoIds = photos.map((photo) => photo._id.toString());
+
+  const jobs = photoIds.length ? await cancelJobsForPhotos({ inspectionId, photoIds }) : { cancelled: [], updated: [] };
+  await issueService.removeLinkedIssues({ inspectionId, photoIds, roomId });
+  if (photoIds.length) {
+    await meterReadingService.detachPhotos({ inspectionId, photoIds });
+    await inventoryService.detachPhotos({ inspectionId, photoIds });
+    await complianceService.detachPhotos({ inspectionId, photoIds });
+  }
+  const deletedObjects = await deleteStorageObjects(photos.flatMap(getPhotoStorageKeys), { inspectionId, roomId });
+
+  logger.info({ inspectionId, roomId, deletedPhotos: photoIds.length, deletedObjects, jobs }, 'Room deleted');
+  emitInspectionEvent(inspectionId, 'room.deleted', { roomId, photoIds });
+
+  return { roomId, deletedPhotos: photoIds.length, deletedObjects, jobs };
+};
+
+/**
+ * Drop rooms and photos from a loaded inspection that were deleted in the
+ * database after it was read. Call before saving a document whose rooms were
+ * modified in memory so a long-running job does not bring them back.
+ * @param {import('mongoose').Document} inspection
+ * @returns {Promise<void>}
+ */
+const dropDeletedRoomsAndPhotos = async (inspection) => {
+  const stored = await Inspection.findById(inspection._id).select('rooms._id rooms.photos._id').lean();
+  if (!stored) {
+    return;
+  }
+
+  const storedRoomIds = new Set(stored.rooms.map((room) => room._id.toString()));
+  const storedPhotoIds = new Set(stored.rooms.flatMap((room) => (room.photos || []).map((photo) => photo._id.toString())));
+
+  // Rooms created in memory by the caller are new, not deleted
+  inspection.set(
+    'rooms',
+    inspection.rooms.filter((room) => room.isNew || storedRoomIds.has(room._id.toString()))
+  );
+  inspection.rooms.forEach((room) => {
+    room.set(
+      'photos',
+      room.photos.filter((photo) => storedPhotoIds.has(photo._id.toString()))
+    );
+  });
+};
+
+const loadInspection = async ({ inspectionId, organizationId }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId });
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  return inspection;
+};
+
+const getRoom = (inspection, roomId) => {
+  const room = inspection.rooms.id(roomId);
+  if (!room) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Room not found');
+  }
+  return room;
+};
+
+const assertTargetRoom = (room) => {
+  if (room.name === PENDING_ROOM_NAME) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Photos cannot be moved into the pending classification room');
+  }
+};
+
+/**
+ * Move photos from wherever they are into the target room, marking them as manually classified.
+ * Photos already in the target room are left alone.
+ * @returns {{photo: Object, fromRoom: Object}[]} The moves made
+ */
+const transferPhotos = ({ inspection, photoIds, targetRoom }) => {
+  const wanted = new Set(photoIds.map((id) => id.toString()));
+  const found = new Set();
+  const moves = [];
+
+  inspection.rooms.forEach((room) => {
+    room.photos.forEach((photo) => {
+      const photoId = photo._id.toString();
+      if (!wanted.has(photoId)) {
+        return;
+      }
+      found.add(photoId);
+      if (!room._id.equals(targetRoom._id)) {
+        moves.push({ photo: photo.toObject(), fromRoom: room });
+      }
+    });
+  });
+
+  if (found.size !== wanted.size) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Photo not found');
+  }
+
+  moves.forEach(({ photo, fromRoom }) => {
+    fromRoom.photos.pull(photo._id);
+    targetRoom.photos.push({ ...photo, roomClassification: targetRoom.name, pendingClassification: false });
+  });
+
+  return moves;
+};
+
+const refreshRoomSummaries = (rooms) => {
+  rooms
+    .filter((room) => room.name !== PENDING_ROOM_NAME)
+    .forEach((room) => {
+      room.set(summarizeRoom(room));
+    });
+};
+
+/**
+ * Record manual moves as classification corrections. Failures are logged only,
+ * the move itself has already been saved.
+ */
+const recordCorrections = async ({ inspection, moves, targetRoom, action, user }) => {
+  if (!moves.length) {
+    return;
+  }
+  try {
+    await ClassificationCorrection.insertMany(
+      moves.map(({ photo, fromRoom }) => ({
+        organizationId: inspection.organizationId,
+        inspectionId: inspection._id,
+        photoId: photo._id,
+        storagePath: photo.storagePath,
+        action,
+        fromRoomId: fromRoom._id,
+        fromRoomName: fromRoom.name,
+        toRoomId: targetRoom._id,
+        toRoomName: targetRoom.name,
+        predictedClassification: photo.roomClassification,
+        classificationConfidence: photo.classificationConfidence,
+        correctedBy: user.id || user._id,
+      }))
+    );
+  } catch (error) {
+    logger.warn(
+      { err: error.message, inspectionId: inspection._id.toString() },
+      'Failed to record classification corrections'
+    );
+  }
+};
+
+const emitRoomsUpdated = (inspection) => {
+  emitInspectionEvent(inspection._id.toString(), 'inspection.updated', {
+    inspectionId: inspection._id.toString(),
+    rooms: inspection.rooms.map((room) => ({
+      id: room._id.toString(),
+      name: room.name,
+      displayOrder: room.displayOrder,
+      photoCount: room.photos.length,
+      condition: room.conditionRating,
+    })),
+  });
+};
+
+/**
+ * Move photos into another room
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string[]} params.photoIds
+ * @param {string} params.targetRoomId
+ * @param {Object} params.user - Acting user
+ * @returns {Promise<Object>} Updated inspection
+ */
+const movePhotos = async ({ inspectionId, organizationId, photoIds, targetRoomId, user }) => {
+  const inspection = await loadInspection({ inspectionId, organizationId });
+  const targetRoom = getRoom(inspection, targetRoomId);
+  assertTargetRoom(targetRoom);
+
+  const moves = transferPhotos({ inspection, photoIds, targetRoom });
+  refreshRoomSummaries([...new Set(moves.map(({ fromRoom }) => fromRoom)), targetRoom]);
+
+  inspection.markModified('rooms');
+  await inspection.save();
+
+  await issueService.moveIssuesToRoom({
+    inspectionId,
+    photoIds: moves.map(({ photo }) => photo._id),
+    room: targetRoom,
+  });
+  await recordCorrections({ inspection, moves, targetRoom, action: 'move', user });
+  emitRoomsUpdated(inspection);
+  logger.info({ inspectionId, targetRoomId, moved: moves.length }, 'Photos moved between rooms');
+
+  return inspection;
+};
+
+/**
+ * Merge one room into another: its photos, notes and inventory move across and the source room is removed
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId - Room that is kept
+ * @param {string} params.sourceRoomId - Room merged into it
+ * @param {Object} params.user - Acting user
+ * @returns {Promise<Object>} Updated inspection
+ */
+const mergeRooms = async ({ inspectionId, organizationId, roomId, sourceRoomId, user }) => {
+  if (roomId === sourceRoomId) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Cannot merge a room into itself');
+  }
+
+  const inspection = await loadInspection({ inspectionId, organizationId });
+  const targetRoom = getRoom(inspection, roomId);
+  const sourceRoom = getRoom(inspection, sourceRoomId);
+  assertTargetRoom(targetRoom);
+  if (targetRoom.inventory.length + sourceRoom.inventory.length > inventoryLimits.itemsPerRoom) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `The merged room would exceed ${inventoryLimits.itemsPerRoom} inventory items`
+    );
+  }
+
+  const moves = transferPhotos({ inspection, photoIds: sourceRoom.photos.map((photo) => photo._id), targetRoom });
+  targetRoom.notes = [targetRoom.notes, sourceRoom.notes].filter(Boolean).join('\n\n') || undefined;
+  sourceRoom.inventory.forEach((item) => targetRoom.inventory.push(item.toObject()));
+  inspection.rooms.pull(sourceRoom._id);
+  refreshRoomSummaries([targetRoom]);
+
+  inspection.markModified('rooms');
+  await inspection.save();
+
+  await issueService.moveIssuesToRoom({
+    inspectionId,
+    photoIds: moves.map(({ photo }) => photo._id),
+    fromRoomId: sourceRoomId,
+    room: targetRoom,
+  });
+  await recordCorrections({ inspection, moves, targetRoom, action: 'merge', user });
+  emitRoomsUpdated(inspection);
+  logger.info({ inspectionId, roomId, sourceRoomId, moved: moves.length }, 'Rooms merged');
+
+  return inspection;
+};
+
+/**
+ * Split photos out of a room into a new room placed right after it
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId - Room being split
+ * @param {string[]} params.photoIds - Photos that go to the new room
+ * @param {string} params.name - Name of the new room
+ * @param {Object} params.user - Acting user
+ * @returns {Promise<Object>} Updated inspection
+ */
+const splitRoom = async ({ inspectionId, organizationId, roomId, photoIds, name, user }) => {
+  const inspection = await loadInspection({ inspectionId, organizationId });
+  const sourceRoom = getRoom(inspection, roomId);
+  if (sourceRoom.name === PENDING_ROOM_NAME) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The pending classification room cannot be split');
+  }
+  if (photoIds.some((photoId) => !sourceRoom.photos.id(photoId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Every photo must belong to the room being split');
+  }
+
+  inspection.rooms
+    .filter((room) => room.name !== PENDING_ROOM_NAME && room.displayOrder > sourceRoom.displayOrder)
+    .forEach((room) => {
+      room.set('displayOrder', room.displayOrder + 1);
+    });
+  inspection.rooms.push({
+    name,
+    displayOrder: sourceRoom.displayOrder + 1,
+    conditionRating: 'unrated',
+    photos: [],
+  });
+  const targetRoom = inspection.rooms[inspection.rooms.length - 1];
+
+  const moves = transferPhotos({ inspection, photoIds, targetRoom });
+  refreshRoomSummaries([sourceRoom, targetRoom]);
+
+  inspection.markModified('rooms');
+  await inspection.save();
+
+  await issueService.moveIssuesToRoom({
+    inspectionId,
+    photoIds: moves.map(({ photo }) => photo._id),
+    room: targetRoom,
+  });
+  await recordCorrections({ inspection, moves, targetRoom, action: 'split', user });
+  emitRoomsUpdated(inspection);
+  logger.info({ inspectionId, roomId, newRoomId: targetRoom._id.toString(), moved: moves.length }, 'Room split');
+
+  return inspection;
+};
+
+/**
+ * Set room display order. Listed rooms come first in the given order;
+ * rooms left out keep their relative order after them.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string[]} params.roomIds
+ * @returns {Promise<Object>} Updated inspection
+ */
+const reorderRooms = async ({ inspectionId, organizationId, roomIds }) => {
+  const inspection = await loadInspection({ inspectionId, organizationId });
+  const listed = roomIds.map((roomId) => getRoom(inspection, roomId));
+  const unlisted = inspection.rooms
+    .filter((room) => room.name !== PENDING_ROOM_NAME && !roomIds.includes(room._id.toString()))
+    .sort((a, b) => a.displayOrder - b.displayOrder);
+
+  [...listed, ...unlisted]
+    .filter((room) => room.name !== PENDING_ROOM_NAME)
+    .forEach((room, index) => {
+      room.set('displayOrder', index);
+    });
+
+  inspection.markModified('rooms');
+  await inspection.save();
+
+  emitRoomsUpdated(inspection);
+  return inspection;
+};
+
+module.exports = {
+  PENDING_ROOM_NAME,
+  summarizeRoom,
+  movePhotos,
+  mergeRooms,
+  splitRoom,
+  reorderRooms,
+  getPhotoStorageKeys,
+  cancelJobsForPhotos,
+  deletePhoto,
+  deleteRoom,
+  dropDeletedRoomsAndPhotos,
+};
@@ -0,0 +1,378 @@
+/**
+ * Inspection Schedule Service
+ *
+ * Recurring inspection schedules on properties (e.g. a routine inspection
+ * every 3 months). A periodic run creates each upcoming inspection ahead of
+ * its due date, reminds the assigned inspector shortly before it, and lists
+ * inspections whose date has passed without them being started.
+ *
+ * @module services/inspectionSchedule
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const Property = require('../models/property.model');
+const { Inspection } = require('../models/inspection.model');
+const User = require('../models/user.model');
+const NotificationPreference = require('../models/notificationPreference.model');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const { createInspection } = require('./inspection.service');
+const { buildInspectionAccessFilter, buildAssigneeFilter } = require('./inspectionAccess.service');
+const emailService = require('./email.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const formatAddress = require('../utils/formatAddress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Statuses of inspections that have not been started yet */
+const NOT_STARTED_STATUSES = [inspectionStatuses.DRAFT, inspectionStatuses.SCHEDULED];
+
+const SCHEDULE_FIELDS = ['name', 'intervalMonths', 'nextDueAt', 'inspectorId', 'reportPresetId', 'active'];
+
+/**
+ * Add calendar months in UTC, clamping to the last day of shorter months (31 Jan + 1 month = 28/29 Feb)
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+const addMonths = (date, months) => {
+  const source = new Date(date);
+  const target = new Date(source);
+  target.setUTCDate(1);
+  target.setUTCMonth(source.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(source.getUTCDate(), lastDay));
+  return target;
+};
+
+/**
+ * Due date following the schedule's current one. Occurrences that are already
+ * in the past are skipped so a lapsed schedule produces one overdue inspection,
+ * not one per missed interval.
+ * @param {{nextDueAt: Date, intervalMonths: number}} schedule
+ * @param {Date} now
+ * @returns {Date}
+ */
+const getFollowingDueDate = ({ nextDueAt, intervalMonths }, now) => {
+  let intervals = 1;
+  let next = addMonths(nextDueAt, intervalMonths);
+  while (next <= now) {
+    intervals += 1;
+    next = addMonths(nextDueAt, intervalMonths * intervals);
+  }
+  return next;
+};
+
+const loadProperty = async ({ organizationId, propertyId }) => {
+  const property = await Property.findOne({ _id: propertyId, organizationId }).select('organizationId schedules').lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+  return property;
+};
+
+const assertInspector = async ({ organizationId, inspectorId }) => {
+  if (!inspectorId) {
+    return;
+  }
+  const user = await User.findOne({ _id: inspectorId, organizationId }).select('_id').lean();
+  if (!user) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Inspector must be a member of your organization');
+  }
+};
+
+/**
+ * Schedules of a property
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.propertyId
+ * @returns {Promise<Object[]>}
+ */
+const listSchedules = async ({ organizationId, propertyId }) => {
+  const property = await loadProperty({ organizationId, propertyId });
+  return property.schedules || [];
+};
+
+/**
+ * Add a recurring schedule to a property
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.propertyId
+ * @param {Object} params.user - Acting user
+ * @param {Object} params.body - Validated createSchedule body
+ * @returns {Promise<Object>} The created schedule
+ */
+const createSchedule = async ({ organizationId, propertyId, user, body }) => {
+  await assertInspector({ organizationId, inspectorId: body.inspectorId });
+
+  const schedule = { _id: mongoose.Types.ObjectId(), ...body, createdBy: user.id || user._id };
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, organizationId },
+    { $push: { schedules: schedule } },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  return property.schedules.find((candidate) => candidate._id.equals(schedule._id));
+};
+
+/**
+ * Change a schedule. Null inspectorId or reportPresetId clears it.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.propertyId
+ * @param {string} params.scheduleId
+ * @param {Object} params.updates - Validated updateSchedule body
+ * @returns {Promise<Object>} The updated schedule
+ */
+const updateSchedule = async ({ organizationId, propertyId, scheduleId, updates }) => {
+  await assertInspector({ organizationId, inspectorId: updates.inspectorId });
+
+  const set = {};
+  const unset = {};
+  SCHEDULE_FIELDS.filter((field) => field in updates).forEach((field) => {
+    if (updates[field] === null) {
+      unset[`schedules.$.${field}`] = 1;
+    } else {
+      set[`schedules.$.${field}`] = updates[field];
+    }
+  });
+  const update = { $set: set };
+  if (Object.keys(unset).length) {
+    update.$unset = unset;
+  }
+
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, organizationId, 'schedules._id': scheduleId },
+    update,
+    {
+      new: true,
+      runValidators: true,
+    }
+  ).lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Schedule not found');
+  }
+
+  return property.schedules.find((candidate) => candidate._id.toString() === scheduleId);
+};
+
+/**
+ * Remove a schedule. Inspections it already created are kept.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.propertyId
+ * @param {string} params.scheduleId
+ * @returns {Promise<void>}
+ */
+const deleteSchedule = async ({ organizationId, propertyId, scheduleId }) => {
+  const result = await Property.updateOne(
+    { _id: propertyId, organizationId, 'schedules._id': scheduleId },
+    { $pull: { schedules: { _id: mongoose.Types.ObjectId(scheduleId) } } }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Schedule not found');
+  }
+};
+
+/**
+ * Create the inspection for a schedule's current due date and advance the schedule.
+ * The schedule is advanced first, conditionally on its due date, so concurrent
+ * runs cannot create the same inspection twice.
+ * @param {Object} property
+ * @param {Object} schedule
+ * @param {Date} now
+ * @returns {Promise<Object|null>} The created inspection, or null when another run claimed it
+ */
+const generateInspectionFromSchedule = async (property, schedule, now) => {
+  const claim = await Property.updateOne(
+    { _id: property._id, schedules: { $elemMatch: { _id: schedule._id, nextDueAt: schedule.nextDueAt, active: true } } },
+    {
+      $set: {
+        'schedules.$.nextDueAt': getFollowingDueDate(schedule, now),
+        'schedules.$.lastGeneratedAt': now,
+      },
+    }
+  );
+  if (!claim.nModified) {
+    return null;
+  }
+
+  // Created with its date, so the inspection starts out scheduled
+  const inspection = await createInspection({
+    propertyId: property._id,
+    organizationId: property.organizationId,
+    createdBy: schedule.createdBy,
+    scheduledFor: schedule.nextDueAt,
+    reportPresetId: schedule.reportPresetId,
+    inspectorId: schedule.inspectorId,
+    scheduleId: schedule._id,
+  });
+  await Property.updateOne(
+    { _id: property._id, 'schedules._id': schedule._id },
+    { $set: { 'schedules.$.lastInspectionId': inspection._id } }
+  );
+
+  logger.info(
+    { propertyId: property._id.toString(), scheduleId: schedule._id.toString(), inspectionId: inspection._id.toString() },
+    'Created scheduled inspection'
+  );
+  return inspection;
+};
+
+/**
+ * Create inspections for every active schedule due within the lead time
+ * @param {Object} [params]
+ * @param {Date} [params.now]
+ * @returns {Promise<number>} Number of inspections created
+ */
+const generateScheduledInspections = async ({ now = new Date() } = {}) => {
+  const horizon = new Date(now.getTime() + config.schedules.leadDays * DAY_MS);
+  const cursor = Property.find({ schedules: { $elemMatch: { active: true, nextDueAt: { $lte: horizon } } } })
+    .select('organizationId schedules')
+    .lean()
+    .cursor();
+
+  let created = 0;
+  await cursor.eachAsync(async (property) => {
+    const due = property.schedules.filter((schedule) => schedule.active && schedule.nextDueAt <= horizon);
+    const results = await Promise.all(
+      due.map((schedule) =>
+        generateInspectionFromSchedule(property, schedule, now).catch((error) => {
+          logger.error({ err: error, scheduleId: schedule._id.toString() }, 'Failed to create scheduled inspection');
+          return null;
+        })
+      )
+    );
+    created += results.filter(Boolean).length;
+  });
+
+  return created;
+};
+
+/**
+ * Email the reminder for one inspection to its inspector (the creator when
+ * none is assigned), unless they turned reminders off. The inspection is
+ * marked first so a reminder is never sent twice; a failed send is unmarked
+ * to be retried on the next run.
+ * @param {Object} inspection - Inspection with populated propertyId
+ * @param {Date} now
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+const sendInspectionReminder = async (inspection, now) => {
+  const claim = await Inspection.updateOne({ _id: inspection._id, reminderSentAt: null }, { $set: { reminderSentAt: now } });
+  if (!claim.nModified) {
+    return false;
+  }
+
+  const recipientId = inspection.inspectorId || inspection.createdBy;
+  const [recipient, preferences] = await Promise.all([
+    User.findById(recipientId).select('email').lean(),
+    NotificationPreference.findOne({ userId: recipientId }).select('reminders').lean(),
+  ]);
+  if (!recipient || (preferences && preferences.reminders === false)) {
+    return false;
+  }
+
+  const property = inspection.propertyId || {};
+  try {
+    await emailService.sendInspectionReminderEmail(recipient.email, {
+      inspectionId: inspection._id.toString(),
+      propertyName: property.name || 'Property',
+      address: formatAddress(property.address),
+      scheduledFor: inspection.scheduledFor,
+    });
+    return true;
+  } catch (error) {
+    logger.warn({ err: error.message, inspectionId: inspection._id.toString() }, 'Failed to send inspection reminder');
+    await Inspection.updateOne({ _id: inspection._id }, { $unset: { reminderSentAt: 1 } });
+    return false;
+  }
+};
+
+/**
+ * Remind inspectors of inspections scheduled within the reminder window
+ * @param {Object} [params]
+ * @param {Date} [params.now]
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendInspectionReminders = async ({ now = new Date() } = {}) => {
+  const cursor = Inspection.find({
+    status: { $in: NOT_STARTED_STATUSES },
+    reminderSentAt: null,
+    scheduledFor: { $gte: now, $lte: new Date(now.getTime() + config.schedules.reminderDays * DAY_MS) },
+  })
+    .select('propertyId inspectorId createdBy scheduledFor')
+    .populate('propertyId', 'name address')
+    .lean()
+    .cursor();
+
+  let sent = 0;
+  await cursor.eachAsync(async (inspection) => {
+    if (await sendInspectionReminder(inspection, now)) {
+      sent += 1;
+    }
+  });
+
+  return sent;
+};
+
+/**
+ * Periodic scheduler run: create upcoming inspections, then send reminders
+ * @param {Object} [params]
+ * @param {Date} [params.now]
+ * @returns {Promise<{created: number, reminded: number}>}
+ */
+const runSchedules = async ({ now = new Date() } = {}) => {
+  const created = await generateScheduledInspections({ now });
+  const reminded = await sendInspectionReminders({ now });
+  logger.info({ created, reminded }, 'Inspection scheduler run completed');
+  return { created, reminded };
+};
+
+/**
+ * Inspections whose scheduled date has passed without being started, most
+ * overdue first, among those the user may see
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {{propertyId?: string, inspectorId?: string}} [params.query] - inspectorId matches the lead or an assistant
+ * @param {Date} [params.now]
+ * @returns {Promise<Object[]>} Inspections with `daysOverdue`
+ */
+const listOverdueInspections = async ({ user, query = {}, now = new Date() }) => {
+  const filter = {
+    ...buildInspectionAccessFilter(user),
+    status: { $in: NOT_STARTED_STATUSES },
+    scheduledFor: { $lt: now },
+  };
+  if (query.propertyId) filter.propertyId = query.propertyId;
+  if (query.inspectorId) filter.$and = [buildAssigneeFilter(query.inspectorId)];
+
+  const inspections = await Inspection.find(filter)
+    .select('-rooms')
+    .sort({ scheduledFor: 1 })
+    .populate('propertyId', 'name address referenceCode')
+    .lean();
+
+  return inspections.map((inspection) => ({
+    ...inspection,
+    daysOverdue: Math.floor((now.getTime() - new Date(inspection.scheduledFor).getTime()) / DAY_MS),
+  }));
+};
+
+module.exports = {
+  addMonths,
+  getFollowingDueDate,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  generateScheduledInspections,
+  sendInspectionReminders,
+  runSchedules,
+  listOverdueInspections,
+};
@@ -0,0 +1,341 @@
+/**
+ * Inspection Search Service
+ *
+ * Searches inspections by the words of a query across property name and
+ * address, inspection and room summaries, room notes, and issue labels and
+ * recommendations, narrowed by facets. Each word must match somewhere in an
+ * inspection, case-insensitively and anywhere in a word ("mould" finds
+ * "mouldy"). Results are paginated and list the matching text with highlights.
+ *
+ * @module services/inspectionSearch
+ */
+
+const { Inspection } = require('../models/inspection.model');
+const Issue = require('../models/issue.model');
+const Property = require('../models/property.model');
+const User = require('../models/user.model');
+const { searchLimits, searchFields } = require('../config/search');
+const { buildInspectionAccessFilter, buildAssigneeFilter } = require('./inspectionAccess.service');
+const formatAddress = require('../utils/formatAddress');
+
+/**
+ * @typedef {Object} SearchHighlight
+ * @property {number} start - Offset in the snippet
+ * @property {number} length
+ */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {string} field - See config/search searchFields
+ * @property {string} snippet - Matching text, shortened around the first match
+ * @property {SearchHighlight[]} highlights
+ * @property {string} [roomId]
+ * @property {string} [issueId]
+ */
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Distinct words of a query, longest first so overlapping highlights prefer the longer word
+ * @param {string} [q]
+ * @returns {string[]}
+ */
+const parseSearchTerms = (q) => {
+  const words = (q || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => word.length >= searchLimits.minTermLength);
+  return [...new Set(words)].slice(0, searchLimits.maxTerms).sort((a, b) => b.length - a.length);
+};
+
+const termRegExp = (term) => new RegExp(escapeRegExp(term), 'i');
+
+/**
+ * Shorten text around its first match and locate every match in the snippet
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {{snippet: string, highlights: SearchHighlight[]}|null} null when nothing matches
+ */
+const highlightText = (text, terms) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - searchLimits.snippetRadius);
+  const end = Math.min(text.length, first + searchLimits.snippetRadius * 2);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [...text.slice(start, end).matchAll(pattern)].map((match) => ({
+    start: match.index + prefix.length,
+    length: match[0].length,
+  }));
+  return { snippet, highlights };
+};
+
+/**
+ * Matching text of an inspection, its property and issues
+ * @param {Object} params
+ * @param {Object} params.inspection - With populated propertyId
+ * @param {Object[]} params.issues - Issues of the inspection
+ * @param {string[]} params.terms
+ * @returns {SearchMatch[]}
+ */
+const collectMatches = ({ inspection, issues, terms }) => {
+  const property = inspection.propertyId || {};
+  const candidates = [
+    { field: searchFields.PROPERTY_NAME, text: property.name },
+    { field: searchFields.PROPERTY_ADDRESS, text: formatAddress(property.address) },
+    { field: searchFields.INSPECTION_SUMMARY, text: inspection.summary },
+    { field: searchFields.INSPECTION_AI_SUMMARY, text: inspection.aiSummary },
+    ...(inspection.rooms || []).flatMap((room) => [
+      { field: searchFields.ROOM_NOTES, text: room.notes, roomId: room._id.toString() },
+      { field: searchFields.ROOM_AI_SUMMARY, text: room.aiSummary, roomId: room._id.toString() },
+    ]),
+    ...issues.flatMap((issue) => [
+      { field: searchFields.ISSUE_LABEL, text: issue.label, issueId: issue._id.toString() },
+      { field: searchFields.ISSUE_RECOMMENDATION, text: issue.recommendation, issueId: issue._id.toString() },
+    ]),
+  ];
+
+  return candidates
+    .map(({ text, ...location }) => {
+      const highlighted = highlightText(text, terms);
+      return highlighted && { ...location, ...highlighted };
+    })
+    .filter(Boolean)
+    .slice(0, searchLimits.maxMatchesPerResult);
+};
+
+/**
+ * Mongo filter on issues for the issue facets and, optionally, words
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string[]} [params.severity]
+ * @param {string[]} [params.category]
+ * @param {string[]} [params.terms] - Each must match the label or recommendation
+ * @returns {Object}
+ */
+const buildIssueFilter = ({ organizationId, severity, category, terms = [] }) => {
+  const filter = { organizationId };
+  if (severity && severity.length) filter.severity = { $in: severity };
+  if (category && category.length) filter.category = { $in: category };
+  if (terms.length) {
+    filter.$and = terms.map((term) => ({ $or: [{ label: termRegExp(term) }, { recommendation: termRegExp(term) }] }));
+  }
+  return filter;
+};
+
+/**
+ * Mongo filter for a search. With issue facets, inspections need an issue
+ * matching the facets and the words; otherwise each word may match any field.
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {string[]} params.terms
+ * @param {Object} params.facets
+ * @returns {Promise<Object>}
+ */
+const buildSearchFilter = async ({ user, terms, facets }) => {
+  const { severity, category, roomType, condition, inspectorId, from, to } = facets;
+  const conditions = [buildInspectionAccessFilter(user)];
+  const hasIssueFacets = Boolean((severity && severity.length) || (category && category.length));
+
+  if (hasIssueFacets) {
+    const issueFilter = buildIssueFilter({ organizationId: user.organizationId, severity, category, terms });
+    conditions.push({ _id: { $in: await Issue.distinct('inspectionId', issueFilter) } });
+  } else if (terms.length) {
+    const termConditions = await Promise.all(
+      terms.map(async (term) => {
+        const regExp = termRegExp(term);
+        const [propertyIds, issueInspectionIds] = await Promise.all([
+          Property.distinct('_id', {
+            organizationId: user.organizationId,
+            $or: ['name', 'address.line1', 'address.line2', 'address.city', 'address.state', 'address.postcode'].map(
+              (field) => ({ [field]: regExp })
+            ),
+          }),
+          Issue.distinct('inspectionId', buildIssueFilter({ organizationId: user.organizationId, terms: [term] })),
+        ]);
+        return {
+          $or: [
+            { propertyId: { $in: propertyIds } },
+            { _id: { $in: issueInspectionIds } },
+            { summary: regExp },
+            { aiSummary: regExp },
+            { 'rooms.notes': regExp },
+            { 'rooms.aiSummary': regExp },
+          ],
+        };
+      })
+    );
+    conditions.push(...termConditions);
+  }
+
+  if (roomType && roomType.length) {
+    // Rooms are named after the detected room type, e.g. living_room -> "Living Room"
+    conditions.push({
+      $or: [
+        { 'rooms.photos.roomClassification': { $in: roomType } },
+        { 'rooms.name': { $in: roomType.map((type) => new RegExp(`^${escapeRegExp(type).replace(/_/g, '[ _]')}$`, 'i')) } },
+      ],
+    });
+  }
+  if (condition && condition.length) {
+    conditions.push({ 'rooms.conditionRating': { $in: condition } });
+  }
+  if (inspectorId) {
+    conditions.push(buildAssigneeFilter(inspectorId));
+  }
+  if (from || to) {
+    // Inspected on: when the inspection started, or was created for those not started
+    const range = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    conditions.push({ $or: [{ startedAt: range }, { startedAt: null, createdAt: range }] });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Result counts per facet value across all pages of a search
+ * @param {Object} params
+ * @param {Object} params.filter - Search filter
+ * @param {Object} params.issueFilter - Filter on the issues counted
+ * @returns {Promise<Object>}
+ */
+const countFacets = async ({ filter, issueFilter }) => {
+  const inspectionIds = await Inspection.distinct('_id', filter);
+  const toCounts = (groups) => groups.map((group) => ({ value: group._id, count: group.count }));
+
+  const [issueFacets, inspectionFacets] = await Promise.all([
+    Issue.aggregate([
+      { $match: { ...issueFilter, inspectionId: { $in: inspectionIds } } },
+      {
+        $facet: {
+          severity: [{ $group: { _id: '$severity', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+          category: [
+            { $match: { category: { $ne: null } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+        },
+      },
+    ]),
+    Inspection.aggregate([
+      { $match: { _id: { $in: inspectionIds } } },
+      {
+        $facet: {
+          condition: [
+            { $unwind: '$rooms' },
+            { $group: { _id: '$rooms.conditionRating', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          // Inspections with at least one photo of each room type
+          roomType: [
+            { $unwind: '$rooms' },
+            { $unwind: '$rooms.photos' },
+            { $match: { 'rooms.photos.roomClassification': { $ne: null } } },
+            { $group: { _id: { type: '$rooms.photos.roomClassification', inspection: '$_id' } } },
+            { $group: { _id: '$_id.type', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+          inspector: [
+            { $match: { inspectorId: { $ne: null } } },
+            { $group: { _id: '$inspectorId', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+          ],
+        },
+      },
+    ]),
+  ]);
+
+  const inspectors = inspectionFacets[0].inspector;
+  const users = await User.find({ _id: { $in: inspectors.map((group) => group._id) } })
+    .select('name')
+    .lean();
+  const names = new Map(users.map((user) => [user._id.toString(), user.name]));
+
+  return {
+    severity: toCounts(issueFacets[0].severity),
+    category: toCounts(issueFacets[0].category),
+    condition: toCounts(inspectionFacets[0].condition),
+    roomType: toCounts(inspectionFacets[0].roomType),
+    inspector: inspectors.map((group) => ({ value: group._id, name: names.get(group._id.toString()), count: group.count })),
+  };
+};
+
+/**
+ * Search inspections the user may see
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {string} [params.q] - Words to find
+ * @param {Object} [params.facets]
+ * @param {string[]} [params.facets.severity] - Issue severities
+ * @param {string[]} [params.facets.category] - Issue categories
+ * @param {string[]} [params.facets.roomType] - Detected room types, e.g. bathroom
+ * @param {string[]} [params.facets.condition] - Room condition ratings
+ * @param {string} [params.facets.inspectorId] - Lead inspector or assistant
+ * @param {Date} [params.facets.from] - Inspected on or after
+ * @param {Date} [params.facets.to] - Inspected on or before
+ * @param {Object} [params.options] - Paginate options (sortBy, limit, page)
+ * @returns {Promise<QueryResult>} Results with `matches`, plus `facets` counts
+ */
+const searchInspections = async ({ user, q, facets = {}, options = {} }) => {
+  const terms = parseSearchTerms(q);
+  const filter = await buildSearchFilter({ user, terms, facets });
+  const issueFilter = buildIssueFilter({
+    organizationId: user.organizationId,
+    severity: facets.severity,
+    category: facets.category,
+  });
+
+  const [page, facetCounts] = await Promise.all([
+    Inspection.paginate(filter, {
+      sortBy: options.sortBy || 'createdAt:desc',
+      limit: Math.min(options.limit || searchLimits.defaultPageSize, searchLimits.maxPageSize),
+      page: options.page,
+      populate: 'propertyId',
+    }),
+    countFacets({ filter, issueFilter }),
+  ]);
+
+  const pageIds = page.results.map((inspection) => inspection._id);
+  const issues = terms.length
+    ? await Issue.find({ ...issueFilter, inspectionId: { $in: pageIds } })
+        .select('inspectionId label recommendation')
+        .lean()
+    : [];
+  const issuesByInspection = issues.reduce((groups, issue) => {
+    const key = issue.inspectionId.toString();
+    groups.set(key, [...(groups.get(key) || []), issue]);
+    return groups;
+  }, new Map());
+
+  const results = page.results.map((document) => {
+    const inspection = document.toObject();
+    const property = inspection.propertyId || {};
+    return {
+      id: inspection._id,
+      status: inspection.status,
+      property: property._id ? { id: property._id, name: property.name, address: property.address } : null,
+      inspectorId: inspection.inspectorId,
+      scheduledFor: inspection.scheduledFor,
+      startedAt: inspection.startedAt,
+      completedAt: inspection.completedAt,
+      createdAt: inspection.createdAt,
+      roomCount: (inspection.rooms || []).length,
+      matches: collectMatches({ inspection, issues: issuesByInspection.get(inspection._id.toString()) || [], terms }),
+    };
+  });
+
+  return { ...page, results, facets: facetCounts };
+};
+
+module.exports = {
+  parseSearchTerms,
+  highlightText,
+  collectMatches,
+  buildIssueFilter,
+  searchInspections,
+};
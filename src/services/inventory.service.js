@@ -0,0 +1,474 @@
+/**
+ * Inventory Service
+ *
+ * Register of the furnishings and equipment supplied with a property (sofa,
+ * TV, cutlery set), kept per room of an inspection with quantity, condition,
+ * photos and notes. Items can be suggested by Gemini Vision from the room's
+ * photos. The inventory of an inspection is reconciled with the previous
+ * inspection of the property to find missing and damaged items.
+ *
+ * @module services/inventory
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection, PENDING_ROOM_NAME } = require('../models/inspection.model');
+const { getStorage } = require('../lib/storage');
+const geminiService = require('./ai/gemini.service');
+const { getInspectionDate, matchRooms, reconcileInventory } = require('./inspectionComparison.service');
+const { resolvePhotoKey } = require('./photoDerivative.service');
+const { inventoryConditions, inventoryItemSources, inventoryLimits } = require('../config/inventory');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const INSPECTION_DATE_FIELDS = 'status completedAt startedAt scheduledFor createdAt';
+
+const normalizeName = (name) =>
+  String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+const toId = (value) => (value ? value.toString() : null);
+
+/**
+ * Load an inspection, failing with 404 when it is not in the organization
+ * @param {string} inspectionId
+ * @param {string} organizationId
+ * @param {string} select
+ * @returns {Promise<Object>}
+ */
+const loadInspection = async (inspectionId, organizationId, select) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select(select).lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  return inspection;
+};
+
+const findRoom = (inspection, roomId) =>
+  (inspection.rooms || []).find((room) => room._id.toString() === roomId.toString()) || null;
+
+/**
+ * Load an inspection and one of its rooms
+ * @param {string} inspectionId
+ * @param {string} organizationId
+ * @param {string} roomId
+ * @returns {Promise<{inspection: Object, room: Object}>}
+ */
+const loadRoom = async (inspectionId, organizationId, roomId) => {
+  const inspection = await loadInspection(inspectionId, organizationId, 'rooms._id rooms.name rooms.photos rooms.inventory');
+  const room = findRoom(inspection, roomId);
+  if (!room) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Room not found');
+  }
+  if (room.name === PENDING_ROOM_NAME) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The pending classification room has no inventory');
+  }
+  return { inspection, room };
+};
+
+/**
+ * Photo ids as ObjectIds, rejecting photos that are not part of the inspection
+ * @param {Object} inspection - Inspection with rooms.photos
+ * @param {string[]} photoIds
+ * @returns {mongoose.Types.ObjectId[]}
+ */
+const resolvePhotoIds = (inspection, photoIds) => {
+  const known = new Set(
+    (inspection.rooms || []).flatMap((room) => (room.photos || []).map((photo) => photo._id.toString()))
+  );
+  const unknown = photoIds.filter((photoId) => !known.has(photoId.toString()));
+  if (unknown.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Inventory photos must be part of this inspection');
+  }
+  return [...new Set(photoIds.map((photoId) => photoId.toString()))].map((photoId) => mongoose.Types.ObjectId(photoId));
+};
+
+/**
+ * Build a new inventory item
+ * @param {Object} fields
+ * @param {Object} user - Acting user
+ * @returns {Object}
+ */
+const buildItem = ({ name, quantity, condition, photoIds = [], notes, source, confidence }, user) => ({
+  _id: mongoose.Types.ObjectId(),
+  name: String(name).trim(),
+  quantity: quantity === undefined ? 1 : quantity,
+  condition: condition || inventoryConditions.GOOD,
+  photoIds,
+  notes: notes || undefined,
+  source: source || inventoryItemSources.MANUAL,
+  confidence: source === inventoryItemSources.AI ? confidence : undefined,
+  createdBy: user.id || user._id,
+  createdAt: new Date(),
+  updatedAt: new Date(),
+});
+
+/**
+ * Append items to a room, keeping the room within the item limit
+ * @param {string} inspectionId
+ * @param {string} organizationId
+ * @param {string} roomId
+ * @param {Object[]} items
+ * @returns {Promise<void>}
+ */
+const pushItems = async (inspectionId, organizationId, roomId, items) => {
+  const limit = inventoryLimits.itemsPerRoom;
+  const result =
+    items.length <= limit
+      ? await Inspection.updateOne(
+          {
+            _id: inspectionId,
+            organizationId,
+            rooms: { $elemMatch: { _id: roomId, [`inventory.${limit - items.length}`]: { $exists: false } } },
+          },
+          { $push: { 'rooms.$.inventory': { $each: items } } },
+          { runValidators: true }
+        )
+      : { n: 0 };
+  if (!result.n) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `A room can hold at most ${limit} inventory items`);
+  }
+};
+
+/**
+ * Latest earlier inspection of the same property with an inventory
+ * @param {Object} inspection - Inspection with _id, propertyId and its dates
+ * @param {string} organizationId
+ * @returns {Promise<Object|null>}
+ */
+const findPreviousInventory = async (inspection, organizationId) => {
+  const inspectedAt = getInspectionDate(inspection);
+  const candidates = await Inspection.find({
+    propertyId: inspection.propertyId,
+    organizationId,
+    _id: { $ne: inspection._id },
+    'rooms.inventory.0': { $exists: true },
+  })
+    .select(`${INSPECTION_DATE_FIELDS} rooms._id rooms.name rooms.displayOrder rooms.inventory`)
+    .lean();
+
+  return candidates
+    .filter((candidate) => getInspectionDate(candidate) < inspectedAt)
+    .reduce(
+      (latest, candidate) => (!latest || getInspectionDate(candidate) > getInspectionDate(latest) ? candidate : latest),
+      null
+    );
+};
+
+/**
+ * Reconcile an inventory with the previous one of the property, room by room.
+ * Rooms only on the previous inspection are left out: they may not have been
+ * inspected yet, and the inspection comparison reports them.
+ * @param {Object} previous - Earlier inspection with rooms.inventory
+ * @param {Object} inspection - Later inspection with rooms.inventory
+ * @returns {{rooms: Object[], totals: {missingItems: number, damagedItems: number, addedItems: number}}}
+ */
+const reconcileWithPrevious = (previous, inspection) => {
+  const rooms = matchRooms(previous.rooms, inspection.rooms)
+    .filter(({ exitRoom }) => exitRoom)
+    .map(({ entryRoom, exitRoom }) => ({
+      name: exitRoom.name,
+      roomId: toId(exitRoom._id),
+      previousRoomId: entryRoom ? toId(entryRoom._id) : null,
+      ...reconcileInventory(entryRoom, exitRoom),
+    }));
+
+  const totals = rooms.reduce(
+    (acc, room) => ({
+      missingItems: acc.missingItems + room.missing.length,
+      damagedItems: acc.damagedItems + room.damaged.length,
+      addedItems: acc.addedItems + room.added.length,
+    }),
+    { missingItems: 0, damagedItems: 0, addedItems: 0 }
+  );
+  return { rooms, totals };
+};
+
+/**
+ * Inventory of an inspection per room, reconciled with the previous inventory of the property
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<{rooms: Object[], previousInspection: Object|null, reconciliation: Object|null}>}
+ */
+const getInventory = async ({ inspectionId, organizationId }) => {
+  const inspection = await loadInspection(
+    inspectionId,
+    organizationId,
+    `propertyId ${INSPECTION_DATE_FIELDS} rooms._id rooms.name rooms.displayOrder rooms.inventory`
+  );
+  const previous = await findPreviousInventory(inspection, organizationId);
+
+  return {
+    rooms: (inspection.rooms || [])
+      .filter((room) => room.name !== PENDING_ROOM_NAME)
+      .map((room) => ({ roomId: room._id, name: room.name, items: room.inventory || [] })),
+    previousInspection: previous
+      ? { id: previous._id, status: previous.status, inspectedAt: getInspectionDate(previous) }
+      : null,
+    reconciliation: previous ? reconcileWithPrevious(previous, inspection) : null,
+  };
+};
+
+/**
+ * Add an item to the inventory of a room
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.name
+ * @param {number} [params.quantity] - Defaults to 1
+ * @param {string} [params.condition] - Defaults to good
+ * @param {string[]} [params.photoIds] - Photos of the item on this inspection
+ * @param {string} [params.notes]
+ * @returns {Promise<Object>} Inventory item
+ */
+const addItem = async ({ inspectionId, organizationId, roomId, user, photoIds = [], ...fields }) => {
+  const { inspection } = await loadRoom(inspectionId, organizationId, roomId);
+  const item = buildItem(
+    { ...fields, photoIds: resolvePhotoIds(inspection, photoIds), source: inventoryItemSources.MANUAL },
+    user
+  );
+  await pushItems(inspectionId, organizationId, roomId, [item]);
+  return item;
+};
+
+/**
+ * Update an inventory item. Changing the name, quantity or condition of an AI
+ * suggested item makes it a manual one.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId
+ * @param {string} params.itemId
+ * @param {Object} params.updates - name, quantity, condition, photoIds, notes
+ * @returns {Promise<Object>} Inventory item
+ */
+const updateItem = async ({ inspectionId, organizationId, roomId, itemId, updates }) => {
+  const { inspection, room } = await loadRoom(inspectionId, organizationId, roomId);
+  const current = (room.inventory || []).find((item) => item._id.toString() === itemId.toString());
+  if (!current) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inventory item not found');
+  }
+
+  const merged = {
+    ...current,
+    ...updates,
+    name: updates.name !== undefined ? String(updates.name).trim() : current.name,
+    photoIds: updates.photoIds ? resolvePhotoIds(inspection, updates.photoIds) : current.photoIds,
+    updatedAt: new Date(),
+  };
+  if (updates.notes === '' || updates.notes === null) delete merged.notes;
+  const corrected = ['name', 'quantity', 'condition'].some(
+    (field) => updates[field] !== undefined && String(merged[field]) !== String(current[field])
+  );
+  if (corrected && merged.source === inventoryItemSources.AI) {
+    merged.source = inventoryItemSources.MANUAL;
+    delete merged.confidence;
+  }
+
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId },
+    { $set: { 'rooms.$[room].inventory.$[item]': merged } },
+    { arrayFilters: [{ 'room._id': room._id }, { 'item._id': current._id }], runValidators: true }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inventory item not found');
+  }
+  return merged;
+};
+
+/**
+ * Delete an inventory item
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId
+ * @param {string} params.itemId
+ * @returns {Promise<void>}
+ */
+const deleteItem = async ({ inspectionId, organizationId, roomId, itemId }) => {
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, rooms: { $elemMatch: { _id: roomId, 'inventory._id': itemId } } },
+    { $pull: { 'rooms.$.inventory': { _id: mongoose.Types.ObjectId(itemId) } } }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inventory item not found');
+  }
+};
+
+/**
+ * Remove deleted photos from the inventory items showing them; the items are kept
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string[]} params.photoIds
+ * @returns {Promise<void>}
+ */
+const detachPhotos = async ({ inspectionId, photoIds }) => {
+  const ids = photoIds.map((photoId) => mongoose.Types.ObjectId(photoId.toString()));
+  await Inspection.updateOne(
+    { _id: inspectionId, 'rooms.inventory.photoIds': { $in: ids } },
+    { $pull: { 'rooms.$[room].inventory.$[item].photoIds': { $in: ids } } },
+    { arrayFilters: [{ 'room.inventory.photoIds': { $in: ids } }, { 'item.photoIds': { $in: ids } }] }
+  );
+};
+
+/**
+ * Prompt asking Gemini to list the inventory visible in a room's photos
+ * @param {Object} params
+ * @param {string} params.roomName
+ * @param {number} params.photoCount
+ * @param {string[]} params.existingItems - Names already on the inventory
+ * @returns {string}
+ */
+const buildSuggestionPrompt = ({
+  roomName,
+  photoCount,
+  existingItems,
+}) => `You are preparing the inventory of a furnished rental property for a condition inspection.
+The ${photoCount} photos are of the room "${roomName}", numbered 1 to ${photoCount} in the order given.
+
+List the movable furnishings, appliances, electronics, soft furnishings and household items supplied with the property.
+- Do not list fixtures that are part of the building (walls, doors, windows, built-in cupboards, light switches).
+- Count items seen in several photos once; give the total quantity visible (e.g. 4 dining chairs). Group small matching items into a set (e.g. "Cutlery set").
+- Describe each item briefly and plainly, such as "Grey 3-seater fabric sofa".
+${existingItems.length ? `- These items are already listed; do not repeat them: ${existingItems.join('; ')}\n` : ''}
+Respond with ONLY a JSON object in this exact format:
+{
+  "items": [
+    {
+      "name": "item description",
+      "quantity": 1,
+      "condition": "new" | "good" | "fair" | "worn" | "damaged",
+      "photos": [photo numbers the item is visible in],
+      "confidence": 0.0 to 1.0,
+      "notes": "visible wear or damage, or null"
+    }
+  ]
+}`;
+
+/**
+ * Suggested items from Gemini's reply
+ * @param {string} text - Response text
+ * @param {Object[]} photos - Photos sent, in prompt order
+ * @returns {Array<{name: string, quantity: number, condition: string, photoIds: Object[], confidence: number,
+ *   notes: string|null}>}
+ */
+const parseSuggestions = (text, photos) => {
+  const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+  let parsed;
+  try {
+    parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !Array.isArray(parsed.items)) {
+    throw new ApiError(httpStatus.BAD_GATEWAY, 'Inventory suggestions could not be read from the AI response');
+  }
+
+  const conditions = Object.values(inventoryConditions).filter((condition) => condition !== inventoryConditions.MISSING);
+  return parsed.items
+    .filter((item) => item && typeof item.name === 'string' && item.name.trim())
+    .map((item) => {
+      const quantity = Math.round(Number(item.quantity));
+      const confidence = Number(item.confidence);
+      return {
+        name: item.name.trim().slice(0, inventoryLimits.nameMaxLength),
+        quantity: quantity >= 1 ? Math.min(quantity, inventoryLimits.maxQuantity) : 1,
+        condition: conditions.includes(item.condition) ? item.condition : inventoryConditions.GOOD,
+        photoIds: (Array.isArray(item.photos) ? item.photos : [])
+          .map((number) => photos[Number(number) - 1])
+          .filter(Boolean)
+          .map((photo) => photo._id),
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+        notes: item.notes ? String(item.notes).slice(0, inventoryLimits.notesMaxLength) : null,
+      };
+    });
+};
+
+/**
+ * Suggest inventory items for a room from its photos, optionally adding them.
+ * Items already on the room's inventory are left out; only suggestions at or
+ * above the minimum confidence are added.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.roomId
+ * @param {Object} params.user - Acting user
+ * @param {string[]} [params.photoIds] - Room photos to use; defaults to the room's first photos
+ * @param {boolean} [params.save] - Add the suggested items
+ * @returns {Promise<{suggestions: Object[], items: Object[]}>}
+ */
+const suggestInventory = async ({ inspectionId, organizationId, roomId, user, photoIds, save = false }) => {
+  const { room } = await loadRoom(inspectionId, organizationId, roomId);
+  const roomPhotos = room.photos || [];
+
+  let photos;
+  if (photoIds && photoIds.length) {
+    photos = photoIds.map((photoId) => roomPhotos.find((photo) => photo._id.toString() === photoId.toString()));
+    if (photos.some((photo) => !photo)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Suggestion photos must be photos of this room');
+    }
+  } else {
+    photos = [...roomPhotos].sort((a, b) => new Date(a.capturedAt || a.createdAt) - new Date(b.capturedAt || b.createdAt));
+  }
+  photos = photos.slice(0, inventoryLimits.suggestionPhotos);
+  if (!photos.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The room has no photos to suggest inventory from');
+  }
+
+  const storage = getStorage();
+  const images = await Promise.all(
+    photos.map(async (photo) => {
+      const { storagePath, size } = resolvePhotoKey(photo, 'medium');
+      const { data } = await storage.download(storagePath);
+      // Derivatives are always JPEG
+      return { mimeType: size === 'original' ? photo.mimeType : 'image/jpeg', data: data.toString('base64') };
+    })
+  );
+
+  const existing = new Set((room.inventory || []).map((item) => normalizeName(item.name)));
+  const response = await geminiService.generateWithVision({
+    prompt: buildSuggestionPrompt({
+      roomName: room.name,
+      photoCount: photos.length,
+      existingItems: (room.inventory || []).map((item) => item.name),
+    }),
+    images,
+    generationConfig: { temperature: 0.2 },
+  });
+  const suggestions = parseSuggestions(response.text, photos).filter((item) => !existing.has(normalizeName(item.name)));
+
+  logger.info(
+    {
+      inspectionId: inspectionId.toString(),
+      roomId: roomId.toString(),
+      photos: photos.length,
+      suggestions: suggestions.length,
+    },
+    'Inventory suggested from room photos'
+  );
+
+  const accepted = save ? suggestions.filter((item) => item.confidence >= inventoryLimits.minSuggestionConfidence) : [];
+  if (!accepted.length) {
+    return { suggestions, items: [] };
+  }
+
+  const items = accepted.map((item) => buildItem({ ...item, source: inventoryItemSources.AI }, user));
+  await pushItems(inspectionId, organizationId, roomId, items);
+  return { suggestions, items };
+};
+
+module.exports = {
+  reconcileWithPrevious,
+  getInventory,
+  addItem,
+  updateItem,
+  deleteItem,
+  detachPhotos,
+  parseSuggestions,
+  suggestInventory,
+};
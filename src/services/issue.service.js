@@ -0,0 +1,459 @@
+/**
+ * Issue Service
+ *
+ * Issues found in inspection photos, promoted from the embedded
+ * `photo.issues` entries to their own collection so they can be assigned,
+ * scheduled and tracked to resolution.
+ *
+ * @module services/issue
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const Issue = require('../models/issue.model');
+const User = require('../models/user.model');
+const { issueStatuses, issueSources } = require('../config/issues');
+const { costEstimateSources } = require('../config/costCatalogue');
+const costEstimateService = require('./costEstimate.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const CLOSED_STATUSES = [issueStatuses.RESOLVED, issueStatuses.WONT_FIX];
+
+const normalizeKeyPart = (value) => (value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Key linking an AI issue to the embedded photo issue it came from. It names the
+ * defect rather than its position, so a re-analysis listing issues in another
+ * order does not turn a tracked issue into a different defect.
+ * @param {string} photoId
+ * @param {{label: string, category: string}} issue - Embedded photo issue
+ * @param {number} [occurrence=1] - Counts repeats of the same defect on the photo
+ * @returns {string}
+ */
+const buildSourceKey = (photoId, issue, occurrence = 1) => {
+  const key = `${photoId}:${normalizeKeyPart(issue.category)}:${normalizeKeyPart(issue.label)}`;
+  return occurrence > 1 ? `${key}#${occurrence}` : key;
+};
+
+/**
+ * Mongo filter for an issue list query
+ * @param {string} organizationId
+ * @param {Object} query - Validated listIssues query
+ * @returns {Object}
+ */
+const buildIssueFilter = (organizationId, query) => {
+  const filter = { organizationId };
+
+  ['propertyId', 'inspectionId', 'roomId', 'photoId', 'assignee'].forEach((field) => {
+    if (query[field]) {
+      filter[field] = mongoose.Types.ObjectId(query[field]);
+    }
+  });
+  ['status', 'severity', 'category'].forEach((field) => {
+    if (query[field] && query[field].length) {
+      filter[field] = { $in: query[field] };
+    }
+  });
+  if (query.source) {
+    filter.source = query.source;
+  }
+  if (query.dueBefore || query.dueAfter) {
+    filter.dueDate = {};
+    if (query.dueBefore) filter.dueDate.$lte = new Date(query.dueBefore);
+    if (query.dueAfter) filter.dueDate.$gte = new Date(query.dueAfter);
+  }
+
+  return filter;
+};
+
+/**
+ * Paginated issue list
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.query - Filters (see buildIssueFilter)
+ * @param {Object} params.options - sortBy, limit, page
+ * @param {Array|null} [params.inspectionIds] - Restrict to these inspections (users who only see assigned inspections)
+ * @returns {Promise<QueryResult>}
+ */
+const queryIssues = async ({ organizationId, query, options, inspectionIds = null }) => {
+  const filter = buildIssueFilter(organizationId, query);
+  if (inspectionIds) {
+    filter.$and = [{ inspectionId: { $in: inspectionIds } }];
+  }
+  return Issue.paginate(filter, { sortBy: 'createdAt:desc', ...options });
+};
+
+/**
+ * Get an issue of the organization
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.issueId
+ * @returns {Promise<Object>}
+ */
+const getIssue = async ({ organizationId, issueId }) => {
+  const issue = await Issue.findOne({ _id: issueId, organizationId }).lean();
+  if (!issue) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Issue not found');
+  }
+  return issue;
+};
+
+const assertAssignee = async ({ organizationId, assignee }) => {
+  if (!assignee) {
+    return;
+  }
+  const user = await User.findOne({ _id: assignee, organizationId }).select('_id').lean();
+  if (!user) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Assignee must be a member of your organization');
+  }
+};
+
+/**
+ * Room and photo an issue is attached to, checked against the inspection
+ */
+const resolveLocation = (inspection, { roomId, photoId }) => {
+  if (photoId) {
+    const room = inspection.rooms.find((candidate) =>
+      (candidate.photos || []).some((photo) => photo._id.toString() === photoId)
+    );
+    if (!room) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Photo not found in this inspection');
+    }
+    return { roomId: room._id, roomName: room.name, photoId: mongoose.Types.ObjectId(photoId) };
+  }
+  if (roomId) {
+    const room = inspection.rooms.find((candidate) => candidate._id.toString() === roomId);
+    if (!room) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Room not found in this inspection');
+    }
+    return { roomId: room._id, roomName: room.name };
+  }
+  return {};
+};
+
+/**
+ * Status side effects: resolvedAt is set when an issue is closed and cleared when it is reopened
+ */
+const statusFields = (status) => {
+  if (!status) {
+    return { set: {}, unset: {} };
+  }
+  return CLOSED_STATUSES.includes(status)
+    ? { set: { status, resolvedAt: new Date() }, unset: {} }
+    : { set: { status }, unset: { resolvedAt: 1 } };
+};
+
+/**
+ * Estimate entered by an inspector, in the organization's catalogue currency
+ */
+const manualEstimate = (catalogue, { low, high }) => ({
+  low,
+  high,
+  currency: catalogue.currency,
+  source: costEstimateSources.MANUAL,
+});
+
+/**
+ * Cost estimate to store with an issue update: the inspector's override, or a
+ * fresh catalogue estimate when the override is cleared or the category or
+ * severity of a catalogue-priced issue changes. Undefined leaves it as is.
+ */
+const resolveUpdatedEstimate = async ({ organizationId, issueId, fields, costEstimate }) => {
+  const repriced = costEstimate === null || Boolean(fields.category || fields.severity);
+  if (!costEstimate && !repriced) {
+    return undefined;
+  }
+
+  const catalogue = await costEstimateService.getCostCatalogue({ organizationId });
+  if (costEstimate) {
+    return manualEstimate(catalogue, costEstimate);
+  }
+
+  const existing = await Issue.findOne({ _id: issueId, organizationId }).select('category severity costEstimate').lean();
+  const keepOverride =
+    costEstimate !== null &&
+    existing &&
+    existing.costEstimate &&
+    existing.costEstimate.source === costEstimateSources.MANUAL;
+  if (!existing || keepOverride) {
+    return undefined;
+  }
+  return costEstimateService.estimateIssueCost(catalogue, { ...existing, ...fields });
+};
+
+/**
+ * Record an issue by hand
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {Object} params.body - Validated createIssue body
+ * @returns {Promise<Object>}
+ */
+const createIssue = async ({ organizationId, user, body }) => {
+  const { inspectionId, roomId, photoId, costEstimate, ...fields } = body;
+
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId })
+    .select('propertyId rooms._id rooms.name rooms.photos._id')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  await assertAssignee({ organizationId, assignee: fields.assignee });
+  const catalogue = await costEstimateService.getCostCatalogue({ organizationId });
+
+  const issue = await Issue.create({
+    ...fields,
+    costEstimate: costEstimate
+      ? manualEstimate(catalogue, costEstimate)
+      : costEstimateService.estimateIssueCost(catalogue, fields),
+    ...resolveLocation(inspection, { roomId, photoId }),
+    ...statusFields(fields.status).set,
+    organizationId,
+    propertyId: inspection.propertyId,
+    inspectionId: inspection._id,
+    source: issueSources.MANUAL,
+    createdBy: user.id || user._id,
+  });
+
+  return issue.toObject();
+};
+
+/**
+ * Update an issue's details, status, assignee, due date or notes.
+ * A `costEstimate` of {low, high} overrides the catalogue estimate; null reverts to it.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.issueId
+ * @param {Object} params.updates - Validated updateIssue body
+ * @returns {Promise<Object>}
+ */
+const updateIssue = async ({ organizationId, issueId, updates }) => {
+  const { status, costEstimate, ...fields } = updates;
+  await assertAssignee({ organizationId, assignee: fields.assignee });
+  const estimate = await resolveUpdatedEstimate({ organizationId, issueId, fields, costEstimate });
+
+  const { set, unset } = statusFields(status);
+  const update = { $set: { ...fields, ...set } };
+  if (estimate) {
+    update.$set.costEstimate = estimate;
+  }
+  Object.keys(fields)
+    .filter((field) => fields[field] === null)
+    .forEach((field) => {
+      delete update.$set[field];
+      unset[field] = 1;
+    });
+  if (Object.keys(unset).length) {
+    update.$unset = unset;
+  }
+
+  const issue = await Issue.findOneAndUpdate({ _id: issueId, organizationId }, update, {
+    new: true,
+    runValidators: true,
+  }).lean();
+  if (!issue) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Issue not found');
+  }
+  return issue;
+};
+
+/**
+ * Delete an issue
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.issueId
+ * @returns {Promise<void>}
+ */
+const deleteIssue = async ({ organizationId, issueId }) => {
+  const result = await Issue.deleteOne({ _id: issueId, organizationId });
+  if (!result.deletedCount) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Issue not found');
+  }
+};
+
+/**
+ * Mirror the embedded issues of an inspection's photos into the Issue collection.
+ * With `refresh`, AI fields are overwritten from the latest analysis and AI issues
+ * it no longer reports are removed while nobody has picked them up; without it
+ * only missing issues are inserted. Workflow fields (status, assignee, due date,
+ * notes) and cost estimates an inspector entered are never touched.
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with rooms and photos
+ * @param {string[]} [params.photoIds] - Limit to these photos
+ * @param {boolean} [params.refresh=true]
+ * @param {Object} [params.catalogue] - Cost catalogue for photo issues recorded without an estimate
+ * @returns {Promise<{upserted: number, modified: number, removed: number}>}
+ */
+const syncPhotoIssues = async ({ inspection, photoIds, refresh = true, catalogue }) => {
+  const wanted = photoIds ? new Set(photoIds.map((id) => id.toString())) : null;
+  const operations = [];
+
+  inspection.rooms.forEach((room) => {
+    (room.photos || []).forEach((photo) => {
+      const photoId = photo._id.toString();
+      if (wanted && !wanted.has(photoId)) {
+        return;
+      }
+
+      const occurrences = new Map();
+      const sourceKeys = (photo.issues || []).map((issue) => {
+        const defect = buildSourceKey(photoId, issue);
+        occurrences.set(defect, (occurrences.get(defect) || 0) + 1);
+        const sourceKey = buildSourceKey(photoId, issue, occurrences.get(defect));
+        const details = {
+          label: issue.label,
+          severity: issue.severity,
+          category: issue.category,
+          recommendation: issue.recommendation,
+          confidence: issue.confidence,
+        };
+        const location = {
+          propertyId: inspection.propertyId,
+          inspectionId: inspection._id,
+          roomId: room._id,
+          roomName: room.name,
+          photoId: photo._id,
+        };
+        const insertOnly = { organizationId: inspection.organizationId, source: issueSources.AI, sourceKey };
+        const costEstimate =
+          issue.costEstimate || (catalogue ? costEstimateService.estimateIssueCost(catalogue, issue) : undefined);
+        if (costEstimate) {
+          insertOnly.costEstimate = costEstimate;
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { sourceKey },
+            update: refresh
+              ? { $set: { ...details, ...location }, $setOnInsert: insertOnly }
+              : { $setOnInsert: { ...details, ...location, ...insertOnly } },
+            upsert: true,
+          },
+        });
+        if (refresh && costEstimate) {
+          // Separate update so a re-analysis reprices the issue unless an inspector overrode it
+          operations.push({
+            updateOne: {
+              filter: { sourceKey, 'costEstimate.source': { $ne: costEstimateSources.MANUAL } },
+              update: { $set: { costEstimate } },
+            },
+          });
+        }
+        return sourceKey;
+      });
+
+      if (refresh) {
+        operations.push({
+          deleteMany: {
+            filter: {
+              photoId: photo._id,
+              source: issueSources.AI,
+              status: issueStatuses.OPEN,
+              assignee: null,
+              sourceKey: { $nin: sourceKeys },
+            },
+          },
+        });
+      }
+    });
+  });
+
+  if (!operations.length) {
+    return { upserted: 0, modified: 0, removed: 0 };
+  }
+
+  const result = await Issue.bulkWrite(operations, { ordered: false });
+  return { upserted: result.upsertedCount, modified: result.modifiedCount, removed: result.deletedCount };
+};
+
+/**
+ * Create Issue documents for every embedded photo issue of the organization that does not have one yet.
+ * Safe to run repeatedly.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @returns {Promise<{inspections: number, created: number}>}
+ */
+const backfillIssues = async ({ organizationId }) => {
+  const cursor = Inspection.find({ organizationId, 'rooms.photos.issues.0': { $exists: true } })
+    .select('organizationId propertyId rooms._id rooms.name rooms.photos._id rooms.photos.issues')
+    .lean()
+    .cursor();
+  const catalogue = await costEstimateService.getCostCatalogue({ organizationId });
+
+  let inspections = 0;
+  let created = 0;
+  await cursor.eachAsync(async (inspection) => {
+    const result = await syncPhotoIssues({ inspection, refresh: false, catalogue });
+    inspections += 1;
+    created += result.upserted;
+  });
+
+  logger.info({ organizationId, inspections, created }, 'Issue backfill completed');
+  return { inspections, created };
+};
+
+const toObjectIds = (ids) => ids.map((id) => mongoose.Types.ObjectId(id.toString()));
+
+/**
+ * Remove the issues of deleted photos, and of a deleted room when given.
+ * Only AI issues nobody has picked up are deleted; the others keep their
+ * remediation history and are detached from the deleted photos instead.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string[]} params.photoIds
+ * @param {string} [params.roomId]
+ * @returns {Promise<{removed: number, detached: number}>}
+ */
+const removeLinkedIssues = async ({ inspectionId, photoIds, roomId }) => {
+  const deletedPhotoIds = toObjectIds(photoIds);
+  const links = [{ photoId: { $in: deletedPhotoIds } }];
+  if (roomId) {
+    links.push({ roomId: mongoose.Types.ObjectId(roomId.toString()) });
+  }
+  const filter = { inspectionId: mongoose.Types.ObjectId(inspectionId.toString()), $or: links };
+
+  const removed = await Issue.deleteMany({ ...filter, source: issueSources.AI, status: issueStatuses.OPEN, assignee: null });
+  // Room-level issues of a deleted room keep the room name they were raised in
+  const detached = await Issue.updateMany(
+    { inspectionId: filter.inspectionId, photoId: { $in: deletedPhotoIds } },
+    { $unset: { photoId: 1 } }
+  );
+  return { removed: removed.deletedCount, detached: detached.nModified };
+};
+
+/**
+ * Point the issues of moved photos at their new room. When a whole room is
+ * merged away, its room-level issues follow too.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string[]} params.photoIds
+ * @param {string} [params.fromRoomId] - Room whose room-level issues move as well
+ * @param {{_id: Object, name: string}} params.room - Destination room
+ * @returns {Promise<void>}
+ */
+const moveIssuesToRoom = async ({ inspectionId, photoIds, fromRoomId, room }) => {
+  const links = [{ photoId: { $in: toObjectIds(photoIds) } }];
+  if (fromRoomId) {
+    links.push({ roomId: mongoose.Types.ObjectId(fromRoomId.toString()), photoId: null });
+  }
+  await Issue.updateMany(
+    { inspectionId: mongoose.Types.ObjectId(inspectionId.toString()), $or: links },
+    { $set: { roomId: room._id, roomName: room.name } }
+  );
+};
+
+module.exports = {
+  buildSourceKey,
+  buildIssueFilter,
+  queryIssues,
+  getIssue,
+  createIssue,
+  updateIssue,
+  deleteIssue,
+  syncPhotoIssues,
+  backfillIssues,
+  removeLinkedIssues,
+  moveIssuesToRoom,
+};
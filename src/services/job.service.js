@@ -4,6 +4,8 @@ const { Job } = require('../models');
 const ApiError = require('../utils/ApiError');
 const { emitInspectionEvent } = require('../lib/socket');
 
+const PENDING_STATUSES = ['pending', 'queued'];
+
 const toJobObject = (jobDoc) => {
   if (!jobDoc) return null;
   const job = jobDoc.toObject ? jobDoc.toObject() : jobDoc;
@@ -182,6 +184,52 @@ const markJobQueued = async ({ jobId, queueDepth }) => {
   return job;
 };
 
+const listPendingJobsForPhotos = async ({ inspectionId, photoIds }) => {
+  const ids = photoIds.map((id) => id.toString());
+  // Photo ids are stored as strings or ObjectIds depending on the job type
+  return Job.find({
+    inspectionId: mongoose.Types.ObjectId(inspectionId),
+    status: { $in: PENDING_STATUSES },
+    'payload.photoIds': { $in: [...ids, ...ids.map((id) => mongoose.Types.ObjectId(id))] },
+  }).lean();
+};
+
+const setJobPhotoIds = async ({ jobId, photoIds }) => {
+  const job = await Job.findByIdAndUpdate(
+    jobId,
+    { $set: { 'payload.photoIds': photoIds, totalUnits: photoIds.length } },
+    { new: true }
+  ).lean();
+  if (!job) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Job not found');
+  }
+  return job;
+};
+
+const cancelJob = async ({ jobId, message }) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: PENDING_STATUSES } },
+    {
+      $set: {
+        status: 'cancelled',
+        completedAt: new Date(),
+      },
+      $push: {
+        events: {
+          type: 'job.cancelled',
+          message: message || 'Job cancelled',
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+
+  if (job) {
+    emitJobEvent(job, 'job.cancelled');
+  }
+  return job;
+};
+
 module.exports = {
   createJob,
   getJobById,
@@ -191,4 +239,7 @@ module.exports = {
   markJobCompleted,
   markJobFailed,
   markJobQueued,
+  listPendingJobsForPhotos,
+  setJobPhotoIds,
+  cancelJob,
 };
@@ -0,0 +1,588 @@
+/**
+ * Meter Reading Service
+ *
+ * Electricity, gas and water meter readings recorded on an inspection, typed
+ * in or read from a photo of the meter with Gemini Vision. Readings of the
+ * same meter are matched across inspections of a property by meter type and
+ * serial (or by type alone when the property has a single meter of that type
+ * and a serial is missing on one side) to work out the usage between
+ * consecutive inspections.
+ *
+ * @module services/meterReading
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const Property = require('../models/property.model');
+const { getStorage } = require('../lib/storage');
+const geminiService = require('./ai/gemini.service');
+const { getInspectionDate } = require('./inspectionComparison.service');
+const { resolvePhotoKey } = require('./photoDerivative.service');
+const { buildInspectionAccessFilter } = require('./inspectionAccess.service');
+const {
+  meterTypes,
+  meterUnits,
+  meterUnitAliases,
+  meterReadingSources,
+  meterReadingLimits,
+} = require('../config/meterReadings');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INSPECTION_DATE_FIELDS = 'status completedAt startedAt scheduledFor createdAt';
+
+/**
+ * @typedef {Object} MeterUsage
+ * @property {number|null} delta - Current minus previous reading; null when the units differ
+ * @property {number|null} days - Days between the two inspections
+ * @property {number|null} dailyAverage - Usage per day, when the reading went up
+ * @property {'unit_changed'|'reading_decreased'|null} anomaly - reading_decreased usually means a replaced or reset meter
+ */
+
+/**
+ * Serial in the form readings are matched on
+ * @param {string} [serial]
+ * @returns {string}
+ */
+const normalizeSerial = (serial) =>
+  String(serial || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Stored unit for a unit written on a meter or entered by hand
+ * @param {string} type - Meter type
+ * @param {string} [unit]
+ * @returns {string|null} null when the unit is not used for this meter type
+ */
+const normalizeUnit = (type, unit) => {
+  const allowed = meterUnits[type] || [];
+  if (!unit) return allowed[0] || null;
+  const key = String(unit).trim().toLowerCase().replace(/\s+/g, '');
+  const stored = meterUnitAliases[key] || allowed.find((candidate) => candidate.toLowerCase() === key);
+  return allowed.includes(stored) ? stored : null;
+};
+
+/**
+ * Unit to store for a reading, rejecting units of another meter type
+ * @param {string} type
+ * @param {string} [unit]
+ * @returns {string}
+ */
+const resolveUnit = (type, unit) => {
+  const stored = normalizeUnit(type, unit);
+  if (!stored) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `${unit} is not a ${type} meter unit; use one of ${meterUnits[type].join(', ')}`
+    );
+  }
+  return stored;
+};
+
+/**
+ * Reading of the previous inspection taken from the same meter
+ * @param {Object[]} previousReadings
+ * @param {Object} reading
+ * @returns {Object|null}
+ */
+const matchPreviousReading = (previousReadings, reading) => {
+  const sameType = previousReadings.filter((candidate) => candidate.type === reading.type);
+  const serial = normalizeSerial(reading.serial);
+  const exact = sameType.find((candidate) => normalizeSerial(candidate.serial) === serial);
+  if (exact) return exact;
+  if (sameType.length === 1 && (!serial || !normalizeSerial(sameType[0].serial))) {
+    return sameType[0];
+  }
+  return null;
+};
+
+/**
+ * Usage of a meter between two readings
+ * @param {{reading: number, unit: string, inspectedAt: Date}} previous
+ * @param {{reading: number, unit: string, inspectedAt: Date}} current
+ * @returns {MeterUsage}
+ */
+const calculateUsage = (previous, current) => {
+  const days = round((new Date(current.inspectedAt) - new Date(previous.inspectedAt)) / DAY_MS, 1);
+  if (previous.unit !== current.unit) {
+    return { delta: null, days, dailyAverage: null, anomaly: 'unit_changed' };
+  }
+
+  const delta = round(current.reading - previous.reading, 3);
+  return {
+    delta,
+    days,
+    dailyAverage: delta >= 0 && days > 0 ? round(delta / days, 2) : null,
+    anomaly: delta < 0 ? 'reading_decreased' : null,
+  };
+};
+
+/**
+ * Usage since the previous inspection for each reading of an inspection
+ * @param {Object} params
+ * @param {Object[]} params.readings - Readings of the inspection
+ * @param {Date} params.inspectedAt
+ * @param {Object} [params.previous] - Previous inspection with meterReadings, or none
+ * @returns {Object[]}
+ */
+const buildUsageSincePrevious = ({ readings, inspectedAt, previous }) =>
+  readings.map((reading) => {
+    const match = previous ? matchPreviousReading(previous.meterReadings, reading) : null;
+    const base = {
+      readingId: reading._id,
+      type: reading.type,
+      serial: reading.serial || (match && match.serial) || null,
+      unit: reading.unit,
+      current: reading.reading,
+    };
+    if (!match) {
+      return {
+        ...base,
+        previousReadingId: null,
+        previous: null,
+        delta: null,
+        days: null,
+        dailyAverage: null,
+        anomaly: null,
+      };
+    }
+    return {
+      ...base,
+      previousReadingId: match._id,
+      previous: match.reading,
+      ...calculateUsage(
+        { reading: match.reading, unit: match.unit, inspectedAt: getInspectionDate(previous) },
+        { reading: reading.reading, unit: reading.unit, inspectedAt }
+      ),
+    };
+  });
+
+/**
+ * Find a photo on an inspection
+ * @param {Object} inspection - Inspection with rooms.photos
+ * @param {string} photoId
+ * @returns {Object|null}
+ */
+const findPhoto = (inspection, photoId) =>
+  (inspection.rooms || [])
+    .flatMap((room) => room.photos || [])
+    .find((photo) => photo._id.toString() === photoId.toString()) || null;
+
+/**
+ * Load an inspection, failing with 404 when it is not in the organization
+ * @param {string} inspectionId
+ * @param {string} organizationId
+ * @param {string} select
+ * @returns {Promise<Object>}
+ */
+const loadInspection = async (inspectionId, organizationId, select) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select(select).lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  return inspection;
+};
+
+const assertPhotoOnInspection = (inspection, photoId) => {
+  if (photoId && !findPhoto(inspection, photoId)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The source photo is not part of this inspection');
+  }
+};
+
+/**
+ * Latest earlier inspection of the same property with meter readings
+ * @param {Object} inspection - Inspection with _id, propertyId and its dates
+ * @param {string} organizationId
+ * @returns {Promise<Object|null>}
+ */
+const findPreviousReadings = async (inspection, organizationId) => {
+  const inspectedAt = getInspectionDate(inspection);
+  const candidates = await Inspection.find({
+    propertyId: inspection.propertyId,
+    organizationId,
+    _id: { $ne: inspection._id },
+    'meterReadings.0': { $exists: true },
+  })
+    .select(`${INSPECTION_DATE_FIELDS} meterReadings`)
+    .lean();
+
+  return candidates
+    .filter((candidate) => getInspectionDate(candidate) < inspectedAt)
+    .reduce(
+      (latest, candidate) => (!latest || getInspectionDate(candidate) > getInspectionDate(latest) ? candidate : latest),
+      null
+    );
+};
+
+/**
+ * Meter readings of an inspection with the usage since the previous inspection of the property
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<{readings: Object[], previousInspection: Object|null, usage: Object[]}>}
+ */
+const getMeterReadings = async ({ inspectionId, organizationId }) => {
+  const inspection = await loadInspection(
+    inspectionId,
+    organizationId,
+    `propertyId ${INSPECTION_DATE_FIELDS} meterReadings`
+  );
+  const readings = inspection.meterReadings || [];
+  const previous = readings.length ? await findPreviousReadings(inspection, organizationId) : null;
+
+  return {
+    readings,
+    previousInspection: previous
+      ? { id: previous._id, status: previous.status, inspectedAt: getInspectionDate(previous) }
+      : null,
+    usage: buildUsageSincePrevious({ readings, inspectedAt: getInspectionDate(inspection), previous }),
+  };
+};
+
+/**
+ * Record a meter reading
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.type - electricity | gas | water
+ * @param {number} params.reading
+ * @param {string} [params.unit] - Defaults to the usual unit of the meter type
+ * @param {string} [params.serial]
+ * @param {string} [params.photoId] - Photo of the meter on this inspection
+ * @param {string} [params.notes]
+ * @param {string} [params.source] - manual | ai
+ * @param {number} [params.confidence] - AI confidence, for AI readings
+ * @returns {Promise<Object>} Meter reading
+ */
+const addMeterReading = async ({
+  inspectionId,
+  organizationId,
+  user,
+  type,
+  reading,
+  unit,
+  serial,
+  photoId,
+  notes,
+  source = meterReadingSources.MANUAL,
+  confidence,
+}) => {
+  const inspection = await loadInspection(inspectionId, organizationId, 'rooms.photos._id');
+  assertPhotoOnInspection(inspection, photoId);
+
+  const meterReading = {
+    _id: mongoose.Types.ObjectId(),
+    type,
+    serial: serial || undefined,
+    reading,
+    unit: resolveUnit(type, unit),
+    photoId: photoId ? mongoose.Types.ObjectId(photoId) : undefined,
+    source,
+    confidence: source === meterReadingSources.AI ? confidence : undefined,
+    notes: notes || undefined,
+    recordedBy: user.id || user._id,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const limit = meterReadingLimits.readingsPerInspection;
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, [`meterReadings.${limit - 1}`]: { $exists: false } },
+    { $push: { meterReadings: meterReading } },
+    { runValidators: true }
+  );
+  if (!result.n) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `An inspection can hold at most ${limit} meter readings`);
+  }
+
+  return meterReading;
+};
+
+/**
+ * Correct a meter reading. Changing what an AI reading says makes it a manual one.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.readingId
+ * @param {Object} params.updates - type, reading, unit, serial, photoId, notes
+ * @returns {Promise<Object>} Meter reading
+ */
+const updateMeterReading = async ({ inspectionId, organizationId, readingId, updates }) => {
+  const inspection = await loadInspection(inspectionId, organizationId, 'rooms.photos._id meterReadings');
+  const current = (inspection.meterReadings || []).find((candidate) => candidate._id.toString() === readingId.toString());
+  if (!current) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Meter reading not found');
+  }
+  assertPhotoOnInspection(inspection, updates.photoId);
+
+  const type = updates.type || current.type;
+  const merged = {
+    ...current,
+    ...updates,
+    type,
+    // A new meter type keeps the unit when it is used for that type too, and otherwise takes the type's usual unit
+    unit:
+      updates.unit !== undefined ? resolveUnit(type, updates.unit) : normalizeUnit(type, current.unit) || resolveUnit(type),
+    photoId: updates.photoId ? mongoose.Types.ObjectId(updates.photoId) : current.photoId,
+    updatedAt: new Date(),
+  };
+  ['serial', 'notes', 'photoId'].forEach((field) => {
+    if (updates[field] === '' || updates[field] === null) delete merged[field];
+  });
+  const corrected = ['type', 'reading', 'unit', 'serial'].some(
+    (field) => updates[field] !== undefined && String(merged[field]) !== String(current[field])
+  );
+  if (corrected && merged.source === meterReadingSources.AI) {
+    merged.source = meterReadingSources.MANUAL;
+    delete merged.confidence;
+  }
+
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, 'meterReadings._id': current._id },
+    { $set: { 'meterReadings.$': merged } },
+    { runValidators: true }
+  );
+  if (!result.n) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Meter reading not found');
+  }
+  return merged;
+};
+
+/**
+ * Delete a meter reading
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.readingId
+ * @returns {Promise<void>}
+ */
+const deleteMeterReading = async ({ inspectionId, organizationId, readingId }) => {
+  const result = await Inspection.updateOne(
+    { _id: inspectionId, organizationId, 'meterReadings._id': readingId },
+    { $pull: { meterReadings: { _id: mongoose.Types.ObjectId(readingId) } } }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Meter reading not found');
+  }
+};
+
+/**
+ * Forget deleted photos as the source of meter readings; the readings are kept
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string[]} params.photoIds
+ * @returns {Promise<void>}
+ */
+const detachPhotos = async ({ inspectionId, photoIds }) => {
+  const ids = photoIds.map((photoId) => mongoose.Types.ObjectId(photoId.toString()));
+  await Inspection.updateOne(
+    { _id: inspectionId, 'meterReadings.photoId': { $in: ids } },
+    { $unset: { 'meterReadings.$[reading].photoId': 1 } },
+    { arrayFilters: [{ 'reading.photoId': { $in: ids } }] }
+  );
+};
+
+/**
+ * Prompt asking Gemini to read a meter
+ * @param {string} [type] - Meter type, when known
+ * @returns {string}
+ */
+const buildExtractionPrompt = (type) => `You are reading a utility meter from a property inspection photo${
+  type ? `. The meter is a ${type} meter` : ''
+}.
+
+Read the consumption register exactly as displayed:
+- For digital or odometer style displays, read every digit left to right. Digits after a decimal point or in a red or differently coloured window are decimals.
+- For dial meters, read each dial left to right; when a pointer is between two numbers, take the lower one.
+- Ignore time-of-use rates, meter constants and the date; if there are several registers, read the main or total register.
+
+Respond with ONLY a JSON object in this exact format:
+{
+  "readable": true | false,
+  "meterType": "electricity" | "gas" | "water" | "unknown",
+  "reading": "the register value, digits and decimal point only",
+  "unit": "the unit printed on the meter, such as kWh, m3 or kL, or null",
+  "serial": "the meter serial number, or null",
+  "confidence": 0.0 to 1.0,
+  "notes": "anything that made the meter hard to read"
+}`;
+
+/**
+ * Structured reading from Gemini's reply
+ * @param {string} text - Response text
+ * @param {string} [type] - Meter type given by the user; takes precedence over the detected type
+ * @returns {{readable: boolean, type: string|null, reading: number|null, unit: string|null, serial: string|null,
+ *   confidence: number, notes: string|null}}
+ */
+const parseExtraction = (text, type) => {
+  const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+  let parsed;
+  try {
+    parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed) {
+    throw new ApiError(httpStatus.BAD_GATEWAY, 'The meter reading could not be read from the AI response');
+  }
+
+  const meterType = type || (Object.values(meterTypes).includes(parsed.meterType) ? parsed.meterType : null);
+  const digits = String(parsed.reading === null || parsed.reading === undefined ? '' : parsed.reading).replace(
+    /[^0-9.]/g,
+    ''
+  );
+  const reading = digits && Number.isFinite(Number(digits)) ? Number(digits) : null;
+  const confidence = Number.isFinite(Number(parsed.confidence)) ? Math.min(1, Math.max(0, Number(parsed.confidence))) : 0;
+  const unit = meterType ? normalizeUnit(meterType, parsed.unit) || normalizeUnit(meterType) : null;
+
+  return {
+    readable: Boolean(parsed.readable) && reading !== null && Boolean(meterType),
+    type: meterType,
+    reading,
+    unit,
+    serial: parsed.serial ? String(parsed.serial).trim().slice(0, meterReadingLimits.serialMaxLength) : null,
+    confidence,
+    notes: parsed.notes ? String(parsed.notes).slice(0, meterReadingLimits.notesMaxLength) : null,
+  };
+};
+
+/**
+ * Read a meter from one of the inspection's photos, optionally recording the
+ * reading. Only readable results at or above the minimum confidence are recorded.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} params.photoId
+ * @param {string} [params.type] - Meter type, when known
+ * @param {boolean} [params.save] - Record the reading
+ * @returns {Promise<{extraction: Object, reading: Object|null}>}
+ */
+const extractMeterReading = async ({ inspectionId, organizationId, user, photoId, type, save = false }) => {
+  const inspection = await loadInspection(inspectionId, organizationId, 'rooms.photos');
+  const photo = findPhoto(inspection, photoId);
+  if (!photo) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Photo not found');
+  }
+
+  const { storagePath, size } = resolvePhotoKey(
+    photo,
+    photo.fileSize > meterReadingLimits.maxImageSize ? 'medium' : 'original'
+  );
+  const { data } = await getStorage().download(storagePath);
+  const response = await geminiService.generateWithVision({
+    prompt: buildExtractionPrompt(type),
+    // Derivatives are always JPEG
+    images: [{ mimeType: size === 'original' ? photo.mimeType : 'image/jpeg', data: data.toString('base64') }],
+    generationConfig: { temperature: 0.1 },
+  });
+  const extraction = parseExtraction(response.text, type);
+
+  logger.info(
+    { inspectionId: inspectionId.toString(), photoId, readable: extraction.readable, confidence: extraction.confidence },
+    'Meter reading extracted from photo'
+  );
+
+  if (!save || !extraction.readable || extraction.confidence < meterReadingLimits.minConfidence) {
+    return { extraction, reading: null };
+  }
+
+  const reading = await addMeterReading({
+    inspectionId,
+    organizationId,
+    user,
+    type: extraction.type,
+    reading: extraction.reading,
+    unit: extraction.unit,
+    serial: extraction.serial,
+    photoId,
+    source: meterReadingSources.AI,
+    confidence: extraction.confidence,
+  });
+  return { extraction, reading };
+};
+
+/**
+ * Reading history of every meter of a property, oldest first, with the usage
+ * since the meter's previous reading. Only inspections the user may see are included.
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {string} [params.type] - Only meters of this type
+ * @returns {Promise<Array<{type: string, serial: string|null, readings: Object[]}>>}
+ */
+const getPropertyMeterHistory = async ({ propertyId, organizationId, user, type }) => {
+  const property = await Property.findOne({ _id: propertyId, organizationId }).select('_id').lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  const query = {
+    ...buildInspectionAccessFilter(user),
+    propertyId,
+    'meterReadings.0': { $exists: true },
+  };
+  if (type) query['meterReadings.type'] = type;
+  const inspections = await Inspection.find(query).select(`${INSPECTION_DATE_FIELDS} meterReadings`).lean();
+
+  const meters = [];
+  inspections
+    .map((inspection) => ({ inspection, inspectedAt: getInspectionDate(inspection) }))
+    .sort((a, b) => a.inspectedAt - b.inspectedAt)
+    .forEach(({ inspection, inspectedAt }) => {
+      inspection.meterReadings
+        .filter((reading) => !type || reading.type === type)
+        .forEach((reading) => {
+          const latest = meters.map((meter) => ({
+            ...meter.readings[meter.readings.length - 1],
+            type: meter.type,
+            serial: meter.serial,
+          }));
+          const match = matchPreviousReading(latest, reading);
+          const entry = {
+            inspectionId: inspection._id,
+            inspectionStatus: inspection.status,
+            inspectedAt,
+            readingId: reading._id,
+            reading: reading.reading,
+            unit: reading.unit,
+            source: reading.source,
+            photoId: reading.photoId,
+            usage: match ? calculateUsage(match, { ...reading, inspectedAt }) : null,
+          };
+
+          const meter = match ? meters[latest.indexOf(match)] : null;
+          if (meter) {
+            meter.serial = meter.serial || reading.serial || null;
+            meter.readings.push(entry);
+          } else {
+            meters.push({ type: reading.type, serial: reading.serial || null, readings: [entry] });
+          }
+        });
+    });
+
+  return meters.sort((a, b) => a.type.localeCompare(b.type) || String(a.serial || '').localeCompare(String(b.serial || '')));
+};
+
+module.exports = {
+  normalizeUnit,
+  matchPreviousReading,
+  calculateUsage,
+  buildUsageSincePrevious,
+  getMeterReadings,
+  addMeterReading,
+  updateMeterReading,
+  deleteMeterReading,
+  detachPhotos,
+  parseExtraction,
+  extractMeterReading,
+  getPropertyMeterHistory,
+};
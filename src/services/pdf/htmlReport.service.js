@@ -4,6 +4,10 @@ const handlebars = require('handlebars');
 const puppeteer = require('puppeteer');
 const config = require('../../config/config');
 const logger = require('../../config/logger');
+const { buildCostSummaryRows } = require('../costEstimate.service');
+const { formatLocationVerification } = require('../photoLocation.service');
+const { buildCertificateRows } = require('../compliance.service');
+const { buildAmendmentRows } = require('../inspectionAmendment.service');
 
 const TEMPLATE_PATH = path.join(__dirname, '../../templates/report.html.hbs');
 
@@ -31,7 +35,7 @@ const normalizeValue = (value) => {
   return String(value);
 };
 
-const buildHeaderMeta = ({ inspection, reportMeta }) => {
+const buildHeaderMeta = ({ inspection, reportMeta, locationVerification }) => {
   const property = inspection?.propertyId;
   const address = property?.address?.line1 || property?.name || 'Property';
   const inspectionDate = inspection?.createdAt
@@ -44,6 +48,9 @@ const buildHeaderMeta = ({ inspection, reportMeta }) => {
     { label: 'Inspection Date', value: inspectionDate },
     { label: 'Report Version', value: versionLabel },
     { label: 'Status', value: inspection?.status || 'N/A' },
+    ...(locationVerification
+      ? [{ label: 'Verified On Site', value: formatLocationVerification(locationVerification) }]
+      : []),
   ];
 };
 
@@ -119,6 +126,169 @@ const buildSections = ({ reportContent }) => {
     });
 };
 
+const buildCostSection = (costSummary) => ({
+  id: 'estimated_costs',
+  name: 'Estimated Repair Costs',
+  description: 'Indicative ranges based on the repair cost catalogue; obtain quotes before committing to work.',
+  order: Number.MAX_SAFE_INTEGER,
+  repeatable: false,
+  isTable: true,
+  layout: {
+    type: 'table',
+    columns: [
+      { key: 'room', label: 'Room', width: 50 },
+      { key: 'issues', label: 'Issues', width: 15 },
+      { key: 'estimate', label: 'Estimate', width: 35 },
+    ],
+  },
+  rows: buildCostSummaryRows(costSummary).map((row) => ({ ...row, issues: String(row.issues) })),
+  data: {},
+  fields: [],
+});
+
+const buildComplianceSection = (certificate) => ({
+  id: 'compliance_certificate',
+  name: 'Compliance Certificate',
+  description: `${certificate.name} (version ${certificate.version}), ${certificate.jurisdiction}: ${certificate.outcomeLabel}`,
+  order: Number.MAX_SAFE_INTEGER,
+  repeatable: false,
+  isTable: true,
+  layout: {
+    type: 'table',
+    columns: [
+      { key: 'item', label: 'Item', width: 40 },
+      { key: 'status', label: 'Result', width: 15 },
+      { key: 'evidence', label: 'Evidence', width: 15 },
+      { key: 'notes', label: 'Notes', width: 30 },
+    ],
+  },
+  rows: buildCertificateRows(certificate),
+  data: {},
+  fields: [],
+});
+
+const buildAmendmentSection = (amendment) => ({
+  id: 'amendment',
+  name: 'Amendment',
+  description: `Changed after the inspection was completed. Reason: ${amendment.reason}`,
+  order: Number.MAX_SAFE_INTEGER,
+  repeatable: false,
+  isTable: true,
+  layout: {
+    type: 'table',
+    columns: [
+      { key: 'change', label: 'Field', width: 30 },
+      { key: 'before', label: 'Before', width: 35 },
+      { key: 'after', label: 'After', width: 35 },
+    ],
+  },
+  rows: buildAmendmentRows(amendment),
+  data: {},
+  fields: [],
+});
+
+/**
+ * Insert a block at the end of the document body
+ * @param {string} html
+ * @param {string} block
+ * @returns {string}
+ */
+const insertBeforeBodyEnd = (html, block) => {
+  const bodyEnd = html.lastIndexOf('</body>');
+  return bodyEnd === -1 ? `${html}${block}` : `${html.slice(0, bodyEnd)}${block}${html.slice(bodyEnd)}`;
+};
+
+// Appended to every template like the signatures; markers sit at percentages of the plan image so they scale with it
+const FLOOR_PLAN_BLOCK = handlebars.compile(`
+  <section class="sitewise-floor-plans" style="margin-top: 24px; font-family: inherit;">
+    <div style="font-size: 13px; font-weight: 700; margin-bottom: 12px;">Floor Plans</div>
+    {{#each floorPlans}}
+      <div style="page-break-inside: avoid; margin-bottom: 20px;">
+        <div style="font-size: 11px; font-weight: 600; margin-bottom: 6px;">{{label}}</div>
+        <div style="position: relative; display: inline-block; max-width: 100%;">
+          <img src="{{imageSrc}}" alt="{{label}}" style="display: block; max-width: 100%; max-height: 220mm;" />
+          {{#each markers}}
+            <span style="position: absolute; left: {{left}}%; top: {{top}}%; transform: translate(-50%, -50%);
+              width: 18px; height: 18px; line-height: 18px; border-radius: 50%; border: 1px solid #ffffff;
+              background: #3182ce; color: #ffffff; font-size: 10px; font-weight: 700; text-align: center;">{{number}}</span>
+          {{/each}}
+        </div>
+        <ol style="font-size: 10px; color: #2d3748; margin: 6px 0 0; padding-left: 0; list-style: none;">
+          {{#each markers}}
+            <li><strong>{{number}}.</strong> {{caption}}</li>
+          {{/each}}
+        </ol>
+      </div>
+    {{/each}}
+  </section>
+`);
+
+/**
+ * Add the pinned floor plans at the end of a rendered report
+ * @param {string} html
+ * @param {Object[]} floorPlans - Pages with imageBuffer and markers, see floorPlan.loadReportFloorPlans
+ * @returns {string}
+ */
+const appendFloorPlans = (html, floorPlans) => {
+  if (!floorPlans || !floorPlans.length) return html;
+
+  const block = FLOOR_PLAN_BLOCK({
+    floorPlans: floorPlans.map((page) => ({
+      label: page.label,
+      imageSrc: `data:image/jpeg;base64,${page.imageBuffer.toString('base64')}`,
+      markers: page.markers.map((marker) => ({
+        number: marker.number,
+        caption: marker.caption,
+        left: (marker.x * 100).toFixed(2),
+        top: (marker.y * 100).toFixed(2),
+      })),
+    })),
+  });
+  return insertBeforeBodyEnd(html, block);
+};
+
+// Appended to every template, including custom preset templates, so signatures are always embedded
+const SIGNATURE_BLOCK = handlebars.compile(`
+  <section class="sitewise-signatures" style="page-break-inside: avoid; margin-top: 24px; font-family: inherit;">
+    <div style="font-size: 13px; font-weight: 700; margin-bottom: 12px;">Signatures</div>
+    <div style="display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 20px 32px;">
+      {{#each signatures}}
+        <div style="page-break-inside: avoid;">
+          <div style="font-size: 11px; font-weight: 600; margin-bottom: 4px;">{{label}}</div>
+          <div style="height: 64px; display: flex; align-items: flex-end; border-bottom: 1px solid #718096;">
+            {{#if imageSrc}}
+              <img src="{{imageSrc}}" alt="Signature" style="max-height: 60px; max-width: 100%;" />
+            {{else}}
+              <span style="font-family: 'Brush Script MT', cursive; font-style: italic; font-size: 26px;">{{typedName}}</span>
+            {{/if}}
+          </div>
+          <div style="font-size: 9px; color: #718096; margin-top: 4px;">{{caption}}</div>
+        </div>
+      {{/each}}
+    </div>
+  </section>
+`);
+
+/**
+ * Add the signature block at the end of a rendered report
+ * @param {string} html
+ * @param {Array<{label: string, caption: string, typedName?: string, imageBuffer?: Buffer}>} signatures
+ * @returns {string}
+ */
+const appendSignatures = (html, signatures) => {
+  if (!signatures || !signatures.length) return html;
+
+  const block = SIGNATURE_BLOCK({
+    signatures: signatures.map((signature) => ({
+      label: signature.label,
+      caption: signature.caption,
+      typedName: signature.typedName,
+      imageSrc: signature.imageBuffer ? `data:image/png;base64,${signature.imageBuffer.toString('base64')}` : null,
+    })),
+  });
+  return insertBeforeBodyEnd(html, block);
+};
+
 const buildSectionsById = (sections) => {
   return sections.reduce((acc, section) => {
     if (section.id) {
@@ -173,21 +343,37 @@ const buildTemplateDocument = ({ templateHtml, templateCss }) => {
 const renderReportToPdf = async ({
   schema,
   reportContent,
+  costSummary,
   inspection,
   organization,
   reportMeta,
   templateHtml,
   templateCss,
+  floorPlans,
+  locationVerification,
+  complianceCertificate,
+  amendment,
+  signatures,
 }) => {
   const styling = buildStyling(schema);
   const sections = buildSections({ reportContent });
+  if (costSummary?.issueCount) {
+    sections.push(buildCostSection(costSummary));
+  }
+  if (complianceCertificate) {
+    sections.push(buildComplianceSection(complianceCertificate));
+  }
+  if (amendment) {
+    sections.push(buildAmendmentSection(amendment));
+  }
   const sectionsById = buildSectionsById(sections);
   const data = {
     title: reportContent?.title || schema?.title || 'Inspection Report',
     organizationName: organization?.name || 'Sitewise',
-    headerMeta: buildHeaderMeta({ inspection, reportMeta }),
+    headerMeta: buildHeaderMeta({ inspection, reportMeta, locationVerification }),
     sections,
     sectionsById,
+    costSummary: costSummary || null,
     styling,
     css: templateCss || '',
     meta: {
@@ -200,12 +386,13 @@ const renderReportToPdf = async ({
       createdAt: reportMeta?.createdAt || '',
       propertyAddress: inspection?.propertyId?.address?.line1 || '',
       inspectionDate: inspection?.createdAt ? new Date(inspection.createdAt).toLocaleDateString() : '',
+      verifiedOnSite: locationVerification ? formatLocationVerification(locationVerification) : '',
     },
   };
 
   const templateDoc = buildTemplateDocument({ templateHtml, templateCss });
   const compiled = templateDoc ? handlebars.compile(templateDoc) : loadTemplate();
-  const html = compiled(data);
+  const html = appendSignatures(appendFloorPlans(compiled(data), floorPlans), signatures);
 
   const customTemplate = Boolean(templateHtml);
   const hasPageRule = /@page\b/i.test(templateCss || '') || /@page\b/i.test(templateHtml || '');
@@ -234,4 +421,6 @@ const renderReportToPdf = async ({
 
 module.exports = {
   renderReportToPdf,
+  appendFloorPlans,
+  appendSignatures,
 };
@@ -12,6 +12,10 @@ const logger = require('../../config/logger');
 const ApiError = require('../../utils/ApiError');
 const httpStatus = require('http-status');
 const htmlReportService = require('./htmlReport.service');
+const { buildCostSummaryRows, formatCostRange } = require('../costEstimate.service');
+const { buildCertificateRows, describeMissing } = require('../compliance.service');
+const { buildAmendmentRows } = require('../inspectionAmendment.service');
+const { formatLocationVerification } = require('../photoLocation.service');
 
 /**
  * @typedef {Object} BrandingOptions
@@ -43,8 +47,15 @@ const htmlReportService = require('./htmlReport.service');
  * @typedef {Object} ReportField
  * @property {string} label - Field label
  * @property {string|number|boolean} value - Field value
- * @property {'text'|'date'|'rating'|'image'|'list'|'table'} [type] - Field type
- * @property {Buffer} [imageBuffer] - Image data if type is 'image'
+ * @property {'text'|'date'|'rating'|'image'|'image_pair'|'list'|'table'|'signature'|'floor_plan'} [type] - Field type
+ * @property {Buffer} [imageBuffer] - Image data if type is 'image', or a drawn signature if type is 'signature'
+ * @property {string} [caption] - Small print under a 'signature' (when and where it was signed)
+ * @property {{caption: string, buffer: Buffer}} [leftImage] - Left image if type is 'image_pair'
+ * @property {{caption: string, buffer: Buffer}} [rightImage] - Right image if type is 'image_pair'
+ * @property {number} [width] - Page image width if type is 'floor_plan'
+ * @property {number} [height] - Page image height if type is 'floor_plan'
+ * @property {Array<{number: number, x: number, y: number, caption: string}>} [markers] - Numbered pins if type is
+ *   'floor_plan', at fractions of the page size from the top left
  */
 
 /**
@@ -269,6 +280,122 @@ const addField = async (doc, field, margin) => {
       }
       break;
       
+    case 'image_pair': {
+      // Two images side by side (e.g. entry vs exit photo)
+      const gap = 16;
+      const imageWidth = (doc.page.width - margin * 2 - gap) / 2;
+      const imageHeight = 150;
+
+      if (doc.y > doc.page.height - imageHeight - 80) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      [field.leftImage, field.rightImage].forEach((image, index) => {
+        const x = margin + index * (imageWidth + gap);
+        doc.fillColor(COLORS.muted);
+        doc.fontSize(FONT_SIZES.small);
+        doc.text(image?.caption || '', x, top, { width: imageWidth });
+        if (image?.buffer) {
+          try {
+            doc.image(image.buffer, x, top + 14, { fit: [imageWidth, imageHeight] });
+          } catch (error) {
+            logger.warn({ err: error, label: field.label }, 'Failed to add image to PDF');
+            doc.text('[Image unavailable]', x, top + 14, { width: imageWidth });
+          }
+        } else {
+          doc.text(image ? '[Image unavailable]' : '—', x, top + 14, { width: imageWidth });
+        }
+      });
+
+      doc.fontSize(FONT_SIZES.body);
+      doc.y = top + imageHeight + 20;
+      doc.x = margin;
+      break;
+    }
+
+    case 'signature': {
+      // Drawn signature image, or the typed name in italics, over a signature line
+      const boxWidth = 220;
+      const boxHeight = 60;
+
+      if (doc.y > doc.page.height - boxHeight - 100) {
+        doc.addPage();
+      }
+
+      doc.fillColor(COLORS.muted);
+      doc.text(`${field.label}:`, margin);
+      const top = doc.y + 4;
+      if (field.imageBuffer) {
+        try {
+          doc.image(field.imageBuffer, margin, top, { fit: [boxWidth, boxHeight] });
+        } catch (error) {
+          logger.warn({ err: error, label: field.label }, 'Failed to add signature to PDF');
+          doc.text('[Signature image unavailable]', margin, top + 20, { width: boxWidth });
+        }
+      } else {
+        doc.font('Helvetica-Oblique').fontSize(20).fillColor(COLORS.black);
+        doc.text(String(field.value || ''), margin, top + 20, { width: boxWidth });
+        doc.font('Helvetica');
+      }
+
+      const lineY = top + boxHeight + 4;
+      doc.moveTo(margin, lineY).lineTo(margin + boxWidth, lineY).lineWidth(0.5).strokeColor(COLORS.muted).stroke();
+      doc.fontSize(FONT_SIZES.small).fillColor(COLORS.muted);
+      doc.text(field.caption || '', margin, lineY + 4, { width: doc.page.width - margin * 2 });
+      doc.fontSize(FONT_SIZES.body);
+      doc.x = margin;
+      doc.moveDown(0.5);
+      break;
+    }
+
+    case 'floor_plan': {
+      // Plan page scaled to the page width with numbered markers, and the marker legend underneath
+      const maxWidth = doc.page.width - margin * 2;
+      const scale = Math.min(maxWidth / field.width, (doc.page.height - 220) / field.height);
+      const width = field.width * scale;
+      const height = field.height * scale;
+      const markerRadius = 8;
+
+      if (doc.y > doc.page.height - height - 100) {
+        doc.addPage();
+      }
+
+      doc.fillColor(COLORS.muted);
+      doc.text(`${field.label}:`, margin);
+      const top = doc.y + 4;
+      try {
+        doc.image(field.imageBuffer, margin, top, { width, height });
+      } catch (error) {
+        logger.warn({ err: error, label: field.label }, 'Failed to add floor plan to PDF');
+        doc.text('[Floor plan unavailable]', margin, top);
+        break;
+      }
+
+      doc.fontSize(FONT_SIZES.small);
+      (field.markers || []).forEach((marker) => {
+        const x = margin + marker.x * width;
+        const y = top + marker.y * height;
+        doc.circle(x, y, markerRadius).lineWidth(1).fillAndStroke(COLORS.accent, COLORS.white);
+        doc.fillColor(COLORS.white);
+        doc.text(String(marker.number), x - markerRadius * 2, y - FONT_SIZES.small / 2 + 1, {
+          width: markerRadius * 4,
+          align: 'center',
+          lineBreak: false,
+        });
+      });
+
+      doc.fillColor(COLORS.secondary);
+      doc.x = margin;
+      doc.y = top + height + 8;
+      (field.markers || []).forEach((marker) => {
+        doc.text(`${marker.number}. ${marker.caption}`, margin, doc.y, { width: maxWidth });
+      });
+      doc.fontSize(FONT_SIZES.body);
+      doc.moveDown(0.5);
+      break;
+    }
+
     case 'list':
       doc.fillColor(COLORS.muted);
       doc.text(`${field.label}:`, margin);
@@ -482,6 +609,13 @@ const generatePDF = async (options) => {
  * @param {Object} options.preset - Report preset with schema
  * @param {Object} options.organization - Organization for branding
  * @param {boolean} options.isTrialUser - Whether user is on trial (adds watermark)
+ * @param {Object} [options.costSummary] - Estimated repair cost totals, rendered as a table when there are issues
+ * @param {Object[]} [options.floorPlans] - Pinned floor plan pages with their markers, see floorPlan.loadReportFloorPlans
+ * @param {Object} [options.locationVerification] - Share of photos taken on site, see photoLocation.summarizeLocationVerification
+ * @param {Object} [options.complianceCertificate] - Compliance checklist result, see compliance.buildComplianceCertificate
+ * @param {Object} [options.amendment] - Approved amendment the report version was created for
+ * @param {Array<{label: string, caption: string, typedName?: string, imageBuffer?: Buffer}>} [options.signatures] -
+ *   Signatures of a signed report, rendered as the last section
  * @returns {Promise<Buffer>} PDF buffer
  */
 const generateInspectionReportPDF = async ({
@@ -491,7 +625,13 @@ const generateInspectionReportPDF = async ({
   organization,
   isTrialUser = false,
   reportContent,
+  costSummary,
+  floorPlans = [],
+  locationVerification,
+  complianceCertificate,
+  amendment,
   reportMeta,
+  signatures = [],
 }) => {
   // Defensive null checks
   if (!inspection) {
@@ -504,9 +644,15 @@ const generateInspectionReportPDF = async ({
       templateHtml: preset.templateHtml,
       templateCss: preset.templateCss,
       reportContent,
+      costSummary,
+      floorPlans,
+      locationVerification,
+      complianceCertificate,
+      amendment,
       inspection,
       organization,
       reportMeta,
+      signatures,
     });
   }
 
@@ -540,6 +686,9 @@ const generateInspectionReportPDF = async ({
       { label: 'Inspection Date', value: inspection.createdAt || new Date(), type: 'date' },
       { label: 'Inspector', value: inspection.inspector?.name || 'N/A' },
       { label: 'Status', value: inspection.status || 'N/A' },
+      ...(locationVerification
+        ? [{ label: 'Verified On Site', value: formatLocationVerification(locationVerification) }]
+        : []),
     ],
   });
 
@@ -553,6 +702,23 @@ const generateInspectionReportPDF = async ({
     });
   }
 
+  // Floor plans with numbered markers for the pinned rooms and photos
+  if (floorPlans.length) {
+    sections.push({
+      title: 'Floor Plans',
+      pageBreakBefore: true,
+      fields: floorPlans.map((page) => ({
+        label: page.label,
+        type: 'floor_plan',
+        imageBuffer: page.imageBuffer,
+        width: page.width,
+        height: page.height,
+        markers: page.markers,
+      })),
+    });
+  }
+  const floorPlanMarkers = floorPlans.flatMap((page) => page.markers).sort((a, b) => a.number - b.number);
+
   // Room sections
   if (inspection.rooms && inspection.rooms.length > 0) {
     sections.push({
@@ -570,6 +736,15 @@ const generateInspectionReportPDF = async ({
         }
       }
       
+      const roomInventory = (room.inventory || []).map(
+        (item) => `${item.quantity} × ${item.name} (${item.condition})${item.notes ? ` - ${item.notes}` : ''}`
+      );
+
+      // Captions of the room's markers on the floor plans
+      const roomMarkers = floorPlanMarkers
+        .filter((marker) => marker.roomId === room._id?.toString())
+        .map((marker) => `${marker.number}. ${marker.caption}`);
+
       sections.push({
         title: room.name || 'Unknown Room',
         fields: [
@@ -582,11 +757,82 @@ const generateInspectionReportPDF = async ({
           },
           { label: 'AI Summary', value: room.aiSummary || 'No AI summary available' },
           { label: 'Notes', value: room.notes || 'No additional notes' },
+          ...(roomInventory.length ? [{ label: 'Inventory', value: roomInventory, type: 'list' }] : []),
+          ...(roomMarkers.length ? [{ label: 'Floor Plan Markers', value: roomMarkers, type: 'list' }] : []),
         ],
       });
     }
   }
 
+  // Estimated repair costs
+  if (costSummary?.issueCount) {
+    sections.push({
+      title: 'Estimated Repair Costs',
+      fields: [
+        { label: 'Total Estimate', value: formatCostRange(costSummary) },
+        {
+          label: 'By Room',
+          type: 'table',
+          value: buildCostSummaryRows(costSummary).map((row) => ({
+            Room: row.room,
+            Issues: row.issues,
+            Estimate: row.estimate,
+          })),
+        },
+        { label: '', value: 'Indicative ranges based on the repair cost catalogue; obtain quotes before committing to work.' },
+      ],
+    });
+  }
+
+  // Compliance certificate for the jurisdiction's checklist
+  if (complianceCertificate) {
+    sections.push({
+      title: 'Compliance Certificate',
+      pageBreakBefore: true,
+      fields: [
+        { label: 'Checklist', value: `${complianceCertificate.name} (version ${complianceCertificate.version})` },
+        { label: 'Jurisdiction', value: complianceCertificate.jurisdiction },
+        { label: 'Outcome', value: complianceCertificate.outcomeLabel },
+        ...(complianceCertificate.issuedAt
+          ? [{ label: 'Issued', value: complianceCertificate.issuedAt, type: 'date' }]
+          : []),
+        {
+          label: 'Items',
+          type: 'table',
+          value: buildCertificateRows(complianceCertificate).map((row) => ({
+            Item: row.item,
+            Result: row.status,
+            Evidence: row.evidence,
+            Notes: row.notes,
+          })),
+        },
+        ...(complianceCertificate.missing.length
+          ? [{ label: 'Missing Items', value: complianceCertificate.missing.map(describeMissing), type: 'list' }]
+          : []),
+      ],
+    });
+  }
+
+  // Changes made to the completed inspection for this version
+  if (amendment) {
+    sections.push({
+      title: 'Amendment',
+      fields: [
+        { label: 'Reason', value: amendment.reason },
+        ...(amendment.approvedAt ? [{ label: 'Approved', value: amendment.approvedAt, type: 'date' }] : []),
+        {
+          label: 'Changes',
+          type: 'table',
+          value: buildAmendmentRows(amendment).map((row) => ({
+            Field: row.change,
+            Before: row.before,
+            After: row.after,
+          })),
+        },
+      ],
+    });
+  }
+
   // Report Summary section
   if (reportData?.summary) {
     sections.push({
@@ -608,6 +854,19 @@ const generateInspectionReportPDF = async ({
     });
   }
 
+  if (signatures.length) {
+    sections.push({
+      title: 'Signatures',
+      fields: signatures.map((signature) => ({
+        label: signature.label,
+        type: 'signature',
+        value: signature.typedName,
+        imageBuffer: signature.imageBuffer,
+        caption: signature.caption,
+      })),
+    });
+  }
+
   // Generate PDF
   const pdfPropertyAddress = inspection.property?.address || inspection.propertyId?.address || 'Property';
   
@@ -627,9 +886,170 @@ const generateInspectionReportPDF = async ({
   });
 };
 
+/**
+ * Format a comparison issue for list rendering
+ * @param {Object} issue
+ * @returns {string}
+ */
+const formatComparisonIssue = (issue) => {
+  if (issue.entrySeverity) {
+    const severity =
+      issue.entrySeverity === issue.exitSeverity ? issue.exitSeverity : `${issue.entrySeverity} → ${issue.exitSeverity}`;
+    return `${issue.label} (${severity})`;
+  }
+  return `${issue.label} (${issue.severity || 'n/a'})`;
+};
+
+const formatInventoryChange = (item) => {
+  if (item.shortfall) {
+    return `${item.name}: ${item.shortfall} of ${item.entry.quantity} missing`;
+  }
+  return `${item.name} (${item.entry.condition} → ${item.exit.condition})`;
+};
+
+/**
+ * Generate entry vs exit inspection comparison PDF
+ * @param {Object} options
+ * @param {Object} options.comparison - Comparison from inspectionComparison service
+ * @param {Map<string, Buffer>} [options.photoBuffers] - Photo buffers keyed by photo ID
+ * @param {Object} options.organization - Organization for branding
+ * @param {boolean} options.isTrialUser - Whether user is on trial (adds watermark)
+ * @param {number} [options.maxPairsPerRoom] - Photo pairs rendered per room
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const generateComparisonPDF = async ({
+  comparison,
+  photoBuffers = new Map(),
+  organization,
+  isTrialUser = false,
+  maxPairsPerRoom = 4,
+}) => {
+  if (!comparison) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Comparison data is required for PDF generation');
+  }
+
+  const address = comparison.property?.address;
+  const propertyLabel = address?.line1
+    ? [address.line1, address.city, address.state].filter(Boolean).join(', ')
+    : comparison.property?.name || 'Property';
+  const entryDate = new Date(comparison.entry.date);
+  const exitDate = new Date(comparison.exit.date);
+  const { totals } = comparison;
+
+  const sections = [
+    {
+      title: 'Comparison Overview',
+      fields: [
+        { label: 'Property', value: propertyLabel },
+        { label: 'Entry Inspection', value: entryDate, type: 'date' },
+        { label: 'Exit Inspection', value: exitDate, type: 'date' },
+        { label: 'Rooms Compared', value: String(totals.rooms) },
+        { label: 'Rooms Deteriorated', value: String(totals.deteriorated) },
+        { label: 'Rooms Improved', value: String(totals.improved) },
+        { label: 'New Issues', value: String(totals.newIssues) },
+        { label: 'Persisting Issues', value: String(totals.persistingIssues) },
+        { label: 'Resolved Issues', value: String(totals.resolvedIssues) },
+        ...(totals.missingItems || totals.damagedItems
+          ? [
+              { label: 'Missing Inventory Items', value: String(totals.missingItems) },
+              { label: 'Damaged Inventory Items', value: String(totals.damagedItems) },
+            ]
+          : []),
+      ],
+    },
+  ];
+
+  const photoImage = (ref, caption) =>
+    ref ? { caption: `${caption}: ${ref.originalFilename || ''}`, buffer: photoBuffers.get(ref.photoId) } : null;
+
+  comparison.rooms.forEach((room, index) => {
+    const { conditionRating, issues, inventory } = room;
+    const fields = [
+      {
+        label: 'Condition',
+        value: `${conditionRating.entry.replace(/_/g, ' ')} → ${conditionRating.exit.replace(/_/g, ' ')} (${
+          conditionRating.change
+        })`,
+      },
+    ];
+
+    if (room.status !== 'matched') {
+      fields.push({
+        label: 'Note',
+        value: room.status === 'entry_only' ? 'Room only recorded at entry' : 'Room only recorded at exit',
+      });
+    }
+
+    fields.push(
+      {
+        label: 'New Issues',
+        value: issues.new.length ? issues.new.map(formatComparisonIssue) : ['None'],
+        type: 'list',
+      },
+      {
+        label: 'Persisting Issues',
+        value: issues.persisting.length ? issues.persisting.map(formatComparisonIssue) : ['None'],
+        type: 'list',
+      },
+      {
+        label: 'Resolved Issues',
+        value: issues.resolved.length ? issues.resolved.map(formatComparisonIssue) : ['None'],
+        type: 'list',
+      }
+    );
+
+    [
+      ['Missing Items', inventory.missing],
+      ['Damaged Items', inventory.damaged],
+      ['Items in Worse Condition', inventory.deteriorated],
+    ]
+      .filter(([, items]) => items.length)
+      .forEach(([label, items]) => fields.push({ label, value: items.map(formatInventoryChange), type: 'list' }));
+
+    room.photoPairs.slice(0, maxPairsPerRoom).forEach((pair, pairIndex) => {
+      fields.push({
+        label: `Photo ${pairIndex + 1}`,
+        type: 'image_pair',
+        leftImage: photoImage(pair.entry, 'Entry'),
+        rightImage: photoImage(pair.exit, 'Exit'),
+      });
+    });
+
+    sections.push({
+      title: room.name,
+      pageBreakBefore: index === 0,
+      fields,
+    });
+  });
+
+  return generatePDF({
+    title: 'Entry vs Exit Comparison',
+    subtitle: `${propertyLabel} · ${entryDate.toLocaleDateString()} → ${exitDate.toLocaleDateString()}`,
+    branding: {
+      companyName: organization?.name || 'Sitewise',
+      primaryColor: COLORS.primary,
+      headerStyle: 'centered',
+    },
+    watermark: {
+      enabled: isTrialUser,
+      text: 'TRIAL VERSION - sitewise.pages.dev',
+      opacity: 0.1,
+    },
+    sections,
+    footer: isTrialUser
+      ? 'Trial Version - Upgrade at sitewise.pages.dev for branded reports'
+      : `© ${new Date().getFullYear()} ${organization?.name || 'Sitewise'} - Powered by Sitewise`,
+    metadata: {
+      subject: `Inspection Comparison for ${propertyLabel}`,
+      keywords: 'inspection, comparison, entry, exit, bond',
+    },
+  });
+};
+
 module.exports = {
   generatePDF,
   generateInspectionReportPDF,
+  generateComparisonPDF,
   // Export utilities for custom PDF generation
   addWatermark,
   addHeader,
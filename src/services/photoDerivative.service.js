@@ -0,0 +1,192 @@
+/**
+ * Photo Derivative Service
+ *
+ * Generates resized copies of inspection photos (gallery thumbnail, web
+ * size and a PDF-optimised size) so clients and reports do not have to pull
+ * multi-megabyte originals.
+ *
+ * @module services/photoDerivative
+ */
+
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const { getStorage, storagePaths } = require('../lib/storage');
+const logger = require('../config/logger');
+
+/**
+ * Derivative sizes, longest edge in pixels.
+ * Originals smaller than the target are not enlarged.
+ */
+const DERIVATIVE_SIZES = {
+  thumbnail: { maxDimension: 320, quality: 70 },
+  medium: { maxDimension: 1280, quality: 80 },
+  pdf: { maxDimension: 1024, quality: 72 },
+};
+
+/**
+ * @typedef {Object} PhotoDerivative
+ * @property {string} storagePath
+ * @property {number} width
+ * @property {number} height
+ * @property {number} fileSize
+ * @property {string} mimeType
+ */
+
+/**
+ * Storage key for a derivative, under the inspection thumbnail path
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.inspectionId
+ * @param {string} params.roomId
+ * @param {string} params.photoId
+ * @param {string} params.size - Key of DERIVATIVE_SIZES
+ * @returns {string}
+ */
+const buildDerivativeKey = ({ organizationId, inspectionId, roomId, photoId, size }) =>
+  storagePaths.inspectionThumbnail(organizationId, inspectionId, roomId, `${photoId}-${size}.jpg`);
+
+/**
+ * Storage key to serve for a photo at the requested size.
+ * Falls back to the original until the derivative has been generated.
+ * @param {Object} photo
+ * @param {string} [size='original']
+ * @returns {{storagePath: string, size: string}}
+ */
+const resolvePhotoKey = (photo, size = 'original') => {
+  const derivative = size !== 'original' && photo.derivatives ? photo.derivatives[size] : null;
+  if (derivative && derivative.storagePath) {
+    return { storagePath: derivative.storagePath, size };
+  }
+  return { storagePath: photo.storagePath, size: 'original' };
+};
+
+/**
+ * Upload every derivative size of a photo, rotated upright from its EXIF orientation
+ * @param {Object} params
+ * @param {Object} params.photo - Photo subdocument (needs _id and storagePath)
+ * @param {string} params.organizationId
+ * @param {string} params.inspectionId
+ * @param {string} params.roomId
+ * @param {Buffer} [params.buffer] - Original image, downloaded from storage when omitted
+ * @returns {Promise<Object<string, PhotoDerivative>>} Derivatives keyed by size
+ */
+const generatePhotoDerivatives = async ({ photo, organizationId, inspectionId, roomId, buffer }) => {
+  const storage = getStorage();
+  const original = buffer || (await storage.download(photo.storagePath)).data;
+  const photoId = photo._id.toString();
+
+  const entries = await Promise.all(
+    Object.entries(DERIVATIVE_SIZES).map(async ([size, { maxDimension, quality }]) => {
+      // rotate() with no angle applies the EXIF orientation; output carries no orientation tag
+      const { data, info } = await sharp(original)
+        .rotate()
+        .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality, progressive: true })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = buildDerivativeKey({ organizationId, inspectionId, roomId, photoId, size });
+      await storage.upload(key, data, { contentType: 'image/jpeg' });
+
+      return [
+        size,
+        { storagePath: key, width: info.width, height: info.height, fileSize: info.size, mimeType: 'image/jpeg' },
+      ];
+    })
+  );
+
+  return entries.reduce((acc, [size, derivative]) => ({ ...acc, [size]: derivative }), {});
+};
+
+/**
+ * Record generated derivatives (and EXIF metadata, when extracted) on a photo wherever it currently sits.
+ * Uses an atomic update so it does not race the analysis job moving photos between rooms.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.photoId
+ * @param {Object<string, PhotoDerivative>} params.derivatives
+ * @param {{capturedAt?: Date, exif: Object}} [params.metadata] - Result of photoMetadata.extractPhotoMetadata
+ * @param {string[]} [params.qualityWarnings] - Warnings to add, e.g. from checking the EXIF position
+ * @returns {Promise<boolean>} Whether the photo was found
+ */
+const savePhotoDerivatives = async ({ inspectionId, photoId, derivatives, metadata, qualityWarnings = [] }) => {
+  const storage = getStorage();
+  const set = {
+    'rooms.$[].photos.$[photo].derivatives': derivatives,
+    'rooms.$[].photos.$[photo].derivativesGeneratedAt': new Date(),
+  };
+  if (storage.getPublicUrl && derivatives.thumbnail) {
+    set['rooms.$[].photos.$[photo].thumbnailUrl'] = storage.getPublicUrl(derivatives.thumbnail.storagePath);
+  }
+  if (metadata) {
+    set['rooms.$[].photos.$[photo].exif'] = metadata.exif;
+    if (metadata.capturedAt) {
+      set['rooms.$[].photos.$[photo].capturedAt'] = metadata.capturedAt;
+    }
+  }
+
+  const update = { $set: set };
+  if (qualityWarnings.length) {
+    update.$addToSet = { 'rooms.$[].photos.$[photo].qualityWarnings': { $each: qualityWarnings } };
+  }
+
+  const result = await Inspection.updateOne({ _id: inspectionId }, update, {
+    arrayFilters: [{ 'photo._id': mongoose.Types.ObjectId(photoId) }],
+  });
+
+  return result.nModified > 0;
+};
+
+/**
+ * Copy derivatives, EXIF metadata and quality warnings stored in the database onto a loaded inspection document.
+ * Call before saving a document whose rooms were modified in memory so derivatives
+ * written by a concurrent job are not overwritten.
+ * @param {import('mongoose').Document} inspection
+ * @returns {Promise<void>}
+ */
+const mergeStoredDerivatives = async (inspection) => {
+  const stored = await Inspection.findById(inspection._id)
+    .select(
+      'rooms.photos._id rooms.photos.derivatives rooms.photos.derivativesGeneratedAt rooms.photos.thumbnailUrl rooms.photos.exif rooms.photos.capturedAt rooms.photos.qualityWarnings'
+    )
+    .lean();
+  if (!stored) {
+    return;
+  }
+
+  const byPhotoId = new Map();
+  stored.rooms.forEach((room) =>
+    (room.photos || []).forEach((photo) => {
+      if (photo.derivativesGeneratedAt) {
+        byPhotoId.set(photo._id.toString(), photo);
+      }
+    })
+  );
+
+  inspection.rooms.forEach((room) =>
+    room.photos.forEach((photo) => {
+      const match = byPhotoId.get(photo._id.toString());
+      if (match && !photo.derivativesGeneratedAt) {
+        Object.assign(photo, {
+          derivatives: match.derivatives,
+          derivativesGeneratedAt: match.derivativesGeneratedAt,
+          thumbnailUrl: match.thumbnailUrl,
+          exif: match.exif || photo.exif,
+          capturedAt: match.capturedAt || photo.capturedAt,
+          qualityWarnings: [...new Set([...(photo.qualityWarnings || []), ...(match.qualityWarnings || [])])],
+        });
+      }
+    })
+  );
+
+  logger.debug({ inspectionId: inspection._id.toString(), merged: byPhotoId.size }, 'Merged stored photo derivatives');
+};
+
+module.exports = {
+  DERIVATIVE_SIZES,
+  buildDerivativeKey,
+  resolvePhotoKey,
+  generatePhotoDerivatives,
+  savePhotoDerivatives,
+  mergeStoredDerivatives,
+};
@@ -0,0 +1,317 @@
+/**
+ * Photo Location Service
+ *
+ * Checks where photos were taken against the coordinates of the property.
+ * Photos whose EXIF GPS position is further from the property than the
+ * radius (the property's own, or PHOTO_LOCATION_RADIUS_METERS) get an
+ * "off site" quality warning when they are registered, or when their EXIF is
+ * read by the derivatives job for presigned uploads. The verified-on-site
+ * share of an inspection is always worked out from the current property
+ * coordinates, so it stays right when the coordinates are corrected later.
+ *
+ * @module services/photoLocation
+ */
+
+const httpStatus = require('http-status');
+const Property = require('../models/property.model');
+const { Inspection } = require('../models/inspection.model');
+const gazetteerService = require('./gazetteer.service');
+const { lockedInspectionStatuses } = require('../config/inspectionLifecycle');
+const { propertyLocationSources, OFF_SITE_WARNING_PREFIX } = require('../config/photoLocation');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Great-circle distance between two positions
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number} Meters
+ */
+const distanceMeters = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Radius photos must be taken within
+ * @param {Object} [location] - Property location
+ * @returns {number} Meters
+ */
+const getRadiusMeters = (location) => (location && location.radiusMeters) || config.location.photoRadiusMeters;
+
+/**
+ * Whether a photo has a usable GPS position
+ * @param {Object} [exif]
+ * @returns {boolean}
+ */
+const hasGpsPosition = (exif) =>
+  Boolean(exif) &&
+  Number.isFinite(exif.latitude) &&
+  Number.isFinite(exif.longitude) &&
+  !(exif.latitude === 0 && exif.longitude === 0);
+
+/**
+ * Where a photo was taken relative to the property
+ * @param {Object} [exif] - Photo EXIF with latitude/longitude
+ * @param {Object} [location] - Property location
+ * @returns {{status: 'verified'|'off_site'|'no_gps'|'no_property_location', distanceMeters?: number, radiusMeters: number}}
+ */
+const checkPhotoLocation = (exif, location) => {
+  const radiusMeters = getRadiusMeters(location);
+  if (!location) return { status: 'no_property_location', radiusMeters };
+  if (!hasGpsPosition(exif)) return { status: 'no_gps', radiusMeters };
+
+  const distance = Math.round(distanceMeters(location, exif));
+  return { status: distance <= radiusMeters ? 'verified' : 'off_site', distanceMeters: distance, radiusMeters };
+};
+
+/**
+ * Quality warning for a photo taken outside the radius
+ * @param {{distanceMeters: number, radiusMeters: number}} check
+ * @returns {string}
+ */
+const buildOffSiteWarning = (check) => {
+  const distance =
+    check.distanceMeters >= 1000 ? `${(check.distanceMeters / 1000).toFixed(1)} km` : `${check.distanceMeters} m`;
+  return `${OFF_SITE_WARNING_PREFIX}: GPS position is ${distance} from the property (allowed ${check.radiusMeters} m)`;
+};
+
+/**
+ * Quality warnings of a photo with the off-site warning brought up to date
+ * @param {string[]} warnings - Current warnings
+ * @param {Object} [exif]
+ * @param {Object} [location] - Property location
+ * @returns {string[]}
+ */
+const updateLocationWarnings = (warnings, exif, location) => {
+  const kept = (warnings || []).filter((warning) => !warning.startsWith(OFF_SITE_WARNING_PREFIX));
+  const check = checkPhotoLocation(exif, location);
+  return check.status === 'off_site' ? [...kept, buildOffSiteWarning(check)] : kept;
+};
+
+/**
+ * Coordinates of the property an inspection belongs to
+ * @param {string} [propertyId]
+ * @returns {Promise<Object|null>}
+ */
+const getPropertyLocation = async (propertyId) => {
+  if (!propertyId) return null;
+  const property = await Property.findById(propertyId).select('location').lean();
+  return (property && property.location) || null;
+};
+
+/**
+ * Flag new photos taken off site, before the inspection is saved
+ * @param {Object} params
+ * @param {Document} params.inspection
+ * @param {Object[]} params.photos - New photo subdocuments, with exif
+ * @returns {Promise<number>} Photos flagged
+ */
+const flagOffSitePhotos = async ({ inspection, photos }) => {
+  if (!photos.some((photo) => hasGpsPosition(photo.exif))) return 0;
+
+  const location = await getPropertyLocation(inspection.propertyId);
+  let flagged = 0;
+  photos.forEach((photo) => {
+    const warnings = updateLocationWarnings(photo.qualityWarnings, photo.exif, location);
+    if (warnings.some((warning) => warning.startsWith(OFF_SITE_WARNING_PREFIX))) {
+      flagged += 1;
+    }
+    // eslint-disable-next-line no-param-reassign
+    photo.qualityWarnings = warnings;
+  });
+  if (flagged) {
+    logger.info({ inspectionId: inspection._id.toString(), flagged }, 'Flagged photos taken off site');
+  }
+  return flagged;
+};
+
+/**
+ * Share of an inspection's photos taken on site
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with rooms and photo exif
+ * @param {Object} [params.location] - Property location
+ * @returns {{propertyLocated: boolean, radiusMeters: number, photoCount: number, withGps: number, verified: number,
+ *   offSite: number, verifiedPercentage: number|null}} verifiedPercentage is null without property coordinates or photos
+ */
+const summarizeLocationVerification = ({ inspection, location }) => {
+  const photos = (inspection.rooms || []).flatMap((room) => room.photos || []);
+  const counts = photos.reduce(
+    (acc, photo) => {
+      const { status } = checkPhotoLocation(photo.exif, location);
+      return { ...acc, [status]: (acc[status] || 0) + 1 };
+    },
+    { verified: 0, off_site: 0 }
+  );
+  const withGps = counts.verified + counts.off_site;
+
+  return {
+    propertyLocated: Boolean(location),
+    radiusMeters: getRadiusMeters(location),
+    photoCount: photos.length,
+    withGps,
+    verified: counts.verified,
+    offSite: counts.off_site,
+    verifiedPercentage: location && photos.length ? Math.round((counts.verified / photos.length) * 1000) / 10 : null,
+  };
+};
+
+/**
+ * Line on reports describing the verified-on-site share
+ * @param {Object} summary - Result of summarizeLocationVerification
+ * @returns {string}
+ */
+const formatLocationVerification = (summary) => {
+  if (!summary.propertyLocated) return 'Property coordinates not set';
+  if (!summary.photoCount) return 'No photos';
+  return `${summary.verifiedPercentage}% of photos (${summary.verified} of ${summary.photoCount} within ${summary.radiusMeters} m)`;
+};
+
+/**
+ * Bring the off-site warnings of photos in a property's open inspections up to
+ * date with its coordinates. Completed and archived inspections keep the
+ * warnings they were completed with.
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {Object} [params.location] - New property location; none removes the warnings
+ * @returns {Promise<number>} Photos whose warnings changed
+ */
+const reverifyPropertyPhotos = async ({ propertyId, organizationId, location }) => {
+  const inspections = await Inspection.find({
+    propertyId,
+    organizationId,
+    status: { $nin: lockedInspectionStatuses },
+  })
+    .select('rooms.photos._id rooms.photos.exif rooms.photos.qualityWarnings')
+    .lean();
+
+  const updates = inspections.flatMap((inspection) =>
+    (inspection.rooms || []).flatMap((room) =>
+      (room.photos || [])
+        .map((photo) => ({ photo, warnings: updateLocationWarnings(photo.qualityWarnings, photo.exif, location) }))
+        .filter(({ photo, warnings }) => warnings.join('\n') !== (photo.qualityWarnings || []).join('\n'))
+        .map(({ photo, warnings }) => ({
+          updateOne: {
+            filter: { _id: inspection._id },
+            update: { $set: { 'rooms.$[].photos.$[photo].qualityWarnings': warnings } },
+            arrayFilters: [{ 'photo._id': photo._id }],
+          },
+        }))
+    )
+  );
+
+  if (updates.length) {
+    await Inspection.bulkWrite(updates, { ordered: false });
+    logger.info({ propertyId: propertyId.toString(), photos: updates.length }, 'Updated off-site photo warnings');
+  }
+  return updates.length;
+};
+
+/**
+ * Set the coordinates of a property and re-check the photos of its open inspections
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {string} params.source - manual | gazetteer
+ * @param {number} [params.radiusMeters]
+ * @returns {Promise<Object>} Property
+ */
+const setPropertyLocation = async ({ propertyId, organizationId, user, latitude, longitude, source, radiusMeters }) => {
+  const location = {
+    latitude,
+    longitude,
+    source,
+    radiusMeters,
+    updatedBy: user.id || user._id,
+    updatedAt: new Date(),
+  };
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, organizationId },
+    { $set: { location } },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  await reverifyPropertyPhotos({ propertyId, organizationId, location: property.location });
+  return property;
+};
+
+/**
+ * Set the coordinates of a property from the address gazetteer
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {number} [params.radiusMeters]
+ * @returns {Promise<Object>} Property
+ */
+const locatePropertyFromGazetteer = async ({ propertyId, organizationId, user, radiusMeters }) => {
+  const property = await Property.findOne({ _id: propertyId, organizationId }).select('address location').lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  const match = await gazetteerService.lookupAddress(property.address);
+  if (!match) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'The property address was not found in the address gazetteer');
+  }
+
+  return setPropertyLocation({
+    propertyId,
+    organizationId,
+    user,
+    ...match,
+    source: propertyLocationSources.GAZETTEER,
+    radiusMeters: radiusMeters || (property.location && property.location.radiusMeters),
+  });
+};
+
+/**
+ * Remove the coordinates of a property, and the off-site warnings of its open inspections
+ * @param {Object} params
+ * @param {string} params.propertyId
+ * @param {string} params.organizationId
+ * @returns {Promise<Object>} Property
+ */
+const clearPropertyLocation = async ({ propertyId, organizationId }) => {
+  const property = await Property.findOneAndUpdate(
+    { _id: propertyId, organizationId },
+    { $unset: { location: 1 } },
+    { new: true }
+  ).lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  await reverifyPropertyPhotos({ propertyId, organizationId, location: null });
+  return property;
+};
+
+module.exports = {
+  distanceMeters,
+  checkPhotoLocation,
+  buildOffSiteWarning,
+  updateLocationWarnings,
+  getPropertyLocation,
+  flagOffSitePhotos,
+  summarizeLocationVerification,
+  formatLocationVerification,
+  reverifyPropertyPhotos,
+  setPropertyLocation,
+  locatePropertyFromGazetteer,
+  clearPropertyLocation,
+};
@@ -0,0 +1,85 @@
+/**
+ * Photo Metadata Service
+ *
+ * Reads the EXIF block inspectors' phones embed in photos (capture time,
+ * GPS position, camera and orientation) so evidence can be tied to when and
+ * where it was captured.
+ *
+ * @module services/photoMetadata
+ */
+
+const exifr = require('exifr');
+const logger = require('../config/logger');
+
+/**
+ * @typedef {Object} PhotoExif
+ * @property {string} [make]
+ * @property {string} [model]
+ * @property {number} [orientation] - EXIF orientation tag (1-8)
+ * @property {number} [latitude]
+ * @property {number} [longitude]
+ * @property {number} [altitude] - Metres above sea level
+ * @property {Date} extractedAt
+ */
+
+const cleanString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+const toValidDate = (value) => {
+  if (!value) return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const inRange = (value, limit) => (Number.isFinite(value) && Math.abs(value) <= limit ? value : undefined);
+
+/**
+ * Map raw exifr output to the fields stored on a photo
+ * @param {Object|null} tags - exifr.parse result
+ * @param {Date} [extractedAt]
+ * @returns {{capturedAt?: Date, exif: PhotoExif}}
+ */
+const normalizeExifTags = (tags, extractedAt = new Date()) => {
+  if (!tags) {
+    return { exif: { extractedAt } };
+  }
+
+  const latitude = inRange(tags.latitude, 90);
+  const longitude = inRange(tags.longitude, 180);
+  const hasPosition = latitude !== undefined && longitude !== undefined;
+  const orientation = Number.isInteger(tags.Orientation) && tags.Orientation >= 1 && tags.Orientation <= 8;
+
+  return {
+    capturedAt: toValidDate(tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate),
+    exif: {
+      make: cleanString(tags.Make),
+      model: cleanString(tags.Model),
+      orientation: orientation ? tags.Orientation : undefined,
+      latitude: hasPosition ? latitude : undefined,
+      longitude: hasPosition ? longitude : undefined,
+      altitude: hasPosition && Number.isFinite(tags.GPSAltitude) ? tags.GPSAltitude : undefined,
+      extractedAt,
+    },
+  };
+};
+
+/**
+ * Extract capture time, GPS, camera and orientation from an image buffer.
+ * Never throws: images without (or with unreadable) EXIF still get an
+ * `extractedAt` so they are not re-processed.
+ * @param {Buffer} buffer
+ * @returns {Promise<{capturedAt?: Date, exif: PhotoExif}>}
+ */
+const extractPhotoMetadata = async (buffer) => {
+  try {
+    const tags = await exifr.parse(buffer, { tiff: true, exif: true, gps: true, translateValues: false });
+    return normalizeExifTags(tags);
+  } catch (error) {
+    logger.warn({ err: error.message }, 'Failed to read photo EXIF metadata');
+    return normalizeExifTags(null);
+  }
+};
+
+module.exports = {
+  normalizeExifTags,
+  extractPhotoMetadata,
+};
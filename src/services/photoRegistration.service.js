@@ -0,0 +1,312 @@
+/**
+ * Photo Registration Service
+ *
+ * Saves photos uploaded to storage onto an inspection, either into a given
+ * room or into the pending classification room for the AI to sort, and
+ * queues their analysis and derivative jobs. Shared by the upload endpoints
+ * and offline sync.
+ *
+ * @module services/photoRegistration
+ */
+
+const httpStatus = require('http-status');
+const jobService = require('./job.service');
+const reportPresetService = require('./reportPreset.service');
+const photoVerificationService = require('./photoVerification.service');
+const photoLocationService = require('./photoLocation.service');
+const { PENDING_ROOM_NAME } = require('./inspectionRoom.service');
+const inspectionQueue = require('../queues/inspection.bullmq');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+/** Most photos accepted in one registration */
+const MAX_PHOTOS_PER_REGISTRATION = 50;
+
+/**
+ * Ensure the inspection has a report preset, creating the organization's
+ * default preset when it has none. Sets reportPresetId on the (unsaved) inspection.
+ * @param {Document} inspection
+ * @param {Object} user
+ * @returns {Promise<Object>} Preset
+ */
+const ensurePreset = async (inspection, user) => {
+  let preset = null;
+
+  if (inspection.reportPresetId) {
+    preset = await reportPresetService
+      .getPresetById({
+        presetId: inspection.reportPresetId,
+        organizationId: user.organizationId,
+      })
+      .catch(() => null);
+  }
+
+  if (!preset) {
+    preset = await reportPresetService.getDefaultPreset({ organizationId: user.organizationId });
+    if (preset && !inspection.reportPresetId) {
+      // eslint-disable-next-line no-param-reassign
+      inspection.reportPresetId = preset._id;
+    }
+  }
+
+  if (!preset) {
+    logger.info({ organizationId: user.organizationId }, 'Creating default preset');
+    preset = await reportPresetService.createPreset({
+      organizationId: user.organizationId,
+      userId: user.id,
+      name: 'Default Inspection Report',
+      description: 'Auto-generated default preset',
+      schema: {
+        title: 'Property Inspection Report',
+        sections: [
+          {
+            id: 'property_overview',
+            name: 'Property Overview',
+            order: 1,
+            repeatable: false,
+            fields: [
+              { key: 'property_address', label: 'Property Address', type: 'text', required: true },
+              { key: 'inspection_date', label: 'Inspection Date', type: 'date', required: true },
+            ],
+          },
+          {
+            id: 'room_inspection',
+            name: 'Room Inspection',
+            order: 2,
+            repeatable: true,
+            fields: [
+              { key: 'room_name', label: 'Room Name', type: 'text', required: true },
+              { key: 'condition_rating', label: 'Condition', type: 'condition_rating' },
+              { key: 'photos', label: 'Photos', type: 'image_gallery' },
+              { key: 'issues', label: 'Issues', type: 'issue_list' },
+            ],
+          },
+          {
+            id: 'summary',
+            name: 'Summary',
+            order: 3,
+            repeatable: false,
+            fields: [
+              { key: 'overall_condition', label: 'Overall Condition', type: 'condition_rating' },
+              { key: 'recommendations', label: 'Recommendations', type: 'textarea' },
+            ],
+          },
+        ],
+        styling: { primaryColor: '#1a365d', fontFamily: 'Arial' },
+      },
+      isDefault: true,
+    });
+    // eslint-disable-next-line no-param-reassign
+    inspection.reportPresetId = preset._id;
+  }
+
+  return preset;
+};
+
+/**
+ * Queue thumbnail/web/PDF derivative generation for newly registered photos.
+ * Failures are logged only - photos fall back to the original until derivatives exist.
+ * @param {Object} params
+ * @param {Object} params.inspection
+ * @param {string[]} params.photoIds
+ * @param {Object} params.user
+ * @returns {Promise<Object|null>} Job
+ */
+const queuePhotoDerivatives = async ({ inspection, photoIds, user }) => {
+  let job = null;
+  try {
+    job = await jobService.createJob({
+      inspectionId: inspection._id,
+      organizationId: user.organizationId,
+      type: 'inspection.photo_derivatives',
+      payload: { photoIds },
+      totalUnits: photoIds.length,
+      createdBy: user.id,
+    });
+
+    const queuedJob = await jobService.markJobQueued({ jobId: job._id });
+    await inspectionQueue.publishPhotoDerivativesJob({
+      jobId: job._id.toString(),
+      inspectionId: inspection._id.toString(),
+      organizationId: user.organizationId.toString(),
+      payload: { photoIds },
+    });
+    return queuedJob;
+  } catch (error) {
+    logger.error({ err: error, inspectionId: inspection._id.toString() }, 'Failed to queue photo derivatives job');
+    if (job) {
+      await jobService.markJobFailed({ jobId: job._id, error });
+    }
+    return job;
+  }
+};
+
+/**
+ * Photo subdocument fields of an uploaded object
+ * @param {Object} upload - {key, filename, fileSize, contentType, metadata, sourceVideo}
+ * @param {Object} storage
+ * @returns {Object}
+ */
+const buildPhotoFields = (upload, storage) => ({
+  storagePath: upload.key,
+  thumbnailUrl: storage.getPublicUrl ? storage.getPublicUrl(upload.key) : null,
+  originalFilename: upload.filename,
+  fileSize: upload.fileSize || 0,
+  mimeType: upload.contentType || 'image/jpeg',
+  capturedAt: upload.metadata ? upload.metadata.capturedAt : undefined,
+  exif: upload.metadata ? upload.metadata.exif : undefined,
+  sourceVideo: upload.sourceVideo,
+});
+
+/**
+ * @typedef {Object} PhotoRegistrationResult
+ * @property {Object[]} photos - Saved photo subdocuments
+ * @property {Object[]} errors - Uploads rejected by verification
+ * @property {Object|null} job - Analysis job summary
+ * @property {Object|null} derivativesJob
+ */
+
+/**
+ * Register uploaded photos on an inspection and queue their analysis. Without
+ * a room the photos go to the pending classification room and the AI assigns
+ * them to rooms.
+ * @param {Object} params
+ * @param {Document} params.inspection - Inspection document (saved here)
+ * @param {Object} params.user - Acting user
+ * @param {Object[]} params.photos - Uploads: {key, filename, fileSize, contentType, metadata?, sourceVideo?}
+ * @param {string} [params.roomId]
+ * @param {Object} params.storage - Storage the photos were uploaded to
+ * @returns {Promise<PhotoRegistrationResult>}
+ */
+const registerInspectionPhotos = async ({ inspection, user, photos, roomId, storage }) => {
+  if (photos.length > MAX_PHOTOS_PER_REGISTRATION) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Maximum ${MAX_PHOTOS_PER_REGISTRATION} photos allowed per request`);
+  }
+
+  // Confirm each object was really uploaded under this inspection and is an image
+  const { verified, errors } = await photoVerificationService.verifyUploadedPhotos({
+    storage,
+    organizationId: user.organizationId,
+    inspectionId: inspection._id,
+    photos,
+  });
+
+  if (errors.length) {
+    logger.warn(
+      { inspectionId: inspection._id.toString(), rejected: errors.length, accepted: verified.length },
+      'Rejected unverified photos'
+    );
+  }
+
+  if (!verified.length) {
+    return { photos: [], errors, job: null, derivativesJob: null };
+  }
+
+  // Ensure report preset is set
+  await ensurePreset(inspection, user);
+
+  const aiClassificationMode = !roomId;
+  let targetRoom;
+
+  if (roomId) {
+    // Legacy mode: attach to specific room
+    targetRoom = inspection.rooms.id(roomId);
+    if (!targetRoom) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Room not found');
+    }
+  } else {
+    // AI Classification mode: create or find the "Pending Classification" room
+    targetRoom = inspection.rooms.find((room) => room.name === PENDING_ROOM_NAME);
+    if (!targetRoom) {
+      inspection.rooms.push({
+        name: PENDING_ROOM_NAME,
+        displayOrder: 999,
+        conditionRating: 'fair',
+        photos: [],
+      });
+      targetRoom = inspection.rooms[inspection.rooms.length - 1];
+    }
+  }
+
+  const newPhotos = verified.map((upload) => {
+    const photo = targetRoom.photos.create({
+      ...buildPhotoFields(upload, storage),
+      ...(aiClassificationMode ? { pendingClassification: true } : {}),
+    });
+    targetRoom.photos.push(photo);
+    return photo;
+  });
+  const photoIds = newPhotos.map((photo) => photo._id.toString());
+
+  // Photos uploaded through the API already have EXIF; presigned uploads are checked when the derivatives job reads it
+  await photoLocationService.flagOffSitePhotos({ inspection, photos: newPhotos });
+
+  inspection.markModified('rooms');
+  await inspection.save();
+
+  logger.info(
+    `Registered ${verified.length} photos for inspection ${inspection._id} (AI classification: ${aiClassificationMode})`
+  );
+
+  // Create and queue the analysis job
+  const job = await jobService.createJob({
+    inspectionId: inspection._id,
+    organizationId: user.organizationId,
+    type: aiClassificationMode ? 'inspection.classify_and_analyze' : 'inspection.analysis',
+    roomId: targetRoom._id,
+    payload: {
+      photoIds: newPhotos.map((photo) => photo._id),
+      inspectionId: inspection._id,
+      roomId: targetRoom._id,
+      aiClassificationMode,
+    },
+    totalUnits: verified.length,
+    createdBy: user.id,
+  });
+
+  let queueResult = { queueDepth: 0 };
+  let queuedJob = job;
+
+  try {
+    await jobService.markJobQueued({ jobId: job._id, queueDepth: 0 });
+
+    queueResult = await inspectionQueue.publishInspectionJob({
+      jobId: job._id.toString(),
+      inspectionId: inspection._id.toString(),
+      organizationId: user.organizationId.toString(),
+      payload: {
+        roomId: targetRoom._id.toString(),
+        photoIds,
+        reportPresetId: inspection.reportPresetId ? inspection.reportPresetId.toString() : undefined,
+        aiClassificationMode,
+      },
+    });
+    queuedJob = await jobService.getJobById(job._id);
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to queue inspection job');
+    await jobService.markJobFailed({ jobId: job._id, error });
+    // Don't throw - photos are saved, job just won't process automatically
+  }
+
+  const derivativesJob = await queuePhotoDerivatives({ inspection, photoIds, user });
+
+  return {
+    photos: newPhotos,
+    errors,
+    job: {
+      id: job._id,
+      status: queuedJob.status,
+      progress: queuedJob.progress,
+      queueDepth: (queueResult && queueResult.queueDepth) || 0,
+      aiClassificationMode,
+    },
+    derivativesJob: derivativesJob ? { id: derivativesJob._id, status: derivativesJob.status } : null,
+  };
+};
+
+module.exports = {
+  MAX_PHOTOS_PER_REGISTRATION,
+  ensurePreset,
+  queuePhotoDerivatives,
+  registerInspectionPhotos,
+};
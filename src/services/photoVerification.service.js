@@ -0,0 +1,189 @@
+/**
+ * Photo Verification Service
+ *
+ * Confirms that photos a client asks to register were actually uploaded to
+ * the caller's own storage prefix, match the declared size and content type,
+ * and really are images (by their magic bytes).
+ *
+ * @module services/photoVerification
+ */
+
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+
+/** Bytes read from the start of each object for type sniffing */
+const SNIFF_LENGTH = 32;
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Content types accepted for inspection photos, with accepted aliases
+ */
+const IMAGE_TYPE_ALIASES = {
+  'image/jpeg': ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  'image/png': ['image/png'],
+  'image/webp': ['image/webp'],
+  'image/heic': ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+};
+
+/**
+ * @typedef {Object} PhotoVerificationError
+ * @property {number} index - Position of the photo in the request
+ * @property {string} key
+ * @property {string} filename
+ * @property {string} code - not_found | forbidden_key | size_mismatch | content_type_mismatch | not_an_image | storage_error
+ * @property {string} message
+ */
+
+/**
+ * Detect an image type from its leading bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} Canonical content type, or null when not a supported image
+ */
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+    return 'image/heic';
+  }
+  return null;
+};
+
+/**
+ * Map a declared content type to its canonical image type
+ * @param {string} contentType
+ * @returns {string|null}
+ */
+const canonicalImageType = (contentType) => {
+  const normalized = (contentType || '').split(';')[0].trim().toLowerCase();
+  const match = Object.entries(IMAGE_TYPE_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Whether a storage key belongs to the inspection's photo (or other upload) prefix for the organization
+ * @param {string} key
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.inspectionId
+ * @param {string} [params.folder] - photos | videos | tenant-review
+ * @returns {boolean}
+ */
+const isKeyInInspectionPrefix = (key, { organizationId, inspectionId, folder = 'photos' }) => {
+  const prefix = `${organizationId}/inspections/${inspectionId}/${folder}/`;
+  return typeof key === 'string' && key.startsWith(prefix) && !key.split('/').includes('..');
+};
+
+/**
+ * Verify one photo registration against storage
+ * @param {Object} params
+ * @param {import('../lib/storage/storage.interface')} params.storage
+ * @param {string} params.organizationId
+ * @param {string} params.inspectionId
+ * @param {{key: string, filename: string, fileSize?: number, contentType?: string}} params.photo
+ * @param {number} params.index
+ * @param {string} [params.folder] - Upload folder the key must be in, see isKeyInInspectionPrefix
+ * @returns {Promise<{photo?: Object, error?: PhotoVerificationError}>}
+ */
+const verifyUploadedPhoto = async ({ storage, organizationId, inspectionId, photo, index, folder }) => {
+  const fail = (code, message) => ({ error: { index, key: photo.key, filename: photo.filename, code, message } });
+
+  if (!isKeyInInspectionPrefix(photo.key, { organizationId, inspectionId, folder })) {
+    return fail('forbidden_key', 'Key does not belong to this inspection');
+  }
+
+  let metadata;
+  try {
+    metadata = await storage.getMetadata(photo.key);
+  } catch (error) {
+    if (error.statusCode === httpStatus.NOT_FOUND) {
+      return fail('not_found', 'No uploaded file found for this key');
+    }
+    logger.warn({ err: error.message, key: photo.key }, 'Failed to read uploaded photo metadata');
+    return fail('storage_error', 'Could not verify the uploaded file, please retry');
+  }
+
+  if (typeof photo.fileSize === 'number' && photo.fileSize > 0 && photo.fileSize !== metadata.size) {
+    return fail('size_mismatch', `Declared size ${photo.fileSize} does not match uploaded size ${metadata.size}`);
+  }
+
+  // Objects stored without a content type come back as octet-stream; the magic bytes check below still applies
+  const declaredType = canonicalImageType(photo.contentType);
+  const hasStoredType = metadata.contentType && metadata.contentType !== 'application/octet-stream';
+  if (!declaredType || (hasStoredType && canonicalImageType(metadata.contentType) !== declaredType)) {
+    return fail('content_type_mismatch', `Declared content type ${photo.contentType} does not match the uploaded file`);
+  }
+
+  let header;
+  try {
+    header = await storage.downloadRange(photo.key, 0, SNIFF_LENGTH - 1);
+  } catch (error) {
+    logger.warn({ err: error.message, key: photo.key }, 'Failed to read uploaded photo header');
+    return fail('storage_error', 'Could not verify the uploaded file, please retry');
+  }
+
+  const detectedType = detectImageType(header);
+  if (!detectedType) {
+    return fail('not_an_image', 'Uploaded file is not a supported image (JPEG, PNG, WebP or HEIC)');
+  }
+  if (detectedType !== declaredType) {
+    return fail('content_type_mismatch', `File content is ${detectedType} but was declared as ${photo.contentType}`);
+  }
+
+  return {
+    photo: {
+      ...photo,
+      fileSize: metadata.size,
+      contentType: detectedType,
+    },
+  };
+};
+
+/**
+ * Verify a batch of photo registrations. Failures are returned per item so
+ * one bad photo does not reject the rest of the batch.
+ * @param {Object} params
+ * @param {import('../lib/storage/storage.interface')} params.storage
+ * @param {string} params.organizationId
+ * @param {string} params.inspectionId
+ * @param {Object[]} params.photos
+ * @param {string} [params.folder] - Upload folder the keys must be in
+ * @returns {Promise<{verified: Object[], errors: PhotoVerificationError[]}>}
+ */
+const verifyUploadedPhotos = async ({ storage, organizationId, inspectionId, photos, folder }) => {
+  const results = await Promise.all(
+    photos.map((photo, index) =>
+      verifyUploadedPhoto({
+        storage,
+        organizationId: organizationId.toString(),
+        inspectionId: inspectionId.toString(),
+        photo,
+        index,
+        folder,
+      })
+    )
+  );
+
+  return {
+    verified: results.filter((result) => result.photo).map((result) => result.photo),
+    errors: results.filter((result) => result.error).map((result) => result.error),
+  };
+};
+
+module.exports = {
+  detectImageType,
+  canonicalImageType,
+  isKeyInInspectionPrefix,
+  verifyUploadedPhoto,
+  verifyUploadedPhotos,
+};
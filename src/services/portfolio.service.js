@@ -0,0 +1,475 @@
+/**
+ * Portfolio Service
+ *
+ * Owners (landlords) and the building hierarchy of properties: buildings with
+ * their units and common areas, next to standalone properties. A unit or
+ * common area without an owner of its own belongs to its building's owner.
+ * Rollups give each property its unresolved issues and when it was last
+ * inspected, counting only inspections the user can see.
+ *
+ * @module services/portfolio
+ */
+
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const Property = require('../models/property.model');
+const Owner = require('../models/owner.model');
+const Issue = require('../models/issue.model');
+const { Inspection } = require('../models/inspection.model');
+const { propertyKinds, buildingPartKinds } = require('../config/portfolio');
+const { unresolvedIssueStatuses, issueSeverities } = require('../config/issues');
+const { buildInspectionAccessFilter, listAccessibleInspectionIds } = require('./inspectionAccess.service');
+const ApiError = require('../utils/ApiError');
+
+const PROPERTY_FIELDS = 'name referenceCode kind buildingId unitNumber ownerId address';
+
+const KIND_LABELS = {
+  [propertyKinds.UNIT]: 'unit',
+  [propertyKinds.COMMON_AREA]: 'common area',
+};
+
+const toId = (id) => id.toString();
+
+const toObjectId = (id) => mongoose.Types.ObjectId(toId(id));
+
+// Properties stored before the hierarchy existed are standalone
+const kindOf = (property) => property.kind || propertyKinds.STANDALONE;
+
+/**
+ * Owner of the organization, failing with 404 when it does not exist
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.ownerId
+ * @returns {Promise<Object>}
+ */
+const getOwner = async ({ organizationId, ownerId }) => {
+  const owner = await Owner.findOne({ _id: ownerId, organizationId }).lean();
+  if (!owner) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Owner not found');
+  }
+  return owner;
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {Object} params.body - name, type, referenceCode, email, phone, notes
+ * @returns {Promise<Object>}
+ */
+const createOwner = async ({ organizationId, user, body }) => {
+  const owner = await Owner.create({ ...body, organizationId, createdBy: user.id || user._id });
+  return owner.toObject();
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.ownerId
+ * @param {Object} params.updates
+ * @returns {Promise<Object>}
+ */
+const updateOwner = async ({ organizationId, ownerId, updates }) => {
+  const owner = await Owner.findOneAndUpdate({ _id: ownerId, organizationId }, updates, {
+    new: true,
+    runValidators: true,
+  }).lean();
+  if (!owner) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Owner not found');
+  }
+  return owner;
+};
+
+/**
+ * Delete an owner that no longer owns any property
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.ownerId
+ * @returns {Promise<void>}
+ */
+const deleteOwner = async ({ organizationId, ownerId }) => {
+  await getOwner({ organizationId, ownerId });
+  const owned = await Property.countDocuments({ organizationId, ownerId });
+  if (owned) {
+    throw new ApiError(httpStatus.CONFLICT, `The owner still owns ${owned} propert${owned === 1 ? 'y' : 'ies'}`);
+  }
+  await Owner.deleteOne({ _id: ownerId, organizationId });
+};
+
+/**
+ * Check where a property sits in the hierarchy: units and common areas
+ * belong to a building of the organization, other kinds to nothing, and a
+ * building with units cannot become another kind.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} [params.propertyId] - Property being updated
+ * @param {Object} params.placement - kind, buildingId and ownerId the property will have
+ * @returns {Promise<Object|null>} The building the property belongs to
+ */
+const validatePlacement = async ({ organizationId, propertyId, placement }) => {
+  const { kind = propertyKinds.STANDALONE, buildingId, ownerId } = placement;
+
+  let building = null;
+  if (buildingPartKinds.includes(kind)) {
+    if (!buildingId) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `A ${KIND_LABELS[kind]} needs the building it belongs to`);
+    }
+    if (propertyId && toId(buildingId) === toId(propertyId)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'A property cannot belong to itself');
+    }
+    building = await Property.findOne({ _id: buildingId, organizationId }).select('name kind address ownerId').lean();
+    if (!building) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'Building not found');
+    }
+    if (kindOf(building) !== propertyKinds.BUILDING) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `${building.name} is not a building`);
+    }
+  } else if (buildingId) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only units and common areas belong to a building');
+  }
+
+  if (ownerId && !(await Owner.countDocuments({ _id: ownerId, organizationId }))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Owner not found');
+  }
+
+  if (propertyId && kind !== propertyKinds.BUILDING) {
+    const parts = await Property.countDocuments({ organizationId, buildingId: propertyId });
+    if (parts) {
+      throw new ApiError(httpStatus.CONFLICT, 'Move or remove the units and common areas of this building first');
+    }
+  }
+
+  return building;
+};
+
+/**
+ * Check the placement a property update leads to
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.propertyId
+ * @param {Object} params.updates - Property update with kind, buildingId or ownerId
+ * @returns {Promise<Object|null>} The building the property will belong to
+ */
+const validatePlacementUpdate = async ({ organizationId, propertyId, updates }) => {
+  const current = await Property.findOne({ _id: propertyId, organizationId }).select('kind buildingId').lean();
+  if (!current) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+  return validatePlacement({
+    organizationId,
+    propertyId,
+    placement: {
+      kind: updates.kind || kindOf(current),
+      buildingId: 'buildingId' in updates ? updates.buildingId : current.buildingId,
+      // Only a new owner needs checking
+      ownerId: updates.ownerId,
+    },
+  });
+};
+
+/**
+ * Address of a unit or common area entered without one: the building's, with the unit number
+ * @param {Object} building
+ * @param {string} [unitNumber]
+ * @returns {Object}
+ */
+const buildPartAddress = (building, unitNumber) => ({
+  ...building.address,
+  line2: unitNumber ? `Unit ${unitNumber}` : building.address.line2,
+});
+
+/**
+ * Owner of each property: its own, or its building's
+ * @param {Object[]} properties - Properties with kind, buildingId and ownerId
+ * @param {Object[]} [buildings] - Buildings of the parts, when not among the properties
+ * @returns {Map<string, string|null>} Owner id by property id
+ */
+const resolveOwners = (properties, buildings = []) => {
+  const buildingsById = new Map([...buildings, ...properties].map((property) => [toId(property._id), property]));
+  return new Map(
+    properties.map((property) => {
+      const building = property.buildingId ? buildingsById.get(toId(property.buildingId)) : null;
+      const ownerId = property.ownerId || (building && building.ownerId);
+      return [toId(property._id), ownerId ? toId(ownerId) : null];
+    })
+  );
+};
+
+/**
+ * Ids of the properties an owner holds: those owned directly, and the units
+ * and common areas without an owner of their own in the owner's buildings
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.ownerId
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+const findOwnedPropertyIds = async ({ organizationId, ownerId }) => {
+  const owned = await Property.find({ organizationId, ownerId }).select('_id kind').lean();
+  const buildingIds = owned.filter((property) => kindOf(property) === propertyKinds.BUILDING).map(({ _id }) => _id);
+  const parts = buildingIds.length
+    ? await Property.find({ organizationId, buildingId: { $in: buildingIds }, ownerId: null })
+        .select('_id')
+        .lean()
+    : [];
+  return [...owned, ...parts].map(({ _id }) => _id);
+};
+
+/**
+ * Ids of a building and its units and common areas
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.buildingId
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+const findBuildingPropertyIds = async ({ organizationId, buildingId }) => {
+  const properties = await Property.find({ organizationId, $or: [{ _id: buildingId }, { buildingId }] })
+    .select('_id')
+    .lean();
+  return properties.map(({ _id }) => _id);
+};
+
+/**
+ * Properties matching portfolio filters, for filtering inspections and reports
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} [params.ownerId]
+ * @param {string} [params.buildingId]
+ * @returns {Promise<mongoose.Types.ObjectId[]>} Properties matching every filter given
+ */
+const resolvePortfolioPropertyIds = async ({ organizationId, ownerId, buildingId }) => {
+  const owned = ownerId ? await findOwnedPropertyIds({ organizationId, ownerId }) : null;
+  const inBuilding = buildingId ? await findBuildingPropertyIds({ organizationId, buildingId }) : null;
+  if (!owned) return inBuilding || [];
+  if (!inBuilding) return owned;
+  const buildingIds = new Set(inBuilding.map(toId));
+  return owned.filter((id) => buildingIds.has(toId(id)));
+};
+
+const emptyRollup = () => ({
+  openIssues: 0,
+  openIssuesBySeverity: issueSeverities.reduce((counts, severity) => ({ ...counts, [severity]: 0 }), {}),
+  inspections: 0,
+  lastInspectedAt: null,
+});
+
+/**
+ * Add up rollups, keeping the latest inspection date
+ * @param {Object[]} rollups
+ * @returns {Object}
+ */
+const sumRollups = (rollups) =>
+  rollups.reduce((total, rollup) => {
+    const later =
+      rollup.lastInspectedAt && (!total.lastInspectedAt || rollup.lastInspectedAt > total.lastInspectedAt)
+        ? rollup.lastInspectedAt
+        : total.lastInspectedAt;
+    return {
+      openIssues: total.openIssues + rollup.openIssues,
+      openIssuesBySeverity: issueSeverities.reduce(
+        (counts, severity) => ({
+          ...counts,
+          [severity]: total.openIssuesBySeverity[severity] + rollup.openIssuesBySeverity[severity],
+        }),
+        {}
+      ),
+      inspections: total.inspections + rollup.inspections,
+      lastInspectedAt: later,
+    };
+  }, emptyRollup());
+
+/**
+ * Unresolved issues, inspection count and last completed inspection of each property
+ * @param {Object} params
+ * @param {Object} params.user - Acting user; only inspections the user can see are counted
+ * @param {Array<string|mongoose.Types.ObjectId>} params.propertyIds
+ * @returns {Promise<Map<string, Object>>} Rollup by property id
+ */
+const computeRollups = async ({ user, propertyIds }) => {
+  const rollups = new Map(propertyIds.map((id) => [toId(id), emptyRollup()]));
+  if (!propertyIds.length) return rollups;
+
+  const ids = propertyIds.map(toObjectId);
+  const inspectionIds = await listAccessibleInspectionIds(user);
+  const [issueGroups, inspectionGroups] = await Promise.all([
+    Issue.aggregate([
+      {
+        $match: {
+          organizationId: user.organizationId,
+          propertyId: { $in: ids },
+          status: { $in: unresolvedIssueStatuses },
+          ...(inspectionIds ? { inspectionId: { $in: inspectionIds } } : {}),
+        },
+      },
+      { $group: { _id: { propertyId: '$propertyId', severity: '$severity' }, count: { $sum: 1 } } },
+    ]),
+    Inspection.aggregate([
+      { $match: { ...buildInspectionAccessFilter(user), propertyId: { $in: ids } } },
+      { $group: { _id: '$propertyId', inspections: { $sum: 1 }, lastInspectedAt: { $max: '$completedAt' } } },
+    ]),
+  ]);
+
+  issueGroups.forEach(({ _id, count }) => {
+    const rollup = rollups.get(toId(_id.propertyId));
+    rollup.openIssues += count;
+    if (_id.severity in rollup.openIssuesBySeverity) {
+      rollup.openIssuesBySeverity[_id.severity] += count;
+    }
+  });
+  inspectionGroups.forEach(({ _id, inspections, lastInspectedAt }) => {
+    Object.assign(rollups.get(toId(_id)), { inspections, lastInspectedAt: lastInspectedAt || null });
+  });
+
+  return rollups;
+};
+
+const withRollup = (property, rollups) => ({ ...property, rollup: rollups.get(toId(property._id)) || emptyRollup() });
+
+/**
+ * A building node: the building with its units and common areas, each with
+ * its rollup, and the totals over all of them
+ */
+const buildBuildingNode = (building, parts, rollups) => {
+  const own = parts.filter((part) => toId(part.buildingId) === toId(building._id)).map((part) => withRollup(part, rollups));
+  const node = withRollup(building, rollups);
+  return {
+    ...node,
+    units: own.filter((part) => part.kind === propertyKinds.UNIT),
+    commonAreas: own.filter((part) => part.kind === propertyKinds.COMMON_AREA),
+    totals: sumRollups([node.rollup, ...own.map((part) => part.rollup)]),
+  };
+};
+
+/**
+ * Owners of the organization with the size of their portfolio and its rollup
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user
+ * @returns {Promise<Object[]>} Owners with counts (properties, buildings, units, commonAreas) and rollup
+ */
+const listOwners = async ({ organizationId, user }) => {
+  const [owners, properties] = await Promise.all([
+    Owner.find({ organizationId }).sort({ name: 1 }).lean(),
+    Property.find({ organizationId }).select('_id kind buildingId ownerId').lean(),
+  ]);
+  const ownerOf = resolveOwners(properties);
+  const rollups = await computeRollups({
+    user,
+    propertyIds: properties.filter((property) => ownerOf.get(toId(property._id))).map(({ _id }) => _id),
+  });
+
+  return owners.map((owner) => {
+    const owned = properties.filter((property) => ownerOf.get(toId(property._id)) === toId(owner._id));
+    const count = (kind) => owned.filter((property) => kindOf(property) === kind).length;
+    return {
+      ...owner,
+      counts: {
+        properties: owned.length,
+        buildings: count(propertyKinds.BUILDING),
+        units: count(propertyKinds.UNIT),
+        commonAreas: count(propertyKinds.COMMON_AREA),
+      },
+      rollup: sumRollups(owned.map((property) => rollups.get(toId(property._id)))),
+    };
+  });
+};
+
+/**
+ * An owner's portfolio: the owner's buildings with their units and common
+ * areas, units and common areas owned in other buildings, and standalone
+ * properties, each with its rollup
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user
+ * @param {string} params.ownerId
+ * @returns {Promise<{owner: Object, buildings: Object[], units: Object[], properties: Object[], totals: Object}>}
+ */
+const getOwnerPortfolio = async ({ organizationId, user, ownerId }) => {
+  const owner = await getOwner({ organizationId, ownerId });
+  const ownedIds = await findOwnedPropertyIds({ organizationId, ownerId });
+  const properties = await Property.find({ _id: { $in: ownedIds }, organizationId })
+    .select(PROPERTY_FIELDS)
+    .sort({ name: 1 })
+    .lean();
+  const rollups = await computeRollups({ user, propertyIds: ownedIds });
+
+  const buildings = properties.filter((property) => kindOf(property) === propertyKinds.BUILDING);
+  const buildingIds = new Set(buildings.map((building) => toId(building._id)));
+  const parts = properties.filter((property) => buildingPartKinds.includes(property.kind));
+  const elsewhere = parts.filter((part) => !buildingIds.has(toId(part.buildingId)));
+  const otherBuildings = elsewhere.length
+    ? await Property.find({ _id: { $in: elsewhere.map((part) => part.buildingId) }, organizationId })
+        .select('name')
+        .lean()
+    : [];
+
+  return {
+    owner,
+    buildings: buildings.map((building) => buildBuildingNode(building, parts, rollups)),
+    units: elsewhere.map((part) => ({
+      ...withRollup(part, rollups),
+      building: otherBuildings.find((building) => toId(building._id) === toId(part.buildingId)) || null,
+    })),
+    properties: properties
+      .filter((property) => kindOf(property) === propertyKinds.STANDALONE)
+      .map((property) => withRollup(property, rollups)),
+    totals: sumRollups([...rollups.values()]),
+  };
+};
+
+/**
+ * Where a property sits: its owner, and the building it is or belongs to with
+ * that building's units and common areas, each with its rollup
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.user
+ * @param {string} params.propertyId
+ * @returns {Promise<{property: Object, owner: Object|null, building: Object|null}>}
+ */
+const getPropertyHierarchy = async ({ organizationId, user, propertyId }) => {
+  const property = await Property.findOne({ _id: propertyId, organizationId }).select(PROPERTY_FIELDS).lean();
+  if (!property) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Property not found');
+  }
+
+  let building = kindOf(property) === propertyKinds.BUILDING ? property : null;
+  if (property.buildingId) {
+    building = await Property.findOne({ _id: property.buildingId, organizationId }).select(PROPERTY_FIELDS).lean();
+  }
+  const parts = building
+    ? await Property.find({ organizationId, buildingId: building._id })
+        .select(PROPERTY_FIELDS)
+        .sort({ unitNumber: 1, name: 1 })
+        .lean()
+    : [];
+
+  const ownerId = resolveOwners([property], building ? [building] : []).get(toId(property._id));
+  const owner = ownerId
+    ? await Owner.findOne({ _id: ownerId, organizationId }).select('name type referenceCode').lean()
+    : null;
+
+  const propertyIds = [...new Set([property, building, ...parts].filter(Boolean).map((item) => toId(item._id)))];
+  const rollups = await computeRollups({ user, propertyIds });
+
+  return {
+    property: withRollup(property, rollups),
+    owner,
+    building: building ? buildBuildingNode(building, parts, rollups) : null,
+  };
+};
+
+module.exports = {
+  getOwner,
+  createOwner,
+  updateOwner,
+  deleteOwner,
+  validatePlacement,
+  validatePlacementUpdate,
+  buildPartAddress,
+  resolveOwners,
+  resolvePortfolioPropertyIds,
+  sumRollups,
+  computeRollups,
+  listOwners,
+  getOwnerPortfolio,
+  getPropertyHierarchy,
+};
@@ -0,0 +1,200 @@
+/**
+ * Report PDF Service
+ *
+ * Renders a report version to PDF: resolves the inspection's report preset,
+ * has the AI fill the preset schema and adds estimated repair costs, the
+ * pinned floor plans, the share of photos verified on site, the compliance
+ * certificate and, for versions created by an amendment, what it changed. Shared by
+ * report generation, previews and the signed copy of a report.
+ *
+ * @module services/reportPdf
+ */
+
+const reportPresetService = require('./reportPreset.service');
+const costEstimateService = require('./costEstimate.service');
+const floorPlanService = require('./floorPlan.service');
+const photoLocationService = require('./photoLocation.service');
+const complianceService = require('./compliance.service');
+const pdfExportService = require('./pdf/pdfExport.service');
+const { reportGenerationService } = require('./ai');
+const logger = require('../config/logger');
+
+/**
+ * Organization shown on reports (simplified - no Organization model yet)
+ * @param {Object} user - User the report is generated for
+ * @returns {{_id: string, name: string}}
+ */
+const buildReportOrganization = (user) => ({
+  _id: user.organizationId,
+  name: user.name ? `${user.name}'s Organization` : 'Sitewise',
+});
+
+/**
+ * Preset of the inspection, or the organization default
+ * @param {Object} inspection
+ * @param {string} organizationId
+ * @returns {Promise<Object|null>}
+ */
+const getPresetForInspection = async (inspection, organizationId) => {
+  if (!inspection) return null;
+
+  if (inspection.reportPresetId) {
+    const preset = await reportPresetService
+      .getPresetById({ presetId: inspection.reportPresetId, organizationId })
+      .catch(() => null);
+    if (preset) return preset;
+  }
+
+  return reportPresetService.getDefaultPreset({ organizationId }).catch(() => null);
+};
+
+/**
+ * Estimated repair cost totals for the report; a failure leaves the cost table out rather than failing the report
+ * @param {Object} inspection
+ * @returns {Promise<Object|null>}
+ */
+const getCostSummaryForInspection = (inspection) =>
+  costEstimateService.getInspectionCostSummary({ inspection }).catch((error) => {
+    logger.warn({ err: error, inspectionId: inspection._id }, 'Failed to calculate estimated repair costs');
+    return null;
+  });
+
+/**
+ * Pinned floor plan pages for the report; a failure leaves the floor plans out rather than failing the report
+ * @param {Object} inspection - Inspection with the property populated in propertyId
+ * @returns {Promise<Object[]>}
+ */
+const getFloorPlansForInspection = (inspection) =>
+  floorPlanService.loadReportFloorPlans({ inspection }).catch((error) => {
+    logger.warn({ err: error, inspectionId: inspection._id }, 'Failed to load floor plans for the report');
+    return [];
+  });
+
+/**
+ * Fill the preset schema from the inspection with the AI
+ * @param {Object} params
+ * @returns {Promise<Object|null>} null without a preset schema or when generation fails
+ */
+const buildReportContent = async ({ preset, inspection, reportVersion, organization, costSummary }) => {
+  if (!preset || !preset.schema) return null;
+
+  const property = inspection.propertyId || {};
+  const propertyData = {
+    name: property.name,
+    address: property.address,
+    inspectionDate: inspection.createdAt,
+    inspectionStatus: inspection.status,
+  };
+
+  const roomCosts = new Map(((costSummary && costSummary.rooms) || []).map((room) => [room.roomId, room]));
+  const rooms = (inspection.rooms || []).map((room) => {
+    const issues = (room.photos || []).flatMap((photo) => photo.issues || []);
+    const roomCost = roomCosts.get(room._id && room._id.toString());
+    return {
+      name: room.name,
+      conditionRating: room.conditionRating,
+      notes: room.notes,
+      aiSummary: room.aiSummary,
+      issues,
+      photoCount: (room.photos || []).length,
+      inventory: (room.inventory || []).map(({ name, quantity, condition, notes }) => ({
+        name,
+        quantity,
+        condition,
+        notes,
+      })),
+      estimatedCost: roomCost ? { low: roomCost.low, high: roomCost.high, currency: costSummary.currency } : undefined,
+    };
+  });
+
+  try {
+    return await reportGenerationService.generateReport({
+      schema: preset.schema,
+      propertyData,
+      rooms,
+      agentNotes: (reportVersion && (reportVersion.summary || reportVersion.introduction)) || '',
+      organizationName: (organization && organization.name) || 'Sitewise',
+      costSummary,
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to generate report content from schema');
+    return null;
+  }
+};
+
+/**
+ * Render a report version to PDF
+ * @param {Object} params
+ * @param {Object} params.inspection - Inspection with populated propertyId
+ * @param {Object} params.reportVersion - Version subdocument (title, summary, ...)
+ * @param {number} params.version - Version number
+ * @param {Object} params.user - User the report is generated for; names the organization and inspector
+ * @param {boolean} params.isTrialUser - Adds the trial watermark
+ * @param {Object} [params.reportContent] - Content rendered before; generated with the AI when omitted
+ * @param {Object[]} [params.signatures] - Signatures to embed, see pdfExport.generateInspectionReportPDF
+ * @returns {Promise<{buffer: Buffer, reportContent: Object|null}>}
+ */
+const renderReportVersionPdf = async ({
+  inspection,
+  reportVersion,
+  version,
+  user,
+  isTrialUser,
+  reportContent: existingContent,
+  signatures = [],
+}) => {
+  const organization = buildReportOrganization(user);
+  const preset = await getPresetForInspection(inspection, user.organizationId);
+  const costSummary = await getCostSummaryForInspection(inspection);
+  const reportContent =
+    existingContent || (await buildReportContent({ preset, inspection, reportVersion, organization, costSummary }));
+
+  const inspectionData = typeof inspection.toObject === 'function' ? inspection.toObject() : inspection;
+  const floorPlans = await getFloorPlansForInspection(inspectionData);
+  const property = inspectionData.propertyId;
+  const locationVerification = photoLocationService.summarizeLocationVerification({
+    inspection: inspectionData,
+    location: property ? property.location : null,
+  });
+  const complianceCertificate = complianceService.buildComplianceCertificate({ inspection: inspectionData, property });
+  const buffer = await pdfExportService.generateInspectionReportPDF({
+    inspection: {
+      ...inspectionData,
+      property: inspection.propertyId,
+      inspector: user,
+    },
+    reportData: {
+      title: reportVersion.title,
+      summary: reportVersion.summary,
+      introduction: reportVersion.introduction,
+      conclusion: reportVersion.conclusion,
+    },
+    preset,
+    organization,
+    isTrialUser,
+    reportContent,
+    costSummary,
+    floorPlans,
+    locationVerification,
+    complianceCertificate,
+    amendment: reportVersion.amendment,
+    reportMeta: {
+      version,
+      createdAt: new Date().toLocaleString(),
+      templateId: preset && preset._id ? preset._id.toString() : '',
+      templateVersion: (preset && preset.versions && preset.versions.length) || '',
+    },
+    signatures,
+  });
+
+  return { buffer, reportContent };
+};
+
+module.exports = {
+  buildReportOrganization,
+  getPresetForInspection,
+  getCostSummaryForInspection,
+  getFloorPlansForInspection,
+  buildReportContent,
+  renderReportVersionPdf,
+};
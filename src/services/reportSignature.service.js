@@ -0,0 +1,635 @@
+/**
+ * Report Signature Service
+ *
+ * E-signature workflow on a report version. Named parties (tenant, landlord,
+ * ...) are emailed a personal signing link; each draws or types a signature,
+ * recorded with time, IP address and user agent. Once everyone has signed,
+ * the version is re-rendered with the signatures embedded and the SHA-256 of
+ * that PDF is stored, so anyone holding a copy can check it was not altered.
+ *
+ * @module services/reportSignature
+ */
+
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const Report = require('../models/report.model');
+const { Inspection } = require('../models/inspection.model');
+const User = require('../models/user.model');
+const { signingStatuses, signingPartyStatuses, signatureMethods, signingLimits } = require('../config/signatures');
+const { webhookEvents } = require('../config/webhooks');
+const { getStorage, storagePaths } = require('../lib/storage');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const { detectImageType } = require('./photoVerification.service');
+const reportPdfService = require('./reportPdf.service');
+const emailService = require('./email.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Lifetime of presigned document links handed to signers and users */
+const DOWNLOAD_URL_EXPIRY_SECONDS = 3600;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenExpiresAt: new Date(Date.now() + signingLimits.linkExpiryDays * DAY_MS),
+  };
+};
+
+/**
+ * Signing state without link token hashes
+ * @param {Object} signing
+ * @returns {Object}
+ */
+const toSigningResponse = (signing) => ({
+  ...signing,
+  parties: signing.parties.map(({ tokenHash, ...party }) => party),
+});
+
+/**
+ * A version of a report, or 404
+ * @param {Object} report
+ * @param {number} [version] - Defaults to the current version
+ * @returns {Object}
+ */
+const getReportVersion = (report, version) => {
+  const targetVersion = version || report.currentVersion;
+  const reportVersion = report.versions.find((candidate) => candidate.version === targetVersion);
+  if (!reportVersion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Report version not found');
+  }
+  return reportVersion;
+};
+
+const findReport = async ({ reportId, organizationId }) => {
+  const report = await Report.findOne({ _id: reportId, organizationId }).lean();
+  if (!report) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Report not found');
+  }
+  return report;
+};
+
+const loadInspection = (report) => Inspection.findById(report.inspectionId).populate('propertyId');
+
+/**
+ * Decode a drawn signature sent as a PNG data URL
+ * @param {string} dataUrl - data:image/png;base64,...
+ * @returns {Buffer}
+ */
+const parseSignatureImage = (dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/.exec(dataUrl || '');
+  if (!match) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Drawn signatures must be a base64 PNG data URL');
+  }
+
+  const buffer = Buffer.from(match[1], 'base64');
+  if (buffer.length > signingLimits.maxSignatureImageBytes) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Signature image can be at most ${signingLimits.maxSignatureImageBytes} bytes`
+    );
+  }
+  if (detectImageType(buffer) !== 'image/png') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Signature image is not a valid PNG');
+  }
+  return buffer;
+};
+
+/**
+ * Small print under a signature in the signed PDF
+ * @param {Object} party - Signed party
+ * @returns {string}
+ */
+const buildSignatureCaption = (party) => {
+  const { signature } = party;
+  const method = signature.method === signatureMethods.TYPED ? 'Typed' : 'Drawn';
+  const signedAt = new Date(signature.signedAt)
+    .toISOString()
+    .replace('T', ' ')
+    .replace(/\.\d{3}Z$/, ' UTC');
+  return [`${method} signature of ${party.name} <${party.email}>`, `signed ${signedAt}`, signature.ipAddress]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+/**
+ * Email a party their signing link. Failures are logged; the link can be resent.
+ * @param {Object} params
+ * @returns {Promise<void>}
+ */
+const sendSigningLink = async ({ party, token, reportVersion, property, message }) => {
+  try {
+    await emailService.sendSignatureRequestEmail(party.email, {
+      partyName: party.name,
+      propertyName: (property && property.name) || 'the property',
+      reportTitle: reportVersion.title,
+      token,
+      expiresAt: party.tokenExpiresAt,
+      message,
+    });
+  } catch (err) {
+    logger.error({ err: err.message, partyId: party._id.toString() }, 'Failed to send signing link');
+  }
+};
+
+/**
+ * Ask parties to sign a generated report version. A version can only be
+ * signed once; after cancelling, signatures can be requested again.
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Acting user
+ * @param {number} [params.version] - Defaults to the current version
+ * @param {Array<{name: string, email: string, role: string}>} params.parties
+ * @param {string} [params.message] - Included in the emails
+ * @returns {Promise<Object>} Signing state
+ */
+const requestSignatures = async ({ reportId, organizationId, user, version, parties, message }) => {
+  const report = await findReport({ reportId, organizationId });
+  const reportVersion = getReportVersion(report, version);
+
+  if (!reportVersion.generatedAt) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Generate the report PDF before requesting signatures');
+  }
+
+  const emails = parties.map((party) => party.email.toLowerCase());
+  if (new Set(emails).size !== emails.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Each party must have a different email address');
+  }
+
+  const now = new Date();
+  const links = parties.map((party) => {
+    const { token, tokenHash, tokenExpiresAt } = createToken();
+    return {
+      token,
+      party: {
+        _id: mongoose.Types.ObjectId(),
+        name: party.name,
+        email: party.email.toLowerCase(),
+        role: party.role,
+        status: signingPartyStatuses.PENDING,
+        tokenHash,
+        tokenExpiresAt,
+        lastSentAt: now,
+      },
+    };
+  });
+  const signing = {
+    status: signingStatuses.PENDING,
+    requestedBy: user.id || user._id,
+    requestedAt: now,
+    message,
+    parties: links.map((link) => link.party),
+  };
+
+  // Versions already being signed, or signed, keep their signing
+  const result = await Report.updateOne(
+    {
+      _id: report._id,
+      versions: {
+        $elemMatch: {
+          version: reportVersion.version,
+          'signing.status': { $nin: [signingStatuses.PENDING, signingStatuses.COMPLETED] },
+        },
+      },
+    },
+    { $set: { 'versions.$.signing': signing } }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'Signatures were already requested for this report version');
+  }
+
+  const inspection = await Inspection.findById(report.inspectionId).populate('propertyId', 'name').lean();
+  await Promise.all(
+    links.map(({ token, party }) =>
+      sendSigningLink({ party, token, reportVersion, property: inspection && inspection.propertyId, message })
+    )
+  );
+
+  logger.info({ reportId, version: reportVersion.version, parties: links.length }, 'Report signatures requested');
+  return toSigningResponse({ version: reportVersion.version, ...signing });
+};
+
+/**
+ * Signing state of a report version, with a download link once signed
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {string} params.organizationId
+ * @param {number} [params.version]
+ * @returns {Promise<Object>}
+ */
+const getSigningStatus = async ({ reportId, organizationId, version }) => {
+  const report = await findReport({ reportId, organizationId });
+  const reportVersion = getReportVersion(report, version);
+  if (!reportVersion.signing) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'No signatures were requested for this report version');
+  }
+
+  const { signing } = reportVersion;
+  const signedPdfUrl =
+    signing.status === signingStatuses.COMPLETED
+      ? await getStorage().getPresignedDownloadUrl(signing.signedPdfPath, {
+          expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS,
+          responseContentDisposition: `attachment; filename="inspection-report-${reportId}-v${reportVersion.version}-signed.pdf"`,
+        })
+      : null;
+
+  return { version: reportVersion.version, ...toSigningResponse(signing), signedPdfUrl };
+};
+
+/**
+ * Cancel a signing that is still collecting signatures; links stop working
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {string} params.organizationId
+ * @param {number} [params.version]
+ * @returns {Promise<void>}
+ */
+const cancelSigning = async ({ reportId, organizationId, version }) => {
+  const report = await findReport({ reportId, organizationId });
+  const reportVersion = getReportVersion(report, version);
+
+  const result = await Report.updateOne(
+    {
+      _id: report._id,
+      versions: { $elemMatch: { version: reportVersion.version, 'signing.status': signingStatuses.PENDING } },
+    },
+    { $set: { 'versions.$.signing.status': signingStatuses.CANCELLED, 'versions.$.signing.cancelledAt': new Date() } }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'This report version has no signing in progress');
+  }
+};
+
+/**
+ * Send a party a new signing link; the previous link stops working
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {string} params.organizationId
+ * @param {number} [params.version]
+ * @param {string} params.partyId
+ * @returns {Promise<Object>} Party
+ */
+const resendSigningLink = async ({ reportId, organizationId, version, partyId }) => {
+  const report = await findReport({ reportId, organizationId });
+  const reportVersion = getReportVersion(report, version);
+  const { signing } = reportVersion;
+  const party = signing && signing.parties.find((candidate) => candidate._id.toString() === partyId);
+  if (!party) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Signing party not found');
+  }
+
+  const { token, tokenHash, tokenExpiresAt } = createToken();
+  const lastSentAt = new Date();
+  const result = await Report.updateOne(
+    { _id: report._id },
+    {
+      $set: {
+        'versions.$[v].signing.parties.$[p].tokenHash': tokenHash,
+        'versions.$[v].signing.parties.$[p].tokenExpiresAt': tokenExpiresAt,
+        'versions.$[v].signing.parties.$[p].lastSentAt': lastSentAt,
+      },
+    },
+    {
+      arrayFilters: [
+        { 'v.version': reportVersion.version, 'v.signing.status': signingStatuses.PENDING },
+        { 'p._id': party._id, 'p.status': signingPartyStatuses.PENDING },
+      ],
+    }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'This party has already signed or the signing is no longer in progress');
+  }
+
+  const updated = { ...party, tokenExpiresAt, lastSentAt };
+  const inspection = await Inspection.findById(report.inspectionId).populate('propertyId', 'name').lean();
+  await sendSigningLink({
+    party: updated,
+    token,
+    reportVersion,
+    property: inspection && inspection.propertyId,
+    message: signing.message,
+  });
+
+  const { tokenHash: omitted, ...response } = updated;
+  return response;
+};
+
+/**
+ * Report, version and party of a signing link
+ * @param {string} token
+ * @returns {Promise<{report: Object, reportVersion: Object, party: Object}>}
+ */
+const resolveSigningToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const report = await Report.findOne({ 'versions.signing.parties.tokenHash': tokenHash }).lean();
+  const reportVersion =
+    report &&
+    report.versions.find(
+      (candidate) => candidate.signing && candidate.signing.parties.some((p) => p.tokenHash === tokenHash)
+    );
+
+  if (!reportVersion || reportVersion.signing.status === signingStatuses.CANCELLED) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Signing link not found');
+  }
+
+  const party = reportVersion.signing.parties.find((candidate) => candidate.tokenHash === tokenHash);
+  if (new Date(party.tokenExpiresAt) < new Date()) {
+    throw new ApiError(httpStatus.GONE, 'This signing link has expired, please ask for a new one');
+  }
+
+  return { report, reportVersion, party };
+};
+
+/**
+ * What a signer sees: the document to review, who else signs and, once
+ * everyone has signed, the signed copy
+ * @param {Object} params
+ * @param {string} params.token
+ * @returns {Promise<Object>}
+ */
+const getSigningSession = async ({ token }) => {
+  const { report, reportVersion, party } = await resolveSigningToken(token);
+  const { signing } = reportVersion;
+  const storage = getStorage();
+  const completed = signing.status === signingStatuses.COMPLETED;
+
+  const inspection = await Inspection.findById(report.inspectionId).populate('propertyId', 'name address').lean();
+  const property = (inspection && inspection.propertyId) || {};
+  const documentPath = completed
+    ? signing.signedPdfPath
+    : storagePaths.generatedReport(report.organizationId, report._id, reportVersion.version);
+
+  return {
+    reportTitle: reportVersion.title,
+    version: reportVersion.version,
+    property: { name: property.name, address: property.address },
+    party: { id: party._id, name: party.name, email: party.email, role: party.role, status: party.status },
+    parties: signing.parties.map((p) => ({
+      name: p.name,
+      role: p.role,
+      status: p.status,
+      signedAt: p.signature ? p.signature.signedAt : null,
+    })),
+    status: signing.status,
+    message: signing.message,
+    documentUrl: await storage.getPresignedDownloadUrl(documentPath, { expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS }),
+    signedPdfSha256: completed ? signing.signedPdfSha256 : null,
+    linkExpiresAt: party.tokenExpiresAt,
+  };
+};
+
+/**
+ * Signatures of a version, ready for the PDF renderers
+ * @param {Object} reportVersion
+ * @returns {Promise<Object[]>}
+ */
+const loadSignaturesForPdf = async (reportVersion) => {
+  const storage = getStorage();
+  return Promise.all(
+    reportVersion.signing.parties.map(async (party) => ({
+      label: `${party.role.charAt(0).toUpperCase()}${party.role.slice(1)}: ${party.name}`,
+      caption: buildSignatureCaption(party),
+      typedName: party.signature.typedName,
+      imageBuffer: party.signature.imagePath ? (await storage.download(party.signature.imagePath)).data : undefined,
+    }))
+  );
+};
+
+/**
+ * Render the signed PDF of a fully signed version and record its SHA-256.
+ * Safe to call twice: only the first render to finish is recorded.
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {number} params.version
+ * @returns {Promise<Object|null>} Completed signing, or null when another render won or signatures are missing
+ */
+const sealSignedReport = async ({ reportId, version }) => {
+  const report = await Report.findById(reportId).lean();
+  const reportVersion = report && getReportVersion(report, version);
+  const signing = reportVersion && reportVersion.signing;
+  if (
+    !signing ||
+    signing.status !== signingStatuses.PENDING ||
+    signing.parties.some((party) => party.status !== signingPartyStatuses.SIGNED)
+  ) {
+    return null;
+  }
+
+  const [inspection, generatedBy] = await Promise.all([
+    loadInspection(report),
+    User.findById(reportVersion.generatedBy).select('name organizationId').lean(),
+  ]);
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found for this report');
+  }
+
+  const { buffer } = await reportPdfService.renderReportVersionPdf({
+    inspection,
+    reportVersion,
+    version: reportVersion.version,
+    user: { ...(generatedBy || {}), organizationId: report.organizationId },
+    isTrialUser: reportVersion.watermark,
+    reportContent: reportVersion.content,
+    signatures: await loadSignaturesForPdf(reportVersion),
+  });
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const signedPdfPath = storagePaths.signedReport(
+    report.organizationId,
+    report._id,
+    reportVersion.version,
+    sha256.slice(0, 16)
+  );
+  const storage = getStorage();
+  await storage.upload(signedPdfPath, buffer, {
+    contentType: 'application/pdf',
+    metadata: { reportId: report._id.toString(), version: String(reportVersion.version), sha256 },
+  });
+
+  const completedAt = new Date();
+  const result = await Report.updateOne(
+    {
+      _id: report._id,
+      versions: { $elemMatch: { version: reportVersion.version, 'signing.status': signingStatuses.PENDING } },
+    },
+    {
+      $set: {
+        'versions.$.signing.status': signingStatuses.COMPLETED,
+        'versions.$.signing.completedAt': completedAt,
+        'versions.$.signing.signedPdfPath': signedPdfPath,
+        'versions.$.signing.signedPdfSha256': sha256,
+      },
+    }
+  );
+  if (!result.nModified) {
+    await storage.delete(signedPdfPath).catch(() => {});
+    return null;
+  }
+
+  logger.info({ reportId: report._id.toString(), version: reportVersion.version, sha256 }, 'Signed report sealed');
+
+  dispatchWebhookEvent({
+    organizationId: report.organizationId,
+    event: webhookEvents.REPORT_SIGNED,
+    data: {
+      reportId: report._id.toString(),
+      inspectionId: report.inspectionId.toString(),
+      version: reportVersion.version,
+      sha256,
+      completedAt,
+      parties: signing.parties.map((party) => ({ name: party.name, role: party.role, signedAt: party.signature.signedAt })),
+    },
+  });
+  await Promise.all(
+    signing.parties.map((party) =>
+      emailService
+        .sendReportSignedEmail(party.email, { partyName: party.name, reportTitle: reportVersion.title, sha256 })
+        .catch((err) =>
+          logger.error({ err: err.message, partyId: party._id.toString() }, 'Failed to send signed report email')
+        )
+    )
+  );
+
+  return { ...signing, status: signingStatuses.COMPLETED, completedAt, signedPdfPath, signedPdfSha256: sha256 };
+};
+
+/**
+ * Record a party's signature. When it is the last one, the signed PDF is
+ * rendered straight away; if that fails the signature is kept and sealing
+ * can be retried.
+ * @param {Object} params
+ * @param {string} params.token
+ * @param {string} params.method - drawn | typed
+ * @param {string} [params.typedName] - Required for typed signatures
+ * @param {string} [params.image] - PNG data URL, required for drawn signatures
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<Object>} Signing session after signing
+ */
+const signReport = async ({ token, method, typedName, image, ipAddress, userAgent }) => {
+  const { report, reportVersion, party } = await resolveSigningToken(token);
+  if (reportVersion.signing.status !== signingStatuses.PENDING || party.status !== signingPartyStatuses.PENDING) {
+    throw new ApiError(httpStatus.CONFLICT, 'This report has already been signed');
+  }
+
+  const signature = { method, signedAt: new Date(), ipAddress, userAgent };
+  let imagePath;
+  if (method === signatureMethods.DRAWN) {
+    const imageBuffer = parseSignatureImage(image);
+    imagePath = storagePaths.reportSignature(report.organizationId, report._id, reportVersion.version, party._id);
+    await getStorage().upload(imagePath, imageBuffer, { contentType: 'image/png' });
+    signature.imagePath = imagePath;
+  } else {
+    signature.typedName = typedName.trim();
+  }
+
+  const result = await Report.updateOne(
+    { _id: report._id },
+    {
+      $set: {
+        'versions.$[v].signing.parties.$[p].status': signingPartyStatuses.SIGNED,
+        'versions.$[v].signing.parties.$[p].signature': signature,
+      },
+    },
+    {
+      arrayFilters: [
+        { 'v.version': reportVersion.version, 'v.signing.status': signingStatuses.PENDING },
+        { 'p._id': party._id, 'p.status': signingPartyStatuses.PENDING },
+      ],
+    }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'This report has already been signed');
+  }
+
+  logger.info(
+    { reportId: report._id.toString(), version: reportVersion.version, partyId: party._id.toString() },
+    'Report signed'
+  );
+
+  try {
+    await sealSignedReport({ reportId: report._id, version: reportVersion.version });
+  } catch (err) {
+    logger.error({ err, reportId: report._id.toString() }, 'Failed to render the signed report');
+  }
+
+  return getSigningSession({ token });
+};
+
+/**
+ * Retry rendering the signed PDF of a version every party has signed
+ * @param {Object} params
+ * @param {string} params.reportId
+ * @param {string} params.organizationId
+ * @param {number} [params.version]
+ * @returns {Promise<Object>} Signing state
+ */
+const retrySealSignedReport = async ({ reportId, organizationId, version }) => {
+  const report = await findReport({ reportId, organizationId });
+  const reportVersion = getReportVersion(report, version);
+  const { signing } = reportVersion;
+  if (
+    !signing ||
+    signing.status !== signingStatuses.PENDING ||
+    signing.parties.some((party) => party.status !== signingPartyStatuses.SIGNED)
+  ) {
+    throw new ApiError(httpStatus.CONFLICT, 'Not every party has signed this report version');
+  }
+
+  await sealSignedReport({ reportId: report._id, version: reportVersion.version });
+  return getSigningStatus({ reportId, organizationId, version: reportVersion.version });
+};
+
+/**
+ * Look up a signed report by the SHA-256 of a PDF. Anyone can check a copy;
+ * no match means the copy is not a signed report or was altered.
+ * @param {Object} params
+ * @param {string} params.sha256
+ * @returns {Promise<Object>}
+ */
+const verifySignedReport = async ({ sha256 }) => {
+  const fingerprint = sha256.toLowerCase();
+  const report = await Report.findOne({ 'versions.signing.signedPdfSha256': fingerprint }).lean();
+  const reportVersion =
+    report && report.versions.find((candidate) => candidate.signing && candidate.signing.signedPdfSha256 === fingerprint);
+  if (!reportVersion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'No signed report matches this fingerprint');
+  }
+
+  const { signing } = reportVersion;
+  return {
+    valid: true,
+    sha256: fingerprint,
+    reportTitle: reportVersion.title,
+    version: reportVersion.version,
+    completedAt: signing.completedAt,
+    parties: signing.parties.map((party) => ({
+      name: party.name,
+      role: party.role,
+      method: party.signature.method,
+      signedAt: party.signature.signedAt,
+    })),
+  };
+};
+
+module.exports = {
+  hashToken,
+  parseSignatureImage,
+  buildSignatureCaption,
+  requestSignatures,
+  getSigningStatus,
+  cancelSigning,
+  resendSigningLink,
+  getSigningSession,
+  signReport,
+  sealSignedReport,
+  retrySealSignedReport,
+  verifySignedReport,
+};
@@ -0,0 +1,427 @@
+/**
+ * Sync Service
+ *
+ * Offline-first sync for the mobile inspection app. The app queues
+ * mutations while it has no signal and sends them in one batch when it is
+ * back online. Each mutation carries a client-generated id, so a batch that is
+ * resent after a dropped connection is only applied once, and the version of
+ * the room or inspection the client last saw. When the server copy changed in
+ * the meantime (another user, or the worker reorganising rooms) the mutation
+ * is reported as a conflict with the current server copy instead of being
+ * applied. The response also carries every inspection that changed since the
+ * client's sync cursor.
+ *
+ * Versions are content fingerprints of the fields a mutation depends on, so
+ * every writer (API, worker) changes them without having to maintain a counter.
+ *
+ * @module services/sync
+ */
+
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const mongoose = require('mongoose');
+const { Inspection } = require('../models/inspection.model');
+const SyncMutation = require('../models/syncMutation.model');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const { syncMutationTypes, syncResultStatuses, syncLimits } = require('../config/sync');
+const {
+  assertInspectionAccess,
+  buildInspectionAccessFilter,
+  inspectionAccessLevels,
+} = require('./inspectionAccess.service');
+const inspectionLifecycleService = require('./inspectionLifecycle.service');
+const photoRegistrationService = require('./photoRegistration.service');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+/** Inspections sent on a first sync, without a cursor */
+const ACTIVE_STATUSES = [
+  inspectionStatuses.DRAFT,
+  inspectionStatuses.SCHEDULED,
+  inspectionStatuses.IN_PROGRESS,
+  inspectionStatuses.IN_REVIEW,
+];
+
+const PHOTO_SNAPSHOT_FIELDS = [
+  '_id',
+  'storagePath',
+  'thumbnailUrl',
+  'originalFilename',
+  'capturedAt',
+  'pendingClassification',
+  'roomClassification',
+  'condition',
+  'issues',
+  'aiSummary',
+  'qualityWarnings',
+  'updatedAt',
+];
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+
+/**
+ * Version of a room: changes whenever its name, order, notes, rating or photos change
+ * @param {Object} room
+ * @returns {string}
+ */
+const getRoomVersion = (room) =>
+  fingerprint({
+    name: room.name,
+    displayOrder: room.displayOrder || 0,
+    conditionRating: room.conditionRating || null,
+    notes: room.notes || '',
+    photos: (room.photos || []).map((photo) => photo._id.toString()),
+  });
+
+/**
+ * Version of an inspection: changes with its status, schedule and any of its rooms
+ * @param {Object} inspection
+ * @returns {string}
+ */
+const getInspectionVersion = (inspection) =>
+  fingerprint({
+    status: inspection.status,
+    scheduledFor: inspection.scheduledFor ? new Date(inspection.scheduledFor).toISOString() : null,
+    rooms: (inspection.rooms || []).map((room) => [room._id.toString(), getRoomVersion(room)]),
+  });
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Room as sent to the app, with its version
+ * @param {Object} room
+ * @returns {Object}
+ */
+const toRoomSnapshot = (room) => {
+  const plain = toPlain(room);
+  return {
+    _id: plain._id,
+    clientId: plain.clientId,
+    name: plain.name,
+    displayOrder: plain.displayOrder,
+    conditionRating: plain.conditionRating,
+    notes: plain.notes,
+    actions: plain.actions,
+    aiSummary: plain.aiSummary,
+    updatedAt: plain.updatedAt,
+    version: getRoomVersion(plain),
+    photos: (plain.photos || []).map((photo) =>
+      PHOTO_SNAPSHOT_FIELDS.reduce((snapshot, field) => ({ ...snapshot, [field]: photo[field] }), {})
+    ),
+  };
+};
+
+/**
+ * Inspection as sent to the app, with its version
+ * @param {Object} inspection
+ * @returns {Object}
+ */
+const toInspectionSnapshot = (inspection) => {
+  const plain = toPlain(inspection);
+  return {
+    _id: plain._id,
+    propertyId: plain.propertyId,
+    status: plain.status,
+    scheduledFor: plain.scheduledFor,
+    inspectorId: plain.inspectorId,
+    assistantIds: plain.assistantIds,
+    summary: plain.summary,
+    updatedAt: plain.updatedAt,
+    version: getInspectionVersion(plain),
+    rooms: (plain.rooms || []).map(toRoomSnapshot),
+  };
+};
+
+/**
+ * Find a room by server id, or by the client id of a room created offline
+ * @param {Object} inspection
+ * @param {string} ref
+ * @returns {Object|undefined}
+ */
+const findRoom = (inspection, ref) =>
+  (inspection.rooms || []).find((room) => room._id.toString() === ref || (room.clientId && room.clientId === ref));
+
+const applied = (result) => ({ status: syncResultStatuses.APPLIED, result });
+
+const conflict = (reason, server) => ({ status: syncResultStatuses.CONFLICT, conflict: { reason, server } });
+
+/**
+ * Create a room. A room with the same name that the client did not know
+ * about (e.g. created by the AI while the client was offline) is a conflict.
+ */
+const applyCreateRoom = async ({ mutation, inspection }) => {
+  const clientRoomId = mutation.room.clientId || mutation.clientId;
+  const existing = findRoom(inspection, clientRoomId);
+  if (existing) {
+    return applied({ room: toRoomSnapshot(existing) });
+  }
+
+  const sameName = inspection.rooms.find((room) => room.name.toLowerCase() === mutation.room.name.toLowerCase());
+  if (sameName && mutation.baseVersion !== getInspectionVersion(inspection)) {
+    return conflict('room_exists', toRoomSnapshot(sameName));
+  }
+
+  const updated = await Inspection.findOneAndUpdate(
+    { _id: inspection._id, 'rooms.clientId': { $ne: clientRoomId } },
+    {
+      $push: {
+        rooms: {
+          name: mutation.room.name,
+          clientId: clientRoomId,
+          displayOrder:
+            typeof mutation.room.displayOrder === 'number' ? mutation.room.displayOrder : inspection.rooms.length,
+          photos: [],
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  ).lean();
+
+  // Created by a concurrent request with the same room
+  const stored = updated || (await Inspection.findById(inspection._id).select('rooms').lean());
+  return applied({ room: toRoomSnapshot(findRoom(stored, clientRoomId)) });
+};
+
+/**
+ * Update the notes and/or condition rating of a room the client saw at baseVersion
+ */
+const applyUpdateRoom = async ({ mutation, inspection }) => {
+  const room = findRoom(inspection, mutation.roomId);
+  if (!room) {
+    return conflict('room_not_found', toInspectionSnapshot(inspection));
+  }
+  if (getRoomVersion(room) !== mutation.baseVersion) {
+    return conflict('room_changed', toRoomSnapshot(room));
+  }
+
+  const set = {};
+  if (mutation.changes.notes !== undefined) set['rooms.$.notes'] = mutation.changes.notes;
+  if (mutation.changes.conditionRating) set['rooms.$.conditionRating'] = mutation.changes.conditionRating;
+
+  const updated = await Inspection.findOneAndUpdate(
+    { _id: inspection._id, 'rooms._id': room._id },
+    { $set: set },
+    { new: true, runValidators: true }
+  ).lean();
+  const updatedRoom = updated && findRoom(updated, room._id.toString());
+  if (!updatedRoom) {
+    return conflict('room_not_found', toInspectionSnapshot(updated || inspection));
+  }
+
+  return applied({ room: toRoomSnapshot(updatedRoom) });
+};
+
+/**
+ * Register photos the app uploaded once it was back online. Photos already
+ * registered (same storage key) are skipped.
+ */
+const applyRegisterPhotos = async ({ mutation, inspection, user, storage }) => {
+  let room = null;
+  if (mutation.roomId) {
+    room = findRoom(inspection, mutation.roomId);
+    if (!room) {
+      return conflict('room_not_found', toInspectionSnapshot(inspection));
+    }
+  }
+
+  const registered = new Set(inspection.rooms.flatMap((candidate) => candidate.photos.map((photo) => photo.storagePath)));
+  const photos = mutation.photos.filter((photo) => !registered.has(photo.key));
+  if (!photos.length) {
+    return applied({ photoIds: [], job: null, errors: [] });
+  }
+
+  const result = await photoRegistrationService.registerInspectionPhotos({
+    inspection,
+    user,
+    photos,
+    roomId: room ? room._id.toString() : undefined,
+    storage,
+  });
+  if (!result.photos.length) {
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'None of the photos could be verified');
+  }
+
+  return applied({
+    photoIds: result.photos.map((photo) => photo._id.toString()),
+    job: result.job,
+    errors: result.errors,
+  });
+};
+
+/**
+ * Finish the inspection the client saw at baseVersion. Inspectors finish an
+ * inspection in progress by submitting it for review; an inspection in review
+ * is completed, which needs the reviewInspections right.
+ */
+const applyCompleteInspection = async ({ mutation, inspection, user }) => {
+  if (getInspectionVersion(inspection) !== mutation.baseVersion) {
+    return conflict('inspection_changed', toInspectionSnapshot(inspection));
+  }
+
+  const updated = await inspectionLifecycleService.transitionInspection({
+    inspectionId: inspection._id,
+    organizationId: inspection.organizationId,
+    user,
+    action: inspection.status === inspectionStatuses.IN_REVIEW ? 'complete' : 'submit_for_review',
+    reason: mutation.reason,
+  });
+
+  return applied({ status: updated.status });
+};
+
+const mutationHandlers = {
+  [syncMutationTypes.CREATE_ROOM]: applyCreateRoom,
+  [syncMutationTypes.UPDATE_ROOM]: applyUpdateRoom,
+  [syncMutationTypes.REGISTER_PHOTOS]: applyRegisterPhotos,
+  [syncMutationTypes.COMPLETE_INSPECTION]: applyCompleteInspection,
+};
+
+/**
+ * Apply one mutation. Mutations already applied are not applied again;
+ * mutations the server refuses (no access, invalid transition) are reported
+ * as rejected so the rest of the batch still goes through.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {Object} params.mutation
+ * @param {Object} params.storage
+ * @returns {Promise<Object>} Mutation result
+ */
+const applyMutation = async ({ user, mutation, storage }) => {
+  const { clientId, type } = mutation;
+  const userId = user.id || user._id;
+
+  const previous = await SyncMutation.findOne({ userId, clientId }).lean();
+  if (previous) {
+    return { clientId, type, status: syncResultStatuses.DUPLICATE, result: previous.result };
+  }
+
+  try {
+    // Completing is a lifecycle change; the other mutations edit evidence, which completed inspections lock
+    const access =
+      type === syncMutationTypes.COMPLETE_INSPECTION ? inspectionAccessLevels.WRITE : inspectionAccessLevels.EDIT;
+    await assertInspectionAccess({ user, inspectionId: mutation.inspectionId, access });
+    const inspection = await Inspection.findOne({ _id: mutation.inspectionId, organizationId: user.organizationId });
+
+    const outcome = await mutationHandlers[type]({ mutation, inspection, user, storage });
+    if (outcome.status === syncResultStatuses.APPLIED) {
+      await SyncMutation.create({
+        organizationId: user.organizationId,
+        userId,
+        clientId,
+        type,
+        inspectionId: inspection._id,
+        result: outcome.result,
+      }).catch((err) => {
+        // A concurrent sync of the same batch recorded it first
+        if (err.code !== 11000) throw err;
+      });
+    }
+
+    return { clientId, type, ...outcome };
+  } catch (err) {
+    if (!(err instanceof ApiError)) {
+      throw err;
+    }
+    return { clientId, type, status: syncResultStatuses.REJECTED, error: { code: err.statusCode, message: err.message } };
+  }
+};
+
+/**
+ * Decode a sync cursor
+ * @param {string} cursor
+ * @returns {{updatedAt: Date, id?: string}}
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    const updatedAt = new Date(t);
+    if (Number.isNaN(updatedAt.getTime()) || (id && !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid cursor');
+    }
+    return { updatedAt, id };
+  } catch (err) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid sync cursor');
+  }
+};
+
+const encodeCursor = (updatedAt, id) =>
+  Buffer.from(JSON.stringify({ t: new Date(updatedAt).getTime(), ...(id ? { id: id.toString() } : {}) })).toString('base64');
+
+/**
+ * Inspections the user may see that changed since the cursor, oldest change
+ * first. Without a cursor, all active inspections.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {string} [params.cursor]
+ * @param {Date} [params.now]
+ * @returns {Promise<{inspections: Object[], cursor: string, hasMore: boolean}>}
+ */
+const getDelta = async ({ user, cursor, now = new Date() }) => {
+  const filter = buildInspectionAccessFilter(user);
+  if (cursor) {
+    const { updatedAt, id } = decodeCursor(cursor);
+    // Within a page, continue strictly after the last inspection sent
+    filter.$and = [
+      id
+        ? { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: mongoose.Types.ObjectId(id) } }] }
+        : { updatedAt: { $gte: updatedAt } },
+    ];
+  } else {
+    filter.status = { $in: ACTIVE_STATUSES };
+  }
+
+  const inspections = await Inspection.find(filter)
+    .select('-statusHistory')
+    .populate('propertyId', 'name address')
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(syncLimits.inspectionsPerDelta + 1)
+    .lean();
+
+  const hasMore = inspections.length > syncLimits.inspectionsPerDelta;
+  const page = inspections.slice(0, syncLimits.inspectionsPerDelta);
+  const last = page[page.length - 1];
+
+  return {
+    inspections: page.map(toInspectionSnapshot),
+    cursor: hasMore ? encodeCursor(last.updatedAt, last._id) : encodeCursor(now.getTime() - syncLimits.cursorOverlapMs),
+    hasMore,
+  };
+};
+
+/**
+ * Apply a batch of offline mutations in order, then return the changes since the cursor
+ * @param {Object} params
+ * @param {Object} params.user - Acting user
+ * @param {Object[]} [params.mutations]
+ * @param {string} [params.cursor] - Cursor returned by the previous sync
+ * @param {Object} params.storage - Storage photos were uploaded to
+ * @returns {Promise<{results: Object[], inspections: Object[], cursor: string, hasMore: boolean}>}
+ */
+const sync = async ({ user, mutations = [], cursor, storage }) => {
+  // Taken before the mutations are applied so the next cursor cannot skip changes made meanwhile
+  const now = new Date();
+
+  const results = await mutations.reduce(
+    (previous, mutation) => previous.then(async (done) => [...done, await applyMutation({ user, mutation, storage })]),
+    Promise.resolve([])
+  );
+
+  const counts = results.reduce((acc, result) => ({ ...acc, [result.status]: (acc[result.status] || 0) + 1 }), {});
+  if (mutations.length) {
+    logger.info({ userId: (user.id || user._id).toString(), ...counts }, 'Applied offline sync batch');
+  }
+
+  const delta = await getDelta({ user, cursor, now });
+  return { results, ...delta };
+};
+
+module.exports = {
+  getRoomVersion,
+  getInspectionVersion,
+  toInspectionSnapshot,
+  applyMutation,
+  decodeCursor,
+  encodeCursor,
+  getDelta,
+  sync,
+};
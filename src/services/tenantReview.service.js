@@ -0,0 +1,585 @@
+/**
+ * Tenant Review Service
+ *
+ * Tenant portal behind an inspection share link. Within a response window
+ * the tenant can see the rooms, photos and issues of the inspection and agree
+ * with or dispute each of them, with a comment and photos of their own.
+ * Responses are stored on the inspection; when the window closes the agent
+ * who shared the link is notified.
+ *
+ * @module services/tenantReview
+ */
+
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { Inspection } = require('../models/inspection.model');
+const Issue = require('../models/issue.model');
+const Report = require('../models/report.model');
+const User = require('../models/user.model');
+const { inspectionStatuses } = require('../config/inspectionLifecycle');
+const {
+  tenantReviewStatuses,
+  tenantReviewItemTypes,
+  tenantReviewVerdicts,
+  tenantReviewLimits,
+} = require('../config/tenantReview');
+const { webhookEvents } = require('../config/webhooks');
+const { getStorage } = require('../lib/storage');
+const { canonicalImageType, verifyUploadedPhotos } = require('./photoVerification.service');
+const { resolvePhotoKey } = require('./photoDerivative.service');
+const { PENDING_ROOM_NAME } = require('./inspectionRoom.service');
+const { dispatchWebhookEvent } = require('./webhook.service');
+const emailService = require('./email.service');
+const formatAddress = require('../utils/formatAddress');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Storage folder of tenant counter-photos under the inspection prefix */
+const COUNTER_PHOTO_FOLDER = 'tenant-review';
+
+/** Lifetime of presigned photo and upload URLs handed out by the portal */
+const URL_EXPIRY_SECONDS = 3600;
+
+/** Inspections a tenant can be asked to review */
+const REVIEWABLE_STATUSES = [inspectionStatuses.IN_REVIEW, inspectionStatuses.COMPLETED];
+
+const buildReviewUrl = (token) => emailService.buildFrontendUrl(`/review/${token}`);
+
+/**
+ * Latest tenant review of an inspection
+ * @param {Object} inspection
+ * @returns {Object|null}
+ */
+const getLatestReview = (inspection) => {
+  const reviews = inspection.tenantReviews || [];
+  return reviews.length ? reviews[reviews.length - 1] : null;
+};
+
+/**
+ * Whether a review still accepts responses
+ * @param {Object} review
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isReviewOpen = (review, now = new Date()) =>
+  Boolean(review) && review.status === tenantReviewStatuses.OPEN && new Date(review.closesAt) > now;
+
+/**
+ * Number of agreed and disputed items of a review
+ * @param {Object} review
+ * @returns {{agreed: number, disputed: number}}
+ */
+const summarizeResponses = (review) =>
+  (review.responses || []).reduce(
+    (summary, response) => ({
+      agreed: summary.agreed + (response.verdict === tenantReviewVerdicts.AGREE ? 1 : 0),
+      disputed: summary.disputed + (response.verdict === tenantReviewVerdicts.DISPUTE ? 1 : 0),
+    }),
+    { agreed: 0, disputed: 0 }
+  );
+
+/**
+ * Merge submitted responses into the stored ones, one response per item.
+ * A response without counterPhotos keeps the photos already attached.
+ * @param {Object[]} existing - Stored responses
+ * @param {Object[]} submitted - Responses with verified counterPhotos (or none)
+ * @param {Date} now
+ * @returns {{responses: Object[], removedPhotoPaths: string[]}}
+ */
+const mergeResponses = (existing, submitted, now) => {
+  const keyOf = (response) => `${response.itemType}:${response.itemId.toString()}`;
+  const merged = new Map(existing.map((response) => [keyOf(response), response]));
+  const removedPhotoPaths = [];
+
+  submitted.forEach((response) => {
+    const previous = merged.get(keyOf(response));
+    const previousPhotos = (previous && previous.counterPhotos) || [];
+    const counterPhotos = response.counterPhotos || previousPhotos;
+    const kept = new Set(counterPhotos.map((photo) => photo.storagePath));
+    previousPhotos
+      .filter((photo) => !kept.has(photo.storagePath))
+      .forEach((photo) => removedPhotoPaths.push(photo.storagePath));
+
+    merged.set(keyOf(response), {
+      ...(previous || { createdAt: now }),
+      itemType: response.itemType,
+      itemId: response.itemId,
+      verdict: response.verdict,
+      comment: response.comment,
+      counterPhotos,
+      updatedAt: now,
+    });
+  });
+
+  return { responses: [...merged.values()], removedPhotoPaths };
+};
+
+/**
+ * Add or replace the inspection's share link on its report's distribution list
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} [params.previousToken]
+ * @param {string} [params.token]
+ * @param {string} [params.tenantEmail]
+ * @returns {Promise<void>}
+ */
+const updateReportDistribution = async ({ inspectionId, previousToken, token, tenantEmail }) => {
+  if (previousToken) {
+    await Report.updateOne({ inspectionId }, { $pull: { 'distribution.shareLinks': buildReviewUrl(previousToken) } });
+  }
+  if (token) {
+    const additions = { 'distribution.shareLinks': buildReviewUrl(token) };
+    if (tenantEmail) additions['distribution.sharedWithEmails'] = tenantEmail;
+    await Report.updateOne({ inspectionId }, { $addToSet: additions });
+  }
+};
+
+/**
+ * Share an inspection with its tenant for review. Only one review can be
+ * open at a time; sharing again replaces the previous link.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {Object} params.user - Agent sharing the inspection; notified when the window closes
+ * @param {string} params.tenantName
+ * @param {string} [params.tenantEmail] - Emailed the link when set
+ * @param {number} [params.responseDays] - Length of the response window
+ * @param {string} [params.message] - Included in the email
+ * @returns {Promise<Object>} Review with its token and portal URL
+ */
+const createTenantReview = async ({
+  inspectionId,
+  organizationId,
+  user,
+  tenantName,
+  tenantEmail,
+  responseDays = tenantReviewLimits.defaultResponseDays,
+  message,
+}) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId })
+    .select('status shareLinkToken tenantReviews propertyId')
+    .populate('propertyId', 'name address')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+  if (!REVIEWABLE_STATUSES.includes(inspection.status)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only inspections in review or completed can be shared with the tenant');
+  }
+
+  const now = new Date();
+  const token = crypto.randomBytes(32).toString('hex');
+  const review = {
+    tenantName,
+    tenantEmail: tenantEmail ? tenantEmail.toLowerCase() : undefined,
+    status: tenantReviewStatuses.OPEN,
+    closesAt: new Date(now.getTime() + responseDays * DAY_MS),
+    createdBy: user.id || user._id,
+    responses: [],
+  };
+
+  const result = await Inspection.updateOne(
+    { _id: inspection._id, 'tenantReviews.status': { $ne: tenantReviewStatuses.OPEN } },
+    { $set: { shareLinkToken: token }, $push: { tenantReviews: review } }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'A tenant review is already open for this inspection');
+  }
+
+  await updateReportDistribution({
+    inspectionId: inspection._id,
+    previousToken: inspection.shareLinkToken,
+    token,
+    tenantEmail: review.tenantEmail,
+  });
+
+  const property = inspection.propertyId || {};
+  if (review.tenantEmail) {
+    await emailService
+      .sendTenantReviewInviteEmail(review.tenantEmail, {
+        tenantName,
+        propertyName: property.name || 'your home',
+        address: formatAddress(property.address),
+        token,
+        closesAt: review.closesAt,
+        message,
+      })
+      .catch((err) => logger.error({ err: err.message, inspectionId }, 'Failed to send tenant review invite'));
+  }
+
+  logger.info({ inspectionId, closesAt: review.closesAt }, 'Inspection shared with tenant for review');
+  const created = getLatestReview(await Inspection.findById(inspection._id).select('tenantReviews').lean());
+  return { ...created, token, url: buildReviewUrl(token) };
+};
+
+/**
+ * Counter-photos of a response with presigned download URLs
+ * @param {Object} response
+ * @returns {Promise<Object>}
+ */
+const withCounterPhotoUrls = async (response) => {
+  const storage = getStorage();
+  const counterPhotos = await Promise.all(
+    (response.counterPhotos || []).map(async (photo) => ({
+      ...photo,
+      url: await storage.getPresignedDownloadUrl(photo.storagePath, { expiresIn: URL_EXPIRY_SECONDS }),
+    }))
+  );
+  return { ...response, counterPhotos };
+};
+
+/**
+ * Tenant reviews of an inspection, newest first, with their responses
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<Object[]>}
+ */
+const listTenantReviews = async ({ inspectionId, organizationId }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select('tenantReviews').lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  return Promise.all(
+    [...(inspection.tenantReviews || [])].reverse().map(async (review) => ({
+      ...review,
+      ...summarizeResponses(review),
+      responses: await Promise.all(review.responses.map(withCounterPhotoUrls)),
+    }))
+  );
+};
+
+/**
+ * Revoke the open tenant review; its link stops working
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @returns {Promise<void>}
+ */
+const revokeTenantReview = async ({ inspectionId, organizationId }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId })
+    .select('shareLinkToken tenantReviews')
+    .lean();
+  if (!inspection) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Inspection not found');
+  }
+
+  const review = getLatestReview(inspection);
+  const result =
+    review &&
+    (await Inspection.updateOne(
+      { _id: inspection._id },
+      {
+        $set: { 'tenantReviews.$[r].status': tenantReviewStatuses.REVOKED, 'tenantReviews.$[r].revokedAt': new Date() },
+        $unset: { shareLinkToken: 1 },
+      },
+      { arrayFilters: [{ 'r._id': review._id, 'r.status': tenantReviewStatuses.OPEN }] }
+    ));
+  if (!result || !result.nModified) {
+    throw new ApiError(httpStatus.CONFLICT, 'This inspection has no open tenant review');
+  }
+
+  await updateReportDistribution({ inspectionId: inspection._id, previousToken: inspection.shareLinkToken });
+};
+
+/**
+ * Inspection and open review of a share link
+ * @param {string} token
+ * @returns {Promise<{inspection: Object, review: Object}>}
+ */
+const resolveShareLink = async (token) => {
+  const inspection = await Inspection.findOne({ shareLinkToken: token }).populate('propertyId', 'name address').lean();
+  const review = inspection && getLatestReview(inspection);
+  if (!review || review.status === tenantReviewStatuses.REVOKED) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Review link not found');
+  }
+  if (!isReviewOpen(review)) {
+    throw new ApiError(httpStatus.GONE, 'The response window for this inspection has closed');
+  }
+  return { inspection, review };
+};
+
+/**
+ * What the tenant sees: rooms with photos, issues, and their responses so far
+ * @param {Object} params
+ * @param {string} params.token
+ * @returns {Promise<Object>}
+ */
+const getReviewPortal = async ({ token }) => {
+  const { inspection, review } = await resolveShareLink(token);
+  const storage = getStorage();
+  const property = inspection.propertyId || {};
+  const presign = (photo, size) =>
+    storage.getPresignedDownloadUrl(resolvePhotoKey(photo, size).storagePath, { expiresIn: URL_EXPIRY_SECONDS });
+
+  const [rooms, issues, responses] = await Promise.all([
+    Promise.all(
+      (inspection.rooms || [])
+        .filter((room) => room.name !== PENDING_ROOM_NAME)
+        .sort((a, b) => (a.displayOrder || 0) - (b.displayOrder || 0))
+        .map(async (room) => ({
+          id: room._id,
+          name: room.name,
+          conditionRating: room.conditionRating,
+          notes: room.notes,
+          summary: room.aiSummary,
+          photos: await Promise.all(
+            (room.photos || []).map(async (photo) => ({
+              id: photo._id,
+              caption: photo.aiSummary,
+              condition: photo.condition,
+              capturedAt: photo.capturedAt,
+              thumbnailUrl: await presign(photo, 'thumbnail'),
+              url: await presign(photo, 'medium'),
+            }))
+          ),
+        }))
+    ),
+    Issue.find({ inspectionId: inspection._id, organizationId: inspection.organizationId })
+      .select('roomId photoId label severity category recommendation status')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Promise.all(review.responses.map(withCounterPhotoUrls)),
+  ]);
+
+  return {
+    property: { name: property.name, address: property.address },
+    inspectedAt: inspection.completedAt || inspection.submittedAt || inspection.createdAt,
+    tenantName: review.tenantName,
+    closesAt: review.closesAt,
+    rooms,
+    issues: issues.map(({ _id, ...issue }) => ({ id: _id, ...issue })),
+    responses,
+  };
+};
+
+/**
+ * Presigned upload URLs for counter-photos; attach the keys to a response afterwards
+ * @param {Object} params
+ * @param {string} params.token
+ * @param {Array<{filename: string, contentType: string}>} params.files
+ * @returns {Promise<Object[]>}
+ */
+const createCounterPhotoUploads = async ({ token, files }) => {
+  const { inspection } = await resolveShareLink(token);
+  const unsupported = files.find((file) => !canonicalImageType(file.contentType));
+  if (unsupported) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `${unsupported.filename} is not a supported image (JPEG, PNG, WebP or HEIC)`);
+  }
+
+  const storage = getStorage();
+  return Promise.all(
+    files.map(async (file) => {
+      const safeName = (file.filename || 'photo').replace(/[^a-zA-Z0-9.-]/g, '-');
+      const key = storage.buildKey(
+        inspection.organizationId,
+        `inspections/${inspection._id}/${COUNTER_PHOTO_FOLDER}/${Date.now()}-${crypto.randomUUID()}-${safeName}`
+      );
+      return {
+        filename: file.filename,
+        key,
+        uploadUrl: await storage.getPresignedUploadUrl(key, {
+          contentType: file.contentType,
+          expiresIn: URL_EXPIRY_SECONDS,
+        }),
+        expiresIn: URL_EXPIRY_SECONDS,
+      };
+    })
+  );
+};
+
+/**
+ * Ids of everything on the inspection a tenant can respond to, by item type
+ * @param {Object} inspection
+ * @returns {Promise<Object<string, Set<string>>>}
+ */
+const getReviewableItemIds = async (inspection) => {
+  const rooms = inspection.rooms || [];
+  const issueIds = await Issue.find({ inspectionId: inspection._id, organizationId: inspection.organizationId }).distinct(
+    '_id'
+  );
+  return {
+    [tenantReviewItemTypes.ROOM]: new Set(rooms.map((room) => room._id.toString())),
+    [tenantReviewItemTypes.PHOTO]: new Set(
+      rooms.flatMap((room) => (room.photos || []).map((photo) => photo._id.toString()))
+    ),
+    [tenantReviewItemTypes.ISSUE]: new Set(issueIds.map((id) => id.toString())),
+  };
+};
+
+/**
+ * Record the tenant's agreement or dispute on items of the inspection.
+ * Responding to an item again replaces the earlier response.
+ * @param {Object} params
+ * @param {string} params.token
+ * @param {Array<{itemType: string, itemId: string, verdict: string, comment?: string, counterPhotos?: Object[]}>} params.responses
+ *   counterPhotos are `{key, filename, fileSize?, contentType}` of uploaded files and replace those already attached
+ * @returns {Promise<Object[]>} All responses of the review
+ */
+const submitResponses = async ({ token, responses }) => {
+  const { inspection, review } = await resolveShareLink(token);
+
+  const itemIds = await getReviewableItemIds(inspection);
+  const unknown = responses.find((response) => !itemIds[response.itemType].has(response.itemId));
+  if (unknown) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `No ${unknown.itemType} ${unknown.itemId} on this inspection`);
+  }
+
+  const storage = getStorage();
+  const storedPhotos = new Map(
+    review.responses.flatMap((response) => response.counterPhotos).map((photo) => [photo.storagePath, photo])
+  );
+  const submitted = await Promise.all(
+    responses.map(async (response) => {
+      if (!response.counterPhotos) return response;
+
+      const uploads = response.counterPhotos.filter((photo) => !storedPhotos.has(photo.key));
+      const { verified, errors } = await verifyUploadedPhotos({
+        storage,
+        organizationId: inspection.organizationId,
+        inspectionId: inspection._id,
+        photos: uploads,
+        folder: COUNTER_PHOTO_FOLDER,
+      });
+      if (errors.length) {
+        throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, `Counter-photo ${errors[0].filename}: ${errors[0].message}`);
+      }
+      const oversized = verified.find((photo) => photo.fileSize > tenantReviewLimits.maxCounterPhotoSize);
+      if (oversized) {
+        throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, `Counter-photo ${oversized.filename} is too large`);
+      }
+
+      const verifiedByKey = new Map(verified.map((photo) => [photo.key, photo]));
+      const counterPhotos = response.counterPhotos.map((photo) => {
+        if (storedPhotos.has(photo.key)) return storedPhotos.get(photo.key);
+        const upload = verifiedByKey.get(photo.key);
+        return {
+          storagePath: upload.key,
+          originalFilename: upload.filename,
+          fileSize: upload.fileSize,
+          mimeType: upload.contentType,
+        };
+      });
+      return { ...response, counterPhotos };
+    })
+  );
+
+  const { responses: merged, removedPhotoPaths } = mergeResponses(review.responses, submitted, new Date());
+  const result = await Inspection.updateOne(
+    { _id: inspection._id, shareLinkToken: token },
+    { $set: { 'tenantReviews.$[r].responses': merged } },
+    { arrayFilters: [{ 'r._id': review._id, 'r.status': tenantReviewStatuses.OPEN, 'r.closesAt': { $gt: new Date() } }] }
+  );
+  if (!result.nModified) {
+    throw new ApiError(httpStatus.GONE, 'The response window for this inspection has closed');
+  }
+
+  if (removedPhotoPaths.length) {
+    await storage
+      .deleteMany(removedPhotoPaths)
+      .catch((err) =>
+        logger.warn({ err: err.message, inspectionId: inspection._id.toString() }, 'Failed to delete counter-photos')
+      );
+  }
+
+  logger.info({ inspectionId: inspection._id.toString(), responses: responses.length }, 'Tenant review responses recorded');
+  const updated = getLatestReview(await Inspection.findById(inspection._id).select('tenantReviews').lean());
+  return Promise.all(updated.responses.map(withCounterPhotoUrls));
+};
+
+/**
+ * Notify the agent who shared the inspection that its review closed
+ * @param {Object} inspection - With populated propertyId
+ * @param {Object} review
+ * @returns {Promise<void>}
+ */
+const notifyReviewClosed = async (inspection, review) => {
+  const summary = summarizeResponses(review);
+
+  dispatchWebhookEvent({
+    organizationId: inspection.organizationId,
+    event: webhookEvents.TENANT_REVIEW_CLOSED,
+    data: {
+      inspectionId: inspection._id.toString(),
+      reviewId: review._id.toString(),
+      closesAt: review.closesAt,
+      ...summary,
+    },
+  });
+
+  const agent = await User.findById(review.createdBy).select('email').lean();
+  if (!agent) return;
+
+  try {
+    await emailService.sendTenantReviewClosedEmail(agent.email, {
+      inspectionId: inspection._id.toString(),
+      propertyName: (inspection.propertyId && inspection.propertyId.name) || 'the property',
+      tenantName: review.tenantName,
+      ...summary,
+    });
+    await Inspection.updateOne(
+      { _id: inspection._id },
+      { $set: { 'tenantReviews.$[r].agentNotifiedAt': new Date() } },
+      { arrayFilters: [{ 'r._id': review._id }] }
+    );
+  } catch (err) {
+    logger.warn(
+      { err: err.message, inspectionId: inspection._id.toString() },
+      'Failed to notify agent of closed tenant review'
+    );
+  }
+};
+
+/**
+ * Close tenant reviews whose response window has ended and notify their
+ * agents. Each review is claimed first, so an agent is notified once.
+ * @param {Object} [params]
+ * @param {Date} [params.now]
+ * @returns {Promise<number>} Number of reviews closed
+ */
+const closeExpiredTenantReviews = async ({ now = new Date() } = {}) => {
+  const cursor = Inspection.find({
+    tenantReviews: { $elemMatch: { status: tenantReviewStatuses.OPEN, closesAt: { $lte: now } } },
+  })
+    .select('organizationId propertyId tenantReviews')
+    .populate('propertyId', 'name')
+    .lean()
+    .cursor();
+
+  let closed = 0;
+  await cursor.eachAsync(async (inspection) => {
+    const review = inspection.tenantReviews.find(
+      (candidate) => candidate.status === tenantReviewStatuses.OPEN && new Date(candidate.closesAt) <= now
+    );
+    const claim = await Inspection.updateOne(
+      { _id: inspection._id },
+      { $set: { 'tenantReviews.$[r].status': tenantReviewStatuses.CLOSED, 'tenantReviews.$[r].closedAt': now } },
+      { arrayFilters: [{ 'r._id': review._id, 'r.status': tenantReviewStatuses.OPEN }] }
+    );
+    if (!claim.nModified) return;
+
+    closed += 1;
+    await notifyReviewClosed(inspection, review);
+  });
+
+  if (closed) {
+    logger.info({ closed }, 'Closed expired tenant reviews');
+  }
+  return closed;
+};
+
+module.exports = {
+  isReviewOpen,
+  summarizeResponses,
+  mergeResponses,
+  createTenantReview,
+  listTenantReviews,
+  revokeTenantReview,
+  getReviewPortal,
+  createCounterPhotoUploads,
+  submitResponses,
+  closeExpiredTenantReviews,
+};
@@ -0,0 +1,578 @@
+/**
+ * Video Ingest Service
+ *
+ * Turns walkthrough videos into inspection photos. Videos are uploaded on the
+ * presigned upload flow and registered here; the worker then pulls candidate
+ * frames with ffmpeg (on scene changes, and at a regular interval so slow pans
+ * are covered too), drops near-duplicates by perceptual hash keeping the
+ * sharpest frame of each group, and registers what is left as photos pending
+ * classification, so they go through the same classify-and-analyze job as
+ * photos taken one by one. Every extracted photo records the video and the
+ * position in it that it came from.
+ *
+ * @module services/videoIngest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const httpStatus = require('http-status');
+const sharp = require('sharp');
+const { Inspection } = require('../models/inspection.model');
+const { VIDEO_TYPE_ALIASES, videoStatuses, videoIngestLimits } = require('../config/videoIngest');
+const config = require('../config/config');
+const jobService = require('./job.service');
+const photoRegistrationService = require('./photoRegistration.service');
+const { isKeyInInspectionPrefix } = require('./photoVerification.service');
+const inspectionQueue = require('../queues/inspection.bullmq');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const execFileAsync = util.promisify(execFile);
+
+/** Bytes read from the start of each object for type sniffing */
+const SNIFF_LENGTH = 16;
+
+/** MP4 and QuickTime share a container format and phones label them loosely */
+const ISO_MEDIA_TYPES = ['video/mp4', 'video/quicktime'];
+
+/** Leading atoms of QuickTime files written without an ftyp box */
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip'];
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1', 'avif'];
+
+/**
+ * Map a declared content type to its canonical video type
+ * @param {string} contentType
+ * @returns {string|null}
+ */
+const canonicalVideoType = (contentType) => {
+  const normalized = (contentType || '').split(';')[0].trim().toLowerCase();
+  const match = Object.entries(VIDEO_TYPE_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Whether a declared content type is an accepted video type
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+const isVideoContentType = (contentType) => Boolean(canonicalVideoType(contentType));
+
+/**
+ * Detect a video type from its leading bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} Canonical content type, or null when not a supported video
+ */
+const detectVideoType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+    return 'video/webm';
+  }
+  const box = buffer.toString('ascii', 4, 8);
+  if (box === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (HEIF_BRANDS.includes(brand)) {
+      return null;
+    }
+    return brand === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+  return QUICKTIME_ATOMS.includes(box) ? 'video/quicktime' : null;
+};
+
+const isCompatibleVideoType = (declaredType, detectedType) =>
+  declaredType === detectedType || (ISO_MEDIA_TYPES.includes(declaredType) && ISO_MEDIA_TYPES.includes(detectedType));
+
+/**
+ * Verify one video registration against storage, like photo verification
+ * @param {Object} params
+ * @param {import('../lib/storage/storage.interface')} params.storage
+ * @param {string} params.organizationId
+ * @param {string} params.inspectionId
+ * @param {{key: string, filename: string, fileSize?: number, contentType: string}} params.video
+ * @param {number} params.index
+ * @returns {Promise<{video?: Object, error?: Object}>}
+ */
+const verifyUploadedVideo = async ({ storage, organizationId, inspectionId, video, index }) => {
+  const fail = (code, message) => ({ error: { index, key: video.key, filename: video.filename, code, message } });
+
+  if (!isKeyInInspectionPrefix(video.key, { organizationId, inspectionId, folder: 'videos' })) {
+    return fail('forbidden_key', 'Key does not belong to this inspection');
+  }
+
+  const declaredType = canonicalVideoType(video.contentType);
+  if (!declaredType) {
+    return fail('content_type_mismatch', `Content type ${video.contentType} is not a supported video (MP4, MOV or WebM)`);
+  }
+
+  let metadata;
+  try {
+    metadata = await storage.getMetadata(video.key);
+  } catch (error) {
+    if (error.statusCode === httpStatus.NOT_FOUND) {
+      return fail('not_found', 'No uploaded file found for this key');
+    }
+    logger.warn({ err: error.message, key: video.key }, 'Failed to read uploaded video metadata');
+    return fail('storage_error', 'Could not verify the uploaded file, please retry');
+  }
+
+  if (typeof video.fileSize === 'number' && video.fileSize > 0 && video.fileSize !== metadata.size) {
+    return fail('size_mismatch', `Declared size ${video.fileSize} does not match uploaded size ${metadata.size}`);
+  }
+  if (metadata.size > videoIngestLimits.maxFileSize) {
+    return fail('too_large', `Videos can be at most ${Math.round(videoIngestLimits.maxFileSize / (1024 * 1024))} MB`);
+  }
+
+  let header;
+  try {
+    header = await storage.downloadRange(video.key, 0, SNIFF_LENGTH - 1);
+  } catch (error) {
+    logger.warn({ err: error.message, key: video.key }, 'Failed to read uploaded video header');
+    return fail('storage_error', 'Could not verify the uploaded file, please retry');
+  }
+
+  const detectedType = detectVideoType(header);
+  if (!detectedType) {
+    return fail('not_a_video', 'Uploaded file is not a supported video (MP4, MOV or WebM)');
+  }
+  if (!isCompatibleVideoType(declaredType, detectedType)) {
+    return fail('content_type_mismatch', `File content is ${detectedType} but was declared as ${video.contentType}`);
+  }
+
+  return { video: { ...video, fileSize: metadata.size, contentType: detectedType } };
+};
+
+/**
+ * Set fields of a video subdocument
+ * @param {string} inspectionId
+ * @param {string} videoId
+ * @param {Object} fields
+ * @param {string[]} [unset]
+ * @returns {Promise<void>}
+ */
+const updateVideo = async (inspectionId, videoId, fields, unset = []) => {
+  const update = {
+    $set: Object.entries(fields).reduce((acc, [key, value]) => ({ ...acc, [`videos.$.${key}`]: value }), {}),
+  };
+  if (unset.length) {
+    update.$unset = unset.reduce((acc, key) => ({ ...acc, [`videos.$.${key}`]: 1 }), {});
+  }
+  await Inspection.updateOne({ _id: inspectionId, 'videos._id': videoId }, update);
+};
+
+/**
+ * Register uploaded walkthrough videos on an inspection and queue one ingest job per video
+ * @param {Object} params
+ * @param {Document} params.inspection - Inspection document (saved here)
+ * @param {Object} params.user - Acting user
+ * @param {Object[]} params.videos - Uploads: {key, filename, fileSize, contentType}
+ * @param {Object} params.storage - Storage the videos were uploaded to
+ * @returns {Promise<{videos: Object[], jobs: Object[], errors: Object[]}>}
+ */
+const registerInspectionVideos = async ({ inspection, user, videos, storage }) => {
+  if (videos.length > videoIngestLimits.videosPerRequest) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Maximum ${videoIngestLimits.videosPerRequest} videos allowed per request`);
+  }
+
+  const results = await Promise.all(
+    videos.map((video, index) =>
+      verifyUploadedVideo({
+        storage,
+        organizationId: user.organizationId.toString(),
+        inspectionId: inspection._id.toString(),
+        video,
+        index,
+      })
+    )
+  );
+  const verified = results.filter((result) => result.video).map((result) => result.video);
+  const errors = results.filter((result) => result.error).map((result) => result.error);
+
+  if (!verified.length) {
+    return { videos: [], jobs: [], errors };
+  }
+
+  const entries = await Promise.all(
+    verified.map(async (upload) => {
+      const video = inspection.videos.create({
+        storagePath: upload.key,
+        originalFilename: upload.filename,
+        fileSize: upload.fileSize,
+        mimeType: upload.contentType,
+        status: videoStatuses.QUEUED,
+        uploadedBy: user.id,
+      });
+      const job = await jobService.createJob({
+        inspectionId: inspection._id,
+        organizationId: user.organizationId,
+        type: 'inspection.video_ingest',
+        payload: { videoId: video._id.toString() },
+        totalUnits: 1,
+        createdBy: user.id,
+      });
+      video.jobId = job._id;
+      inspection.videos.push(video);
+      return { video, job };
+    })
+  );
+
+  await inspection.save();
+  logger.info({ inspectionId: inspection._id.toString(), videos: entries.length }, 'Registered inspection videos');
+
+  const jobs = await Promise.all(
+    entries.map(async ({ video, job }) => {
+      try {
+        const queuedJob = await jobService.markJobQueued({ jobId: job._id });
+        await inspectionQueue.publishVideoIngestJob({
+          jobId: job._id.toString(),
+          inspectionId: inspection._id.toString(),
+          organizationId: user.organizationId.toString(),
+          payload: { videoId: video._id.toString() },
+        });
+        return { id: job._id, videoId: video._id, status: queuedJob.status };
+      } catch (error) {
+        logger.error({ err: error, videoId: video._id.toString() }, 'Failed to queue video ingest job');
+        await jobService.markJobFailed({ jobId: job._id, error });
+        await updateVideo(inspection._id, video._id, { status: videoStatuses.FAILED, error: error.message });
+        return { id: job._id, videoId: video._id, status: 'failed' };
+      }
+    })
+  );
+
+  return { videos: entries.map(({ video }) => video), jobs, errors };
+};
+
+/**
+ * Run ffmpeg or ffprobe
+ * @param {string} command - Executable path
+ * @param {string[]} args
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+const runTool = async (command, args) => {
+  try {
+    return await execFileAsync(command, args, {
+      timeout: videoIngestLimits.ffmpegTimeoutMs,
+      maxBuffer: 20 * 1024 * 1024,
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${command} is not installed (set FFMPEG_PATH and FFPROBE_PATH)`);
+    }
+    const lastLine = (error.stderr || '').trim().split('\n').pop();
+    throw new Error(`${path.basename(command)} failed: ${lastLine || error.message}`);
+  }
+};
+
+/**
+ * Read duration, creation time and whether there is a video stream from ffprobe JSON output
+ * @param {string} output
+ * @returns {{durationMs: number|null, createdAt: Date|null, hasVideo: boolean}}
+ */
+const parseProbeOutput = (output) => {
+  let probe;
+  try {
+    probe = JSON.parse(output);
+  } catch (error) {
+    return { durationMs: null, createdAt: null, hasVideo: false };
+  }
+
+  const format = probe.format || {};
+  const duration = parseFloat(format.duration);
+  const createdAt = format.tags && format.tags.creation_time ? new Date(format.tags.creation_time) : null;
+
+  return {
+    durationMs: Number.isFinite(duration) ? Math.round(duration * 1000) : null,
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : null,
+    hasVideo: (probe.streams || []).some((stream) => stream.codec_type === 'video'),
+  };
+};
+
+/**
+ * Presentation timestamps of the frames ffmpeg wrote, from showinfo log lines, in output order
+ * @param {string} log - ffmpeg stderr
+ * @returns {number[]} Milliseconds from the start of the video
+ */
+const parseFrameTimestamps = (log) =>
+  (log || '')
+    .split('\n')
+    .filter((line) => line.includes('Parsed_showinfo'))
+    .map((line) => line.match(/\bpts_time:\s*(-?[\d.]+)/))
+    .filter(Boolean)
+    .map((match) => Math.max(0, Math.round(parseFloat(match[1]) * 1000)));
+
+/**
+ * Extract candidate frames: the first frame, frames after a scene change and
+ * at least one frame per sampling interval. Long videos get a longer interval
+ * so the candidates cover the whole video.
+ * @param {Object} params
+ * @param {string} params.videoPath
+ * @param {string} params.outputDir
+ * @param {number|null} params.durationMs
+ * @returns {Promise<Array<{path: string, timestampMs: number}>>} In video order
+ */
+const extractCandidateFrames = async ({ videoPath, outputDir, durationMs }) => {
+  const limits = videoIngestLimits;
+  const interval = Math.max(limits.sampleIntervalSeconds, (durationMs || 0) / 1000 / limits.maxCandidateFrames);
+  const select = [
+    'isnan(prev_selected_t)',
+    `gte(t-prev_selected_t,${interval.toFixed(2)})`,
+    `gt(scene,${limits.sceneThreshold})*gte(t-prev_selected_t,${limits.minFrameGapSeconds})`,
+  ].join('+');
+
+  const { stderr } = await runTool(config.video.ffmpegPath, [
+    '-hide_banner',
+    '-nostats',
+    '-loglevel',
+    'info',
+    '-i',
+    videoPath,
+    '-vf',
+    `select='${select}',scale='min(${limits.frameMaxWidth},iw)':-2,showinfo`,
+    '-vsync',
+    'vfr',
+    '-frames:v',
+    String(limits.maxCandidateFrames),
+    '-q:v',
+    '2',
+    path.join(outputDir, 'frame-%04d.jpg'),
+  ]);
+
+  const timestamps = parseFrameTimestamps(stderr);
+  const files = (await fs.readdir(outputDir)).filter((name) => /^frame-\d+\.jpg$/.test(name)).sort();
+
+  // Frames whose position could not be read cannot be linked back to the video
+  return files
+    .map((name, index) => ({ path: path.join(outputDir, name), timestampMs: timestamps[index] }))
+    .filter((frame) => frame.timestampMs !== undefined);
+};
+
+/**
+ * 64-bit difference hash of an image, as a string of bits
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+const computeFrameHash = async (buffer) => {
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = '';
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      hash += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? '1' : '0';
+    }
+  }
+  return hash;
+};
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const hashDistance = (a, b) => Array.from(a).filter((bit, index) => bit !== b[index]).length;
+
+/**
+ * Pick representative frames: of each group of near-identical frames keep the
+ * sharpest, then thin out evenly when more than `maxFrames` are left
+ * @param {Array<{hash: string, sharpness: number, timestampMs: number}>} frames - In video order
+ * @param {Object} [options]
+ * @param {number} [options.duplicateHashDistance]
+ * @param {number} [options.maxFrames]
+ * @returns {Object[]} Selected frames in video order
+ */
+const selectDistinctFrames = (
+  frames,
+  { duplicateHashDistance = videoIngestLimits.duplicateHashDistance, maxFrames = videoIngestLimits.maxFrames } = {}
+) => {
+  const kept = [];
+  frames.forEach((frame) => {
+    const duplicateIndex = kept.findIndex((candidate) => hashDistance(candidate.hash, frame.hash) < duplicateHashDistance);
+    if (duplicateIndex === -1) {
+      kept.push(frame);
+    } else if (frame.sharpness > kept[duplicateIndex].sharpness) {
+      kept[duplicateIndex] = frame;
+    }
+  });
+  kept.sort((a, b) => a.timestampMs - b.timestampMs);
+
+  if (kept.length <= maxFrames) {
+    return kept;
+  }
+  return Array.from({ length: maxFrames }, (_, index) => kept[Math.floor((index * kept.length) / maxFrames)]);
+};
+
+/**
+ * Read a frame and compute what frame selection needs
+ * @param {{path: string, timestampMs: number}} frame
+ * @returns {Promise<Object>}
+ */
+const describeFrame = async (frame) => {
+  const buffer = await fs.readFile(frame.path);
+  const [hash, stats] = await Promise.all([computeFrameHash(buffer), sharp(buffer).stats()]);
+  return { ...frame, hash, sharpness: stats.sharpness, fileSize: buffer.length };
+};
+
+/**
+ * Position in a video as used in frame file names, e.g. 01m05.250s
+ * @param {number} timestampMs
+ * @returns {string}
+ */
+const formatFrameTimestamp = (timestampMs) => {
+  const minutes = Math.floor(timestampMs / 60000);
+  const seconds = ((timestampMs % 60000) / 1000).toFixed(3).padStart(6, '0');
+  return `${String(minutes).padStart(2, '0')}m${seconds}s`;
+};
+
+/**
+ * Extract keyframes from a registered video and register them as photos
+ * pending classification. Videos that were already processed are skipped so
+ * retried jobs do not add the frames twice.
+ * @param {Object} params
+ * @param {string} params.inspectionId
+ * @param {string} params.organizationId
+ * @param {string} params.videoId
+ * @param {Object} params.storage
+ * @param {Function} [params.onProgress] - (progress, message) => Promise
+ * @returns {Promise<Object>} Result summary
+ */
+const ingestVideo = async ({ inspectionId, organizationId, videoId, storage, onProgress = async () => {} }) => {
+  const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).select('videos').lean();
+  if (!inspection) {
+    throw new Error('Inspection not found');
+  }
+  const video = (inspection.videos || []).find((candidate) => candidate._id.toString() === videoId.toString());
+  if (!video) {
+    return { videoId, deleted: true };
+  }
+  if (video.status === videoStatuses.PROCESSED) {
+    return { videoId, frameCount: video.frameCount, alreadyProcessed: true };
+  }
+
+  await updateVideo(inspectionId, videoId, { status: videoStatuses.PROCESSING }, ['error']);
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sitewise-video-'));
+  const uploadedKeys = [];
+  let registered = false;
+
+  try {
+    const original = await storage.download(video.storagePath);
+    const videoPath = path.join(workDir, 'source');
+    await fs.writeFile(videoPath, original.data);
+
+    const probe = parseProbeOutput(
+      (
+        await runTool(config.video.ffprobePath, [
+          '-v',
+          'error',
+          '-show_entries',
+          'stream=codec_type:format=duration:format_tags=creation_time',
+          '-of',
+          'json',
+          videoPath,
+        ])
+      ).stdout
+    );
+    if (!probe.hasVideo) {
+      throw new Error('File has no video stream');
+    }
+    if (probe.durationMs > videoIngestLimits.maxDurationSeconds * 1000) {
+      throw new Error(`Videos can be at most ${videoIngestLimits.maxDurationSeconds / 60} minutes long`);
+    }
+
+    await onProgress(20, 'Extracting keyframes...');
+    const candidates = await extractCandidateFrames({ videoPath, outputDir: workDir, durationMs: probe.durationMs });
+    if (!candidates.length) {
+      throw new Error('No frames could be extracted from the video');
+    }
+
+    // One frame at a time keeps memory flat for long videos
+    const described = await candidates.reduce(
+      (chain, frame) => chain.then(async (acc) => [...acc, await describeFrame(frame)]),
+      Promise.resolve([])
+    );
+    const frames = selectDistinctFrames(described);
+
+    await onProgress(60, `Uploading ${frames.length} keyframes...`);
+    const baseName = path
+      .basename(video.originalFilename, path.extname(video.originalFilename))
+      .replace(/[^a-zA-Z0-9.-]/g, '-');
+    const photos = await Promise.all(
+      frames.map(async (frame) => {
+        const filename = `${baseName}-${formatFrameTimestamp(frame.timestampMs)}.jpg`;
+        const key = storage.buildKey(
+          organizationId,
+          `inspections/${inspectionId}/photos/${Date.now()}-${crypto.randomUUID()}-${filename}`
+        );
+        await storage.upload(key, await fs.readFile(frame.path), { contentType: 'image/jpeg' });
+        uploadedKeys.push(key);
+        return {
+          key,
+          filename,
+          fileSize: frame.fileSize,
+          contentType: 'image/jpeg',
+          metadata: probe.createdAt ? { capturedAt: new Date(probe.createdAt.getTime() + frame.timestampMs) } : undefined,
+          sourceVideo: { videoId: video._id, timestampMs: frame.timestampMs },
+        };
+      })
+    );
+
+    await onProgress(85, 'Registering keyframes as photos...');
+    const inspectionDoc = await Inspection.findOne({ _id: inspectionId, organizationId });
+    if (!inspectionDoc) {
+      throw new Error('Inspection not found');
+    }
+    const registration = await photoRegistrationService.registerInspectionPhotos({
+      inspection: inspectionDoc,
+      user: { id: video.uploadedBy, organizationId },
+      photos,
+      storage,
+    });
+    registered = registration.photos.length > 0;
+    if (!registered) {
+      throw new Error('Extracted keyframes could not be registered');
+    }
+
+    await updateVideo(inspectionId, videoId, {
+      status: videoStatuses.PROCESSED,
+      durationMs: probe.durationMs,
+      frameCount: registration.photos.length,
+      processedAt: new Date(),
+    });
+
+    return {
+      videoId,
+      durationMs: probe.durationMs,
+      candidateFrames: candidates.length,
+      frameCount: registration.photos.length,
+      photoIds: registration.photos.map((photo) => photo._id.toString()),
+      analysisJobId: registration.job ? registration.job.id : null,
+    };
+  } catch (error) {
+    if (!registered && uploadedKeys.length) {
+      await storage.deleteMany(uploadedKeys).catch((err) => logger.warn({ err: err.message }, 'Failed to remove keyframes'));
+    }
+    await updateVideo(inspectionId, videoId, { status: videoStatuses.FAILED, error: error.message });
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  canonicalVideoType,
+  isVideoContentType,
+  detectVideoType,
+  verifyUploadedVideo,
+  registerInspectionVideos,
+  parseProbeOutput,
+  parseFrameTimestamps,
+  computeFrameHash,
+  hashDistance,
+  selectDistinctFrames,
+  formatFrameTimestamp,
+  ingestVideo,
+};
@@ -0,0 +1,188 @@
+/**
+ * Webhook Service
+ *
+ * Manages organization webhook subscriptions and delivers signed event
+ * payloads to them. Deliveries are best effort: failures are recorded on the
+ * webhook and logged, never thrown back to the caller. A webhook that keeps
+ * failing is disabled until it is re-activated.
+ *
+ * @module services/webhook
+ */
+
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const fetchImpl = require('node-fetch');
+const { AbortController } = require('abort-controller');
+const Webhook = require('../models/webhook.model');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const SIGNATURE_HEADER = 'X-Sitewise-Signature';
+const EVENT_HEADER = 'X-Sitewise-Event';
+const DELIVERY_HEADER = 'X-Sitewise-Delivery';
+
+/**
+ * Sign a raw request body with the webhook secret
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string} `sha256=<hex digest>`
+ */
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Register a webhook for an organization
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.url
+ * @param {string[]} [params.events]
+ * @param {string} [params.description]
+ * @param {string} [params.createdBy]
+ * @returns {Promise<Object>} Webhook including its signing secret (only returned here)
+ */
+const createWebhook = async ({ organizationId, url, events, description, createdBy }) => {
+  const webhook = await Webhook.create({
+    organizationId,
+    url,
+    events: events && events.length ? events : ['*'],
+    description,
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdBy,
+  });
+
+  return webhook.toObject();
+};
+
+/**
+ * List webhooks for an organization
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @returns {Promise<Object[]>}
+ */
+const listWebhooks = async ({ organizationId }) => {
+  return Webhook.find({ organizationId }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Update a webhook's url, events, description or active flag
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.webhookId
+ * @param {Object} params.updates
+ * @returns {Promise<Object>}
+ */
+const updateWebhook = async ({ organizationId, webhookId, updates }) => {
+  const set = { ...updates };
+  if (updates.active) {
+    set.failureCount = 0;
+  }
+
+  const webhook = await Webhook.findOneAndUpdate({ _id: webhookId, organizationId }, { $set: set }, { new: true }).lean();
+  if (!webhook) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Webhook not found');
+  }
+  return webhook;
+};
+
+/**
+ * Remove a webhook
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.webhookId
+ * @returns {Promise<void>}
+ */
+const deleteWebhook = async ({ organizationId, webhookId }) => {
+  const result = await Webhook.deleteOne({ _id: webhookId, organizationId });
+  if (!result.deletedCount) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Webhook not found');
+  }
+};
+
+const deliverWebhook = async (webhook, { event, deliveryId, body }) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.webhooks.timeoutMs);
+
+  try {
+    const response = await fetchImpl(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+        [EVENT_HEADER]: event,
+        [DELIVERY_HEADER]: deliveryId,
+      },
+      body,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      {
+        $set: { lastDeliveryAt: new Date(), lastResponseStatus: response.status, failureCount: 0 },
+        $unset: { lastError: 1 },
+      }
+    );
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Webhook request timed out' : error.message;
+    logger.warn({ webhookId: webhook._id.toString(), event, err: message }, 'Webhook delivery failed');
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: new Date(), lastError: message }, $inc: { failureCount: 1 } }
+    );
+    const disabled = await Webhook.updateOne(
+      { _id: webhook._id, active: true, failureCount: { $gte: config.webhooks.maxFailures } },
+      { $set: { active: false } }
+    );
+    if (disabled.nModified) {
+      logger.warn({ webhookId: webhook._id.toString() }, 'Webhook disabled after repeated failed deliveries');
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Deliver an event to every active webhook of the organization subscribed to it.
+ * Never rejects; delivery errors are recorded on the webhook.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.event - One of config/webhooks webhookEvents
+ * @param {Object} params.data - Event payload
+ * @returns {Promise<void>}
+ */
+const dispatchWebhookEvent = async ({ organizationId, event, data }) => {
+  try {
+    const webhooks = await Webhook.find({ organizationId, active: true, events: { $in: [event, '*'] } })
+      .select('+secret')
+      .lean();
+    if (!webhooks.length) {
+      return;
+    }
+
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+      id: deliveryId,
+      event,
+      organizationId,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+
+    await Promise.all(webhooks.map((webhook) => deliverWebhook(webhook, { event, deliveryId, body })));
+  } catch (error) {
+    logger.error({ err: error.message, event, organizationId }, 'Failed to dispatch webhook event');
+  }
+};
+
+module.exports = {
+  signPayload,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  dispatchWebhookEvent,
+};
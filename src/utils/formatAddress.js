@@ -0,0 +1,9 @@
+/**
+ * Single line form of a property address
+ * @param {Object} [address] - Property.address
+ * @returns {string}
+ */
+const formatAddress = (address) =>
+  address ? [address.line1, address.line2, address.city, address.state, address.postcode].filter(Boolean).join(', ') : '';
+
+module.exports = formatAddress;
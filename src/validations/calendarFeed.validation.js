@@ -0,0 +1,30 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { calendarFeedScopes } = require('../config/calendarFeeds');
+
+const createFeed = {
+  body: Joi.object().keys({
+    scope: Joi.string()
+      .valid(...Object.values(calendarFeedScopes))
+      .default(calendarFeedScopes.INSPECTOR),
+    name: Joi.string().trim().max(100),
+  }),
+};
+
+const revokeFeed = {
+  params: Joi.object().keys({
+    feedId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getFeedCalendar = {
+  params: Joi.object().keys({
+    token: Joi.string().hex().length(64).required(),
+  }),
+};
+
+module.exports = {
+  createFeed,
+  revokeFeed,
+  getFeedCalendar,
+};
@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+const listCompliancePacks = {
+  query: Joi.object().keys({
+    // Only packs for this country and state, by name or code
+    country: Joi.string().trim(),
+    state: Joi.string().trim(),
+  }),
+};
+
+const getCompliancePack = {
+  params: Joi.object().keys({
+    packId: Joi.string().required(),
+  }),
+  query: Joi.object().keys({
+    // Defaults to the latest version in effect
+    version: Joi.number().integer().min(1),
+  }),
+};
+
+module.exports = {
+  listCompliancePacks,
+  getCompliancePack,
+};
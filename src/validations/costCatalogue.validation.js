@@ -0,0 +1,29 @@
+const Joi = require('joi');
+const { issueSeverities, issueCategories } = require('../config/issues');
+
+const updateCostCatalogue = {
+  body: Joi.object()
+    .keys({
+      currency: Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z]{3}$/),
+      entries: Joi.array().items(
+        Joi.object().keys({
+          category: Joi.string()
+            .valid(...issueCategories)
+            .required(),
+          severity: Joi.string()
+            .valid(...issueSeverities)
+            .required(),
+          low: Joi.number().min(0).required(),
+          high: Joi.number().min(0).required(),
+        })
+      ),
+    })
+    .min(1),
+};
+
+module.exports = {
+  updateCostCatalogue,
+};
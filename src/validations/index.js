@@ -8,3 +8,11 @@ module.exports.adminValidation = require('./admin.validation');
 module.exports.accountValidation = require('./account.validation');
 module.exports.jobValidation = require('./job.validation');
 module.exports.reportPresetValidation = require('./reportPreset.validation');
+module.exports.webhookValidation = require('./webhook.validation');
+module.exports.issueValidation = require('./issue.validation');
+module.exports.costCatalogueValidation = require('./costCatalogue.validation');
+module.exports.compliancePackValidation = require('./compliancePack.validation');
+module.exports.calendarFeedValidation = require('./calendarFeed.validation');
+module.exports.syncValidation = require('./sync.validation');
+module.exports.tenantReviewValidation = require('./tenantReview.validation');
+module.exports.ownerValidation = require('./owner.validation');
@@ -1,10 +1,55 @@
 const Joi = require('joi');
 const { objectId } = require('./custom.validation');
+const { inspectionStatuses, inspectionTransitions } = require('../config/inspectionLifecycle');
+const { videoIngestLimits } = require('../config/videoIngest');
+const { issueSeverities, issueCategories, recheckStatuses } = require('../config/issues');
+const { searchLimits } = require('../config/search');
+const { meterTypes, meterUnits, meterReadingLimits } = require('../config/meterReadings');
+const { inventoryConditions, inventoryLimits } = require('../config/inventory');
+const { complianceItemStatuses, complianceLimits, compliancePacks } = require('../config/compliancePacks');
+const { amendmentStatuses, amendmentDecisions, amendableFields, amendmentLimits } = require('../config/amendments');
 
 const listInspections = {
   query: Joi.object().keys({
-    status: Joi.string().valid('draft', 'in_progress', 'completed'),
+    status: Joi.string().valid(...Object.values(inspectionStatuses)),
     propertyId: Joi.string(),
+    // Lead inspector or assistant
+    assigneeId: Joi.string().custom(objectId),
+    // Includes units and common areas of the owner's buildings without an owner of their own
+    ownerId: Joi.string().custom(objectId),
+    // The building and its units and common areas
+    buildingId: Joi.string().custom(objectId),
+  }),
+};
+
+const listOverdueInspections = {
+  query: Joi.object().keys({
+    propertyId: Joi.string().custom(objectId),
+    inspectorId: Joi.string().custom(objectId),
+  }),
+};
+
+const conditionRatings = ['excellent', 'good', 'fair', 'poor', 'critical', 'needs_maintenance', 'unrated'];
+
+const searchInspections = {
+  query: Joi.object().keys({
+    q: Joi.string().trim().max(200).allow(''),
+    severity: Joi.array()
+      .items(Joi.string().valid(...issueSeverities))
+      .single(),
+    category: Joi.array()
+      .items(Joi.string().valid(...issueCategories))
+      .single(),
+    roomType: Joi.array().items(Joi.string().trim().max(50)).single(),
+    condition: Joi.array()
+      .items(Joi.string().valid(...conditionRatings))
+      .single(),
+    inspectorId: Joi.string().custom(objectId),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    sortBy: Joi.string().valid('createdAt:desc', 'createdAt:asc', 'startedAt:desc', 'startedAt:asc', 'completedAt:desc'),
+    limit: Joi.number().integer().min(1).max(searchLimits.maxPageSize),
+    page: Joi.number().integer().min(1),
   }),
 };
 
@@ -14,6 +59,10 @@ const createInspection = {
       propertyId: Joi.string().required(),
       scheduledFor: Joi.date().iso().optional(),
       reportPresetId: Joi.string().custom(objectId),
+      inspectorId: Joi.string().custom(objectId),
+      assistantIds: Joi.array().items(Joi.string().custom(objectId)).max(20),
+      // Copy rooms, notes and preset from the property's last completed inspection
+      cloneFromPrevious: Joi.boolean(),
       rooms: Joi.array()
         .items(
           Joi.object().keys({
@@ -21,18 +70,29 @@ const createInspection = {
             displayOrder: Joi.number().integer().optional(),
           })
         )
-        .optional(),
+        .optional()
+        .when('cloneFromPrevious', { is: true, then: Joi.forbidden() }),
     })
     .required(),
 };
 
+const updateRecheckItem = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    recheckId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string()
+      .valid(...Object.values(recheckStatuses))
+      .required(),
+    notes: Joi.string().trim().max(2000).allow(''),
+  }),
+};
+
 const updateInspection = {
   body: Joi.object()
     .keys({
-      status: Joi.string().valid('draft', 'in_progress', 'completed'),
       scheduledFor: Joi.date().iso(),
-      startedAt: Joi.date().iso(),
-      completedAt: Joi.date().iso(),
       summary: Joi.string().allow('', null),
       aiSummary: Joi.string().allow('', null),
       reportPresetId: Joi.string().custom(objectId),
@@ -40,6 +100,18 @@ const updateInspection = {
     .min(1),
 };
 
+const assignInspectors = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      inspectorId: Joi.string().custom(objectId).allow(null),
+      assistantIds: Joi.array().items(Joi.string().custom(objectId)).max(20),
+    })
+    .min(1),
+};
+
 const addRoom = {
   body: Joi.object().keys({
     name: Joi.string().required(),
@@ -60,6 +132,43 @@ const updateRoom = {
     .min(1),
 };
 
+const deleteRoom = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const mergeRooms = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    sourceRoomId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const splitRoom = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    name: Joi.string().trim().max(200).required(),
+    photoIds: Joi.array().items(Joi.string().custom(objectId)).min(1).max(500).unique().required(),
+  }),
+};
+
+const reorderRooms = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    roomIds: Joi.array().items(Joi.string().custom(objectId)).min(1).unique().required(),
+  }),
+};
+
 const analyseRoom = {
   body: Joi.object().keys({
     observations: Joi.array().items(Joi.string()).default([]),
@@ -106,14 +215,399 @@ const registerPhotos = {
   }),
 };
 
+const registerVideos = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    videos: Joi.array()
+      .items(
+        Joi.object().keys({
+          key: Joi.string().required(),
+          filename: Joi.string().required(),
+          fileSize: Joi.number().integer().min(0).optional(),
+          contentType: Joi.string().required(),
+        })
+      )
+      .min(1)
+      .max(videoIngestLimits.videosPerRequest)
+      .required(),
+  }),
+};
+
+const getAllPhotoUrls = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    size: Joi.string().valid('original', 'thumbnail', 'medium', 'pdf').default('original'),
+  }),
+};
+
+const getPhotoUrl = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    photoId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    size: Joi.string().valid('original', 'thumbnail', 'medium', 'pdf').default('original'),
+  }),
+};
+
+const floorPlanPin = Joi.object()
+  .keys({
+    floorPlanId: Joi.string().custom(objectId).required(),
+    page: Joi.number().integer().min(1).default(1),
+    x: Joi.number().min(0).max(1).required(),
+    y: Joi.number().min(0).max(1).required(),
+  })
+  .required();
+
+const placeRoomPin = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+  body: floorPlanPin,
+};
+
+const removeRoomPin = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const placePhotoPin = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    photoId: Joi.string().custom(objectId).required(),
+  }),
+  body: floorPlanPin,
+};
+
+const removePhotoPin = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    photoId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const meterType = Joi.string().valid(...Object.values(meterTypes));
+const meterUnit = Joi.string().valid(...new Set(Object.values(meterUnits).flat()));
+
+const getMeterReadings = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const addMeterReading = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    type: meterType.required(),
+    reading: Joi.number().min(0).required(),
+    // Defaults to the usual unit of the meter type
+    unit: meterUnit,
+    serial: Joi.string().trim().max(meterReadingLimits.serialMaxLength).allow(''),
+    photoId: Joi.string().custom(objectId),
+    notes: Joi.string().trim().max(meterReadingLimits.notesMaxLength).allow(''),
+  }),
+};
+
+const updateMeterReading = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    readingId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      type: meterType,
+      reading: Joi.number().min(0),
+      unit: meterUnit,
+      serial: Joi.string().trim().max(meterReadingLimits.serialMaxLength).allow(''),
+      photoId: Joi.string().custom(objectId).allow(null),
+      notes: Joi.string().trim().max(meterReadingLimits.notesMaxLength).allow(''),
+    })
+    .min(1),
+};
+
+const deleteMeterReading = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    readingId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const extractMeterReading = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    photoId: Joi.string().custom(objectId).required(),
+    // Meter type, when known; helps read meters without a printed unit
+    type: meterType,
+    // Record the reading when it is read with enough confidence
+    save: Joi.boolean().default(false),
+  }),
+};
+
+const deletePhoto = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    photoId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const movePhotos = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    photoIds: Joi.array().items(Joi.string().custom(objectId)).min(1).max(500).unique().required(),
+    targetRoomId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const completeInspection = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().max(1000).allow(''),
+  }),
+};
+
+const transitionInspection = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      action: Joi.string()
+        .valid(...Object.keys(inspectionTransitions))
+        .required(),
+      reason: Joi.string().max(1000).allow(''),
+      scheduledFor: Joi.date().iso(),
+    })
+    .required(),
+};
+
+const getInspectionLifecycle = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const getInspectionCosts = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const compareInspections = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    otherId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const inventoryItemFields = {
+  name: Joi.string().trim().max(inventoryLimits.nameMaxLength),
+  quantity: Joi.number().integer().min(0).max(inventoryLimits.maxQuantity),
+  condition: Joi.string().valid(...Object.values(inventoryConditions)),
+  photoIds: Joi.array().items(Joi.string().custom(objectId)).max(inventoryLimits.photosPerItem),
+  notes: Joi.string().trim().max(inventoryLimits.notesMaxLength).allow(''),
+};
+
+const getInventory = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const addInventoryItem = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    ...inventoryItemFields,
+    name: inventoryItemFields.name.required(),
+  }),
+};
+
+const updateInventoryItem = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+    itemId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys(inventoryItemFields).min(1),
+};
+
+const deleteInventoryItem = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+    itemId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const suggestInventory = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    roomId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    // Room photos to suggest from; defaults to the room's first photos
+    photoIds: Joi.array().items(Joi.string().custom(objectId)).min(1).max(inventoryLimits.suggestionPhotos),
+    // Add the suggestions made with enough confidence
+    save: Joi.boolean().default(false),
+  }),
+};
+
+const getCompliance = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const selectCompliancePack = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    packId: Joi.string()
+      .valid(...new Set(compliancePacks.map((pack) => pack.id)))
+      .required(),
+    // Defaults to the latest version in effect
+    version: Joi.number().integer().min(1),
+  }),
+};
+
+const recordComplianceItem = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    key: Joi.string().required(),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string()
+      .valid(...Object.values(complianceItemStatuses))
+      .required(),
+    photoIds: Joi.array().items(Joi.string().custom(objectId)).max(complianceLimits.photosPerItem),
+    notes: Joi.string().trim().max(complianceLimits.notesMaxLength).allow(''),
+  }),
+};
+
+const listAmendments = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    status: Joi.string().valid(...Object.values(amendmentStatuses)),
+  }),
+};
+
+const requestAmendment = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().max(amendmentLimits.reasonMaxLength).required(),
+    changes: Joi.object()
+      .keys({
+        summary: Joi.string().allow('', null),
+        aiSummary: Joi.string().allow('', null),
+        rooms: Joi.array()
+          .items(
+            Joi.object()
+              .keys({
+                roomId: Joi.string().custom(objectId).required(),
+                name: Joi.string().trim(),
+                conditionRating: Joi.string().valid(
+                  'excellent',
+                  'good',
+                  'fair',
+                  'poor',
+                  'critical',
+                  'needs_maintenance',
+                  'unrated'
+                ),
+                notes: Joi.string().allow('', null),
+                actions: Joi.array().items(Joi.string()),
+                aiSummary: Joi.string().allow('', null),
+              })
+              .or(...amendableFields.room)
+          )
+          .max(amendmentLimits.roomsPerAmendment),
+      })
+      .min(1)
+      .required(),
+  }),
+};
+
+const reviewAmendment = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+    amendmentId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    decision: Joi.string()
+      .valid(...Object.values(amendmentDecisions))
+      .required(),
+    note: Joi.string().trim().max(amendmentLimits.reviewNoteMaxLength).allow(''),
+  }),
+};
+
 module.exports = {
   listInspections,
+  listOverdueInspections,
+  searchInspections,
   createInspection,
+  updateRecheckItem,
   updateInspection,
+  assignInspectors,
   addRoom,
   updateRoom,
+  deleteRoom,
+  mergeRooms,
+  splitRoom,
+  reorderRooms,
   analyseRoom,
   uploadPhotos,
   getUploadUrls,
   registerPhotos,
+  registerVideos,
+  getAllPhotoUrls,
+  getPhotoUrl,
+  deletePhoto,
+  placeRoomPin,
+  removeRoomPin,
+  placePhotoPin,
+  removePhotoPin,
+  getMeterReadings,
+  addMeterReading,
+  updateMeterReading,
+  deleteMeterReading,
+  extractMeterReading,
+  getInventory,
+  addInventoryItem,
+  updateInventoryItem,
+  deleteInventoryItem,
+  suggestInventory,
+  getCompliance,
+  selectCompliancePack,
+  recordComplianceItem,
+  listAmendments,
+  requestAmendment,
+  reviewAmendment,
+  movePhotos,
+  completeInspection,
+  transitionInspection,
+  getInspectionLifecycle,
+  getInspectionCosts,
+  compareInspections,
 };
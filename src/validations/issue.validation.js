@@ -0,0 +1,88 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { issueStatuses, issueSeverities, issueCategories, issueSources } = require('../config/issues');
+
+const statusField = Joi.string().valid(...Object.values(issueStatuses));
+const severityField = Joi.string().valid(...issueSeverities);
+const categoryField = Joi.string().valid(...issueCategories);
+const costEstimateField = Joi.object().keys({
+  low: Joi.number().min(0).required(),
+  high: Joi.number().min(Joi.ref('low')).required(),
+});
+
+const listIssues = {
+  query: Joi.object().keys({
+    propertyId: Joi.string().custom(objectId),
+    inspectionId: Joi.string().custom(objectId),
+    roomId: Joi.string().custom(objectId),
+    photoId: Joi.string().custom(objectId),
+    assignee: Joi.string().custom(objectId),
+    status: Joi.array().items(statusField).single(),
+    severity: Joi.array().items(severityField).single(),
+    category: Joi.array().items(categoryField).single(),
+    source: Joi.string().valid(...Object.values(issueSources)),
+    dueBefore: Joi.date().iso(),
+    dueAfter: Joi.date().iso(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer().min(1).max(100),
+    page: Joi.number().integer().min(1),
+  }),
+};
+
+const createIssue = {
+  body: Joi.object()
+    .keys({
+      inspectionId: Joi.string().custom(objectId).required(),
+      roomId: Joi.string().custom(objectId),
+      photoId: Joi.string().custom(objectId),
+      label: Joi.string().trim().max(500).required(),
+      severity: severityField,
+      category: categoryField,
+      recommendation: Joi.string().max(2000).allow(''),
+      status: statusField,
+      assignee: Joi.string().custom(objectId),
+      dueDate: Joi.date().iso(),
+      notes: Joi.string().max(5000).allow(''),
+      costEstimate: costEstimateField,
+    })
+    .required(),
+};
+
+const getIssue = {
+  params: Joi.object().keys({
+    issueId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateIssue = {
+  params: Joi.object().keys({
+    issueId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      label: Joi.string().trim().max(500),
+      severity: severityField,
+      category: categoryField,
+      recommendation: Joi.string().max(2000).allow(''),
+      status: statusField,
+      assignee: Joi.string().custom(objectId).allow(null),
+      dueDate: Joi.date().iso().allow(null),
+      notes: Joi.string().max(5000).allow('', null),
+      costEstimate: costEstimateField.allow(null),
+    })
+    .min(1),
+};
+
+const deleteIssue = {
+  params: Joi.object().keys({
+    issueId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  listIssues,
+  createIssue,
+  getIssue,
+  updateIssue,
+  deleteIssue,
+};
@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { ownerTypes, portfolioLimits } = require('../config/portfolio');
+
+const ownerParams = Joi.object().keys({
+  ownerId: Joi.string().custom(objectId).required(),
+});
+
+const ownerFields = {
+  type: Joi.string().valid(...Object.values(ownerTypes)),
+  referenceCode: Joi.string().trim().allow('', null),
+  email: Joi.string().trim().email().allow('', null),
+  phone: Joi.string().trim().allow('', null),
+  notes: Joi.string().max(portfolioLimits.ownerNotesMaxLength).allow('', null),
+};
+
+const createOwner = {
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().max(portfolioLimits.ownerNameMaxLength).required(),
+      ...ownerFields,
+    })
+    .required(),
+};
+
+const getOwner = {
+  params: ownerParams,
+};
+
+const updateOwner = {
+  params: ownerParams,
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().max(portfolioLimits.ownerNameMaxLength),
+      ...ownerFields,
+    })
+    .min(1),
+};
+
+const deleteOwner = {
+  params: ownerParams,
+};
+
+const getOwnerPortfolio = {
+  params: ownerParams,
+};
+
+module.exports = {
+  createOwner,
+  getOwner,
+  updateOwner,
+  deleteOwner,
+  getOwnerPortfolio,
+};
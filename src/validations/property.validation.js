@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { floorPlanLimits } = require('../config/floorPlans');
+const { photoLocationLimits } = require('../config/photoLocation');
+const { meterTypes } = require('../config/meterReadings');
+const { compliancePacks } = require('../config/compliancePacks');
+const { propertyKinds, portfolioLimits } = require('../config/portfolio');
 
 const addressSchema = Joi.object().keys({
   line1: Joi.string().required(),
@@ -9,13 +15,49 @@ const addressSchema = Joi.object().keys({
   country: Joi.string().default('Australia'),
 });
 
+const radiusMeters = Joi.number()
+  .integer()
+  .min(photoLocationLimits.minRadiusMeters)
+  .max(photoLocationLimits.maxRadiusMeters);
+
+const locationSchema = Joi.object().keys({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  radiusMeters,
+});
+
+// null goes back to the pack for the address state and country
+const compliancePackId = Joi.string()
+  .valid(...new Set(compliancePacks.map((pack) => pack.id)))
+  .allow(null);
+
+const kind = Joi.string().valid(...Object.values(propertyKinds));
+const unitNumber = Joi.string().trim().max(portfolioLimits.unitNumberMaxLength);
+
+const listProperties = {
+  query: Joi.object().keys({
+    kind,
+    buildingId: Joi.string().custom(objectId),
+    // Includes units and common areas of the owner's buildings without an owner of their own
+    ownerId: Joi.string().custom(objectId),
+  }),
+};
+
 const createProperty = {
   body: Joi.object()
     .keys({
       name: Joi.string().required(),
       referenceCode: Joi.string().allow('', null),
-      address: addressSchema.required(),
+      // Units and common areas take their building's address when omitted
+      address: addressSchema.when('buildingId', { is: Joi.exist(), otherwise: Joi.required() }),
+      // Looked up in the address gazetteer when omitted
+      location: locationSchema,
+      compliancePackId,
       metadata: Joi.object().unknown(true),
+      kind,
+      buildingId: Joi.string().custom(objectId),
+      unitNumber: unitNumber.allow(''),
+      ownerId: Joi.string().custom(objectId),
     })
     .required(),
 };
@@ -26,12 +68,151 @@ const updateProperty = {
       name: Joi.string(),
       referenceCode: Joi.string().allow('', null),
       address: addressSchema,
+      compliancePackId,
       metadata: Joi.object().unknown(true),
+      kind,
+      buildingId: Joi.string().custom(objectId).allow(null),
+      unitNumber: unitNumber.allow('', null),
+      ownerId: Joi.string().custom(objectId).allow(null),
+    })
+    .min(1),
+};
+
+const getHierarchy = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const scheduleParams = {
+  id: Joi.string().custom(objectId).required(),
+  scheduleId: Joi.string().custom(objectId).required(),
+};
+
+const listSchedules = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const createSchedule = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().max(200),
+      intervalMonths: Joi.number().integer().min(1).max(24).required(),
+      nextDueAt: Joi.date().iso().required(),
+      inspectorId: Joi.string().custom(objectId),
+      reportPresetId: Joi.string().custom(objectId),
+      active: Joi.boolean(),
+    })
+    .required(),
+};
+
+const updateSchedule = {
+  params: Joi.object().keys(scheduleParams),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().max(200),
+      intervalMonths: Joi.number().integer().min(1).max(24),
+      nextDueAt: Joi.date().iso(),
+      inspectorId: Joi.string().custom(objectId).allow(null),
+      reportPresetId: Joi.string().custom(objectId).allow(null),
+      active: Joi.boolean(),
     })
     .min(1),
 };
 
+const deleteSchedule = {
+  params: Joi.object().keys(scheduleParams),
+};
+
+const setLocation = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: locationSchema.required(),
+};
+
+const lookupLocation = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    radiusMeters,
+  }),
+};
+
+const clearLocation = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const floorPlanParams = {
+  id: Joi.string().custom(objectId).required(),
+  floorPlanId: Joi.string().custom(objectId).required(),
+};
+
+const listFloorPlans = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const addFloorPlan = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    name: Joi.string().trim().max(floorPlanLimits.nameMaxLength),
+  }),
+};
+
+const getFloorPlan = {
+  params: Joi.object().keys(floorPlanParams),
+};
+
+const updateFloorPlan = {
+  params: Joi.object().keys(floorPlanParams),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim().max(floorPlanLimits.nameMaxLength).required(),
+    })
+    .required(),
+};
+
+const deleteFloorPlan = {
+  params: Joi.object().keys(floorPlanParams),
+};
+
+const getMeterHistory = {
+  params: Joi.object().keys({
+    id: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    type: Joi.string().valid(...Object.values(meterTypes)),
+  }),
+};
+
 module.exports = {
+  listProperties,
   createProperty,
   updateProperty,
+  getHierarchy,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  setLocation,
+  lookupLocation,
+  clearLocation,
+  listFloorPlans,
+  addFloorPlan,
+  getFloorPlan,
+  updateFloorPlan,
+  deleteFloorPlan,
+  getMeterHistory,
 };
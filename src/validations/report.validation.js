@@ -1,4 +1,17 @@
 const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { signingPartyRoles, signatureMethods, signingLimits } = require('../config/signatures');
+
+const listReports = {
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1),
+    status: Joi.string(),
+    ownerId: Joi.string().custom(objectId),
+    // The building and its units and common areas
+    buildingId: Joi.string().custom(objectId),
+  }),
+};
 
 const generateReport = {
   body: Joi.object().keys({
@@ -15,7 +28,93 @@ const generatePdf = {
   }),
 };
 
+const reportParams = Joi.object().keys({
+  reportId: Joi.string().custom(objectId).required(),
+});
+
+const requestSignatures = {
+  params: reportParams,
+  body: Joi.object().keys({
+    version: Joi.number().integer().min(1),
+    parties: Joi.array()
+      .items(
+        Joi.object().keys({
+          name: Joi.string().trim().max(100).required(),
+          email: Joi.string().trim().email().required(),
+          role: Joi.string()
+            .valid(...signingPartyRoles)
+            .required(),
+        })
+      )
+      .min(1)
+      .max(signingLimits.partiesPerRequest)
+      .required(),
+    message: Joi.string().trim().max(1000).allow(''),
+  }),
+};
+
+const signingVersion = {
+  params: reportParams,
+  query: Joi.object().keys({
+    version: Joi.number().integer().min(1),
+  }),
+};
+
+const sealSignedReport = {
+  params: reportParams,
+  body: Joi.object().keys({
+    version: Joi.number().integer().min(1),
+  }),
+};
+
+const resendSigningLink = {
+  params: Joi.object().keys({
+    reportId: Joi.string().custom(objectId).required(),
+    partyId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    version: Joi.number().integer().min(1),
+  }),
+};
+
+const signingToken = {
+  params: Joi.object().keys({
+    token: Joi.string().hex().length(64).required(),
+  }),
+};
+
+const signReport = {
+  params: signingToken.params,
+  body: Joi.object().keys({
+    method: Joi.string()
+      .valid(...Object.values(signatureMethods))
+      .required(),
+    typedName: Joi.string()
+      .trim()
+      .max(100)
+      .when('method', { is: signatureMethods.TYPED, then: Joi.required(), otherwise: Joi.forbidden() }),
+    image: Joi.string()
+      .pattern(/^data:image\/png;base64,/)
+      .when('method', { is: signatureMethods.DRAWN, then: Joi.required(), otherwise: Joi.forbidden() }),
+    consent: Joi.boolean().valid(true).required(),
+  }),
+};
+
+const verifySignedReport = {
+  params: Joi.object().keys({
+    sha256: Joi.string().hex().length(64).required(),
+  }),
+};
+
 module.exports = {
+  listReports,
   generateReport,
   generatePdf,
+  requestSignatures,
+  signingVersion,
+  sealSignedReport,
+  resendSigningLink,
+  signingToken,
+  signReport,
+  verifySignedReport,
 };
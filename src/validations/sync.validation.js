@@ -0,0 +1,77 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { syncMutationTypes, syncLimits } = require('../config/sync');
+
+const { CREATE_ROOM, UPDATE_ROOM, REGISTER_PHOTOS, COMPLETE_INSPECTION } = syncMutationTypes;
+
+/** Server room id, or the client id of a room created offline */
+const roomRef = Joi.string().max(64);
+
+const onlyFor = (types, schema) =>
+  Joi.when('type', {
+    is: Joi.valid(...types),
+    then: schema.required(),
+    otherwise: Joi.forbidden(),
+  });
+
+const mutation = Joi.object().keys({
+  clientId: Joi.string().guid().required(),
+  type: Joi.string()
+    .valid(...Object.values(syncMutationTypes))
+    .required(),
+  inspectionId: Joi.string().custom(objectId).required(),
+  // Version of the room (update_room) or inspection (other types) the mutation was made against
+  baseVersion: Joi.when('type', {
+    is: Joi.valid(UPDATE_ROOM, COMPLETE_INSPECTION),
+    then: Joi.string().required(),
+    otherwise: Joi.string(),
+  }),
+  roomId: Joi.when('type', {
+    is: UPDATE_ROOM,
+    then: roomRef.required(),
+    otherwise: Joi.when('type', { is: REGISTER_PHOTOS, then: roomRef, otherwise: Joi.forbidden() }),
+  }),
+  room: onlyFor(
+    [CREATE_ROOM],
+    Joi.object().keys({
+      clientId: Joi.string().guid(),
+      name: Joi.string().trim().required(),
+      displayOrder: Joi.number().integer(),
+    })
+  ),
+  changes: onlyFor(
+    [UPDATE_ROOM],
+    Joi.object()
+      .keys({
+        notes: Joi.string().allow('', null),
+        conditionRating: Joi.string().valid('excellent', 'good', 'fair', 'needs_maintenance'),
+      })
+      .min(1)
+  ),
+  photos: onlyFor(
+    [REGISTER_PHOTOS],
+    Joi.array()
+      .items(
+        Joi.object().keys({
+          key: Joi.string().required(),
+          filename: Joi.string().required(),
+          fileSize: Joi.number().integer().min(0).optional(),
+          contentType: Joi.string().default('image/jpeg'),
+        })
+      )
+      .min(1)
+      .max(50)
+  ),
+  reason: Joi.when('type', { is: COMPLETE_INSPECTION, then: Joi.string().max(500), otherwise: Joi.forbidden() }),
+});
+
+const sync = {
+  body: Joi.object().keys({
+    cursor: Joi.string().base64(),
+    mutations: Joi.array().items(mutation).max(syncLimits.mutationsPerBatch).default([]),
+  }),
+};
+
+module.exports = {
+  sync,
+};
@@ -0,0 +1,94 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { tenantReviewItemTypes, tenantReviewVerdicts, tenantReviewLimits } = require('../config/tenantReview');
+
+const inspectionParams = Joi.object().keys({
+  id: Joi.string().custom(objectId).required(),
+});
+
+const tokenParams = Joi.object().keys({
+  token: Joi.string().hex().length(64).required(),
+});
+
+const createTenantReview = {
+  params: inspectionParams,
+  body: Joi.object().keys({
+    tenantName: Joi.string().trim().max(100).required(),
+    tenantEmail: Joi.string().trim().email(),
+    responseDays: Joi.number()
+      .integer()
+      .min(tenantReviewLimits.minResponseDays)
+      .max(tenantReviewLimits.maxResponseDays)
+      .default(tenantReviewLimits.defaultResponseDays),
+    message: Joi.string().trim().max(1000).allow(''),
+  }),
+};
+
+const listTenantReviews = {
+  params: inspectionParams,
+};
+
+const revokeTenantReview = {
+  params: inspectionParams,
+};
+
+const getReviewPortal = {
+  params: tokenParams,
+};
+
+const createCounterPhotoUploads = {
+  params: tokenParams,
+  body: Joi.object().keys({
+    files: Joi.array()
+      .items(
+        Joi.object().keys({
+          filename: Joi.string().max(200).required(),
+          contentType: Joi.string().required(),
+        })
+      )
+      .min(1)
+      .max(tenantReviewLimits.uploadsPerRequest)
+      .required(),
+  }),
+};
+
+const submitResponses = {
+  params: tokenParams,
+  body: Joi.object().keys({
+    responses: Joi.array()
+      .items(
+        Joi.object().keys({
+          itemType: Joi.string()
+            .valid(...Object.values(tenantReviewItemTypes))
+            .required(),
+          itemId: Joi.string().custom(objectId).required(),
+          verdict: Joi.string()
+            .valid(...Object.values(tenantReviewVerdicts))
+            .required(),
+          comment: Joi.string().trim().max(tenantReviewLimits.commentMaxLength).allow(''),
+          counterPhotos: Joi.array()
+            .items(
+              Joi.object().keys({
+                key: Joi.string().required(),
+                filename: Joi.string().required(),
+                fileSize: Joi.number().integer().min(0),
+                contentType: Joi.string().required(),
+              })
+            )
+            .max(tenantReviewLimits.counterPhotosPerResponse),
+        })
+      )
+      .min(1)
+      .max(tenantReviewLimits.responsesPerRequest)
+      .required(),
+  }),
+};
+
+module.exports = {
+  createTenantReview,
+  listTenantReviews,
+  revokeTenantReview,
+  getReviewPortal,
+  createCounterPhotoUploads,
+  submitResponses,
+};
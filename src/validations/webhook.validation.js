@@ -0,0 +1,44 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const config = require('../config/config');
+const { webhookEvents } = require('../config/webhooks');
+
+const eventField = Joi.string().valid(...Object.values(webhookEvents), '*');
+// Payloads carry inspection data, so plain http is only accepted for local development
+const urlField = Joi.string().uri({ scheme: config.env === 'development' ? ['https', 'http'] : ['https'] });
+
+const createWebhook = {
+  body: Joi.object()
+    .keys({
+      url: urlField.required(),
+      events: Joi.array().items(eventField).min(1),
+      description: Joi.string().max(500).allow(''),
+    })
+    .required(),
+};
+
+const updateWebhook = {
+  params: Joi.object().keys({
+    webhookId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      url: urlField,
+      events: Joi.array().items(eventField).min(1),
+      description: Joi.string().max(500).allow(''),
+      active: Joi.boolean(),
+    })
+    .min(1),
+};
+
+const deleteWebhook = {
+  params: Joi.object().keys({
+    webhookId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+};
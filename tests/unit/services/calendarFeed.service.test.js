@@ -0,0 +1,64 @@
+const { escapeText, foldLine, buildCalendar } = require('../../../src/services/calendarFeed.service');
+
+describe('Calendar feed service', () => {
+  describe('escapeText', () => {
+    test('should escape separators, backslashes and line breaks', () => {
+      expect(escapeText('Unit 2, 10 Main St; back\\door\nKeys at office')).toBe(
+        'Unit 2\\, 10 Main St\\; back\\\\door\\nKeys at office'
+      );
+    });
+  });
+
+  describe('foldLine', () => {
+    test('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Inspection')).toBe('SUMMARY:Inspection');
+    });
+
+    test('should fold lines at 75 octets without splitting characters', () => {
+      const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+    });
+  });
+
+  describe('buildCalendar', () => {
+    test('should render an event per inspection', () => {
+      const now = new Date('2026-03-01T00:00:00.000Z');
+      const calendar = buildCalendar({
+        name: 'My inspections',
+        now,
+        inspections: [
+          {
+            _id: '64b7f0c2a1b2c3d4e5f60718',
+            scheduledFor: new Date('2026-03-05T09:30:00.000Z'),
+            updatedAt: new Date('2026-02-20T12:00:00.000Z'),
+            propertyId: { name: 'Harbour View', address: { line1: '1 Main St', city: 'Sydney', state: 'NSW' } },
+            inspectorId: { name: 'Sam Lee' },
+          },
+        ],
+      });
+      const lines = calendar.split('\r\n');
+
+      expect(calendar.endsWith('\r\n')).toBe(true);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toEqual(
+        expect.arrayContaining([
+          'X-WR-CALNAME:My inspections',
+          'UID:inspection-64b7f0c2a1b2c3d4e5f60718@sitewise',
+          'DTSTAMP:20260301T000000Z',
+          'LAST-MODIFIED:20260220T120000Z',
+          'DTSTART:20260305T093000Z',
+          'DTEND:20260305T103000Z',
+          'SUMMARY:Inspection: Harbour View',
+          'LOCATION:1 Main St\\, Sydney\\, NSW',
+        ])
+      );
+      expect(calendar).toContain('/inspections/64b7f0c2a1b2c3d4e5f60718');
+      expect(lines[lines.length - 2]).toBe('END:VCALENDAR');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const { compliancePacks } = require('../../../src/config/compliancePacks');
+const {
+  normalizeJurisdiction,
+  getDefaultPack,
+  findPack,
+  evaluateCompliance,
+  recordComplianceItem,
+  checkCompletion,
+  buildComplianceCertificate,
+  buildCertificateRows,
+} = require('../../../src/services/compliance.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.populate = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+const passAll = (pack) =>
+  pack.items.map((item) => ({
+    key: item.key,
+    status: 'pass',
+    photoIds: Array.from({ length: item.evidencePhotos }, () => mongoose.Types.ObjectId()),
+  }));
+
+describe('Compliance service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDefaultPack', () => {
+    test('should map address spellings to jurisdiction codes', () => {
+      expect(normalizeJurisdiction({ state: ' Queensland ', country: 'Australia' })).toEqual({
+        country: 'AU',
+        state: 'QLD',
+      });
+      expect(normalizeJurisdiction({ state: 'Ontario', country: 'Canada' })).toEqual({ country: null, state: null });
+    });
+
+    test('should use the latest version of the state pack in effect', () => {
+      const pack = getDefaultPack({ state: 'QLD', country: 'AU' });
+
+      expect(pack).toEqual(expect.objectContaining({ id: 'au-qld-minimum-housing-standards', version: 2 }));
+    });
+
+    test('should fall back to the country pack in states without their own', () => {
+      expect(getDefaultPack({ state: 'South Australia', country: 'Australia' })).toEqual(
+        expect.objectContaining({ id: 'au-general' })
+      );
+    });
+
+    test('should return null outside the supported countries', () => {
+      expect(getDefaultPack({ state: 'CA', country: 'USA' })).toBeNull();
+      expect(getDefaultPack(undefined)).toBeNull();
+    });
+  });
+
+  describe('evaluateCompliance', () => {
+    const pack = findPack('au-general');
+
+    test('should be compliant when every mandatory item passes with its evidence', () => {
+      expect(evaluateCompliance(pack, passAll(pack))).toEqual(
+        expect.objectContaining({ outcome: 'compliant', missing: [], failed: [] })
+      );
+    });
+
+    test('should list unchecked items and passes without evidence photos', () => {
+      const records = passAll(pack).filter((record) => record.key !== 'locks');
+      records.find((record) => record.key === 'smoke_alarms').photoIds = [];
+
+      const result = evaluateCompliance(pack, records);
+
+      expect(result.outcome).toBe('incomplete');
+      expect(result.missing).toEqual([
+        { key: 'smoke_alarms', label: 'Smoke alarms', reason: 'evidence_missing', evidencePhotos: 1 },
+        { key: 'locks', label: 'Locks', reason: 'not_checked' },
+      ]);
+    });
+
+    test('should be non-compliant when a mandatory item fails', () => {
+      const records = passAll(pack).map((record) => (record.key === 'locks' ? { ...record, status: 'fail' } : record));
+
+      const result = evaluateCompliance(pack, records);
+
+      expect(result.outcome).toBe('non_compliant');
+      expect(result.failed).toEqual([{ key: 'locks', label: 'Locks', mandatory: true }]);
+    });
+  });
+
+  describe('checkCompletion', () => {
+    test('should block completion under an enforcing pack with unchecked items', async () => {
+      jest
+        .spyOn(Inspection, 'findOne')
+        .mockReturnValue(chain({ status: 'in_progress', propertyId: { address: { state: 'VIC', country: 'AU' } } }));
+      const updateOne = jest.spyOn(Inspection, 'updateOne');
+
+      await expect(checkCompletion({ inspectionId: 'inspection1', organizationId: 'org1' })).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should return warnings and pin the pack under a warning pack', async () => {
+      const pack = findPack('au-general');
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(
+        chain({
+          status: 'in_progress',
+          propertyId: { address: { state: 'SA', country: 'AU' } },
+        })
+      );
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const { warnings } = await checkCompletion({ inspectionId: 'inspection1', organizationId: 'org1' });
+
+      expect(warnings).toHaveLength(pack.items.filter((item) => item.mandatory).length);
+      expect(warnings[0]).toBe('Smoke alarms: not checked');
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'inspection1', compliance: { $exists: false } },
+        { $set: { compliance: { packId: 'au-general', version: 1, selection: 'address', items: [] } } }
+      );
+    });
+
+    test('should check against the pinned version rather than the latest', async () => {
+      const pinned = compliancePacks.find((pack) => pack.id === 'au-qld-minimum-housing-standards' && pack.version === 1);
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(
+        chain({
+          status: 'in_progress',
+          propertyId: { address: { state: 'QLD', country: 'AU' } },
+          compliance: { packId: pinned.id, version: 1, selection: 'address', items: passAll(pinned) },
+        })
+      );
+
+      await expect(checkCompletion({ inspectionId: 'inspection1', organizationId: 'org1' })).resolves.toEqual({
+        warnings: [],
+      });
+    });
+  });
+
+  describe('recordComplianceItem', () => {
+    const photoId = mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(
+        chain({
+          status: 'in_progress',
+          propertyId: { address: { state: 'NSW', country: 'AU' }, compliancePackId: null },
+          rooms: [{ photos: [{ _id: photoId }] }],
+        })
+      );
+    });
+
+    test('should pin the pack and add the item', async () => {
+      const updateOne = jest
+        .spyOn(Inspection, 'updateOne')
+        .mockResolvedValueOnce({ n: 1, nModified: 1 })
+        .mockResolvedValueOnce({ n: 0, nModified: 0 })
+        .mockResolvedValueOnce({ n: 1, nModified: 1 });
+
+      const item = await recordComplianceItem({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        user: { id: 'user1' },
+        key: 'smoke_alarms',
+        status: 'pass',
+        photoIds: [photoId.toString()],
+      });
+
+      expect(item).toEqual(expect.objectContaining({ key: 'smoke_alarms', status: 'pass', photoIds: [photoId] }));
+      expect(updateOne.mock.calls[0][1].$set.compliance).toEqual(
+        expect.objectContaining({ packId: 'au-nsw-residential-tenancy', version: 1 })
+      );
+      expect(updateOne.mock.calls[2][1]).toEqual({
+        $push: { 'compliance.items': expect.objectContaining({ key: 'smoke_alarms' }) },
+      });
+    });
+
+    test('should reject marking a required item not applicable', async () => {
+      await expect(
+        recordComplianceItem({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          user: { id: 'user1' },
+          key: 'locks',
+          status: 'not_applicable',
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+
+    test('should reject items of another pack', async () => {
+      await expect(
+        recordComplianceItem({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          user: { id: 'user1' },
+          key: 'heating',
+          status: 'pass',
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+  });
+
+  describe('buildComplianceCertificate', () => {
+    test('should describe the outcome and items of the pinned pack', () => {
+      const completedAt = new Date('2026-05-01');
+      const certificate = buildComplianceCertificate({
+        inspection: {
+          completedAt,
+          compliance: {
+            packId: 'au-general',
+            version: 1,
+            selection: 'property',
+            items: [{ key: 'pool_barrier', status: 'not_applicable', photoIds: [], notes: 'No pool' }],
+          },
+        },
+        property: { address: { state: 'VIC', country: 'AU' } },
+      });
+
+      expect(certificate).toEqual(
+        expect.objectContaining({
+          packId: 'au-general',
+          jurisdiction: 'AU',
+          outcome: 'incomplete',
+          outcomeLabel: 'Incomplete',
+          issuedAt: completedAt,
+        })
+      );
+      expect(buildCertificateRows(certificate)[1]).toEqual({
+        item: 'Pool or spa barrier',
+        status: 'N/A',
+        evidence: '-',
+        notes: 'No pool',
+      });
+    });
+
+    test('should return null when no pack applies', () => {
+      expect(buildComplianceCertificate({ inspection: {}, property: { address: { country: 'NZ' } } })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const {
+  resolveCatalogue,
+  estimateIssueCost,
+  applyCostEstimates,
+  summarizeCosts,
+  buildCostSummaryRows,
+} = require('../../../src/services/costEstimate.service');
+
+describe('Cost estimate service', () => {
+  describe('resolveCatalogue', () => {
+    test('should fall back to the default ranges and currency', () => {
+      const catalogue = resolveCatalogue(null);
+
+      expect(catalogue.currency).toBe('AUD');
+      expect(catalogue.customized).toBe(false);
+      expect(catalogue.entries).toHaveLength(21);
+      expect(catalogue.entries).toContainEqual({ category: 'structural', severity: 'high', low: 3000, high: 15000 });
+    });
+
+    test('should apply organization overrides over the defaults', () => {
+      const catalogue = resolveCatalogue({
+        currency: 'NZD',
+        entries: [{ category: 'plumbing', severity: 'low', low: 150, high: 450 }],
+      });
+
+      expect(catalogue.currency).toBe('NZD');
+      expect(catalogue.customized).toBe(true);
+      expect(catalogue.entries).toContainEqual({ category: 'plumbing', severity: 'low', low: 150, high: 450 });
+      expect(catalogue.entries).toContainEqual({ category: 'plumbing', severity: 'high', low: 1500, high: 6000 });
+    });
+  });
+
+  describe('estimateIssueCost', () => {
+    const catalogue = resolveCatalogue(null);
+
+    test('should look up the range for the issue category and severity', () => {
+      expect(estimateIssueCost(catalogue, { category: 'electrical', severity: 'medium' })).toEqual({
+        low: 300,
+        high: 1200,
+        currency: 'AUD',
+        source: 'catalogue',
+      });
+    });
+
+    test('should price uncategorised issues as other', () => {
+      expect(estimateIssueCost(catalogue, { severity: 'low' })).toMatchObject({ low: 80, high: 300 });
+    });
+  });
+
+  describe('applyCostEstimates', () => {
+    test('should keep estimates entered by hand', () => {
+      const manual = { label: 'Leak', costEstimate: { low: 50, high: 60, currency: 'AUD', source: 'manual' } };
+      const [kept, priced] = applyCostEstimates({
+        catalogue: resolveCatalogue(null),
+        issues: [manual, { label: 'Crack', severity: 'high', category: 'structural' }],
+      });
+
+      expect(kept).toEqual(manual);
+      expect(priced.costEstimate).toMatchObject({ low: 3000, high: 15000, source: 'catalogue' });
+    });
+  });
+
+  describe('summarizeCosts', () => {
+    const catalogue = resolveCatalogue(null);
+    const kitchen = {
+      _id: mongoose.Types.ObjectId(),
+      name: 'Kitchen',
+      displayOrder: 1,
+      photos: [{ _id: mongoose.Types.ObjectId(), issues: [{ label: 'Scuff', severity: 'low', category: 'cosmetic' }] }],
+    };
+    const bathroom = {
+      _id: mongoose.Types.ObjectId(),
+      name: 'Bathroom',
+      displayOrder: 0,
+      photos: [{ _id: mongoose.Types.ObjectId(), issues: [{ label: 'Leak', severity: 'high', category: 'plumbing' }] }],
+    };
+
+    test('should total tracked issues and fall back to untracked photo issues', () => {
+      const trackedIssues = [
+        {
+          roomId: bathroom._id,
+          photoId: bathroom.photos[0]._id,
+          severity: 'high',
+          category: 'plumbing',
+          status: 'open',
+          costEstimate: { low: 2000, high: 2500, currency: 'AUD', source: 'manual' },
+        },
+        { roomId: bathroom._id, severity: 'low', category: 'other', status: 'wont_fix' },
+        { severity: 'medium', category: 'safety', status: 'open' },
+      ];
+
+      const summary = summarizeCosts({ catalogue, rooms: [kitchen, bathroom], trackedIssues });
+
+      expect(summary).toEqual({
+        currency: 'AUD',
+        low: 2000 + 50 + 400,
+        high: 2500 + 250 + 1500,
+        issueCount: 3,
+        rooms: [
+          { roomId: bathroom._id.toString(), name: 'Bathroom', issueCount: 1, low: 2000, high: 2500 },
+          { roomId: kitchen._id.toString(), name: 'Kitchen', issueCount: 1, low: 50, high: 250 },
+          { roomId: null, name: 'General', issueCount: 1, low: 400, high: 1500 },
+        ],
+      });
+    });
+
+    test('should reprice estimates recorded in another currency', () => {
+      const summary = summarizeCosts({
+        catalogue,
+        rooms: [kitchen],
+        trackedIssues: [
+          {
+            roomId: kitchen._id,
+            photoId: kitchen.photos[0]._id,
+            severity: 'low',
+            category: 'cosmetic',
+            status: 'open',
+            costEstimate: { low: 10, high: 20, currency: 'USD', source: 'catalogue' },
+          },
+        ],
+      });
+
+      expect(summary).toMatchObject({ low: 50, high: 250 });
+    });
+  });
+
+  describe('buildCostSummaryRows', () => {
+    test('should list rooms followed by the total', () => {
+      const rows = buildCostSummaryRows({
+        currency: 'AUD',
+        low: 1050,
+        high: 4250,
+        issueCount: 2,
+        rooms: [
+          { roomId: 'a', name: 'Bathroom', issueCount: 1, low: 1000, high: 4000 },
+          { roomId: 'b', name: 'Kitchen', issueCount: 1, low: 50, high: 250 },
+        ],
+      });
+
+      expect(rows).toEqual([
+        { room: 'Bathroom', issues: 1, estimate: 'AUD 1,000 - 4,000' },
+        { room: 'Kitchen', issues: 1, estimate: 'AUD 50 - 250' },
+        { room: 'Total', issues: 2, estimate: 'AUD 1,050 - 4,250' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('sharp', () => jest.fn());
+// Jest cannot resolve the ESM-only package, so it is mocked without resolving it
+jest.mock('pdf-to-img', () => ({ pdf: jest.fn() }), { virtual: true });
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const Property = require('../../../src/models/property.model');
+const { Inspection } = require('../../../src/models/inspection.model');
+const { detectFloorPlanType, buildFloorPlanMarkers, placePin } = require('../../../src/services/floorPlan.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+describe('Floor plan service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectFloorPlanType', () => {
+    test('should recognise PDFs and supported images by content', () => {
+      expect(detectFloorPlanType(Buffer.from('%PDF-1.7\n%âãÏÓ'))).toBe('application/pdf');
+      expect(detectFloorPlanType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]))).toBe(
+        'image/png'
+      );
+      expect(detectFloorPlanType(Buffer.from('GIF89a------'))).toBeNull();
+    });
+  });
+
+  describe('buildFloorPlanMarkers', () => {
+    const planId = mongoose.Types.ObjectId();
+    const floorPlans = [
+      {
+        _id: planId,
+        name: 'Ground floor',
+        pages: [
+          { page: 1, storagePath: 'org/properties/p/floor-plans/f/page-1.jpg', width: 1200, height: 900 },
+          { page: 2, storagePath: 'org/properties/p/floor-plans/f/page-2.jpg', width: 1200, height: 900 },
+        ],
+      },
+    ];
+
+    test('should number markers by room display order, each room before its photos', () => {
+      const kitchenId = mongoose.Types.ObjectId();
+      const photoId = mongoose.Types.ObjectId();
+      const inspection = {
+        rooms: [
+          {
+            _id: kitchenId,
+            name: 'Kitchen',
+            displayOrder: 1,
+            pin: { floorPlanId: planId, page: 1, x: 0.2, y: 0.4 },
+            photos: [
+              {
+                _id: photoId,
+                originalFilename: 'IMG_0042.jpg',
+                aiSummary: 'Chipped benchtop edge',
+                pin: { floorPlanId: planId, page: 1, x: 0.25, y: 0.45 },
+              },
+            ],
+          },
+          {
+            _id: mongoose.Types.ObjectId(),
+            name: 'Bedroom',
+            displayOrder: 0,
+            pin: { floorPlanId: planId, page: 2, x: 0.5, y: 0.5 },
+            photos: [],
+          },
+        ],
+      };
+
+      const pages = buildFloorPlanMarkers({ inspection, floorPlans });
+
+      expect(pages.map((page) => page.label)).toEqual(['Ground floor (page 1)', 'Ground floor (page 2)']);
+      expect(pages[1].markers).toEqual([expect.objectContaining({ number: 1, target: 'room', caption: 'Bedroom' })]);
+      expect(pages[0].markers).toEqual([
+        expect.objectContaining({ number: 2, target: 'room', roomId: kitchenId.toString(), caption: 'Kitchen' }),
+        expect.objectContaining({
+          number: 3,
+          target: 'photo',
+          photoId: photoId.toString(),
+          caption: 'Kitchen: Chipped benchtop edge',
+        }),
+      ]);
+    });
+
+    test('should leave out pins on plans the property no longer has and unpinned pages', () => {
+      const inspection = {
+        rooms: [
+          {
+            _id: mongoose.Types.ObjectId(),
+            name: 'Laundry',
+            pin: { floorPlanId: mongoose.Types.ObjectId(), page: 1, x: 0.1, y: 0.1 },
+            photos: [],
+          },
+        ],
+      };
+
+      expect(buildFloorPlanMarkers({ inspection, floorPlans })).toEqual([]);
+    });
+  });
+
+  describe('placePin', () => {
+    const planId = mongoose.Types.ObjectId();
+    const params = {
+      inspectionId: mongoose.Types.ObjectId(),
+      organizationId: 'org1',
+      target: 'photo',
+      itemId: mongoose.Types.ObjectId().toString(),
+      user: { id: mongoose.Types.ObjectId() },
+      floorPlanId: planId.toString(),
+      x: 0.5,
+      y: 0.25,
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain({ propertyId: 'property1' }));
+      jest
+        .spyOn(Property, 'findOne')
+        .mockReturnValue(chain({ floorPlans: [{ _id: planId, name: 'Ground floor', pages: [{ page: 1 }] }] }));
+    });
+
+    test('should pin a photo on the first page by default', async () => {
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const pin = await placePin(params);
+
+      expect(pin).toEqual(expect.objectContaining({ page: 1, x: 0.5, y: 0.25 }));
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ 'rooms.photos._id': params.itemId }),
+        { $set: { 'rooms.$[].photos.$[photo].pin': pin } },
+        expect.objectContaining({ arrayFilters: [{ 'photo._id': mongoose.Types.ObjectId(params.itemId) }] })
+      );
+    });
+
+    test('should reject pages the floor plan does not have', async () => {
+      const updateOne = jest.spyOn(Inspection, 'updateOne');
+
+      await expect(placePin({ ...params, page: 3 })).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 when the photo is not on the inspection', async () => {
+      jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 0, nModified: 0 });
+
+      await expect(placePin(params)).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const httpStatus = require('http-status');
+const { normalizeAddressPart, parseCsvLine, lookupAddress } = require('../../../src/services/gazetteer.service');
+
+describe('Gazetteer service', () => {
+  let directory;
+  let filePath;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-'));
+    filePath = path.join(directory, 'gazetteer.csv');
+    fs.writeFileSync(
+      filePath,
+      [
+        'line1,city,state,postcode,latitude,longitude',
+        '"Unit 2, 10 Smith Street",Newtown,NSW,2042,-33.8981,151.1790',
+        '12 Smith Street,Newtown,NSW,2042,-33.8983,151.1788',
+        '',
+      ].join('\n')
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('normalizeAddressPart', () => {
+    test('should ignore case, punctuation and street type spelling', () => {
+      expect(normalizeAddressPart(' 12  Smith Street. ')).toBe('12 smith st');
+      expect(normalizeAddressPart('12 SMITH ST')).toBe('12 smith st');
+    });
+  });
+
+  describe('parseCsvLine', () => {
+    test('should keep commas and quotes inside quoted fields', () => {
+      expect(parseCsvLine('"Unit 2, 10 ""The Mews""",2042')).toEqual(['Unit 2, 10 "The Mews"', '2042']);
+    });
+  });
+
+  describe('lookupAddress', () => {
+    test('should find an address by street and postcode', async () => {
+      await expect(lookupAddress({ line1: '12 Smith St', postcode: '2042' }, { filePath })).resolves.toEqual({
+        latitude: -33.8983,
+        longitude: 151.1788,
+      });
+      await expect(lookupAddress({ line1: 'Unit 2, 10 Smith St', postcode: '2042' }, { filePath })).resolves.toEqual({
+        latitude: -33.8981,
+        longitude: 151.179,
+      });
+    });
+
+    test('should resolve null for unlisted addresses', async () => {
+      await expect(lookupAddress({ line1: '12 Smith St', postcode: '2000' }, { filePath })).resolves.toBeNull();
+    });
+
+    test('should reject when the file cannot be read', async () => {
+      await expect(
+        lookupAddress({ line1: '12 Smith St', postcode: '2042' }, { filePath: path.join(directory, 'missing.csv') })
+      ).rejects.toMatchObject({ statusCode: httpStatus.SERVICE_UNAVAILABLE });
+    });
+  });
+});
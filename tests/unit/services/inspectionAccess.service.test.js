@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const {
+  assertInspectionAccess,
+  buildInspectionAccessFilter,
+  normalizeAssignment,
+  findNewAssignees,
+} = require('../../../src/services/inspectionAccess.service');
+
+describe('Inspection access service', () => {
+  describe('buildInspectionAccessFilter', () => {
+    const userId = mongoose.Types.ObjectId().toString();
+
+    test('should match every inspection of the organization for admins and viewers', () => {
+      expect(buildInspectionAccessFilter({ id: userId, role: 'admin', organizationId: 'org-1' })).toEqual({
+        organizationId: 'org-1',
+      });
+      expect(buildInspectionAccessFilter({ id: userId, role: 'viewer', organizationId: 'org-1' })).toEqual({
+        organizationId: 'org-1',
+      });
+    });
+
+    test('should only match assigned inspections for agents', () => {
+      const filter = buildInspectionAccessFilter({ id: userId, role: 'agent', organizationId: 'org-1' });
+
+      expect(filter.organizationId).toBe('org-1');
+      expect(filter.$or).toEqual([
+        { inspectorId: mongoose.Types.ObjectId(userId) },
+        { assistantIds: mongoose.Types.ObjectId(userId) },
+      ]);
+    });
+  });
+
+  describe('assertInspectionAccess', () => {
+    const user = { id: mongoose.Types.ObjectId().toString(), role: 'admin', organizationId: 'org-1' };
+    const inspectionId = mongoose.Types.ObjectId().toString();
+    const findInspection = (status) =>
+      jest.spyOn(Inspection, 'findOne').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ status }) }) });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should lock the evidence of completed inspections', async () => {
+      findInspection('completed');
+
+      await expect(assertInspectionAccess({ user, inspectionId, access: 'write' })).resolves.toBeUndefined();
+      await expect(assertInspectionAccess({ user, inspectionId, access: 'edit' })).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+      });
+    });
+
+    test('should allow editing inspections in progress', async () => {
+      findInspection('in_progress');
+
+      await expect(assertInspectionAccess({ user, inspectionId, access: 'edit' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('normalizeAssignment', () => {
+    test('should drop duplicate assistants and the lead from the assistants', () => {
+      expect(normalizeAssignment({ inspectorId: 'a', assistantIds: ['b', 'a', 'b', 'c'] })).toEqual({
+        inspectorId: 'a',
+        assistantIds: ['b', 'c'],
+      });
+    });
+  });
+
+  describe('findNewAssignees', () => {
+    test('should list a new lead and assistants who were not assigned before', () => {
+      const previous = { inspectorId: mongoose.Types.ObjectId('64b7f0c2a1b2c3d4e5f60711'), assistantIds: [] };
+      const next = normalizeAssignment({
+        inspectorId: '64b7f0c2a1b2c3d4e5f60722',
+        assistantIds: ['64b7f0c2a1b2c3d4e5f60711', '64b7f0c2a1b2c3d4e5f60733'],
+      });
+
+      expect(findNewAssignees(previous, next)).toEqual([
+        { userId: '64b7f0c2a1b2c3d4e5f60722', role: 'lead' },
+        { userId: '64b7f0c2a1b2c3d4e5f60733', role: 'assistant' },
+      ]);
+    });
+
+    test('should not notify anyone when the assignment is unchanged', () => {
+      const previous = { inspectorId: 'a', assistantIds: ['b'] };
+
+      expect(findNewAssignees(previous, normalizeAssignment(previous))).toEqual([]);
+    });
+  });
+});
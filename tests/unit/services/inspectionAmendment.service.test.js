@@ -0,0 +1,204 @@
+jest.mock('../../../src/lib/socket', () => ({ emitInspectionEvent: jest.fn() }));
+jest.mock('../../../src/services/webhook.service', () => ({ dispatchWebhookEvent: jest.fn() }));
+
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const Report = require('../../../src/models/report.model');
+const { dispatchWebhookEvent } = require('../../../src/services/webhook.service');
+const {
+  diffChanges,
+  buildAmendmentRows,
+  requestAmendment,
+  reviewAmendment,
+} = require('../../../src/services/inspectionAmendment.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+describe('Inspection amendment service', () => {
+  const kitchenId = mongoose.Types.ObjectId();
+  const inspection = (overrides = {}) => ({
+    status: 'completed',
+    summary: 'Well kept',
+    rooms: [{ _id: kitchenId, name: 'Kitchen', conditionRating: 'good', notes: '', actions: ['Clean oven'] }],
+    amendments: [],
+    ...overrides,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diffChanges', () => {
+    test('should record the before and after value of each changed field', () => {
+      const changes = diffChanges(inspection(), {
+        summary: 'Well kept',
+        rooms: [{ roomId: kitchenId.toString(), conditionRating: 'poor', notes: 'Burn mark on benchtop', actions: [] }],
+      });
+
+      expect(changes).toEqual([
+        { field: 'conditionRating', roomId: kitchenId, roomName: 'Kitchen', before: 'good', after: 'poor' },
+        { field: 'notes', roomId: kitchenId, roomName: 'Kitchen', before: null, after: 'Burn mark on benchtop' },
+        { field: 'actions', roomId: kitchenId, roomName: 'Kitchen', before: ['Clean oven'], after: [] },
+      ]);
+      expect(buildAmendmentRows({ changes })[2]).toEqual({ change: 'Kitchen: Actions', before: 'Clean oven', after: '-' });
+    });
+
+    test('should reject rooms of another inspection', () => {
+      expect(() =>
+        diffChanges(inspection(), { rooms: [{ roomId: mongoose.Types.ObjectId().toString(), notes: 'x' }] })
+      ).toThrow(expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST }));
+    });
+  });
+
+  describe('requestAmendment', () => {
+    const user = { id: mongoose.Types.ObjectId().toString() };
+
+    test('should only amend completed inspections', async () => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection({ status: 'in_progress' })));
+
+      await expect(
+        requestAmendment({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          user,
+          reason: 'Typo',
+          changes: { summary: 'x' },
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+    });
+
+    test('should reject amendments that change nothing', async () => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection()));
+
+      await expect(
+        requestAmendment({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          user,
+          reason: 'Typo',
+          changes: { summary: 'Well kept' },
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+
+    test('should add a pending amendment while the inspection is still completed', async () => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection()));
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const amendment = await requestAmendment({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        user,
+        reason: 'Summary named the wrong tenant',
+        changes: { summary: 'Well kept by the tenant' },
+      });
+
+      expect(amendment).toEqual(
+        expect.objectContaining({
+          status: 'pending',
+          requestedBy: user.id,
+          changes: [{ field: 'summary', before: 'Well kept', after: 'Well kept by the tenant' }],
+        })
+      );
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'inspection1', organizationId: 'org1', status: 'completed' },
+        { $push: { amendments: amendment } },
+        { runValidators: true }
+      );
+    });
+  });
+
+  describe('reviewAmendment', () => {
+    const reviewer = { id: mongoose.Types.ObjectId().toString() };
+    const amendment = (changes) => ({
+      _id: mongoose.Types.ObjectId(),
+      status: 'pending',
+      reason: 'Damage missed at completion',
+      changes,
+    });
+
+    test('should apply the changes and add a report version noting them', async () => {
+      const pending = amendment([
+        { field: 'conditionRating', roomId: kitchenId, roomName: 'Kitchen', before: 'good', after: 'poor' },
+      ]);
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection({ amendments: [pending] })));
+      const findOneAndUpdate = jest.spyOn(Inspection, 'findOneAndUpdate').mockReturnValue(chain({ _id: 'inspection1' }));
+      jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+      jest
+        .spyOn(Report, 'findOne')
+        .mockReturnValue(
+          chain({ _id: 'report1', currentVersion: 2, versions: [{ version: 2, title: 'Exit report', watermark: false }] })
+        );
+      const reportUpdate = jest.spyOn(Report, 'findOneAndUpdate').mockResolvedValue({ _id: 'report1' });
+
+      const reviewed = await reviewAmendment({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        user: reviewer,
+        amendmentId: pending._id.toString(),
+        decision: 'approve',
+      });
+
+      expect(reviewed).toEqual(expect.objectContaining({ status: 'approved', reportVersion: 3 }));
+      const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+      expect(filter.status).toBe('completed');
+      expect(update.$set['rooms.$[room0].conditionRating']).toBe('poor');
+      expect(options.arrayFilters).toEqual([{ 'amendment._id': pending._id }, { 'room0._id': kitchenId }]);
+
+      const [reportFilter, reportUpdateDoc] = reportUpdate.mock.calls[0];
+      expect(reportFilter).toEqual({ _id: 'report1', currentVersion: 2 });
+      expect(reportUpdateDoc.$push.versions).toEqual(
+        expect.objectContaining({
+          version: 3,
+          title: 'Exit report',
+          summary: 'Amended: Kitchen: Condition rating. Reason: Damage missed at completion',
+          amendment: expect.objectContaining({ amendmentId: pending._id, changes: pending.changes }),
+        })
+      );
+      expect(dispatchWebhookEvent).toHaveBeenCalledWith(expect.objectContaining({ event: 'inspection.amended' }));
+    });
+
+    test('should refuse to approve when a field changed since the request', async () => {
+      const pending = amendment([{ field: 'summary', before: 'Tidy', after: 'Very tidy' }]);
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection({ amendments: [pending] })));
+      const findOneAndUpdate = jest.spyOn(Inspection, 'findOneAndUpdate');
+
+      await expect(
+        reviewAmendment({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          user: reviewer,
+          amendmentId: pending._id.toString(),
+          decision: 'approve',
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject without changing the inspection or the report', async () => {
+      const pending = amendment([{ field: 'summary', before: 'Well kept', after: 'Dirty' }]);
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection({ amendments: [pending] })));
+      const findOneAndUpdate = jest.spyOn(Inspection, 'findOneAndUpdate').mockReturnValue(chain({ _id: 'inspection1' }));
+      const reportFind = jest.spyOn(Report, 'findOne');
+
+      const reviewed = await reviewAmendment({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        user: reviewer,
+        amendmentId: pending._id.toString(),
+        decision: 'reject',
+        note: 'Photos show it was clean',
+      });
+
+      expect(reviewed).toEqual(expect.objectContaining({ status: 'rejected', reviewNote: 'Photos show it was clean' }));
+      expect(Object.keys(findOneAndUpdate.mock.calls[0][1].$set)).not.toContain('summary');
+      expect(reportFind).not.toHaveBeenCalled();
+    });
+  });
+});
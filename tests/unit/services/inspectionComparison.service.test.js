@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+jest.mock('sharp', () => jest.fn());
+
+const { Inspection } = require('../../../src/models/inspection.model');
+const Property = require('../../../src/models/property.model');
+const {
+  compareConditionRatings,
+  diffRoomIssues,
+  reconcileInventory,
+  matchRooms,
+  buildComparison,
+  getInspectionComparison,
+} = require('../../../src/services/inspectionComparison.service');
+
+const buildPhoto = (issues = [], capturedAt = new Date()) => ({
+  _id: mongoose.Types.ObjectId(),
+  storagePath: `org/inspections/photo-${Math.random()}.jpg`,
+  originalFilename: 'photo.jpg',
+  capturedAt,
+  issues,
+});
+
+const buildRoom = (name, overrides = {}) => ({
+  _id: mongoose.Types.ObjectId(),
+  name,
+  displayOrder: 0,
+  conditionRating: 'good',
+  photos: [],
+  ...overrides,
+});
+
+describe('Inspection comparison service', () => {
+  describe('compareConditionRatings', () => {
+    test('should flag a drop in rating as deteriorated', () => {
+      expect(compareConditionRatings('excellent', 'fair')).toEqual({
+        entry: 'excellent',
+        exit: 'fair',
+        change: 'deteriorated',
+        delta: -2,
+      });
+    });
+
+    test('should return unknown when either room is unrated', () => {
+      expect(compareConditionRatings('good', 'unrated').change).toBe('unknown');
+      expect(compareConditionRatings(undefined, 'good').change).toBe('unknown');
+    });
+  });
+
+  describe('diffRoomIssues', () => {
+    test('should split issues into new, persisting and resolved', () => {
+      const entryRoom = buildRoom('Kitchen', {
+        photos: [
+          buildPhoto([
+            { label: 'Scuff mark', severity: 'low', category: 'cosmetic' },
+            { label: 'Leaking tap', severity: 'medium', category: 'plumbing' },
+          ]),
+        ],
+      });
+      const exitRoom = buildRoom('Kitchen', {
+        photos: [
+          buildPhoto([
+            { label: 'scuff  mark', severity: 'medium', category: 'cosmetic' },
+            { label: 'Cracked tile', severity: 'high', category: 'structural' },
+          ]),
+        ],
+      });
+
+      const result = diffRoomIssues(entryRoom, exitRoom);
+
+      expect(result.new.map((issue) => issue.label)).toEqual(['Cracked tile']);
+      expect(result.resolved.map((issue) => issue.label)).toEqual(['Leaking tap']);
+      expect(result.persisting).toHaveLength(1);
+      expect(result.persisting[0]).toMatchObject({ entrySeverity: 'low', exitSeverity: 'medium', severityChange: 'worse' });
+    });
+  });
+
+  describe('matchRooms', () => {
+    test('should pair rooms by name and keep unmatched rooms from either side', () => {
+      const entryRooms = [buildRoom('Bedroom', { displayOrder: 1 }), buildRoom('Garage'), buildRoom('Bedroom')];
+      const exitRooms = [buildRoom('bedroom'), buildRoom('Laundry Room'), buildRoom('_pending_classification')];
+
+      const pairs = matchRooms(entryRooms, exitRooms);
+
+      expect(pairs).toHaveLength(4);
+      expect(pairs[0].entryRoom).toBe(entryRooms[2]);
+      expect(pairs.filter((pair) => pair.entryRoom && pair.exitRoom)).toHaveLength(1);
+      expect(pairs.filter((pair) => !pair.exitRoom).map((pair) => pair.entryRoom.name)).toEqual(['Garage', 'Bedroom']);
+    });
+  });
+
+  describe('buildComparison', () => {
+    test('should pair photos in capture order and total the differences', () => {
+      const entry = {
+        rooms: [
+          buildRoom('Kitchen', {
+            conditionRating: 'good',
+            photos: [buildPhoto([], new Date('2024-01-02')), buildPhoto([], new Date('2024-01-01'))],
+          }),
+        ],
+      };
+      const exit = {
+        rooms: [
+          buildRoom('Kitchen', {
+            conditionRating: 'poor',
+            photos: [buildPhoto([{ label: 'Burn mark', severity: 'medium', category: 'cosmetic' }])],
+          }),
+        ],
+      };
+
+      const { rooms, totals } = buildComparison(entry, exit);
+
+      expect(rooms[0].photoPairs).toHaveLength(2);
+      expect(rooms[0].photoPairs[0].entry.photoId).toBe(entry.rooms[0].photos[1]._id.toString());
+      expect(rooms[0].photoPairs[1].exit).toBeNull();
+      expect(totals).toEqual({
+        rooms: 1,
+        deteriorated: 1,
+        improved: 0,
+        newIssues: 1,
+        persistingIssues: 0,
+        resolvedIssues: 0,
+        missingItems: 0,
+        damagedItems: 0,
+      });
+    });
+  });
+
+  describe('reconcileInventory', () => {
+    const item = (name, quantity, condition) => ({ _id: mongoose.Types.ObjectId(), name, quantity, condition });
+
+    test('should find missing, damaged, worn and added items by name', () => {
+      const entryRoom = buildRoom('Lounge', {
+        inventory: [
+          item('Sofa', 1, 'good'),
+          item('Dining chair', 4, 'good'),
+          item('TV', 1, 'new'),
+          item('Lamp', 2, 'good'),
+          item('Rug', 1, 'fair'),
+        ],
+      });
+      const exitRoom = buildRoom('Lounge', {
+        inventory: [
+          item('sofa ', 1, 'damaged'),
+          item('Dining Chair', 3, 'good'),
+          item('TV', 1, 'worn'),
+          item('Lamp', 2, 'missing'),
+          item('Rug', 1, 'fair'),
+          item('Bookcase', 1, 'good'),
+        ],
+      });
+
+      const result = reconcileInventory(entryRoom, exitRoom);
+
+      expect(result.missing.map(({ name, shortfall }) => [name, shortfall])).toEqual([
+        ['Dining Chair', 1],
+        ['Lamp', 2],
+      ]);
+      expect(result.damaged.map(({ name }) => name)).toEqual(['sofa ']);
+      expect(result.deteriorated).toEqual([
+        expect.objectContaining({
+          name: 'TV',
+          entry: expect.objectContaining({ condition: 'new' }),
+          exit: expect.objectContaining({ condition: 'worn' }),
+        }),
+      ]);
+      expect(result.added.map(({ name }) => name)).toEqual(['Bookcase']);
+    });
+
+    test('should add up lines of the same item and miss everything of a room gone at exit', () => {
+      const entryRoom = buildRoom('Kitchen', { inventory: [item('Mug', 4, 'good'), item('Mug', 2, 'fair')] });
+
+      expect(reconcileInventory(entryRoom, buildRoom('Kitchen', { inventory: [item('Mug', 6, 'fair')] }))).toEqual({
+        missing: [],
+        damaged: [],
+        deteriorated: [],
+        added: [],
+      });
+      expect(reconcileInventory(entryRoom, buildRoom('Kitchen')).missing).toEqual([
+        expect.objectContaining({ name: 'Mug', shortfall: 6, exit: null }),
+      ]);
+    });
+  });
+
+  describe('getInspectionComparison', () => {
+    const lean = (value) => ({ lean: () => Promise.resolve(value) });
+    const params = { inspectionId: 'entry', otherInspectionId: 'exit', organizationId: 'org1' };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should reject inspections of different properties', async () => {
+      jest
+        .spyOn(Inspection, 'find')
+        .mockReturnValue(lean([{ propertyId: mongoose.Types.ObjectId() }, { propertyId: mongoose.Types.ObjectId() }]));
+
+      await expect(getInspectionComparison(params)).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+
+    test('should reject inspections whose property was deleted', async () => {
+      const propertyId = mongoose.Types.ObjectId();
+      jest.spyOn(Inspection, 'find').mockReturnValue(lean([{ propertyId }, { propertyId }]));
+      const findProperty = jest.spyOn(Property, 'findOne').mockReturnValue(lean(null));
+
+      await expect(getInspectionComparison(params)).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+        message: 'Property not found',
+      });
+      expect(findProperty).toHaveBeenCalledWith({ _id: propertyId, organizationId: 'org1' });
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const httpStatus = require('http-status');
+const {
+  canTransition,
+  getAvailableActions,
+  assertTransition,
+} = require('../../../src/services/inspectionLifecycle.service');
+const ApiError = require('../../../src/utils/ApiError');
+
+describe('Inspection lifecycle service', () => {
+  describe('canTransition', () => {
+    test('should allow an agent to start a scheduled inspection', () => {
+      expect(canTransition('scheduled', 'start', 'agent')).toBe(true);
+    });
+
+    test('should not allow an agent to complete an inspection under review', () => {
+      expect(canTransition('in_review', 'complete', 'agent')).toBe(false);
+      expect(canTransition('in_review', 'complete', 'admin')).toBe(true);
+    });
+
+    test('should not allow a viewer to perform any transition', () => {
+      expect(getAvailableActions('draft', 'viewer')).toEqual([]);
+    });
+  });
+
+  describe('getAvailableActions', () => {
+    test('should list the actions reachable from the current status', () => {
+      expect(getAvailableActions('draft', 'admin')).toEqual(['schedule', 'start']);
+      expect(getAvailableActions('in_review', 'admin')).toEqual(['request_changes', 'complete']);
+      expect(getAvailableActions('in_review', 'agent')).toEqual([]);
+    });
+  });
+
+  describe('assertTransition', () => {
+    const expectError = (params, statusCode) => {
+      let error;
+      try {
+        assertTransition(params);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.statusCode).toBe(statusCode);
+    };
+
+    test('should return the target status for a valid transition', () => {
+      expect(assertTransition({ status: 'in_progress', action: 'submit_for_review', role: 'user' }).to).toBe('in_review');
+    });
+
+    test('should reject transitions that skip a lifecycle step with 409', () => {
+      expectError({ status: 'in_progress', action: 'complete', role: 'admin' }, httpStatus.CONFLICT);
+    });
+
+    test('should reject roles without the required right with 403', () => {
+      expectError({ status: 'completed', action: 'archive', role: 'agent' }, httpStatus.FORBIDDEN);
+    });
+
+    test('should reject unknown actions with 400', () => {
+      expectError({ status: 'draft', action: 'teleport', role: 'admin' }, httpStatus.BAD_REQUEST);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const Issue = require('../../../src/models/issue.model');
+const { buildRecheckItems, buildClonedInspectionFields } = require('../../../src/services/inspectionRecheck.service');
+
+const chain = (value) => {
+  const query = {};
+  ['sort', 'select'].forEach((method) => {
+    query[method] = () => query;
+  });
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+describe('Inspection recheck service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildRecheckItems', () => {
+    test('should place items in the copied room of the same name', () => {
+      const kitchen = { _id: mongoose.Types.ObjectId(), name: 'Kitchen' };
+      const issues = [
+        { _id: 'issue1', inspectionId: 'insp1', roomName: ' kitchen', label: 'Exposed wiring', severity: 'high' },
+        { _id: 'issue2', inspectionId: 'insp1', roomName: 'Shed', label: 'Roof leak', severity: 'high' },
+      ];
+
+      const items = buildRecheckItems(issues, [kitchen]);
+
+      expect(items[0]).toEqual(expect.objectContaining({ issueId: 'issue1', roomId: kitchen._id, status: 'pending' }));
+      expect(items[1]).toEqual(expect.objectContaining({ issueId: 'issue2', roomId: undefined, roomName: 'Shed' }));
+    });
+  });
+
+  describe('buildClonedInspectionFields', () => {
+    test('should copy rooms in display order with notes and the preset', async () => {
+      const presetId = mongoose.Types.ObjectId();
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(
+        chain({
+          _id: 'previous',
+          reportPresetId: presetId,
+          rooms: [
+            { _id: 'r2', name: 'Bathroom', displayOrder: 1, notes: 'Grout stained' },
+            { _id: 'r1', name: 'Kitchen', displayOrder: 0 },
+          ],
+        })
+      );
+      const issueFind = jest
+        .spyOn(Issue, 'find')
+        .mockReturnValue(chain([{ _id: 'issue1', inspectionId: 'previous', roomName: 'Bathroom', label: 'Mould' }]));
+
+      const fields = await buildClonedInspectionFields({ propertyId: 'property1', organizationId: 'org1' });
+
+      expect(fields.rooms.map(({ name, displayOrder, notes }) => ({ name, displayOrder, notes }))).toEqual([
+        { name: 'Kitchen', displayOrder: 0, notes: undefined },
+        { name: 'Bathroom', displayOrder: 1, notes: 'Grout stained' },
+      ]);
+      expect(fields.rooms[0]._id).not.toEqual('r1');
+      expect(fields.reportPresetId).toBe(presetId);
+      expect(fields.clonedFromInspectionId).toBe('previous');
+      expect(fields.recheckItems[0].roomId).toBe(fields.rooms[1]._id);
+      expect(issueFind).toHaveBeenCalledWith(
+        expect.objectContaining({ propertyId: 'property1', severity: { $in: ['high'] } })
+      );
+    });
+
+    test('should throw 404 when the property has no completed inspection', async () => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(null));
+
+      await expect(buildClonedInspectionFields({ propertyId: 'property1', organizationId: 'org1' })).rejects.toMatchObject({
+        statusCode: httpStatus.NOT_FOUND,
+      });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+jest.mock('../../../src/lib/storage', () => ({
+  ...jest.requireActual('../../../src/lib/storage'),
+  getStorage: jest.fn(),
+}));
+jest.mock('../../../src/queues/inspection.bullmq', () => ({
+  removeWaitingJob: jest.fn().mockResolvedValue(true),
+  updateWaitingJobPayload: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../../src/services/job.service', () => ({
+  listPendingJobsForPhotos: jest.fn(),
+  cancelJob: jest.fn(async ({ jobId }) => ({ _id: jobId, status: 'cancelled' })),
+  setJobPhotoIds: jest.fn(),
+}));
+jest.mock('../../../src/lib/socket', () => ({ emitInspectionEvent: jest.fn() }));
+jest.mock('../../../src/services/issue.service', () => ({ removeLinkedIssues: jest.fn() }));
+jest.mock('../../../src/services/meterReading.service', () => ({ detachPhotos: jest.fn() }));
+jest.mock('../../../src/services/inventory.service', () => ({ detachPhotos: jest.fn() }));
+jest.mock('../../../src/services/compliance.service', () => ({ detachPhotos: jest.fn() }));
+
+const inspectionQueue = require('../../../src/queues/inspection.bullmq');
+const jobService = require('../../../src/services/job.service');
+const { getStorage } = require('../../../src/lib/storage');
+const { Inspection } = require('../../../src/models/inspection.model');
+const {
+  summarizeRoom,
+  getPhotoStorageKeys,
+  cancelJobsForPhotos,
+  deletePhoto,
+} = require('../../../src/services/inspectionRoom.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+describe('Inspection room service', () => {
+  describe('summarizeRoom', () => {
+    test('should derive condition, summary and high severity actions from every photo', () => {
+      const summary = summarizeRoom({
+        name: 'Bathroom',
+        photos: [
+          { condition: 'good', issues: [] },
+          {
+            condition: 'poor',
+            issues: [
+              { label: 'Leak', severity: 'high', recommendation: 'Reseal the shower tray' },
+              { label: 'Scuff', severity: 'low', recommendation: 'Touch up paint' },
+            ],
+          },
+        ],
+      });
+
+      expect(summary).toEqual({
+        conditionRating: 'fair',
+        aiSummary: 'Bathroom inspection: 2 photo(s) analyzed. 2 issue(s) found.',
+        actions: ['Reseal the shower tray'],
+      });
+    });
+
+    test('should leave the condition rating alone when no photo has been analysed', () => {
+      const summary = summarizeRoom({ name: 'Bedroom', photos: [{ issues: [] }] });
+
+      expect(summary).not.toHaveProperty('conditionRating');
+      expect(summary.actions).toEqual([]);
+    });
+  });
+
+  describe('getPhotoStorageKeys', () => {
+    test('should return the original and every generated derivative', () => {
+      const keys = getPhotoStorageKeys({
+        storagePath: 'org/inspections/1/photos/a.jpg',
+        derivatives: {
+          thumbnail: { storagePath: 'org/inspections/1/thumbnails/r/a-thumbnail.jpg' },
+          medium: { storagePath: 'org/inspections/1/thumbnails/r/a-medium.jpg' },
+          pdf: null,
+        },
+      });
+
+      expect(keys).toEqual([
+        'org/inspections/1/photos/a.jpg',
+        'org/inspections/1/thumbnails/r/a-thumbnail.jpg',
+        'org/inspections/1/thumbnails/r/a-medium.jpg',
+      ]);
+    });
+  });
+
+  describe('cancelJobsForPhotos', () => {
+    test('should cancel jobs left without photos and trim the others', async () => {
+      const inspectionId = mongoose.Types.ObjectId().toString();
+      const deletedPhoto = mongoose.Types.ObjectId();
+      const keptPhoto = mongoose.Types.ObjectId();
+      const onlyDeleted = { _id: mongoose.Types.ObjectId(), payload: { photoIds: [deletedPhoto] } };
+      const mixed = {
+        _id: mongoose.Types.ObjectId(),
+        payload: { photoIds: [deletedPhoto.toString(), keptPhoto.toString()] },
+      };
+      jobService.listPendingJobsForPhotos.mockResolvedValue([onlyDeleted, mixed]);
+
+      const result = await cancelJobsForPhotos({ inspectionId, photoIds: [deletedPhoto.toString()] });
+
+      expect(result).toEqual({ cancelled: [onlyDeleted._id.toString()], updated: [mixed._id.toString()] });
+      expect(inspectionQueue.removeWaitingJob).toHaveBeenCalledWith(onlyDeleted._id.toString());
+      expect(inspectionQueue.updateWaitingJobPayload).toHaveBeenCalledWith(mixed._id.toString(), {
+        photoIds: [keptPhoto.toString()],
+      });
+      expect(jobService.setJobPhotoIds).toHaveBeenCalledWith({
+        jobId: mixed._id.toString(),
+        photoIds: [keptPhoto.toString()],
+      });
+    });
+  });
+
+  describe('deletePhoto', () => {
+    const roomId = mongoose.Types.ObjectId();
+    const leak = {
+      _id: mongoose.Types.ObjectId(),
+      condition: 'poor',
+      issues: [{ severity: 'high', recommendation: 'Reseal' }],
+    };
+    const wall = { _id: mongoose.Types.ObjectId(), condition: 'excellent', issues: [] };
+    let storage;
+
+    beforeEach(() => {
+      jobService.listPendingJobsForPhotos.mockResolvedValue([]);
+      storage = { deleteMany: jest.fn().mockResolvedValue() };
+      getStorage.mockReturnValue(storage);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should recompute the room summary from the photos that are left', async () => {
+      jest
+        .spyOn(Inspection, 'findOneAndUpdate')
+        .mockReturnValue(chain({ rooms: [{ _id: roomId, name: 'Bathroom', photos: [leak, wall] }] }));
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      await deletePhoto({ inspectionId: 'inspection1', organizationId: 'org1', photoId: leak._id.toString() });
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'inspection1', organizationId: 'org1', 'rooms._id': roomId },
+        {
+          $set: {
+            'rooms.$.aiSummary': 'Bathroom inspection: 1 photo(s) analyzed. 0 issue(s) found.',
+            'rooms.$.actions': [],
+            'rooms.$.conditionRating': 'excellent',
+          },
+        }
+      );
+    });
+
+    test('should reset a rating that came from the last analysed photo', async () => {
+      jest
+        .spyOn(Inspection, 'findOneAndUpdate')
+        .mockReturnValue(chain({ rooms: [{ _id: roomId, name: 'Bathroom', photos: [leak] }] }));
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      await deletePhoto({ inspectionId: 'inspection1', organizationId: 'org1', photoId: leak._id.toString() });
+
+      expect(updateOne.mock.calls[0][1].$set['rooms.$.conditionRating']).toBe('unrated');
+    });
+
+    test('should delete the objects of the photo the pull removed', async () => {
+      const moved = { ...leak, storagePath: 'org1/inspections/1/photos/leak.jpg' };
+      jest
+        .spyOn(Inspection, 'findOneAndUpdate')
+        .mockReturnValue(chain({ rooms: [{ _id: roomId, name: 'Kitchen', photos: [moved] }] }));
+      jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const result = await deletePhoto({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        photoId: leak._id.toString(),
+      });
+
+      expect(result).toMatchObject({ roomId: roomId.toString(), deletedObjects: 1 });
+      expect(storage.deleteMany).toHaveBeenCalledWith(['org1/inspections/1/photos/leak.jpg']);
+    });
+
+    test('should tell a missing photo from a missing inspection', async () => {
+      jest.spyOn(Inspection, 'findOneAndUpdate').mockReturnValue(chain(null));
+      jest.spyOn(Inspection, 'countDocuments').mockResolvedValue(1);
+
+      await expect(
+        deletePhoto({ inspectionId: 'inspection1', organizationId: 'org1', photoId: leak._id.toString() })
+      ).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND, message: 'Photo not found' });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+const { addMonths, getFollowingDueDate } = require('../../../src/services/inspectionSchedule.service');
+
+describe('Inspection schedule service', () => {
+  describe('addMonths', () => {
+    test('should keep the day of month', () => {
+      expect(addMonths(new Date('2026-03-15T09:00:00.000Z'), 3)).toEqual(new Date('2026-06-15T09:00:00.000Z'));
+    });
+
+    test('should clamp to the last day of shorter months', () => {
+      expect(addMonths(new Date('2026-08-31T00:00:00.000Z'), 6)).toEqual(new Date('2027-02-28T00:00:00.000Z'));
+    });
+
+    test('should roll over the year', () => {
+      expect(addMonths(new Date('2026-11-10T00:00:00.000Z'), 4)).toEqual(new Date('2027-03-10T00:00:00.000Z'));
+    });
+  });
+
+  describe('getFollowingDueDate', () => {
+    test('should advance by one interval from an upcoming due date', () => {
+      const schedule = { nextDueAt: new Date('2026-07-01T00:00:00.000Z'), intervalMonths: 3 };
+
+      expect(getFollowingDueDate(schedule, new Date('2026-06-20T00:00:00.000Z'))).toEqual(
+        new Date('2026-10-01T00:00:00.000Z')
+      );
+    });
+
+    test('should skip occurrences that already passed', () => {
+      const schedule = { nextDueAt: new Date('2025-01-31T00:00:00.000Z'), intervalMonths: 3 };
+
+      expect(getFollowingDueDate(schedule, new Date('2026-02-01T00:00:00.000Z'))).toEqual(
+        new Date('2026-04-30T00:00:00.000Z')
+      );
+    });
+  });
+});
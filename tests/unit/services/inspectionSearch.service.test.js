@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const {
+  parseSearchTerms,
+  highlightText,
+  collectMatches,
+  buildIssueFilter,
+} = require('../../../src/services/inspectionSearch.service');
+
+describe('Inspection search service', () => {
+  describe('parseSearchTerms', () => {
+    test('should keep distinct words, longest first', () => {
+      expect(parseSearchTerms('  Mould  in bathroom mould a ')).toEqual(['bathroom', 'mould', 'in']);
+      expect(parseSearchTerms(undefined)).toEqual([]);
+    });
+  });
+
+  describe('highlightText', () => {
+    test('should locate every match, ignoring case', () => {
+      expect(highlightText('Mould behind the mouldy shower screen', ['mould'])).toEqual({
+        snippet: 'Mould behind the mouldy shower screen',
+        highlights: [
+          { start: 0, length: 5 },
+          { start: 17, length: 5 },
+        ],
+      });
+    });
+
+    test('should shorten long text around the first match', () => {
+      const text = `${'a'.repeat(100)} damp patch ${'b'.repeat(200)}`;
+      const { snippet, highlights } = highlightText(text, ['damp']);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet.substr(highlights[0].start, highlights[0].length)).toBe('damp');
+    });
+
+    test('should treat query characters literally', () => {
+      expect(highlightText('Cracked tile (2x)', ['(2x)']).highlights).toEqual([{ start: 13, length: 4 }]);
+      expect(highlightText('No match here', ['mould'])).toBeNull();
+    });
+  });
+
+  describe('collectMatches', () => {
+    test('should report the field, room and issue of each match', () => {
+      const roomId = mongoose.Types.ObjectId();
+      const issueId = mongoose.Types.ObjectId();
+      const matches = collectMatches({
+        inspection: {
+          propertyId: { name: 'Harbour View', address: { line1: '1 Mould St', city: 'Sydney' } },
+          aiSummary: 'Generally good condition',
+          rooms: [{ _id: roomId, notes: 'Black mould on ceiling', aiSummary: 'Bathroom' }],
+        },
+        issues: [{ _id: issueId, label: 'Mould growth', recommendation: 'Clean and ventilate' }],
+        terms: ['mould'],
+      });
+
+      expect(matches.map(({ field, roomId: room, issueId: issue }) => ({ field, room, issue }))).toEqual([
+        { field: 'property.address', room: undefined, issue: undefined },
+        { field: 'room.notes', room: roomId.toString(), issue: undefined },
+        { field: 'issue.label', room: undefined, issue: issueId.toString() },
+      ]);
+    });
+  });
+
+  describe('buildIssueFilter', () => {
+    test('should require every word in the label or recommendation', () => {
+      const filter = buildIssueFilter({
+        organizationId: 'org1',
+        severity: ['high'],
+        category: [],
+        terms: ['mould', 'wall'],
+      });
+
+      expect(filter.organizationId).toBe('org1');
+      expect(filter.severity).toEqual({ $in: ['high'] });
+      expect(filter.category).toBeUndefined();
+      expect(filter.$and).toHaveLength(2);
+      expect(filter.$and[0].$or[0].label.test('Black MOULD')).toBe(true);
+    });
+  });
+});
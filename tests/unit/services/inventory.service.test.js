@@ -0,0 +1,217 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+jest.mock('../../../src/lib/storage', () => ({ ...jest.requireActual('../../../src/lib/storage'), getStorage: jest.fn() }));
+
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const { getStorage } = require('../../../src/lib/storage');
+const geminiService = require('../../../src/services/ai/gemini.service');
+const { buildInventoryRows } = require('../../../src/services/ai/reportGeneration.service');
+const {
+  reconcileWithPrevious,
+  updateItem,
+  parseSuggestions,
+  suggestInventory,
+} = require('../../../src/services/inventory.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+const item = (name, quantity = 1, condition = 'good', overrides = {}) => ({
+  _id: mongoose.Types.ObjectId(),
+  name,
+  quantity,
+  condition,
+  ...overrides,
+});
+
+describe('Inventory service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reconcileWithPrevious', () => {
+    test('should reconcile the rooms of the later inspection and total the differences', () => {
+      const previous = {
+        rooms: [
+          { _id: mongoose.Types.ObjectId(), name: 'Lounge', inventory: [item('Sofa'), item('TV')] },
+          { _id: mongoose.Types.ObjectId(), name: 'Garage', inventory: [item('Lawn mower')] },
+        ],
+      };
+      const inspection = {
+        rooms: [
+          { _id: mongoose.Types.ObjectId(), name: 'Lounge', inventory: [item('Sofa', 1, 'damaged'), item('Armchair')] },
+          { _id: mongoose.Types.ObjectId(), name: '_pending_classification', inventory: [] },
+        ],
+      };
+
+      const { rooms, totals } = reconcileWithPrevious(previous, inspection);
+
+      expect(rooms).toHaveLength(1);
+      expect(rooms[0]).toEqual(
+        expect.objectContaining({
+          name: 'Lounge',
+          roomId: inspection.rooms[0]._id.toString(),
+          previousRoomId: previous.rooms[0]._id.toString(),
+        })
+      );
+      expect(totals).toEqual({ missingItems: 1, damagedItems: 1, addedItems: 1 });
+    });
+  });
+
+  describe('updateItem', () => {
+    test('should turn a corrected AI item into a manual one', async () => {
+      const roomId = mongoose.Types.ObjectId();
+      const current = item('Grey sofa', 1, 'good', { source: 'ai', confidence: 0.8, photoIds: [] });
+      jest
+        .spyOn(Inspection, 'findOne')
+        .mockReturnValue(chain({ rooms: [{ _id: roomId, name: 'Lounge', photos: [], inventory: [current] }] }));
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const updated = await updateItem({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        roomId: roomId.toString(),
+        itemId: current._id.toString(),
+        updates: { condition: 'worn' },
+      });
+
+      expect(updated).toEqual(expect.objectContaining({ name: 'Grey sofa', condition: 'worn', source: 'manual' }));
+      expect(updated).not.toHaveProperty('confidence');
+      expect(updateOne.mock.calls[0][1]).toEqual({ $set: { 'rooms.$[room].inventory.$[item]': updated } });
+    });
+
+    test('should reject photos of another inspection', async () => {
+      const roomId = mongoose.Types.ObjectId();
+      const current = item('Lamp');
+      jest
+        .spyOn(Inspection, 'findOne')
+        .mockReturnValue(chain({ rooms: [{ _id: roomId, name: 'Lounge', photos: [], inventory: [current] }] }));
+
+      await expect(
+        updateItem({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          roomId: roomId.toString(),
+          itemId: current._id.toString(),
+          updates: { photoIds: [mongoose.Types.ObjectId().toString()] },
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+  });
+
+  describe('parseSuggestions', () => {
+    const photos = [{ _id: 'p1' }, { _id: 'p2' }];
+
+    test('should read items and map photo numbers to photos', () => {
+      const text = `Sure: {"items": [
+        {"name": " Dining chair ", "quantity": "4", "condition": "fair", "photos": [1, 2, 7], "confidence": 0.9},
+        {"name": "Cutlery set", "quantity": 0, "condition": "shiny", "confidence": 2, "notes": "In drawer"},
+        {"name": ""}
+      ]}`;
+
+      expect(parseSuggestions(text, photos)).toEqual([
+        { name: 'Dining chair', quantity: 4, condition: 'fair', photoIds: ['p1', 'p2'], confidence: 0.9, notes: null },
+        { name: 'Cutlery set', quantity: 1, condition: 'good', photoIds: [], confidence: 1, notes: 'In drawer' },
+      ]);
+    });
+
+    test('should reject replies without an item list', () => {
+      expect(() => parseSuggestions('{"rooms": []}', photos)).toThrow(
+        expect.objectContaining({ statusCode: httpStatus.BAD_GATEWAY })
+      );
+    });
+  });
+
+  describe('suggestInventory', () => {
+    const roomId = mongoose.Types.ObjectId();
+    const photo = (capturedAt, derivatives) => ({
+      _id: mongoose.Types.ObjectId(),
+      storagePath: `org/inspections/i/rooms/r/${capturedAt}.heic`,
+      mimeType: 'image/heic',
+      capturedAt: new Date(capturedAt),
+      derivatives,
+    });
+    const photos = [photo('2026-03-02', { medium: { storagePath: 'org/medium/2.jpg' } }), photo('2026-03-01')];
+
+    beforeEach(() => {
+      jest
+        .spyOn(Inspection, 'findOne')
+        .mockReturnValue(chain({ rooms: [{ _id: roomId, name: 'Lounge', photos, inventory: [item('Grey sofa')] }] }));
+      getStorage.mockReturnValue({ download: jest.fn().mockResolvedValue({ data: Buffer.from('img') }) });
+    });
+
+    test('should send room photos in capture order and add confident new items', async () => {
+      const generateWithVision = jest.spyOn(geminiService, 'generateWithVision').mockResolvedValue({
+        text: JSON.stringify({
+          items: [
+            { name: 'grey  sofa', quantity: 1, condition: 'good', photos: [2], confidence: 0.95 },
+            { name: 'TV', quantity: 1, condition: 'new', photos: [1], confidence: 0.9 },
+            { name: 'Vase', quantity: 1, condition: 'good', photos: [2], confidence: 0.3 },
+          ],
+        }),
+      });
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const result = await suggestInventory({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        roomId: roomId.toString(),
+        user: { id: mongoose.Types.ObjectId() },
+        save: true,
+      });
+
+      const { images, prompt } = generateWithVision.mock.calls[0][0];
+      expect(images.map(({ mimeType }) => mimeType)).toEqual(['image/heic', 'image/jpeg']);
+      expect(prompt).toContain('already listed; do not repeat them: Grey sofa');
+      expect(result.suggestions.map(({ name }) => name)).toEqual(['TV', 'Vase']);
+      expect(result.items).toEqual([
+        expect.objectContaining({ name: 'TV', source: 'ai', confidence: 0.9, photoIds: [photos[1]._id] }),
+      ]);
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          rooms: { $elemMatch: { _id: roomId.toString(), 'inventory.199': { $exists: false } } },
+        }),
+        { $push: { 'rooms.$.inventory': { $each: result.items } } },
+        { runValidators: true }
+      );
+    });
+
+    test('should reject photos of another room', async () => {
+      await expect(
+        suggestInventory({
+          inspectionId: 'inspection1',
+          organizationId: 'org1',
+          roomId: roomId.toString(),
+          user: { id: mongoose.Types.ObjectId() },
+          photoIds: [mongoose.Types.ObjectId().toString()],
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+  });
+
+  describe('buildInventoryRows', () => {
+    test('should fill the preset fields of an inventory section from every room', () => {
+      const section = {
+        type: 'inventory',
+        fields: [
+          { key: 'location', label: 'Room' },
+          { key: 'item_description', label: 'Item' },
+          { key: 'qty', label: 'Qty' },
+          { key: 'condition', label: 'Condition' },
+          { key: 'signed_off', label: 'Checked' },
+        ],
+      };
+      const rooms = [{ name: 'Kitchen', inventory: [{ name: 'Kettle', quantity: 1, condition: 'good' }] }, { name: 'Hall' }];
+
+      expect(buildInventoryRows(section, rooms)).toEqual([
+        { location: 'Kitchen', item_description: 'Kettle', qty: 1, condition: 'good' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Issue = require('../../../src/models/issue.model');
+const { buildIssueFilter, syncPhotoIssues, removeLinkedIssues } = require('../../../src/services/issue.service');
+
+describe('Issue service', () => {
+  describe('buildIssueFilter', () => {
+    test('should scope to the organization and combine the given filters', () => {
+      const propertyId = mongoose.Types.ObjectId().toString();
+
+      const filter = buildIssueFilter('org1', {
+        propertyId,
+        status: ['open', 'scheduled'],
+        severity: ['high'],
+        dueBefore: '2026-01-31T00:00:00.000Z',
+      });
+
+      expect(filter).toEqual({
+        organizationId: 'org1',
+        propertyId: mongoose.Types.ObjectId(propertyId),
+        status: { $in: ['open', 'scheduled'] },
+        severity: { $in: ['high'] },
+        dueDate: { $lte: new Date('2026-01-31T00:00:00.000Z') },
+      });
+    });
+  });
+
+  describe('syncPhotoIssues', () => {
+    const photo = {
+      _id: mongoose.Types.ObjectId(),
+      issues: [{ label: 'Damp patch', severity: 'high', category: 'structural' }],
+    };
+    const otherPhoto = { _id: mongoose.Types.ObjectId(), issues: [{ label: 'Scuff', severity: 'low' }] };
+    const inspection = {
+      _id: mongoose.Types.ObjectId(),
+      organizationId: 'org1',
+      propertyId: mongoose.Types.ObjectId(),
+      rooms: [{ _id: mongoose.Types.ObjectId(), name: 'Bathroom', photos: [photo, otherPhoto] }],
+    };
+
+    let bulkWrite;
+    beforeEach(() => {
+      bulkWrite = jest.spyOn(Issue, 'bulkWrite').mockResolvedValue({ upsertedCount: 1, modifiedCount: 0, deletedCount: 0 });
+    });
+    afterEach(() => bulkWrite.mockRestore());
+
+    test('should upsert AI issues by source key and drop ones the analysis no longer reports', async () => {
+      await syncPhotoIssues({ inspection, photoIds: [photo._id.toString()] });
+
+      const [operations] = bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(2);
+      expect(operations[0].updateOne.filter).toEqual({ sourceKey: `${photo._id}:structural:damp patch` });
+      expect(operations[0].updateOne.update.$set).toMatchObject({ label: 'Damp patch', roomName: 'Bathroom' });
+      expect(operations[0].updateOne.update.$setOnInsert).toEqual({
+        organizationId: 'org1',
+        source: 'ai',
+        sourceKey: `${photo._id}:structural:damp patch`,
+      });
+      expect(operations[1].deleteMany.filter).toMatchObject({
+        photoId: photo._id,
+        status: 'open',
+        sourceKey: { $nin: [`${photo._id}:structural:damp patch`] },
+      });
+    });
+
+    test('should key AI issues on the defect so reordered analyses keep their issues', async () => {
+      const scuff = { label: 'Scuff ', severity: 'low' };
+      const reordered = { ...photo, issues: [scuff, photo.issues[0], { ...scuff, label: 'scuff' }] };
+
+      await syncPhotoIssues({ inspection: { ...inspection, rooms: [{ ...inspection.rooms[0], photos: [reordered] }] } });
+
+      const [operations] = bulkWrite.mock.calls[0];
+      expect(operations.slice(0, 3).map((operation) => operation.updateOne.filter.sourceKey)).toEqual([
+        `${photo._id}::scuff`,
+        `${photo._id}:structural:damp patch`,
+        `${photo._id}::scuff#2`,
+      ]);
+    });
+
+    test('should reprice AI issues without overwriting estimates entered by hand', async () => {
+      const costEstimate = { low: 3000, high: 15000, currency: 'AUD', source: 'catalogue' };
+      const pricedPhoto = { ...photo, issues: [{ ...photo.issues[0], costEstimate }] };
+
+      await syncPhotoIssues({ inspection: { ...inspection, rooms: [{ ...inspection.rooms[0], photos: [pricedPhoto] }] } });
+
+      const [operations] = bulkWrite.mock.calls[0];
+      expect(operations[0].updateOne.update.$setOnInsert.costEstimate).toEqual(costEstimate);
+      expect(operations[1].updateOne).toEqual({
+        filter: { sourceKey: `${photo._id}:structural:damp patch`, 'costEstimate.source': { $ne: 'manual' } },
+        update: { $set: { costEstimate } },
+      });
+    });
+
+    test('should only insert missing issues when not refreshing', async () => {
+      await syncPhotoIssues({ inspection, refresh: false });
+
+      const [operations] = bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(2);
+      operations.forEach((operation) => {
+        expect(operation.updateOne.update).not.toHaveProperty('$set');
+      });
+    });
+  });
+
+  describe('removeLinkedIssues', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should only delete untracked AI issues and detach the rest from the deleted photos', async () => {
+      const inspectionId = mongoose.Types.ObjectId();
+      const photoId = mongoose.Types.ObjectId();
+      const roomId = mongoose.Types.ObjectId();
+      const deleteMany = jest.spyOn(Issue, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      const updateMany = jest.spyOn(Issue, 'updateMany').mockResolvedValue({ n: 1, nModified: 1 });
+
+      await expect(
+        removeLinkedIssues({
+          inspectionId: inspectionId.toString(),
+          photoIds: [photoId.toString()],
+          roomId: roomId.toString(),
+        })
+      ).resolves.toEqual({ removed: 2, detached: 1 });
+      expect(deleteMany).toHaveBeenCalledWith({
+        inspectionId,
+        $or: [{ photoId: { $in: [photoId] } }, { roomId }],
+        source: 'ai',
+        status: 'open',
+        assignee: null,
+      });
+      expect(updateMany).toHaveBeenCalledWith({ inspectionId, photoId: { $in: [photoId] } }, { $unset: { photoId: 1 } });
+    });
+  });
+});
@@ -0,0 +1,249 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+jest.mock('../../../src/lib/storage', () => ({ ...jest.requireActual('../../../src/lib/storage'), getStorage: jest.fn() }));
+
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const { getStorage } = require('../../../src/lib/storage');
+const geminiService = require('../../../src/services/ai/gemini.service');
+const {
+  normalizeUnit,
+  matchPreviousReading,
+  calculateUsage,
+  buildUsageSincePrevious,
+  parseExtraction,
+  updateMeterReading,
+  extractMeterReading,
+} = require('../../../src/services/meterReading.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+describe('Meter reading service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeUnit', () => {
+    test('should map meter face spellings to stored units of the meter type', () => {
+      expect(normalizeUnit('electricity', 'KWH')).toBe('kWh');
+      expect(normalizeUnit('water', 'm³')).toBe('m3');
+      expect(normalizeUnit('gas')).toBe('m3');
+      expect(normalizeUnit('electricity', 'kL')).toBeNull();
+    });
+  });
+
+  describe('matchPreviousReading', () => {
+    const previous = [
+      { _id: 'a', type: 'electricity', serial: 'E-1001' },
+      { _id: 'b', type: 'electricity', serial: 'E-1002' },
+      { _id: 'c', type: 'water' },
+    ];
+
+    test('should match on type and serial', () => {
+      expect(matchPreviousReading(previous, { type: 'electricity', serial: 'e1002' })._id).toBe('b');
+      expect(matchPreviousReading(previous, { type: 'electricity', serial: 'E-9999' })).toBeNull();
+    });
+
+    test('should fall back to the only meter of the type when a serial is missing', () => {
+      expect(matchPreviousReading(previous, { type: 'water', serial: 'W-1' })._id).toBe('c');
+      expect(matchPreviousReading(previous, { type: 'electricity' })).toBeNull();
+      expect(matchPreviousReading(previous, { type: 'gas' })).toBeNull();
+    });
+  });
+
+  describe('calculateUsage', () => {
+    const previous = { reading: 10450.5, unit: 'kWh', inspectedAt: new Date('2026-01-01') };
+
+    test('should work out usage and the daily average', () => {
+      expect(calculateUsage(previous, { reading: 12250.5, unit: 'kWh', inspectedAt: new Date('2026-07-20') })).toEqual({
+        delta: 1800,
+        days: 200,
+        dailyAverage: 9,
+        anomaly: null,
+      });
+    });
+
+    test('should flag readings that went down or changed unit', () => {
+      const now = new Date('2026-03-01');
+      expect(calculateUsage(previous, { reading: 120, unit: 'kWh', inspectedAt: now })).toEqual(
+        expect.objectContaining({ anomaly: 'reading_decreased', dailyAverage: null })
+      );
+      expect(calculateUsage(previous, { reading: 120, unit: 'MJ', inspectedAt: now })).toEqual(
+        expect.objectContaining({ delta: null, anomaly: 'unit_changed' })
+      );
+    });
+  });
+
+  describe('buildUsageSincePrevious', () => {
+    test('should pair each reading with the same meter of the previous inspection', () => {
+      const previous = {
+        completedAt: new Date('2026-01-01'),
+        meterReadings: [{ _id: 'p1', type: 'gas', serial: 'G7', reading: 300, unit: 'm3' }],
+      };
+      const readings = [
+        { _id: 'r1', type: 'gas', reading: 345.5, unit: 'm3' },
+        { _id: 'r2', type: 'water', reading: 12, unit: 'kL' },
+      ];
+
+      const usage = buildUsageSincePrevious({ readings, inspectedAt: new Date('2026-01-11'), previous });
+
+      expect(usage[0]).toEqual(
+        expect.objectContaining({
+          serial: 'G7',
+          previousReadingId: 'p1',
+          previous: 300,
+          current: 345.5,
+          delta: 45.5,
+          days: 10,
+        })
+      );
+      expect(usage[1]).toEqual(expect.objectContaining({ previousReadingId: null, delta: null }));
+    });
+  });
+
+  describe('parseExtraction', () => {
+    test('should read the JSON reply of the model', () => {
+      const text =
+        'Here you go: {"readable": true, "meterType": "electricity", "reading": "04 521.7", "unit": "KWH", "serial": " 3A-1123 ", "confidence": 0.92, "notes": null}';
+
+      expect(parseExtraction(text)).toEqual({
+        readable: true,
+        type: 'electricity',
+        reading: 4521.7,
+        unit: 'kWh',
+        serial: '3A-1123',
+        confidence: 0.92,
+        notes: null,
+      });
+    });
+
+    test('should not call a reading readable without a number or meter type', () => {
+      expect(
+        parseExtraction('{"readable": true, "meterType": "unknown", "reading": "812", "confidence": 0.8}').readable
+      ).toBe(false);
+      expect(parseExtraction('{"readable": true, "reading": "8.1.2", "confidence": 0.8}', 'water').readable).toBe(false);
+    });
+
+    test('should reject replies without JSON', () => {
+      expect(() => parseExtraction('The meter is blurry')).toThrow(
+        expect.objectContaining({ statusCode: httpStatus.BAD_GATEWAY })
+      );
+    });
+  });
+
+  describe('updateMeterReading', () => {
+    test('should turn a corrected AI reading into a manual one', async () => {
+      const readingId = mongoose.Types.ObjectId();
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(
+        chain({
+          rooms: [],
+          meterReadings: [
+            { _id: readingId, type: 'electricity', reading: 4521.7, unit: 'kWh', source: 'ai', confidence: 0.7 },
+          ],
+        })
+      );
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const reading = await updateMeterReading({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        readingId: readingId.toString(),
+        updates: { reading: 4527.1 },
+      });
+
+      expect(reading).toEqual(expect.objectContaining({ reading: 4527.1, unit: 'kWh', source: 'manual' }));
+      expect(reading).not.toHaveProperty('confidence');
+      expect(updateOne.mock.calls[0][1]).toEqual({ $set: { 'meterReadings.$': reading } });
+    });
+
+    test('should reject units of another meter type', async () => {
+      const readingId = mongoose.Types.ObjectId();
+      jest
+        .spyOn(Inspection, 'findOne')
+        .mockReturnValue(
+          chain({ rooms: [], meterReadings: [{ _id: readingId, type: 'water', reading: 12, unit: 'kL', source: 'manual' }] })
+        );
+
+      await expect(
+        updateMeterReading({
+          inspectionId: 'i',
+          organizationId: 'o',
+          readingId: readingId.toString(),
+          updates: { unit: 'kWh' },
+        })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+  });
+
+  describe('extractMeterReading', () => {
+    const photoId = mongoose.Types.ObjectId();
+    const inspection = {
+      rooms: [
+        {
+          photos: [
+            {
+              _id: photoId,
+              storagePath: 'org/inspections/i/rooms/r/meter.heic',
+              mimeType: 'image/heic',
+              fileSize: 2 * 1024 * 1024,
+            },
+          ],
+        },
+      ],
+    };
+    const reply = (confidence) =>
+      `{"readable": true, "meterType": "water", "reading": "00123.45", "unit": "m3", "serial": null, "confidence": ${confidence}}`;
+
+    beforeEach(() => {
+      jest.spyOn(Inspection, 'findOne').mockReturnValue(chain(inspection));
+      getStorage.mockReturnValue({ download: jest.fn().mockResolvedValue({ data: Buffer.from('img') }) });
+    });
+
+    test('should send the original photo to Gemini and record a confident reading', async () => {
+      const generateWithVision = jest.spyOn(geminiService, 'generateWithVision').mockResolvedValue({ text: reply(0.9) });
+      const updateOne = jest.spyOn(Inspection, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+
+      const result = await extractMeterReading({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        user: { id: mongoose.Types.ObjectId() },
+        photoId: photoId.toString(),
+        save: true,
+      });
+
+      expect(generateWithVision.mock.calls[0][0].images).toEqual([
+        { mimeType: 'image/heic', data: Buffer.from('img').toString('base64') },
+      ]);
+      expect(result.reading).toEqual(
+        expect.objectContaining({ type: 'water', reading: 123.45, unit: 'm3', source: 'ai', confidence: 0.9, photoId })
+      );
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ 'meterReadings.19': { $exists: false } }),
+        { $push: { meterReadings: result.reading } },
+        { runValidators: true }
+      );
+    });
+
+    test('should only return readings below the minimum confidence', async () => {
+      jest.spyOn(geminiService, 'generateWithVision').mockResolvedValue({ text: reply(0.4) });
+      const updateOne = jest.spyOn(Inspection, 'updateOne');
+
+      const result = await extractMeterReading({
+        inspectionId: 'inspection1',
+        organizationId: 'org1',
+        user: { id: mongoose.Types.ObjectId() },
+        photoId: photoId.toString(),
+        save: true,
+      });
+
+      expect(result).toEqual({ extraction: expect.objectContaining({ reading: 123.45, confidence: 0.4 }), reading: null });
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
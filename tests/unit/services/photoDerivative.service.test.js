@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sitewise-derivatives-'));
+process.env.UPLOAD_DIR = uploadDir;
+process.env.STORAGE_PROVIDER = 'local';
+
+jest.mock('sharp', () =>
+  jest.fn(() => {
+    const pipeline = {};
+    pipeline.rotate = () => pipeline;
+    pipeline.resize = () => pipeline;
+    pipeline.jpeg = () => pipeline;
+    pipeline.toBuffer = () => Promise.resolve({ data: Buffer.from('jpeg'), info: { width: 320, height: 240, size: 4 } });
+    return pipeline;
+  })
+);
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+
+const mongoose = require('mongoose');
+const { getStorage } = require('../../../src/lib/storage');
+const { generatePhotoDerivatives, resolvePhotoKey } = require('../../../src/services/photoDerivative.service');
+
+describe('Photo derivative service', () => {
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe('generatePhotoDerivatives', () => {
+    test('should store derivatives where the photo URLs are resolved from', async () => {
+      const storage = getStorage();
+      const photo = { _id: mongoose.Types.ObjectId(), storagePath: 'org1/inspections/i1/photos/kitchen.jpg' };
+      await storage.upload(photo.storagePath, Buffer.from('original'), { contentType: 'image/jpeg' });
+
+      const derivatives = await generatePhotoDerivatives({
+        photo,
+        organizationId: 'org1',
+        inspectionId: 'i1',
+        roomId: 'r1',
+      });
+
+      const resolved = resolvePhotoKey({ ...photo, derivatives }, 'thumbnail');
+      expect(resolved.size).toBe('thumbnail');
+      // Local storage only presigns objects that exist
+      await expect(storage.getPresignedDownloadUrl(resolved.storagePath)).resolves.toContain(
+        encodeURIComponent(resolved.storagePath)
+      );
+    });
+  });
+});
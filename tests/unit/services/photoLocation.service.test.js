@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { Inspection } = require('../../../src/models/inspection.model');
+const {
+  distanceMeters,
+  checkPhotoLocation,
+  updateLocationWarnings,
+  summarizeLocationVerification,
+  formatLocationVerification,
+  reverifyPropertyPhotos,
+} = require('../../../src/services/photoLocation.service');
+
+// Sydney Opera House, and points roughly 100 m and 1.4 km away
+const property = { latitude: -33.8568, longitude: 151.2153 };
+const nearby = { latitude: -33.8577, longitude: 151.2153 };
+const faraway = { latitude: -33.8688, longitude: 151.2093 };
+
+describe('Photo location service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('distanceMeters', () => {
+    test('should measure great-circle distance', () => {
+      expect(distanceMeters(property, property)).toBe(0);
+      expect(Math.round(distanceMeters(property, nearby))).toBe(100);
+    });
+  });
+
+  describe('checkPhotoLocation', () => {
+    test('should verify photos within the radius and flag the rest', () => {
+      expect(checkPhotoLocation(nearby, property)).toEqual({ status: 'verified', distanceMeters: 100, radiusMeters: 200 });
+      expect(checkPhotoLocation(faraway, property)).toEqual(expect.objectContaining({ status: 'off_site' }));
+      expect(checkPhotoLocation(nearby, { ...property, radiusMeters: 50 }).status).toBe('off_site');
+    });
+
+    test('should not judge photos without a GPS position or properties without coordinates', () => {
+      expect(checkPhotoLocation({ make: 'Apple' }, property).status).toBe('no_gps');
+      expect(checkPhotoLocation({ latitude: 0, longitude: 0 }, property).status).toBe('no_gps');
+      expect(checkPhotoLocation(nearby, null).status).toBe('no_property_location');
+    });
+  });
+
+  describe('updateLocationWarnings', () => {
+    test('should replace the off-site warning and keep the others', () => {
+      const flagged = updateLocationWarnings(['Blurry'], faraway, property);
+      expect(flagged).toEqual([
+        'Blurry',
+        expect.stringMatching(/^Taken off site: GPS position is 1\.4 km from the property/),
+      ]);
+
+      expect(updateLocationWarnings(flagged, nearby, property)).toEqual(['Blurry']);
+      expect(updateLocationWarnings(flagged, faraway, null)).toEqual(['Blurry']);
+    });
+  });
+
+  describe('summarizeLocationVerification', () => {
+    const inspection = {
+      rooms: [
+        { photos: [{ exif: nearby }, { exif: faraway }] },
+        { photos: [{ exif: nearby }, { exif: { make: 'Apple' } }] },
+      ],
+    };
+
+    test('should report the share of all photos taken on site', () => {
+      const summary = summarizeLocationVerification({ inspection, location: property });
+
+      expect(summary).toEqual({
+        propertyLocated: true,
+        radiusMeters: 200,
+        photoCount: 4,
+        withGps: 3,
+        verified: 2,
+        offSite: 1,
+        verifiedPercentage: 50,
+      });
+      expect(formatLocationVerification(summary)).toBe('50% of photos (2 of 4 within 200 m)');
+    });
+
+    test('should not report a share without property coordinates', () => {
+      const summary = summarizeLocationVerification({ inspection, location: null });
+
+      expect(summary.verifiedPercentage).toBeNull();
+      expect(formatLocationVerification(summary)).toBe('Property coordinates not set');
+    });
+  });
+
+  describe('reverifyPropertyPhotos', () => {
+    test('should only rewrite photos whose warnings change', async () => {
+      const inspectionId = mongoose.Types.ObjectId();
+      const movedPhotoId = mongoose.Types.ObjectId();
+      jest.spyOn(Inspection, 'find').mockReturnValue({
+        select: () => ({
+          lean: () =>
+            Promise.resolve([
+              {
+                _id: inspectionId,
+                rooms: [
+                  {
+                    photos: [
+                      { _id: mongoose.Types.ObjectId(), exif: nearby, qualityWarnings: [] },
+                      { _id: movedPhotoId, exif: faraway, qualityWarnings: [] },
+                    ],
+                  },
+                ],
+              },
+            ]),
+        }),
+      });
+      const bulkWrite = jest.spyOn(Inspection, 'bulkWrite').mockResolvedValue({});
+
+      const changed = await reverifyPropertyPhotos({ propertyId: 'property1', organizationId: 'org1', location: property });
+
+      expect(changed).toBe(1);
+      expect(bulkWrite.mock.calls[0][0]).toEqual([
+        expect.objectContaining({
+          updateOne: expect.objectContaining({
+            filter: { _id: inspectionId },
+            arrayFilters: [{ 'photo._id': movedPhotoId }],
+          }),
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { normalizeExifTags } = require('../../../src/services/photoMetadata.service');
+
+describe('Photo metadata service', () => {
+  describe('normalizeExifTags', () => {
+    const extractedAt = new Date('2024-06-01T00:00:00Z');
+
+    test('should map capture time, camera, orientation and GPS position', () => {
+      const tags = {
+        Make: 'Apple ',
+        Model: 'iPhone 14',
+        Orientation: 6,
+        DateTimeOriginal: new Date('2024-05-01T10:11:12Z'),
+        latitude: -33.8688,
+        longitude: 151.2093,
+        GPSAltitude: 42,
+      };
+
+      expect(normalizeExifTags(tags, extractedAt)).toEqual({
+        capturedAt: new Date('2024-05-01T10:11:12Z'),
+        exif: {
+          make: 'Apple',
+          model: 'iPhone 14',
+          orientation: 6,
+          latitude: -33.8688,
+          longitude: 151.2093,
+          altitude: 42,
+          extractedAt,
+        },
+      });
+    });
+
+    test('should drop out of range coordinates and invalid dates', () => {
+      const { capturedAt, exif } = normalizeExifTags(
+        { DateTimeOriginal: 'not a date', latitude: 123, longitude: 10, Orientation: 12 },
+        extractedAt
+      );
+
+      expect(capturedAt).toBeUndefined();
+      expect(exif.latitude).toBeUndefined();
+      expect(exif.longitude).toBeUndefined();
+      expect(exif.orientation).toBeUndefined();
+    });
+
+    test('should still mark photos without EXIF as extracted', () => {
+      expect(normalizeExifTags(null, extractedAt)).toEqual({ exif: { extractedAt } });
+    });
+  });
+});
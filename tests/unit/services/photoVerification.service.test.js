@@ -0,0 +1,80 @@
+const httpStatus = require('http-status');
+const ApiError = require('../../../src/utils/ApiError');
+const { detectImageType, verifyUploadedPhotos } = require('../../../src/services/photoVerification.service');
+
+const JPEG_HEADER = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(28)]);
+const PDF_HEADER = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(23)]);
+
+const buildStorage = (objects) => ({
+  getMetadata: jest.fn(async (key) => {
+    if (!objects[key]) {
+      throw new ApiError(httpStatus.NOT_FOUND, `File not found: ${key}`);
+    }
+    return { size: objects[key].data.length, contentType: objects[key].contentType };
+  }),
+  downloadRange: jest.fn(async (key, start, end) => objects[key].data.subarray(start, end + 1)),
+});
+
+describe('Photo verification service', () => {
+  const organizationId = 'org1';
+  const inspectionId = 'insp1';
+  const prefix = `${organizationId}/inspections/${inspectionId}/photos`;
+
+  describe('detectImageType', () => {
+    test('should recognise supported images by their magic bytes', () => {
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+      const heic = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic')]);
+
+      expect(detectImageType(JPEG_HEADER)).toBe('image/jpeg');
+      expect(detectImageType(png)).toBe('image/png');
+      expect(detectImageType(heic)).toBe('image/heic');
+      expect(detectImageType(PDF_HEADER)).toBeNull();
+    });
+  });
+
+  describe('verifyUploadedPhotos', () => {
+    test('should return per-item errors and keep the valid photos', async () => {
+      const storage = buildStorage({
+        [`${prefix}/ok.jpg`]: { data: JPEG_HEADER, contentType: 'image/jpeg' },
+        [`${prefix}/fake.jpg`]: { data: PDF_HEADER, contentType: 'image/jpeg' },
+      });
+
+      const { verified, errors } = await verifyUploadedPhotos({
+        storage,
+        organizationId,
+        inspectionId,
+        photos: [
+          { key: `${prefix}/ok.jpg`, filename: 'ok.jpg', fileSize: 0, contentType: 'image/jpg' },
+          { key: `${prefix}/fake.jpg`, filename: 'fake.jpg', contentType: 'image/jpeg' },
+          { key: `${prefix}/missing.jpg`, filename: 'missing.jpg', contentType: 'image/jpeg' },
+          { key: `org2/inspections/${inspectionId}/photos/x.jpg`, filename: 'x.jpg', contentType: 'image/jpeg' },
+          { key: `${prefix}/ok.jpg`, filename: 'big.jpg', fileSize: 999, contentType: 'image/jpeg' },
+        ],
+      });
+
+      expect(verified).toEqual([
+        { key: `${prefix}/ok.jpg`, filename: 'ok.jpg', fileSize: JPEG_HEADER.length, contentType: 'image/jpeg' },
+      ]);
+      expect(errors.map((error) => [error.index, error.code])).toEqual([
+        [1, 'not_an_image'],
+        [2, 'not_found'],
+        [3, 'forbidden_key'],
+        [4, 'size_mismatch'],
+      ]);
+      expect(storage.getMetadata).not.toHaveBeenCalledWith(`org2/inspections/${inspectionId}/photos/x.jpg`);
+    });
+
+    test('should reject a declared type that does not match the file content', async () => {
+      const storage = buildStorage({ [`${prefix}/a.png`]: { data: JPEG_HEADER, contentType: 'image/png' } });
+
+      const { errors } = await verifyUploadedPhotos({
+        storage,
+        organizationId,
+        inspectionId,
+        photos: [{ key: `${prefix}/a.png`, filename: 'a.png', contentType: 'image/png' }],
+      });
+
+      expect(errors[0].code).toBe('content_type_mismatch');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const Property = require('../../../src/models/property.model');
+const Owner = require('../../../src/models/owner.model');
+const Issue = require('../../../src/models/issue.model');
+const { Inspection } = require('../../../src/models/inspection.model');
+const {
+  validatePlacement,
+  buildPartAddress,
+  resolveOwners,
+  resolvePortfolioPropertyIds,
+  computeRollups,
+  sumRollups,
+  deleteOwner,
+} = require('../../../src/services/portfolio.service');
+
+const chain = (value) => {
+  const query = {};
+  query.select = () => query;
+  query.sort = () => query;
+  query.lean = () => Promise.resolve(value);
+  return query;
+};
+
+describe('Portfolio service', () => {
+  const ownerId = mongoose.Types.ObjectId();
+  const buildingId = mongoose.Types.ObjectId();
+  const unitId = mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validatePlacement', () => {
+    test('should require the building of a unit', async () => {
+      await expect(validatePlacement({ organizationId: 'org1', placement: { kind: 'unit' } })).rejects.toMatchObject({
+        statusCode: httpStatus.BAD_REQUEST,
+        message: 'A unit needs the building it belongs to',
+      });
+    });
+
+    test('should reject units of a property that is not a building', async () => {
+      jest.spyOn(Property, 'findOne').mockReturnValue(chain({ _id: buildingId, name: '4 Short St', kind: 'standalone' }));
+
+      await expect(
+        validatePlacement({ organizationId: 'org1', placement: { kind: 'unit', buildingId: buildingId.toString() } })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST, message: '4 Short St is not a building' });
+    });
+
+    test('should reject a building for standalone properties', async () => {
+      await expect(
+        validatePlacement({ organizationId: 'org1', placement: { buildingId: buildingId.toString() } })
+      ).rejects.toMatchObject({ statusCode: httpStatus.BAD_REQUEST });
+    });
+
+    test('should keep a building with units from changing kind', async () => {
+      jest.spyOn(Property, 'countDocuments').mockResolvedValue(3);
+
+      await expect(
+        validatePlacement({ organizationId: 'org1', propertyId: buildingId.toString(), placement: { kind: 'standalone' } })
+      ).rejects.toMatchObject({ statusCode: httpStatus.CONFLICT });
+    });
+
+    test('should return the building and check the owner belongs to the organization', async () => {
+      const building = { _id: buildingId, name: 'Harbour View', kind: 'building', address: { line1: '1 Quay St' } };
+      jest.spyOn(Property, 'findOne').mockReturnValue(chain(building));
+      const countOwners = jest.spyOn(Owner, 'countDocuments').mockResolvedValue(1);
+
+      await expect(
+        validatePlacement({
+          organizationId: 'org1',
+          placement: { kind: 'unit', buildingId: buildingId.toString(), ownerId: ownerId.toString() },
+        })
+      ).resolves.toBe(building);
+      expect(countOwners).toHaveBeenCalledWith({ _id: ownerId.toString(), organizationId: 'org1' });
+      expect(buildPartAddress(building, '4B')).toEqual({ line1: '1 Quay St', line2: 'Unit 4B' });
+    });
+  });
+
+  describe('resolveOwners', () => {
+    test('should give units without an owner the owner of their building', () => {
+      const otherOwnerId = mongoose.Types.ObjectId();
+      const owners = resolveOwners([
+        { _id: buildingId, kind: 'building', ownerId },
+        { _id: unitId, kind: 'unit', buildingId },
+        { _id: 'unit2', kind: 'unit', buildingId, ownerId: otherOwnerId },
+        { _id: 'house', kind: 'standalone' },
+      ]);
+
+      expect([...owners.values()]).toEqual([ownerId.toString(), ownerId.toString(), otherOwnerId.toString(), null]);
+    });
+  });
+
+  describe('resolvePortfolioPropertyIds', () => {
+    test('should include units of the owner’s buildings that have no owner of their own', async () => {
+      const find = jest
+        .spyOn(Property, 'find')
+        .mockReturnValueOnce(chain([{ _id: buildingId, kind: 'building' }]))
+        .mockReturnValueOnce(chain([{ _id: unitId }]));
+
+      const ids = await resolvePortfolioPropertyIds({ organizationId: 'org1', ownerId: ownerId.toString() });
+
+      expect(ids).toEqual([buildingId, unitId]);
+      expect(find.mock.calls[1][0]).toEqual({ organizationId: 'org1', buildingId: { $in: [buildingId] }, ownerId: null });
+    });
+
+    test('should only keep properties matching both the owner and the building', async () => {
+      const houseId = mongoose.Types.ObjectId();
+      jest
+        .spyOn(Property, 'find')
+        .mockReturnValueOnce(
+          chain([
+            { _id: houseId, kind: 'standalone' },
+            { _id: unitId, kind: 'unit' },
+          ])
+        )
+        .mockReturnValueOnce(chain([{ _id: buildingId }, { _id: unitId }]));
+
+      await expect(
+        resolvePortfolioPropertyIds({
+          organizationId: 'org1',
+          ownerId: ownerId.toString(),
+          buildingId: buildingId.toString(),
+        })
+      ).resolves.toEqual([unitId]);
+    });
+  });
+
+  describe('computeRollups', () => {
+    const user = { id: mongoose.Types.ObjectId().toString(), role: 'admin', organizationId: 'org1' };
+
+    test('should count unresolved issues by severity and keep the last completed inspection', async () => {
+      const lastInspectedAt = new Date('2026-03-02');
+      const issueAggregate = jest.spyOn(Issue, 'aggregate').mockResolvedValue([
+        { _id: { propertyId: unitId, severity: 'high' }, count: 2 },
+        { _id: { propertyId: unitId, severity: 'low' }, count: 1 },
+      ]);
+      jest.spyOn(Inspection, 'aggregate').mockResolvedValue([{ _id: unitId, inspections: 3, lastInspectedAt }]);
+
+      const rollups = await computeRollups({ user, propertyIds: [unitId.toString(), buildingId.toString()] });
+
+      expect(rollups.get(unitId.toString())).toEqual({
+        openIssues: 3,
+        openIssuesBySeverity: { low: 1, medium: 0, high: 2 },
+        inspections: 3,
+        lastInspectedAt,
+      });
+      expect(rollups.get(buildingId.toString())).toEqual(expect.objectContaining({ openIssues: 0, lastInspectedAt: null }));
+      expect(issueAggregate.mock.calls[0][0][0].$match).toEqual({
+        organizationId: 'org1',
+        propertyId: { $in: [unitId, buildingId] },
+        status: { $in: ['open', 'acknowledged', 'scheduled'] },
+      });
+      expect(sumRollups([...rollups.values()])).toEqual(rollups.get(unitId.toString()));
+    });
+
+    test('should only count issues of inspections assigned to agents', async () => {
+      const inspectionId = mongoose.Types.ObjectId();
+      jest.spyOn(Inspection, 'distinct').mockResolvedValue([inspectionId]);
+      const issueAggregate = jest.spyOn(Issue, 'aggregate').mockResolvedValue([]);
+      const inspectionAggregate = jest.spyOn(Inspection, 'aggregate').mockResolvedValue([]);
+
+      await computeRollups({ user: { ...user, role: 'agent' }, propertyIds: [unitId] });
+
+      expect(issueAggregate.mock.calls[0][0][0].$match.inspectionId).toEqual({ $in: [inspectionId] });
+      expect(inspectionAggregate.mock.calls[0][0][0].$match.$or).toHaveLength(2);
+    });
+  });
+
+  describe('deleteOwner', () => {
+    test('should refuse to delete an owner that still owns properties', async () => {
+      jest.spyOn(Owner, 'findOne').mockReturnValue(chain({ _id: ownerId }));
+      jest.spyOn(Property, 'countDocuments').mockResolvedValue(2);
+      const deleteOne = jest.spyOn(Owner, 'deleteOne');
+
+      await expect(deleteOwner({ organizationId: 'org1', ownerId: ownerId.toString() })).rejects.toMatchObject({
+        statusCode: httpStatus.CONFLICT,
+        message: 'The owner still owns 2 properties',
+      });
+      expect(deleteOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+jest.mock('../../../src/services/reportPdf.service', () => ({ renderReportVersionPdf: jest.fn() }));
+
+const httpStatus = require('http-status');
+const Report = require('../../../src/models/report.model');
+const {
+  hashToken,
+  parseSignatureImage,
+  buildSignatureCaption,
+  getSigningSession,
+  verifySignedReport,
+} = require('../../../src/services/reportSignature.service');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`;
+
+const mockReportLookup = (report) => jest.spyOn(Report, 'findOne').mockReturnValue({ lean: () => Promise.resolve(report) });
+
+describe('Report signature service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseSignatureImage', () => {
+    test('should decode a PNG data URL', () => {
+      expect(parseSignatureImage(toDataUrl(PNG_SIGNATURE))).toEqual(PNG_SIGNATURE);
+    });
+
+    test('should reject other images and malformed data URLs', () => {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+      expect(() => parseSignatureImage(toDataUrl(jpeg))).toThrow('not a valid PNG');
+      expect(() => parseSignatureImage('data:image/png;base64,***')).toThrow('base64 PNG data URL');
+      expect(() => parseSignatureImage(undefined)).toThrow('base64 PNG data URL');
+    });
+
+    test('should reject images over the size limit', () => {
+      const large = Buffer.concat([PNG_SIGNATURE, Buffer.alloc(300 * 1024)]);
+
+      expect(() => parseSignatureImage(toDataUrl(large))).toThrow('at most');
+    });
+  });
+
+  describe('buildSignatureCaption', () => {
+    test('should describe how, when and where the party signed', () => {
+      const caption = buildSignatureCaption({
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        signature: { method: 'typed', signedAt: new Date('2026-05-04T10:20:30.456Z'), ipAddress: '203.0.113.7' },
+      });
+
+      expect(caption).toBe('Typed signature of Jane Doe <jane@example.com> · signed 2026-05-04 10:20:30 UTC · 203.0.113.7');
+    });
+  });
+
+  describe('getSigningSession', () => {
+    const token = 'a'.repeat(64);
+    const buildReport = ({ status = 'pending', tokenExpiresAt = new Date(Date.now() + 60000) } = {}) => ({
+      _id: 'report1',
+      versions: [
+        {
+          version: 1,
+          signing: { status, parties: [{ _id: 'party1', tokenHash: hashToken(token), tokenExpiresAt, status: 'pending' }] },
+        },
+      ],
+    });
+
+    test('should not accept links of a cancelled signing', async () => {
+      mockReportLookup(buildReport({ status: 'cancelled' }));
+
+      await expect(getSigningSession({ token })).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+    });
+
+    test('should report expired links as gone', async () => {
+      mockReportLookup(buildReport({ tokenExpiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(getSigningSession({ token })).rejects.toMatchObject({ statusCode: httpStatus.GONE });
+    });
+  });
+
+  describe('verifySignedReport', () => {
+    const sha256 = 'ab'.repeat(32);
+
+    test('should describe the signed version matching the fingerprint', async () => {
+      const signedAt = new Date('2026-05-04T10:20:30Z');
+      mockReportLookup({
+        versions: [
+          { version: 1, title: 'Move-in', signing: { status: 'cancelled' } },
+          {
+            version: 2,
+            title: 'Move-in',
+            signing: {
+              status: 'completed',
+              completedAt: signedAt,
+              signedPdfSha256: sha256,
+              parties: [
+                { name: 'Jane Doe', role: 'tenant', email: 'jane@example.com', signature: { method: 'drawn', signedAt } },
+              ],
+            },
+          },
+        ],
+      });
+
+      const result = await verifySignedReport({ sha256: sha256.toUpperCase() });
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          valid: true,
+          version: 2,
+          parties: [{ name: 'Jane Doe', role: 'tenant', method: 'drawn', signedAt }],
+        })
+      );
+    });
+
+    test('should throw 404 when no signed report matches', async () => {
+      mockReportLookup(null);
+
+      await expect(verifySignedReport({ sha256 })).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../../src/services/photoRegistration.service', () => ({ registerInspectionPhotos: jest.fn() }));
+jest.mock('../../../src/services/inspectionLifecycle.service', () => ({ transitionInspection: jest.fn() }));
+jest.mock('../../../src/services/inspectionAccess.service', () => ({
+  ...jest.requireActual('../../../src/services/inspectionAccess.service'),
+  assertInspectionAccess: jest.fn(),
+}));
+
+const { Inspection } = require('../../../src/models/inspection.model');
+const SyncMutation = require('../../../src/models/syncMutation.model');
+const { transitionInspection } = require('../../../src/services/inspectionLifecycle.service');
+const {
+  getRoomVersion,
+  getInspectionVersion,
+  toInspectionSnapshot,
+  applyMutation,
+  decodeCursor,
+  encodeCursor,
+} = require('../../../src/services/sync.service');
+
+describe('Sync service', () => {
+  const photoId = mongoose.Types.ObjectId();
+  const room = {
+    _id: mongoose.Types.ObjectId(),
+    name: 'Kitchen',
+    displayOrder: 1,
+    conditionRating: 'good',
+    notes: 'Tap drips',
+    photos: [{ _id: photoId, storagePath: 'org/inspections/1/photos/a.jpg', issues: [] }],
+  };
+
+  describe('getRoomVersion', () => {
+    test('should not change when nothing the client edits changed', () => {
+      expect(getRoomVersion({ ...room, aiSummary: 'Updated summary' })).toBe(getRoomVersion(room));
+    });
+
+    test('should change when notes or rating change', () => {
+      expect(getRoomVersion({ ...room, notes: 'Fixed' })).not.toBe(getRoomVersion(room));
+      expect(getRoomVersion({ ...room, conditionRating: 'fair' })).not.toBe(getRoomVersion(room));
+    });
+
+    test('should change when photos are moved in or out of the room', () => {
+      expect(getRoomVersion({ ...room, photos: [] })).not.toBe(getRoomVersion(room));
+    });
+  });
+
+  describe('getInspectionVersion', () => {
+    test('should change when a room is added or the status changes', () => {
+      const inspection = { status: 'in_progress', rooms: [room] };
+      const version = getInspectionVersion(inspection);
+
+      expect(getInspectionVersion({ ...inspection, rooms: [room, { ...room, _id: mongoose.Types.ObjectId() }] })).not.toBe(
+        version
+      );
+      expect(getInspectionVersion({ ...inspection, status: 'in_review' })).not.toBe(version);
+      expect(getInspectionVersion({ ...inspection })).toBe(version);
+    });
+  });
+
+  describe('toInspectionSnapshot', () => {
+    test('should include room and inspection versions', () => {
+      const snapshot = toInspectionSnapshot({ _id: mongoose.Types.ObjectId(), status: 'in_progress', rooms: [room] });
+
+      expect(snapshot.version).toBe(getInspectionVersion({ status: 'in_progress', rooms: [room] }));
+      expect(snapshot.rooms[0]).toMatchObject({ name: 'Kitchen', version: getRoomVersion(room) });
+      expect(snapshot.rooms[0].photos[0]).toMatchObject({ _id: photoId, storagePath: 'org/inspections/1/photos/a.jpg' });
+    });
+  });
+
+  describe('applyMutation', () => {
+    const inspector = { id: mongoose.Types.ObjectId().toString(), role: 'agent', organizationId: 'org1' };
+    const finish = (inspection) => ({
+      clientId: 'client-1',
+      type: 'complete_inspection',
+      inspectionId: inspection._id.toString(),
+      baseVersion: getInspectionVersion(inspection),
+    });
+
+    beforeEach(() => {
+      jest.spyOn(SyncMutation, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+      jest.spyOn(SyncMutation, 'create').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      transitionInspection.mockReset();
+    });
+
+    test('should submit an inspection in progress for review when an inspector finishes it', async () => {
+      const inspection = { _id: mongoose.Types.ObjectId(), organizationId: 'org1', status: 'in_progress', rooms: [room] };
+      jest.spyOn(Inspection, 'findOne').mockResolvedValue(inspection);
+      transitionInspection.mockResolvedValue({ status: 'in_review' });
+
+      const result = await applyMutation({ user: inspector, mutation: finish(inspection) });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'applied', result: { status: 'in_review' } }));
+      expect(transitionInspection).toHaveBeenCalledWith(expect.objectContaining({ action: 'submit_for_review' }));
+    });
+
+    test('should complete an inspection that is in review', async () => {
+      const inspection = { _id: mongoose.Types.ObjectId(), organizationId: 'org1', status: 'in_review', rooms: [room] };
+      jest.spyOn(Inspection, 'findOne').mockResolvedValue(inspection);
+      transitionInspection.mockResolvedValue({ status: 'completed' });
+
+      await applyMutation({ user: { ...inspector, role: 'admin' }, mutation: finish(inspection) });
+
+      expect(transitionInspection).toHaveBeenCalledWith(expect.objectContaining({ action: 'complete' }));
+    });
+  });
+
+  describe('cursors', () => {
+    test('should round trip the time and last inspection id', () => {
+      const id = mongoose.Types.ObjectId().toString();
+      const updatedAt = new Date('2026-05-01T10:00:00.000Z');
+
+      expect(decodeCursor(encodeCursor(updatedAt, id))).toEqual({ updatedAt, id });
+      expect(decodeCursor(encodeCursor(updatedAt))).toEqual({ updatedAt, id: undefined });
+    });
+
+    test('should reject malformed cursors', () => {
+      expect(() => decodeCursor('bm90IGpzb24=')).toThrow('Invalid sync cursor');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../../src/lib/storage/r2.storage', () => jest.fn());
+jest.mock('../../../src/lib/storage', () => ({ ...jest.requireActual('../../../src/lib/storage'), getStorage: jest.fn() }));
+
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { Inspection } = require('../../../src/models/inspection.model');
+const Issue = require('../../../src/models/issue.model');
+const {
+  isReviewOpen,
+  summarizeResponses,
+  mergeResponses,
+  getReviewPortal,
+} = require('../../../src/services/tenantReview.service');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+describe('Tenant review service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isReviewOpen', () => {
+    test('should be open until the window closes', () => {
+      expect(isReviewOpen({ status: 'open', closesAt: hoursFromNow(1) })).toBe(true);
+      expect(isReviewOpen({ status: 'open', closesAt: hoursFromNow(-1) })).toBe(false);
+      expect(isReviewOpen({ status: 'revoked', closesAt: hoursFromNow(1) })).toBe(false);
+      expect(isReviewOpen(null)).toBe(false);
+    });
+  });
+
+  describe('summarizeResponses', () => {
+    test('should count agreed and disputed items', () => {
+      const review = { responses: [{ verdict: 'agree' }, { verdict: 'dispute' }, { verdict: 'dispute' }] };
+
+      expect(summarizeResponses(review)).toEqual({ agreed: 1, disputed: 2 });
+    });
+  });
+
+  describe('mergeResponses', () => {
+    const roomId = mongoose.Types.ObjectId();
+    const photoId = mongoose.Types.ObjectId();
+    const now = new Date('2026-06-01T10:00:00Z');
+    const existing = [
+      {
+        _id: 'response1',
+        itemType: 'room',
+        itemId: roomId,
+        verdict: 'agree',
+        counterPhotos: [{ storagePath: 'org/inspections/i/tenant-review/a.jpg' }],
+        createdAt: new Date('2026-05-30T10:00:00Z'),
+      },
+    ];
+
+    test('should replace the response to an item and keep its photos when none are sent', () => {
+      const { responses, removedPhotoPaths } = mergeResponses(
+        existing,
+        [{ itemType: 'room', itemId: roomId.toString(), verdict: 'dispute', comment: 'Carpet was already stained' }],
+        now
+      );
+
+      expect(responses).toHaveLength(1);
+      expect(responses[0]).toEqual(
+        expect.objectContaining({
+          _id: 'response1',
+          verdict: 'dispute',
+          comment: 'Carpet was already stained',
+          counterPhotos: existing[0].counterPhotos,
+          createdAt: existing[0].createdAt,
+          updatedAt: now,
+        })
+      );
+      expect(removedPhotoPaths).toEqual([]);
+    });
+
+    test('should add responses to new items and report replaced photos', () => {
+      const { responses, removedPhotoPaths } = mergeResponses(
+        existing,
+        [
+          { itemType: 'room', itemId: roomId.toString(), verdict: 'agree', counterPhotos: [] },
+          { itemType: 'photo', itemId: photoId.toString(), verdict: 'agree' },
+        ],
+        now
+      );
+
+      expect(responses.map((response) => response.itemType)).toEqual(['room', 'photo']);
+      expect(responses[1]).toEqual(expect.objectContaining({ counterPhotos: [], createdAt: now }));
+      expect(removedPhotoPaths).toEqual(['org/inspections/i/tenant-review/a.jpg']);
+    });
+  });
+
+  describe('getReviewPortal', () => {
+    const mockInspectionLookup = (inspection) =>
+      jest.spyOn(Inspection, 'findOne').mockReturnValue({
+        populate: () => ({ lean: () => Promise.resolve(inspection) }),
+      });
+
+    test('should report a closed window as gone', async () => {
+      mockInspectionLookup({ tenantReviews: [{ status: 'open', closesAt: hoursFromNow(-1), responses: [] }] });
+
+      await expect(getReviewPortal({ token: 'a'.repeat(64) })).rejects.toMatchObject({ statusCode: httpStatus.GONE });
+    });
+
+    test('should not find revoked or unknown links', async () => {
+      mockInspectionLookup({ tenantReviews: [{ status: 'revoked', closesAt: hoursFromNow(1), responses: [] }] });
+      await expect(getReviewPortal({ token: 'a'.repeat(64) })).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+
+      mockInspectionLookup(null);
+      await expect(getReviewPortal({ token: 'a'.repeat(64) })).rejects.toMatchObject({ statusCode: httpStatus.NOT_FOUND });
+    });
+
+    test('should leave out the pending classification room', async () => {
+      mockInspectionLookup({
+        propertyId: { name: 'Unit 4' },
+        rooms: [
+          { _id: mongoose.Types.ObjectId(), name: '_pending_classification', displayOrder: 0, photos: [] },
+          { _id: mongoose.Types.ObjectId(), name: 'Kitchen', displayOrder: 1, photos: [] },
+        ],
+        tenantReviews: [{ status: 'open', closesAt: hoursFromNow(1), responses: [] }],
+      });
+      jest.spyOn(Issue, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: () => Promise.resolve([]) }) }) });
+
+      const portal = await getReviewPortal({ token: 'a'.repeat(64) });
+
+      expect(portal.rooms.map((room) => room.name)).toEqual(['Kitchen']);
+    });
+  });
+});
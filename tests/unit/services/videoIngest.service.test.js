@@ -0,0 +1,173 @@
+const sharp = require('sharp');
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../../src/services/photoRegistration.service', () => ({ registerInspectionPhotos: jest.fn() }));
+
+const {
+  canonicalVideoType,
+  detectVideoType,
+  verifyUploadedVideo,
+  parseProbeOutput,
+  parseFrameTimestamps,
+  computeFrameHash,
+  hashDistance,
+  selectDistinctFrames,
+  formatFrameTimestamp,
+} = require('../../../src/services/videoIngest.service');
+
+const isoHeader = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from(`ftyp${brand}`), Buffer.alloc(4)]);
+
+describe('Video ingest service', () => {
+  describe('canonicalVideoType', () => {
+    test('should map aliases and ignore parameters', () => {
+      expect(canonicalVideoType('video/x-m4v')).toBe('video/mp4');
+      expect(canonicalVideoType('Video/QuickTime; codecs=hvc1')).toBe('video/quicktime');
+      expect(canonicalVideoType('image/jpeg')).toBeNull();
+    });
+  });
+
+  describe('detectVideoType', () => {
+    test('should detect MP4, QuickTime and WebM containers', () => {
+      expect(detectVideoType(isoHeader('isom'))).toBe('video/mp4');
+      expect(detectVideoType(isoHeader('qt  '))).toBe('video/quicktime');
+      expect(detectVideoType(Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.alloc(12)]))).toBe('video/webm');
+    });
+
+    test('should reject HEIC images, which share the ISO container', () => {
+      expect(detectVideoType(isoHeader('heic'))).toBeNull();
+      expect(detectVideoType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0]))).toBeNull();
+    });
+  });
+
+  describe('verifyUploadedVideo', () => {
+    const params = { organizationId: 'org1', inspectionId: 'insp1', index: 0 };
+    const key = 'org1/inspections/insp1/videos/1-walkthrough.mov';
+    const storage = {
+      getMetadata: jest.fn().mockResolvedValue({ size: 2048, contentType: 'video/quicktime' }),
+      downloadRange: jest.fn().mockResolvedValue(isoHeader('qt  ')),
+    };
+
+    test('should accept a QuickTime file declared as MP4', async () => {
+      const result = await verifyUploadedVideo({
+        ...params,
+        storage,
+        video: { key, filename: 'walkthrough.mov', contentType: 'video/mp4' },
+      });
+
+      expect(result.video).toEqual(expect.objectContaining({ fileSize: 2048, contentType: 'video/quicktime' }));
+    });
+
+    test('should reject keys outside the inspection video prefix', async () => {
+      const result = await verifyUploadedVideo({
+        ...params,
+        storage,
+        video: { key: 'org1/inspections/insp1/photos/1-walkthrough.mov', filename: 'w.mov', contentType: 'video/mp4' },
+      });
+
+      expect(result.error.code).toBe('forbidden_key');
+    });
+
+    test('should reject images uploaded as videos', async () => {
+      const imageStorage = { ...storage, downloadRange: jest.fn().mockResolvedValue(isoHeader('heic')) };
+      const result = await verifyUploadedVideo({
+        ...params,
+        storage: imageStorage,
+        video: { key, filename: 'w.mov', contentType: 'video/quicktime' },
+      });
+
+      expect(result.error.code).toBe('not_a_video');
+    });
+  });
+
+  describe('parseProbeOutput', () => {
+    test('should read duration, creation time and video stream', () => {
+      const output = JSON.stringify({
+        streams: [{ codec_type: 'video' }],
+        format: { duration: '12.345000', tags: { creation_time: '2026-03-01T09:30:00.000000Z' } },
+      });
+
+      expect(parseProbeOutput(output)).toEqual({
+        durationMs: 12345,
+        createdAt: new Date('2026-03-01T09:30:00Z'),
+        hasVideo: true,
+      });
+    });
+
+    test('should handle audio-only and unreadable output', () => {
+      expect(parseProbeOutput(JSON.stringify({ streams: [{ codec_type: 'audio' }], format: {} }))).toEqual({
+        durationMs: null,
+        createdAt: null,
+        hasVideo: false,
+      });
+      expect(parseProbeOutput('not json').hasVideo).toBe(false);
+    });
+  });
+
+  describe('parseFrameTimestamps', () => {
+    test('should read pts_time of showinfo lines only', () => {
+      const log = [
+        "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'source':",
+        '[Parsed_showinfo_2 @ 0x55d0] n:   0 pts:      0 pts_time:0       duration:512 fmt:yuvj420p',
+        '[Parsed_showinfo_2 @ 0x55d0] n:   1 pts:  46080 pts_time:3.0025  duration:512 fmt:yuvj420p',
+        '[Parsed_showinfo_2 @ 0x55d0] config in time_base: 1/15360, frame_rate: 30/1',
+        'frame=    2 fps=0.0 q=2.0 Lsize=N/A time=00:00:03.00',
+      ].join('\n');
+
+      expect(parseFrameTimestamps(log)).toEqual([0, 3003]);
+    });
+  });
+
+  describe('computeFrameHash', () => {
+    // 9x8 greyscale pixels as returned by sharp for the difference hash
+    const mockPixels = (rows) => {
+      const pipeline = { greyscale: () => pipeline, resize: () => pipeline, raw: () => pipeline };
+      pipeline.toBuffer = jest.fn().mockResolvedValue(Buffer.from(rows.flat()));
+      sharp.mockReturnValue(pipeline);
+    };
+
+    test('should set a bit where a pixel is brighter than its right neighbour', async () => {
+      mockPixels(Array.from({ length: 8 }, () => [90, 80, 70, 60, 50, 40, 30, 20, 10]));
+      const falling = await computeFrameHash(Buffer.alloc(0));
+      mockPixels(Array.from({ length: 8 }, () => [10, 20, 30, 40, 50, 60, 70, 80, 90]));
+      const rising = await computeFrameHash(Buffer.alloc(0));
+
+      expect(falling).toBe('1'.repeat(64));
+      expect(rising).toBe('0'.repeat(64));
+      expect(hashDistance(falling, rising)).toBe(64);
+    });
+  });
+
+  describe('selectDistinctFrames', () => {
+    const hash = (ones) => '1'.repeat(ones).padEnd(64, '0');
+
+    test('should keep the sharpest of near-identical frames', () => {
+      const frames = [
+        { timestampMs: 0, hash: hash(0), sharpness: 2 },
+        { timestampMs: 500, hash: hash(3), sharpness: 5 },
+        { timestampMs: 3000, hash: hash(40), sharpness: 1 },
+        { timestampMs: 6000, hash: hash(1), sharpness: 1 },
+      ];
+
+      expect(selectDistinctFrames(frames).map((frame) => frame.timestampMs)).toEqual([500, 3000]);
+    });
+
+    test('should thin out evenly when over the frame limit', () => {
+      const frames = Array.from({ length: 10 }, (_, index) => ({
+        timestampMs: index * 1000,
+        hash: index.toString(2).padStart(64, '0'),
+        sharpness: 1,
+      }));
+
+      const selected = selectDistinctFrames(frames, { duplicateHashDistance: 1, maxFrames: 5 });
+
+      expect(selected.map((frame) => frame.timestampMs)).toEqual([0, 2000, 4000, 6000, 8000]);
+    });
+  });
+
+  describe('formatFrameTimestamp', () => {
+    test('should format minutes and seconds', () => {
+      expect(formatFrameTimestamp(65250)).toBe('01m05.250s');
+      expect(formatFrameTimestamp(0)).toBe('00m00.000s');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const config = require('../../../src/config/config');
+const Webhook = require('../../../src/models/webhook.model');
+const { dispatchWebhookEvent } = require('../../../src/services/webhook.service');
+
+describe('Webhook service', () => {
+  describe('dispatchWebhookEvent', () => {
+    const webhook = { _id: mongoose.Types.ObjectId(), url: 'https://hooks.example.com', secret: 'secret', active: true };
+    let updateOne;
+
+    beforeEach(() => {
+      jest.spyOn(Webhook, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([webhook]) }) });
+      updateOne = jest.spyOn(Webhook, 'updateOne').mockResolvedValue({ n: 1, nModified: 1 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should disable a webhook once it reaches the failure limit', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 500 });
+
+      await dispatchWebhookEvent({ organizationId: 'org1', event: 'report.signed', data: {} });
+
+      expect(updateOne.mock.calls[0][1]).toMatchObject({ $inc: { failureCount: 1 } });
+      expect(updateOne).toHaveBeenLastCalledWith(
+        { _id: webhook._id, active: true, failureCount: { $gte: config.webhooks.maxFailures } },
+        { $set: { active: false } }
+      );
+    });
+
+    test('should reset the failure count after a successful delivery', async () => {
+      fetch.mockResolvedValue({ ok: true, status: 200 });
+
+      await dispatchWebhookEvent({ organizationId: 'org1', event: 'report.signed', data: {} });
+
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne.mock.calls[0][1].$set).toMatchObject({ failureCount: 0 });
+    });
+  });
+});
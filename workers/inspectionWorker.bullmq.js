@@ -5,13 +5,27 @@ const Redis = require('ioredis');
 const logger = require('../src/config/logger');
 const config = require('../src/config/config');
 const { QUEUE_NAMES, getRedisConnection } = require('../src/queues/queue.config');
-const { jobService, reportPresetService } = require('../src/services');
+const { JOB_TYPES } = require('../src/queues/inspection.bullmq');
+const { registerScheduleRunner } = require('../src/queues/schedule.bullmq');
+const {
+  jobService,
+  reportPresetService,
+  photoDerivativeService,
+  photoMetadataService,
+  photoLocationService,
+  inspectionRoomService,
+  issueService,
+  costEstimateService,
+  inspectionScheduleService,
+  videoIngestService,
+  tenantReviewService,
+} = require('../src/services');
 const { Inspection } = require('../src/models/inspection.model');
 const geminiService = require('../src/services/ai/gemini.service');
-const R2Storage = require('../src/lib/storage/r2.storage');
+const { getStorage } = require('../src/lib/storage');
 
-// Initialize R2 storage
-const storage = new R2Storage();
+// The configured provider, the same one the API stores photos and derivatives in
+const storage = getStorage();
 
 // Redis for pub/sub socket events - use same connection as queue
 const redisUrl = config.redis?.url || process.env.REDIS_URL || 'redis://localhost:6379';
@@ -217,6 +231,7 @@ async function processInspectionJob(job) {
     }
 
     const totalPhotos = photosToProcess.length;
+    const costCatalogue = await costEstimateService.getCostCatalogue({ organizationId });
     const roomClassifications = new Map(); // roomType -> [photos]
 
     // Process each photo
@@ -266,7 +281,7 @@ async function processInspectionJob(job) {
       // Update photo with analysis results
       photo.roomClassification = roomType;
       photo.classificationConfidence = classification?.confidence;
-      photo.issues = analysis.issues || [];
+      photo.issues = costEstimateService.applyCostEstimates({ catalogue: costCatalogue, issues: analysis.issues || [] });
       photo.aiSummary = analysis.summary;
       photo.condition = analysis.condition;
       photo.positives = analysis.positives || [];
@@ -333,28 +348,18 @@ async function processInspectionJob(job) {
           });
         }
 
-        // Move photos to this room
-        for (const { photo } of photoData) {
-          room.photos.push({
-            ...photo.toObject(),
-            _id: photo._id,
-          });
-        }
-
-        // Update room condition based on photos
-        const conditions = photoData.map((p) => p.analysis.condition).filter(Boolean);
-        if (conditions.length > 0) {
-          const conditionScores = { excellent: 5, good: 4, fair: 3, poor: 2, critical: 1, unrated: 0 };
-          const avgScore = conditions.reduce((sum, c) => sum + (conditionScores[c] || 0), 0) / conditions.length;
-          const conditionNames = ['unrated', 'critical', 'poor', 'fair', 'good', 'excellent'];
-          room.conditionRating = conditionNames[Math.round(avgScore)] || 'unrated';
+        // Move photos to this room (photos an inspector already placed in a room stay there)
+        for (const { photo, originalRoom } of photoData) {
+          if (originalRoom.name === inspectionRoomService.PENDING_ROOM_NAME) {
+            room.photos.push({
+              ...photo.toObject(),
+              _id: photo._id,
+            });
+          }
         }
 
-        // Generate room summary from photo analyses
-        const allIssues = photoData.flatMap((p) => p.analysis.issues || []);
-        const allPositives = photoData.flatMap((p) => p.analysis.positives || []);
-        room.aiSummary = `${roomType} inspection: ${photoData.length} photo(s) analyzed. ${allIssues.length} issue(s) found.`;
-        room.actions = allIssues.filter((i) => i.severity === 'high').map((i) => i.recommendation).filter(Boolean);
+        // Update room condition, summary and actions from its photos
+        room.set(inspectionRoomService.summarizeRoom(room));
       }
 
       // Remove empty pending room
@@ -363,9 +368,19 @@ async function processInspectionJob(job) {
       );
     }
 
+    // Photos or rooms may have been deleted, and derivatives written by a parallel job, since we loaded the inspection
+    await inspectionRoomService.dropDeletedRoomsAndPhotos(inspection);
+    await photoDerivativeService.mergeStoredDerivatives(inspection);
+
     inspection.markModified('rooms');
     await inspection.save();
 
+    try {
+      await issueService.syncPhotoIssues({ inspection, photoIds });
+    } catch (error) {
+      logger.warn({ err: error.message, jobId }, 'Failed to sync photo issues');
+    }
+
     const result = {
       summary: `Processed ${totalPhotos} photos across ${roomClassifications.size} rooms.`,
       metrics: {
@@ -411,6 +426,166 @@ async function processInspectionJob(job) {
   }
 }
 
+/**
+ * Generate thumbnail, web and PDF size derivatives for newly registered photos
+ * and read their EXIF metadata
+ */
+async function processPhotoDerivativesJob(job) {
+  const { jobId, inspectionId, organizationId, payload } = job.data;
+  const { photoIds = [] } = payload;
+
+  try {
+    await jobService.updateJobProgress({
+      jobId,
+      status: 'processing',
+      progress: 5,
+      message: 'Generating photo thumbnails...',
+    });
+
+    const inspection = await Inspection.findOne({ _id: inspectionId, organizationId }).lean();
+    if (!inspection) {
+      throw new Error('Inspection not found');
+    }
+    const propertyLocation = await photoLocationService.getPropertyLocation(inspection.propertyId);
+
+    const photosToProcess = [];
+    for (const room of inspection.rooms) {
+      for (const photo of room.photos) {
+        if (photoIds.includes(photo._id.toString())) {
+          photosToProcess.push({ photo, roomId: room._id.toString() });
+        }
+      }
+    }
+
+    let generated = 0;
+    const failed = [];
+    const deleted = [];
+
+    for (let i = 0; i < photosToProcess.length; i++) {
+      const { photo, roomId } = photosToProcess[i];
+
+      try {
+        const original = await storage.download(photo.storagePath);
+
+        // Photos uploaded through the API already had EXIF read from the upload buffer
+        const metadata =
+          photo.exif && photo.exif.extractedAt ? undefined : await photoMetadataService.extractPhotoMetadata(original.data);
+
+        const derivatives = await photoDerivativeService.generatePhotoDerivatives({
+          photo,
+          organizationId,
+          inspectionId,
+          roomId,
+          buffer: original.data,
+        });
+        const saved = await photoDerivativeService.savePhotoDerivatives({
+          inspectionId,
+          photoId: photo._id.toString(),
+          derivatives,
+          metadata,
+          // Off-site warning for presigned uploads, whose GPS position is only known now
+          qualityWarnings: metadata ? photoLocationService.updateLocationWarnings([], metadata.exif, propertyLocation) : [],
+        });
+
+        if (saved) {
+          generated += 1;
+          emitSocketEvent(inspectionId, 'photo.derivatives_ready', {
+            photoId: photo._id.toString(),
+            sizes: Object.keys(derivatives),
+          });
+        } else {
+          // Photo was deleted while we worked on it
+          await storage.deleteMany(Object.values(derivatives).map((derivative) => derivative.storagePath));
+          deleted.push(photo._id.toString());
+        }
+      } catch (error) {
+        logger.warn({ err: error.message, photoId: photo._id.toString() }, 'Failed to generate photo derivatives');
+        failed.push(photo._id.toString());
+      }
+
+      await jobService.updateJobProgress({
+        jobId,
+        processedUnits: i + 1,
+        totalUnits: photosToProcess.length,
+        progress: Math.round(((i + 1) / photosToProcess.length) * 90) + 5,
+        message: `Generated thumbnails for ${i + 1}/${photosToProcess.length} photos`,
+      });
+    }
+
+    if (failed.length && !generated) {
+      throw new Error('Failed to generate derivatives for every photo');
+    }
+
+    const result = { generated, failed, deleted };
+    await jobService.markJobCompleted({ jobId, result, message: 'Photo derivatives generated' });
+    logger.info({ jobId, result }, 'Photo derivatives job completed');
+
+    return result;
+  } catch (error) {
+    logger.error({ err: error, jobId }, 'Photo derivatives job failed');
+    await jobService.markJobFailed({ jobId, error });
+    throw error;
+  }
+}
+
+/**
+ * Extract keyframes from a walkthrough video and register them as photos;
+ * registration queues the usual classify-and-analyze job for them
+ */
+async function processVideoIngestJob(job) {
+  const { jobId, inspectionId, organizationId, payload } = job.data;
+  const { videoId } = payload;
+
+  try {
+    await jobService.updateJobProgress({
+      jobId,
+      status: 'processing',
+      progress: 5,
+      message: 'Downloading video...',
+    });
+    emitSocketEvent(inspectionId, 'job.processing', { jobId, progress: 5, message: 'Processing video...' });
+
+    const result = await videoIngestService.ingestVideo({
+      inspectionId,
+      organizationId,
+      videoId,
+      storage,
+      onProgress: (progress, message) => jobService.updateJobProgress({ jobId, progress, message }),
+    });
+
+    await jobService.markJobCompleted({ jobId, result, message: 'Video keyframes extracted' });
+    emitSocketEvent(inspectionId, 'video.processed', { jobId, ...result });
+    logger.info({ jobId, result }, 'Video ingest job completed');
+
+    return result;
+  } catch (error) {
+    logger.error({ err: error, jobId, videoId }, 'Video ingest job failed');
+    await jobService.markJobFailed({ jobId, error });
+    emitSocketEvent(inspectionId, 'job.failed', { jobId, error: error.message });
+    throw error;
+  }
+}
+
+// BullMQ job name -> processor; anything else is an inspection analysis job
+const JOB_PROCESSORS = {
+  [JOB_TYPES.GENERATE_PHOTO_DERIVATIVES]: processPhotoDerivativesJob,
+  [JOB_TYPES.INGEST_VIDEO]: processVideoIngestJob,
+};
+
+async function processJob(job) {
+  const { jobId } = job.data;
+
+  // Jobs cancelled after a worker already fetched them (e.g. their photos were deleted)
+  const dbJob = await jobService.getJobById(jobId);
+  if (dbJob.status === 'cancelled') {
+    logger.info({ bullmqJobId: job.id, jobId }, 'Skipping cancelled job');
+    return { cancelled: true };
+  }
+
+  const processor = JOB_PROCESSORS[job.name] || processInspectionJob;
+  return processor(job);
+}
+
 // Startup
 logger.info('=== INSPECTION WORKER STARTING ===');
 logger.info({ 
@@ -443,7 +618,7 @@ try {
 
   worker = new Worker(
     QUEUE_NAME,
-    processInspectionJob,
+    processJob,
     {
       connection: redisConnection,
       concurrency: 2,
@@ -479,6 +654,28 @@ worker.on('stalled', (jobId) => {
   logger.warn({ jobId }, 'Worker job stalled');
 });
 
+// Recurring inspection schedules run on their own queue so long analysis jobs never hold them up.
+// The same run closes tenant reviews whose response window has ended.
+const scheduleWorker = new Worker(
+  QUEUE_NAMES.INSPECTION_SCHEDULES,
+  async () => {
+    await inspectionScheduleService.runSchedules();
+    await tenantReviewService.closeExpiredTenantReviews();
+  },
+  {
+    connection: getRedisConnection(),
+    concurrency: 1,
+  }
+);
+
+scheduleWorker.on('failed', (job, err) => {
+  logger.error({ err: err.message }, 'Inspection scheduler run failed');
+});
+
+registerScheduleRunner().catch((err) => {
+  logger.error({ err: err.message }, 'Failed to register inspection scheduler');
+});
+
 logger.info({ 
   queueName: QUEUE_NAME,
   redisUrl: redisUrl.replace(/:[^:@]+@/, ':***@'), // Hide password in logs
@@ -497,6 +694,7 @@ setTimeout(async () => {
 process.on('SIGINT', async () => {
   logger.info('Worker received SIGINT, closing...');
   await worker.close();
+  await scheduleWorker.close();
   await pubClient.quit();
   await mongoose.disconnect();
   process.exit(0);
@@ -505,6 +703,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('Worker received SIGTERM, closing...');
   await worker.close();
+  await scheduleWorker.close();
   await pubClient.quit();
   await mongoose.disconnect();
   process.exit(0);